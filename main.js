@@ -1,9 +1,12 @@
-const { app, BrowserWindow, ipcMain, nativeImage, systemPreferences } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, nativeImage, systemPreferences } = require('electron');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const https = require('https');
 const pty = require('node-pty');
+const ProcessInspector = require('./modules/ProcessInspector');
+const ControlServer = require('./modules/ControlServer');
+const { SocketSource } = require('./modules/TelemetrySources');
 
 // Whisper model management
 const MODELS_DIR = path.join(__dirname, 'models');
@@ -26,17 +29,35 @@ if (process.platform === 'darwin') {
   }
 }
 
-let mainWindow;
-// Multi-PTY management: Map<terminalId, { pty, webContents }>
+// Target for requests that don't name a window (control API)
+let lastFocusedWindow = null;
+// Windows whose renderer has saved its session and may close
+const sessionSavedWindows = new WeakSet();
+// Fallback timers that close a window whose renderer never answers
+const closeTimers = new WeakMap();
+// While the app quits: window id -> its session (null until it answers), the
+// focused window first so it comes back as the first window. Closing windows
+// one at a time leaves saving to the last one instead.
+let quitSessions = null;
+// Same file as SessionManager in renderer.js
+const sessionPath = path.join(os.homedir(), '.hackerterm-session.json');
+// Multi-PTY management: Map<terminalId, { pty, webContents, shellName, held }>
+// webContents is null while the terminal's tab moves between windows; output
+// and exit are held until the new window attaches
 const ptyProcesses = new Map();
 let terminalIdCounter = 0;
+const processInspector = new ProcessInspector();
 
-function createWindow() {
+// options: { restore, adoptId, x, y } - restore the saved window at index
+// restore, or adopt a tab torn off another window
+function createWindow(options = {}) {
   const iconPath = path.join(__dirname, 'icon.png');
 
-  mainWindow = new BrowserWindow({
+  const win = new BrowserWindow({
     width: 1200,
     height: 800,
+    x: options.x,
+    y: options.y,
     minWidth: 800,
     minHeight: 500,
     backgroundColor: '#0a0a0a',
@@ -48,28 +69,178 @@ function createWindow() {
     },
   });
 
-  mainWindow.loadFile('index.html');
+  lastFocusedWindow = win;
+  win.loadFile('index.html', {
+    query: {
+      windowId: String(win.id),
+      restore: Number.isInteger(options.restore) ? String(options.restore) : '',
+      adopt: options.adoptId ? String(options.adoptId) : '',
+    },
+  });
+
+  win.on('focus', () => {
+    lastFocusedWindow = win;
+  });
+
+  // Shells belong to the window showing them; tabs moved away were rebound
+  const webContents = win.webContents;
+  win.on('closed', () => {
+    for (const [terminalId, entry] of ptyProcesses) {
+      if (entry.webContents === webContents) {
+        entry.pty.kill();
+        ptyProcesses.delete(terminalId);
+      }
+    }
+    if (lastFocusedWindow === win) {
+      lastFocusedWindow = BrowserWindow.getAllWindows()[0] || null;
+    }
+  });
 
   // Open DevTools with Cmd+Option+I (macOS) or Ctrl+Shift+I (others)
-  mainWindow.webContents.on('before-input-event', (event, input) => {
+  win.webContents.on('before-input-event', (event, input) => {
     if (input.type === 'keyDown') {
       const isMac = process.platform === 'darwin';
       if ((isMac && input.meta && input.alt && input.key === 'i') ||
           (!isMac && input.control && input.shift && input.key === 'I')) {
-        mainWindow.webContents.toggleDevTools();
+        win.webContents.toggleDevTools();
         event.preventDefault();
       }
     }
   });
+
+  // Give the renderer a chance to save its session before closing
+  win.on('close', (event) => {
+    if (sessionSavedWindows.has(win) || win.webContents.isDestroyed()) return;
+    event.preventDefault();
+    win.webContents.send('session-save-request', {
+      lastWindow: BrowserWindow.getAllWindows().length === 1,
+      collect: !!quitSessions,
+    });
+
+    // Don't let a stuck renderer keep the window open
+    clearTimeout(closeTimers.get(win));
+    closeTimers.set(win, setTimeout(() => {
+      if (!win.isDestroyed()) {
+        sessionSavedWindows.add(win);
+        win.close();
+      }
+    }, 3000));
+  });
+}
+
+// Legacy shell used when the renderer does not pass a profile
+const DEFAULT_PROFILE = {
+  command: '/bin/bash',
+  args: ['--rcfile', '~/.bashrc', '-i'],
+  env: { BASH_ENV: '~/.bashrc' },
+};
+
+// Expand a leading ~ and $VAR / ${VAR} references in profile strings
+function expandProfileValue(value, homeDir) {
+  if (typeof value !== 'string') return value;
+  let expanded = value.replace(/\$\{(\w+)\}|\$(\w+)/g, (match, braced, bare) => {
+    const name = braced || bare;
+    return process.env[name] !== undefined ? process.env[name] : '';
+  });
+  if (expanded === '~' || expanded.startsWith('~/')) {
+    expanded = path.join(homeDir, expanded.slice(1));
+  }
+  return expanded;
+}
+
+// Resolve a shell profile into the command, args, env and cwd to spawn
+function resolveProfile(profile, homeDir) {
+  const source = profile || DEFAULT_PROFILE;
+
+  const command = expandProfileValue(source.command, homeDir) || DEFAULT_PROFILE.command;
+  const args = (Array.isArray(source.args) ? source.args : []).map(arg => expandProfileValue(String(arg), homeDir));
+
+  const env = {};
+  for (const [key, value] of Object.entries(source.env || {})) {
+    env[key] = expandProfileValue(String(value), homeDir);
+  }
+
+  const cwd = source.cwd ? expandProfileValue(source.cwd, homeDir) : null;
+
+  return { command, args, env, cwd };
+}
+
+// Shell integration scripts; unpacked from the asar so shells can read them
+const SHELL_INTEGRATION_DIR = path.join(__dirname, 'shell-integration')
+  .replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+
+// Rewrite a resolved profile so bash, zsh or fish load the OSC 133 / OSC 7
+// integration scripts. Shells started with a command or script are left alone.
+function applyShellIntegration(profile, homeDir) {
+  const shellName = path.basename(profile.command).replace(/\.exe$/, '');
+  const args = profile.args;
+
+  if (shellName === 'bash') {
+    let rcfile = null;
+    let login = false;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--rcfile' || args[i] === '--init-file') {
+        rcfile = args[++i];
+      } else if (args[i] === '-l' || args[i] === '--login') {
+        login = true;
+      } else if (args[i] !== '-i') {
+        return profile;
+      }
+    }
+
+    const env = { ...profile.env };
+    if (login) {
+      env.HACKERTERM_BASH_LOGIN = '1';
+    } else {
+      env.HACKERTERM_BASH_RCFILE = rcfile || path.join(homeDir, '.bashrc');
+    }
+    return {
+      ...profile,
+      args: ['--init-file', path.join(SHELL_INTEGRATION_DIR, 'bash', 'hackerterm.bash'), '-i'],
+      env,
+    };
+  }
+
+  if (args.some(arg => arg === '-c' || !arg.startsWith('-'))) return profile;
+
+  if (shellName === 'zsh') {
+    return {
+      ...profile,
+      env: {
+        ...profile.env,
+        HACKERTERM_ZDOTDIR: profile.env.ZDOTDIR || process.env.ZDOTDIR || homeDir,
+        ZDOTDIR: path.join(SHELL_INTEGRATION_DIR, 'zsh'),
+      },
+    };
+  }
+
+  if (shellName === 'fish') {
+    const script = path.join(SHELL_INTEGRATION_DIR, 'fish', 'hackerterm.fish');
+    return {
+      ...profile,
+      args: [...args, '--init-command', `source '${script.replace(/'/g, "\\'")}'`],
+    };
+  }
+
+  return profile;
 }
 
 // Create a new PTY process and return its ID
-function createPtyProcess(initialCwd = null, webContents = null) {
+function createPtyProcess(options = {}, webContents = null) {
   const homeDir = os.homedir();
   const terminalId = ++terminalIdCounter;
-  const cwd = initialCwd || homeDir;
+  let profile = resolveProfile(options.profile, homeDir);
+  if (options.shellIntegration) {
+    profile = applyShellIntegration(profile, homeDir);
+  }
+
+  // Explicit cwd (inherited from a pane) wins over the profile's starting cwd
+  let cwd = options.cwd || profile.cwd || homeDir;
+  if (!fs.existsSync(cwd)) {
+    cwd = homeDir;
+  }
 
-  const ptyProcess = pty.spawn('/bin/bash', ['--rcfile', path.join(homeDir, '.bashrc'), '-i'], {
+  const ptyProcess = pty.spawn(profile.command, profile.args, {
     name: 'xterm-256color',
     cols: 80,
     rows: 24,
@@ -79,50 +250,80 @@ function createPtyProcess(initialCwd = null, webContents = null) {
       TERM: 'xterm-256color',
       COLORTERM: 'truecolor',
       HOME: homeDir,
-      BASH_ENV: path.join(homeDir, '.bashrc'),
+      // Lets `hackerterm` inside a pane find the app and target its own pane
+      HACKERTERM_SOCKET: ControlServer.socketPath(),
+      HACKERTERM_TERMINAL_ID: String(terminalId),
+      ...profile.env,
     },
   });
 
   ptyProcess.onData((data) => {
     const entry = ptyProcesses.get(terminalId);
-    if (entry && entry.webContents && !entry.webContents.isDestroyed()) {
+    if (!entry) return;
+    if (!entry.webContents) {
+      entry.held.push({ channel: 'terminal-data', payload: { terminalId, data } });
+    } else if (!entry.webContents.isDestroyed()) {
       entry.webContents.send('terminal-data', { terminalId, data });
     }
   });
 
   ptyProcess.onExit(({ exitCode }) => {
     const entry = ptyProcesses.get(terminalId);
-    if (entry && entry.webContents && !entry.webContents.isDestroyed()) {
+    if (!entry) return;
+    if (!entry.webContents) {
+      // Keep the entry so the adopting window still gets the exit
+      entry.held.push({ channel: 'terminal-exit', payload: { terminalId, exitCode } });
+      entry.exited = true;
+      return;
+    }
+    if (!entry.webContents.isDestroyed()) {
       entry.webContents.send('terminal-exit', { terminalId, exitCode });
     }
     ptyProcesses.delete(terminalId);
   });
 
-  ptyProcesses.set(terminalId, { pty: ptyProcess, webContents });
+  ptyProcesses.set(terminalId, {
+    pty: ptyProcess,
+    webContents,
+    shellName: path.basename(profile.command).replace(/\.exe$/, ''),
+    held: [],
+    exited: false,
+  });
   return terminalId;
 }
 
-// Create new terminal (optionally with a specific cwd)
-ipcMain.handle('terminal-create', (event, cwd = null) => {
-  return createPtyProcess(cwd, event.sender);
+async function inspectTerminal(terminalId) {
+  const entry = ptyProcesses.get(terminalId);
+  if (!entry) return null;
+  return await processInspector.inspect(entry.pty.pid, { pty: entry.pty, shellName: entry.shellName });
+}
+
+// Create new terminal - options: { cwd, profile, shellIntegration }
+ipcMain.handle('terminal-create', (event, options = {}) => {
+  return createPtyProcess(options, event.sender);
 });
 
 // Get the current working directory of a terminal
 ipcMain.handle('terminal-get-cwd', async (event, terminalId) => {
-  const entry = ptyProcesses.get(terminalId);
-  if (!entry) return null;
+  const info = await inspectTerminal(terminalId);
+  return info ? info.cwd : null;
+});
 
-  try {
-    // Get the pid of the pty process
-    const pid = entry.pty.pid;
-    // Use lsof to get the cwd of the shell process
-    const { execSync } = require('child_process');
-    const output = execSync(`lsof -p ${pid} -a -d cwd -Fn 2>/dev/null | grep ^n | cut -c2-`, { encoding: 'utf8' });
-    const cwd = output.trim();
-    return cwd || null;
-  } catch (e) {
-    return null;
+// Foreground process of a terminal: { pid, name, cwd, shellPid, isShell }
+ipcMain.handle('terminal-get-process', async (event, terminalId) => {
+  return await inspectTerminal(terminalId);
+});
+
+// Socket inode -> { pid, name } from the last /proc walk, which runs here
+// rather than in the renderer and only when an inode isn't known yet
+let socketOwners = new Map();
+
+// Owners of socket inodes as [inode, { pid, name } | null] pairs
+ipcMain.handle('socket-owners', async (event, inodes = []) => {
+  if (inodes.some(inode => !socketOwners.has(inode))) {
+    socketOwners = await SocketSource.findSocketOwners(inodes);
   }
+  return inodes.map(inode => [inode, socketOwners.get(inode) || null]);
 });
 
 // Destroy terminal by ID
@@ -150,26 +351,158 @@ ipcMain.on('terminal-resize', (event, { terminalId, cols, rows }) => {
   }
 });
 
-ipcMain.on('window-minimize', () => {
-  if (mainWindow) mainWindow.minimize();
+// ========================================
+// MOVING TABS BETWEEN WINDOWS
+// ========================================
+
+// Tabs on their way to another window: Map<transferId, { tab, timer }>
+const pendingTransfers = new Map();
+let transferIdCounter = 0;
+
+// Hold a terminal's output while no window shows it
+function holdTerminal(terminalId) {
+  const entry = ptyProcesses.get(terminalId);
+  if (entry) entry.webContents = null;
+}
+
+// Rebind a held terminal to the window that now shows it and replay its output
+ipcMain.handle('terminal-attach', (event, terminalId) => {
+  const entry = ptyProcesses.get(terminalId);
+  if (!entry) return false;
+
+  entry.webContents = event.sender;
+  for (const { channel, payload } of entry.held) {
+    event.sender.send(channel, payload);
+  }
+  entry.held = [];
+  if (entry.exited) ptyProcesses.delete(terminalId);
+  return true;
+});
+
+// First step of a move: stop sending output to the source window
+ipcMain.handle('tab-hold', (event, terminalIds) => {
+  terminalIds.forEach(holdTerminal);
+  return true;
+});
+
+// tab: { layout, title, terminalIds } from TabManager.transferTab.
+// target: { windowId, index } for another window, or { x, y } to tear off
+ipcMain.handle('tab-transfer', (event, { tab, target = {} }) => {
+  const transferId = ++transferIdCounter;
+  tab.terminalIds.forEach(holdTerminal);
+
+  // Nobody adopted it (window failed to load) - don't leak the shells
+  const timer = setTimeout(() => {
+    pendingTransfers.delete(transferId);
+    for (const terminalId of tab.terminalIds) {
+      const entry = ptyProcesses.get(terminalId);
+      if (entry && !entry.webContents) {
+        entry.pty.kill();
+        ptyProcesses.delete(terminalId);
+      }
+    }
+  }, 30000);
+  pendingTransfers.set(transferId, { tab: { ...tab, index: target.index }, timer });
+
+  const targetWindow = target.windowId ? BrowserWindow.fromId(target.windowId) : null;
+  if (targetWindow && !targetWindow.isDestroyed()) {
+    targetWindow.webContents.send('tab-adopt', transferId);
+    targetWindow.focus();
+  } else {
+    createWindow({
+      adoptId: transferId,
+      x: target.x !== undefined ? Math.round(target.x) : undefined,
+      y: target.y !== undefined ? Math.round(target.y) : undefined,
+    });
+  }
+  return transferId;
+});
+
+ipcMain.handle('tab-transfer-take', (event, transferId) => {
+  const transfer = pendingTransfers.get(Number(transferId));
+  if (!transfer) return null;
+  pendingTransfers.delete(Number(transferId));
+  clearTimeout(transfer.timer);
+  return transfer.tab;
+});
+
+// A tab from another window was dropped on this window's tab bar
+ipcMain.on('tab-move-request', (event, { sourceWindowId, tabId, index }) => {
+  const source = BrowserWindow.fromId(sourceWindowId);
+  const target = BrowserWindow.fromWebContents(event.sender);
+  if (!source || source.isDestroyed() || !target || source === target) return;
+  source.webContents.send('tab-move-out', { tabId, target: { windowId: target.id, index } });
+});
+
+// ========================================
+// WINDOW CONTROLS
+// ========================================
+
+ipcMain.on('window-minimize', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) win.minimize();
 });
 
-ipcMain.on('window-maximize', () => {
-  if (mainWindow) {
-    if (mainWindow.isMaximized()) {
-      mainWindow.unmaximize();
+ipcMain.on('window-maximize', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) {
+    if (win.isMaximized()) {
+      win.unmaximize();
     } else {
-      mainWindow.maximize();
+      win.maximize();
     }
   }
 });
 
-ipcMain.on('window-close', () => {
-  if (mainWindow) mainWindow.close();
+ipcMain.on('window-close', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) win.close();
+});
+
+ipcMain.on('window-new', (event, options = {}) => {
+  createWindow({ restore: options.restore });
+});
+
+// Native file dialogs for settings that point at a file, replays and exports
+ipcMain.handle('dialog-open-file', async (event, options = {}) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    title: options.title,
+    defaultPath: options.defaultPath,
+    filters: options.filters,
+    properties: ['openFile', 'showHiddenFiles'],
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+ipcMain.handle('dialog-save-file', async (event, options = {}) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showSaveDialog(win, {
+    title: options.title,
+    defaultPath: options.defaultPath,
+    filters: options.filters,
+  });
+  return result.canceled ? null : result.filePath;
+});
+
+// Renderer is asking the user about running processes - wait for its answer
+ipcMain.on('window-close-pending', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) clearTimeout(closeTimers.get(win));
+});
+
+// The user kept a window open, which cancels the quit
+ipcMain.on('window-close-cancelled', () => {
+  quitSessions = null;
 });
 
-ipcMain.on('window-new', () => {
-  createWindow();
+ipcMain.on('session-saved', (event, { session = null } = {}) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win && quitSessions && quitSessions.has(win.id)) quitSessions.set(win.id, session);
+  if (win && !win.isDestroyed() && !sessionSavedWindows.has(win)) {
+    sessionSavedWindows.add(win);
+    win.close();
+  }
 });
 
 // ========================================
@@ -187,7 +520,9 @@ ipcMain.handle('stt-get-model-path', () => {
 });
 
 // Download model with progress
-ipcMain.handle('stt-download-model', async () => {
+ipcMain.handle('stt-download-model', async (event) => {
+  const webContents = event.sender;
+
   // Ensure models directory exists
   if (!fs.existsSync(MODELS_DIR)) {
     fs.mkdirSync(MODELS_DIR, { recursive: true });
@@ -218,9 +553,9 @@ ipcMain.handle('stt-download-model', async () => {
           downloadedSize += chunk.length;
           file.write(chunk);
 
-          if (mainWindow && !mainWindow.isDestroyed()) {
+          if (!webContents.isDestroyed()) {
             const progress = Math.round((downloadedSize / totalSize) * 100);
-            mainWindow.webContents.send('stt-download-progress', { progress, downloadedSize, totalSize });
+            webContents.send('stt-download-progress', { progress, downloadedSize, totalSize });
           }
         });
 
@@ -312,7 +647,108 @@ ipcMain.handle('stt-check-mic-permission', async () => {
   return 'granted'; // Non-macOS platforms
 });
 
-app.whenReady().then(createWindow);
+// ========================================
+// CONTROL API (bin/hackerterm)
+// ========================================
+
+// Requests waiting for a renderer answer: Map<requestId, { resolve, reject, timer }>
+const pendingControlRequests = new Map();
+let controlRequestCounter = 0;
+
+const controlServer = new ControlServer((method, params) => handleControlRequest(method, params));
+
+// Pty-level methods are answered here; everything else goes to the renderer
+// that owns the terminal, or the focused window
+async function handleControlRequest(method, params) {
+  switch (method) {
+    case 'ping':
+      return { version: app.getVersion(), pid: process.pid };
+
+    case 'terminal.send': {
+      const entry = ptyProcesses.get(Number(params.terminalId));
+      if (!entry) throw new Error(`Unknown terminal ${params.terminalId}`);
+      if (typeof params.data !== 'string') throw new Error('data must be a string');
+      entry.pty.write(params.data);
+      return { terminalId: Number(params.terminalId), bytes: Buffer.byteLength(params.data) };
+    }
+  }
+
+  let webContents = null;
+  if (params.terminalId !== undefined) {
+    const entry = ptyProcesses.get(Number(params.terminalId));
+    if (!entry) throw new Error(`Unknown terminal ${params.terminalId}`);
+    webContents = entry.webContents;
+    if (!webContents) throw new Error(`Terminal ${params.terminalId} is moving between windows`);
+  } else {
+    const win = BrowserWindow.getFocusedWindow() || lastFocusedWindow;
+    webContents = win && !win.isDestroyed() ? win.webContents : null;
+  }
+  if (!webContents || webContents.isDestroyed()) throw new Error('No HackerTerm window is open');
+
+  return requestRenderer(webContents, method, params);
+}
+
+function requestRenderer(webContents, method, params) {
+  const requestId = ++controlRequestCounter;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingControlRequests.delete(requestId);
+      reject(new Error(`${method} timed out`));
+    }, 10000);
+    pendingControlRequests.set(requestId, { resolve, reject, timer });
+    webContents.send('control-request', { requestId, method, params });
+  });
+}
+
+ipcMain.on('control-response', (event, { requestId, result, error }) => {
+  const pending = pendingControlRequests.get(requestId);
+  if (!pending) return;
+  pendingControlRequests.delete(requestId);
+  clearTimeout(pending.timer);
+  if (error) pending.reject(new Error(error));
+  else pending.resolve(result);
+});
+
+app.whenReady().then(() => {
+  createWindow({ restore: 0 });
+  controlServer.start().catch((err) => {
+    console.warn('Control socket failed:', err.message);
+  });
+});
+
+// Every window gets its close event at once while quitting, so none of them
+// is the last; each sends its session here instead
+app.on('before-quit', () => {
+  const windows = BrowserWindow.getAllWindows();
+  windows.sort((a, b) => (b === lastFocusedWindow) - (a === lastFocusedWindow));
+  quitSessions = new Map(windows.map(win => [win.id, null]));
+});
+
+// Written once every window has closed, as the session the next launch
+// restores; windows that never answered or keep no session are left out
+function saveQuitSessions() {
+  const windows = quitSessions ? Array.from(quitSessions.values()).filter(Boolean) : [];
+  quitSessions = null;
+  if (windows.length === 0) return;
+
+  let data = { last: null, layouts: {} };
+  try {
+    if (fs.existsSync(sessionPath)) data = { ...data, ...JSON.parse(fs.readFileSync(sessionPath, 'utf8')) };
+  } catch (e) {
+    console.log('Could not load sessions:', e);
+  }
+  data.last = { savedAt: new Date().toISOString(), windows };
+  try {
+    fs.writeFileSync(sessionPath, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.log('Could not save sessions:', e);
+  }
+}
+
+app.on('will-quit', () => {
+  saveQuitSessions();
+  controlServer.stop();
+});
 
 app.on('window-all-closed', () => {
   // Kill all PTY processes
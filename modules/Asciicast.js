@@ -0,0 +1,139 @@
+// ========================================
+// ASCIICAST - Pane Recording in asciicast v2 Format
+// ========================================
+//
+// A .cast file is a JSON header line followed by one JSON event per line:
+//   { "version": 2, "width": 80, "height": 24, "timestamp": 1700000000, ... }
+//   [0.248, "o", "output written to the terminal"]
+//   [1.002, "r", "120x40"]
+// Times are seconds since the recording started.
+// Spec: https://docs.asciinema.org/manual/asciicast/v2/
+
+class AsciicastRecorder {
+  // options: { cols, rows, title, env }
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.options = options;
+    this.stream = null;
+    this.startTime = 0;
+  }
+
+  // Resolves once the header is on disk; rejects if the file can't be created
+  start() {
+    const { cols = 80, rows = 24, title, env } = this.options;
+    const header = {
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+    if (title) header.title = title;
+    if (env) header.env = env;
+
+    return new Promise((resolve, reject) => {
+      // Events are streamed as they happen so a crash keeps what was recorded
+      const stream = require('fs').createWriteStream(this.filePath, { flags: 'wx' });
+      const onOpenError = (err) => {
+        this.stream = null;
+        reject(err);
+      };
+      stream.once('error', onOpenError);
+      stream.write(`${JSON.stringify(header)}\n`, (err) => {
+        if (err) return;
+        stream.removeListener('error', onOpenError);
+        stream.on('error', e => console.error('Recording write failed:', e.message));
+        resolve();
+      });
+      this.stream = stream;
+      this.startTime = performance.now();
+    });
+  }
+
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  elapsed() {
+    return Math.round(performance.now() - this.startTime) / 1000;
+  }
+
+  output(data) {
+    this.writeEvent('o', data);
+  }
+
+  resize(cols, rows) {
+    this.writeEvent('r', `${cols}x${rows}`);
+  }
+
+  writeEvent(code, data) {
+    if (!this.stream) return;
+    this.stream.write(`${JSON.stringify([this.elapsed(), code, data])}\n`);
+  }
+
+  stop() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise(resolve => stream.end(resolve));
+  }
+}
+
+const Asciicast = {
+  // Parse a .cast file into { header, events: [{ time, code, data }] }.
+  // A truncated last line (recording cut off mid-write) is dropped.
+  parse(text) {
+    const lines = text.split('\n').filter(l => l.trim());
+    if (lines.length === 0) throw new Error('Empty recording');
+
+    let header;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (e) {
+      throw new Error('Not an asciicast file');
+    }
+    if (!header || header.version !== 2) {
+      throw new Error(`Unsupported asciicast version ${header && header.version}`);
+    }
+
+    const events = [];
+    for (let i = 1; i < lines.length; i++) {
+      let event;
+      try {
+        event = JSON.parse(lines[i]);
+      } catch (e) {
+        if (i === lines.length - 1) break;
+        throw new Error(`Invalid event on line ${i + 1}`);
+      }
+      if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[2] !== 'string') {
+        throw new Error(`Invalid event on line ${i + 1}`);
+      }
+      events.push({ time: event[0], code: event[1], data: event[2] });
+    }
+
+    return { header, events: Asciicast.limitIdle(events, header.idle_time_limit) };
+  },
+
+  // Shorten pauses longer than the header's idle_time_limit, as asciinema does
+  limitIdle(events, limit) {
+    if (!(limit > 0)) return events;
+    let shift = 0;
+    let last = 0;
+    return events.map((event) => {
+      const gap = event.time - last;
+      if (gap > limit) shift += gap - limit;
+      last = event.time;
+      return { ...event, time: event.time - shift };
+    });
+  },
+
+  // "120x40" from a resize event
+  parseSize(data) {
+    const match = /^(\d+)x(\d+)$/.exec(data);
+    return match ? { cols: parseInt(match[1], 10), rows: parseInt(match[2], 10) } : null;
+  },
+};
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AsciicastRecorder, Asciicast };
+}
@@ -59,9 +59,7 @@ class CityMapRenderer {
     this.targetAcquiredCallback = null;
 
     // Visual settings
-    this.primaryColor = this.getComputedColor('--primary-color', '#00ff88');
-    this.primaryDim = this.getComputedColor('--primary-dim', '#00aa55');
-    this.alertColor = this.getComputedColor('--alert-color', '#ff0044');
+    this.updateColors();
 
     // Animation phases
     this.pulsePhase = 0;
@@ -95,10 +93,11 @@ class CityMapRenderer {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
+  // A theme's --citymap-* colors win over the UI colors
   updateColors() {
-    this.primaryColor = this.getComputedColor('--primary-color', '#00ff88');
-    this.primaryDim = this.getComputedColor('--primary-dim', '#00aa55');
-    this.alertColor = this.getComputedColor('--alert-color', '#ff0044');
+    this.primaryColor = this.getComputedColor('--citymap-primary', '') || this.getComputedColor('--primary-color', '#00ff88');
+    this.primaryDim = this.getComputedColor('--citymap-primary-dim', '') || this.getComputedColor('--primary-dim', '#00aa55');
+    this.alertColor = this.getComputedColor('--citymap-alert', '') || this.getComputedColor('--alert-color', '#ff0044');
   }
 
   generateCity() {
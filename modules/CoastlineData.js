@@ -0,0 +1,313 @@
+// ========================================
+// COASTLINE DATA - Natural Earth Countries with Level of Detail
+// Bundled offline from world-atlas, decoded with topojson-client
+// ========================================
+//
+// world-atlas ships the Natural Earth admin-0 countries as TopoJSON at three
+// scales: 1:110m (about 10k points), 1:50m (100k) and 1:10m (545k). The globe
+// asks for the detail that suits its size on screen: the coarsest scale that
+// still has a point every few pixels, simplified (Douglas-Peucker) until no
+// point is closer than about a pixel to the line through its neighbours.
+// Decoding and simplifying run in CoastlineWorker.js; until a level is ready
+// the globe keeps drawing the last one it had. Decoded points are [lon, lat]
+// pairs; the levels handed to the globe keep each ring and line flat, as
+// lon, lat, lon, lat... in a Float32Array.
+
+// A scale is used while a degree at the equator spans fewer pixels than this
+const COASTLINE_SCALES = [
+  { id: '110m', maxPxPerDegree: 6 },
+  { id: '50m', maxPxPerDegree: 24 },
+  { id: '10m', maxPxPerDegree: Infinity },
+];
+
+// Simplified levels kept around for zooming back and forth
+const COASTLINE_CACHE_SIZE = 6;
+
+class CoastlineData {
+  constructor() {
+    // `${scale}/${tolerance}` -> simplified countries, coastlines and borders,
+    // least recently used first
+    this.simplified = new Map();
+    // Level handed out last, drawn until the wanted one is ready
+    this.current = null;
+    this.currentKey = null;
+    // { key, scale, tolerance } the globe asked for last, and the key the
+    // worker is busy with
+    this.wanted = null;
+    this.pending = null;
+    // Scales whose TopoJSON the worker already has
+    this.sentScales = new Set();
+    this.worker = null;
+    this.failed = false;
+  }
+
+  // { countries: [{ name, polygons: [[ring]], bounds }], coastlines, borders }
+  // for a globe of `radius` pixels; coastlines and borders are
+  // [{ points, bounds }], with rings and points as flat Float32Arrays. A
+  // level that isn't ready yet is prepared in the background and the previous
+  // one stands in; null until any is ready or if none loads.
+  forRadius(radius, tolerancePx = 0.7) {
+    const pxPerDegree = Math.max(radius, 1) * (Math.PI / 180);
+    const scale = COASTLINE_SCALES.find(s => pxPerDegree < s.maxPxPerDegree).id;
+
+    // Tolerances snap to powers of two so zooming reuses simplified copies
+    const tolerance = Math.pow(2, Math.floor(Math.log2(tolerancePx / pxPerDegree)));
+    const key = `${scale}/${tolerance}`;
+    if (key === this.currentKey || this.failed) return this.current;
+
+    const detail = this.simplified.get(key);
+    if (detail) {
+      this.simplified.delete(key);
+      this.simplified.set(key, detail);
+      this.current = detail;
+      this.currentKey = key;
+      this.wanted = null;
+    } else {
+      this.wanted = { key, scale, tolerance };
+      this.prepareNext();
+    }
+    return this.current;
+  }
+
+  // Send the wanted level to the worker unless it is busy or has it already
+  prepareNext() {
+    if (this.failed || this.pending || !this.wanted || this.simplified.has(this.wanted.key)) return;
+    const { key, scale, tolerance } = this.wanted;
+    this.pending = key;
+
+    if (!this.worker) {
+      this.worker = new Worker('modules/CoastlineWorker.js');
+      this.worker.onmessage = event => this.received(event.data);
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.fail(event.message);
+      };
+    }
+
+    const message = { key, scale, tolerance };
+    const nodeFs = require('fs');
+    Promise.resolve()
+      .then(() => {
+        if (this.sentScales.has(scale)) return;
+        return nodeFs.promises.readFile(require.resolve(`world-atlas/countries-${scale}.json`), 'utf8')
+          .then((text) => {
+            message.text = text;
+            this.sentScales.add(scale);
+          });
+      })
+      .then(() => this.worker && this.worker.postMessage(message))
+      .catch(err => this.fail(err.message));
+  }
+
+  received({ key, detail, error }) {
+    if (error) {
+      this.fail(error);
+      return;
+    }
+    this.pending = null;
+    this.simplified.set(key, detail);
+
+    // Drop the least recently used levels, never the one on screen
+    for (const cached of this.simplified.keys()) {
+      if (this.simplified.size <= COASTLINE_CACHE_SIZE) break;
+      if (cached !== this.currentKey && cached !== key) this.simplified.delete(cached);
+    }
+    this.prepareNext();
+  }
+
+  // Without the data the globe keeps its hand-drawn continents, or the last
+  // level it had
+  fail(message) {
+    console.error('Could not load coastline data:', message);
+    this.failed = true;
+    this.pending = null;
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+  }
+
+  // Countries from the topology's own polygons; coastlines are the arcs only
+  // one country uses, borders the arcs two countries share
+  // (the worker has the topojson global from the client's browser build)
+  static decode(topology) {
+    const topojsonClient = typeof topojson !== 'undefined' ? topojson : require('topojson-client');
+    const object = topology.objects.countries;
+    const countries = topojsonClient.feature(topology, object).features
+      .filter(feature => feature.geometry)
+      .map((feature) => {
+        const { type, coordinates } = feature.geometry;
+        const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+        return { name: (feature.properties && feature.properties.name) || 'Unknown', polygons };
+      });
+    const lines = filter => topojsonClient.mesh(topology, object, filter).coordinates;
+
+    return {
+      countries,
+      coastlines: lines((a, b) => a === b),
+      borders: lines((a, b) => a !== b),
+    };
+  }
+
+  static simplifyAll(data, tolerance) {
+    const withBounds = points => ({ points, bounds: CoastlineData.boundingCircle(points) });
+
+    return {
+      countries: data.countries
+        .map((country) => {
+          const polygons = country.polygons
+            .map(polygon => polygon.map(ring => CoastlineData.simplify(ring, tolerance)).filter(ring => ring.length > 3))
+            .filter(polygon => polygon.length > 0);
+          return {
+            name: country.name,
+            polygons,
+            bounds: CoastlineData.boundingCircle(polygons.flatMap(polygon => polygon[0])),
+          };
+        })
+        .filter(country => country.polygons.length > 0),
+      coastlines: data.coastlines.map(line => CoastlineData.simplify(line, tolerance)).filter(line => line.length > 1).map(withBounds),
+      borders: data.borders.map(line => CoastlineData.simplify(line, tolerance)).filter(line => line.length > 1).map(withBounds),
+    };
+  }
+
+  // Flatten every ring and line into views of one Float32Array, so the worker
+  // can hand a level over without copying; returns the buffer to transfer
+  static pack(detail) {
+    const eachPath = (fn) => {
+      detail.countries.forEach(country => country.polygons.forEach((polygon) => {
+        polygon.forEach((ring, i) => { polygon[i] = fn(ring); });
+      }));
+      detail.coastlines.concat(detail.borders).forEach((line) => { line.points = fn(line.points); });
+    };
+
+    let total = 0;
+    eachPath((points) => {
+      total += points.length * 2;
+      return points;
+    });
+    const values = new Float32Array(total);
+    let offset = 0;
+    eachPath((points) => {
+      const view = values.subarray(offset, offset + points.length * 2);
+      points.forEach(([lon, lat], i) => {
+        view[i * 2] = lon;
+        view[i * 2 + 1] = lat;
+      });
+      offset += view.length;
+      return view;
+    });
+    return values.buffer;
+  }
+
+  // Douglas-Peucker in degrees. A closed ring is split at its farthest point
+  // from the start so both halves have distinct ends.
+  static simplify(points, tolerance) {
+    if (points.length < 3) return points.slice();
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+      let split = 1;
+      let farthest = -1;
+      points.forEach((p, i) => {
+        const d = Math.hypot(p[0] - first[0], p[1] - first[1]);
+        if (d > farthest) {
+          farthest = d;
+          split = i;
+        }
+      });
+      if (split === 0 || split === points.length - 1) return [first, last];
+      const head = CoastlineData.simplify(points.slice(0, split + 1), tolerance);
+      const tail = CoastlineData.simplify(points.slice(split), tolerance);
+      return head.concat(tail.slice(1));
+    }
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+      const [start, end] = stack.pop();
+      const a = points[start];
+      const b = points[end];
+      const dx = b[0] - a[0];
+      const dy = b[1] - a[1];
+      const lengthSq = dx * dx + dy * dy;
+
+      let index = -1;
+      let maxDist = tolerance;
+      for (let i = start + 1; i < end; i++) {
+        const p = points[i];
+        // Distance to the segment a-b
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq)) : 0;
+        const dist = Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+        if (dist > maxDist) {
+          maxDist = dist;
+          index = i;
+        }
+      }
+
+      if (index !== -1) {
+        keep[index] = 1;
+        stack.push([start, index], [index, end]);
+      }
+    }
+
+    return points.filter((p, i) => keep[i]);
+  }
+
+  // Smallest-ish circle around the points on the sphere: { lon, lat, angle }
+  // with the angle in degrees, centered on their mean direction
+  static boundingCircle(points) {
+    const toRad = Math.PI / 180;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    points.forEach(([lon, lat]) => {
+      x += Math.cos(lat * toRad) * Math.cos(lon * toRad);
+      y += Math.cos(lat * toRad) * Math.sin(lon * toRad);
+      z += Math.sin(lat * toRad);
+    });
+    const length = Math.hypot(x, y, z);
+    if (length === 0) return { lon: 0, lat: 0, angle: 180 };
+
+    const center = {
+      lon: Math.atan2(y, x) / toRad,
+      lat: Math.asin(z / length) / toRad,
+    };
+    let angle = 0;
+    points.forEach(([lon, lat]) => {
+      angle = Math.max(angle, CoastlineData.angularDistance(center.lon, center.lat, lon, lat));
+    });
+    return { ...center, angle };
+  }
+
+  static angularDistance(lon1, lat1, lon2, lat2) {
+    const toRad = Math.PI / 180;
+    const cos = Math.sin(lat1 * toRad) * Math.sin(lat2 * toRad) +
+      Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+  }
+
+  // Even-odd test in lon/lat over packed rings; Natural Earth rings are
+  // already cut at the antimeridian
+  static contains(polygon, lon, lat) {
+    let inside = false;
+    polygon.forEach((ring) => {
+      for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+        const xi = ring[i];
+        const yi = ring[i + 1];
+        const xj = ring[j];
+        const yj = ring[j + 1];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+    });
+    return inside;
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CoastlineData;
+}
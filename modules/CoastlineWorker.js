@@ -0,0 +1,24 @@
+// ========================================
+// COASTLINE WORKER - Decodes and Simplifies Coastlines off the UI Thread
+// ========================================
+//
+// Started by CoastlineData. Receives { key, scale, tolerance, text }, where
+// text is the scale's TopoJSON and only comes with the first request for that
+// scale; answers { key, detail } or { key, error }.
+
+importScripts('../node_modules/topojson-client/dist/topojson-client.min.js', 'CoastlineData.js');
+
+// scale id -> decoded countries, coastlines and borders
+const decodedScales = new Map();
+
+self.onmessage = (event) => {
+  const { key, scale, tolerance, text } = event.data;
+  try {
+    if (text !== undefined) decodedScales.set(scale, CoastlineData.decode(JSON.parse(text)));
+    const detail = CoastlineData.simplifyAll(decodedScales.get(scale), tolerance);
+    const buffer = CoastlineData.pack(detail);
+    self.postMessage({ key, detail }, [buffer]);
+  } catch (err) {
+    self.postMessage({ key, error: err.message });
+  }
+};
@@ -0,0 +1,179 @@
+// ========================================
+// CONTROL SERVER - Local Scripting Socket
+// Used by the main process and the bin/hackerterm CLI
+// ========================================
+//
+// Newline-delimited JSON over a Unix domain socket (a named pipe on Windows):
+//   request   { "id": 1, "method": "tab.new", "params": { "cwd": "/srv" } }
+//   response  { "id": 1, "result": { ... } }  or  { "id": 1, "error": "message" }
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+class ControlServer {
+  // handler(method, params) returns the result or a promise of it; throwing
+  // sends the error message back to the client
+  constructor(handler, socketPath = ControlServer.socketPath()) {
+    this.handler = handler;
+    this.socketPath = socketPath;
+    this.server = null;
+  }
+
+  // HACKERTERM_SOCKET wins so the CLI and a second build can be pointed elsewhere
+  static socketPath() {
+    if (process.env.HACKERTERM_SOCKET) return process.env.HACKERTERM_SOCKET;
+    if (process.platform === 'win32') {
+      return `\\\\.\\pipe\\hackerterm-${os.userInfo().username}`;
+    }
+    const dir = process.env.XDG_RUNTIME_DIR || os.homedir();
+    return path.join(dir, dir === os.homedir() ? '.hackerterm.sock' : 'hackerterm.sock');
+  }
+
+  async start() {
+    if (this.server) return true;
+
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      // A live socket belongs to another running instance; a dead one is stale
+      if (await ControlServer.isListening(this.socketPath)) {
+        console.warn(`Control socket ${this.socketPath} is in use, not starting`);
+        return false;
+      }
+      try {
+        fs.unlinkSync(this.socketPath);
+      } catch (err) {
+        console.warn('Control socket failed:', err.message);
+        return false;
+      }
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    // Only this user may drive the terminal: the socket is created 0600
+    // rather than opened up by the umask until a chmod
+    const previousUmask = process.platform !== 'win32' ? process.umask(0o177) : null;
+    const restoreUmask = () => {
+      if (previousUmask !== null) process.umask(previousUmask);
+    };
+
+    return new Promise((resolve) => {
+      this.server.once('error', (err) => {
+        restoreUmask();
+        console.warn('Control socket failed:', err.message);
+        this.server = null;
+        resolve(false);
+      });
+      this.server.listen(this.socketPath, () => {
+        restoreUmask();
+        if (process.platform !== 'win32') fs.chmodSync(this.socketPath, 0o600);
+        resolve(true);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+    if (process.platform !== 'win32') {
+      try {
+        fs.unlinkSync(this.socketPath);
+      } catch (e) {
+        // Already gone
+      }
+    }
+  }
+
+  static isListening(socketPath) {
+    return new Promise((resolve) => {
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+  }
+
+  handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) this.handleLine(socket, line);
+      }
+    });
+
+    socket.on('error', () => {
+      // Client went away mid-request
+    });
+  }
+
+  async handleLine(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (e) {
+      this.reply(socket, { id: null, error: 'Invalid JSON' });
+      return;
+    }
+
+    const id = request.id !== undefined ? request.id : null;
+    if (typeof request.method !== 'string') {
+      this.reply(socket, { id, error: 'Missing method' });
+      return;
+    }
+
+    try {
+      const result = await this.handler(request.method, request.params || {});
+      this.reply(socket, { id, result: result === undefined ? null : result });
+    } catch (e) {
+      this.reply(socket, { id, error: e.message || String(e) });
+    }
+  }
+
+  reply(socket, message) {
+    if (!socket.destroyed) socket.write(`${JSON.stringify(message)}\n`);
+  }
+
+  // Client side: send one request and resolve with its result
+  static request(method, params = {}, socketPath = ControlServer.socketPath()) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(socketPath);
+      let buffer = '';
+
+      socket.setEncoding('utf8');
+      socket.once('connect', () => {
+        socket.write(`${JSON.stringify({ id: 1, method, params })}\n`);
+      });
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) return;
+        socket.end();
+        try {
+          const response = JSON.parse(buffer.slice(0, newline));
+          if (response.error) reject(new Error(response.error));
+          else resolve(response.result);
+        } catch (e) {
+          reject(new Error('Invalid response from HackerTerm'));
+        }
+      });
+      socket.once('error', (err) => {
+        if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+          reject(new Error(`HackerTerm is not running (no socket at ${socketPath})`));
+        } else {
+          reject(err);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ControlServer;
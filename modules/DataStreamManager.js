@@ -1,5 +1,5 @@
 // ========================================
-// DATA STREAM MANAGER - Fake Data Generator
+// DATA STREAM MANAGER - Telemetry Stream Panel
 // ========================================
 
 class DataStreamManager {
@@ -14,6 +14,11 @@ class DataStreamManager {
     this.byteCount = 0;
     this.lastByteUpdate = Date.now();
 
+    // Telemetry sources (see TelemetrySources.js); defaults to simulated traffic
+    this.sources = [];
+    this.lastPoll = new Map();
+    this.polling = new Set();
+
     // Data templates
     this.ipRanges = [
       '192.168.', '10.0.', '172.16.', '203.0.113.', '198.51.100.',
@@ -62,13 +67,12 @@ class DataStreamManager {
     const action = this.actions[Math.floor(Math.random() * this.actions.length)];
     const bytes = Math.floor(Math.random() * 8192) + 64;
 
-    this.byteCount += bytes;
-
     return {
       type: 'network',
       tag: proto,
       tagClass: proto === 'UDP' ? 'tag-udp' : 'tag-tcp',
-      content: `${srcIP} → ${dstIP}:${port} ${action} ${bytes}B`
+      content: `${srcIP} → ${dstIP}:${port} ${action} ${bytes}B`,
+      bytes
     };
   }
 
@@ -194,31 +198,110 @@ class DataStreamManager {
       const item = document.createElement('div');
       item.className = 'satellite-item';
 
+      // Names come from the user's TLE file, so set them as text
       item.innerHTML = `
         <span class="sat-indicator"></span>
-        <span class="sat-name">${sat.id}</span>
-        <span class="sat-coords">${sat.lat}/${sat.lon} ${sat.alt}km</span>
+        <span class="sat-name"></span>
+        <span class="sat-coords"></span>
       `;
+      item.querySelector('.sat-name').textContent = sat.id;
+      item.querySelector('.sat-coords').textContent = `${sat.lat}/${sat.lon} ${sat.alt}km`;
+      item.title = sat.type;
+
+      // Real satellites (see SatelliteTracker.js) show their next pass
+      if (sat.pass !== undefined) {
+        const pass = document.createElement('span');
+        pass.className = 'sat-pass';
+        pass.textContent = this.formatPass(sat.pass);
+        item.classList.toggle('overhead', !!(sat.pass && sat.pass.visible));
+        if (sat.pass) {
+          item.title = `${sat.type}\nPass ${this.formatTime(sat.pass.rise)}-${this.formatTime(sat.pass.set)}, max ${Math.round(sat.pass.maxElevation)}°`;
+        }
+        item.appendChild(pass);
+      }
 
       this.satelliteList.appendChild(item);
     });
   }
 
+  // "UP 42°" (peak elevation) during a pass, "AOS 14:05" before one, "--" with
+  // none in the next day
+  formatPass(pass) {
+    if (!pass) return '--';
+    if (pass.visible) return `UP ${Math.round(pass.maxElevation)}°`;
+    return `AOS ${this.formatTime(pass.rise)}`;
+  }
+
+  formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  setSources(sources) {
+    this.sources.forEach(source => source.stop());
+    this.sources = sources.filter(Boolean);
+    this.lastPoll.clear();
+    this.polling.clear();
+    this.byteCount = 0;
+    this.lastByteUpdate = Date.now();
+
+    if (this.intervalId) {
+      this.sources.forEach(source => source.start());
+    }
+  }
+
+  getSource(id) {
+    return this.sources.find(source => source.id === id) || null;
+  }
+
+  // Only count bytes from sources that measure real traffic; when none do,
+  // fall back to whatever the active sources report (simulated traffic)
+  countsThroughput(source) {
+    return source.reportsThroughput || !this.sources.some(s => s.reportsThroughput);
+  }
+
+  pollSources() {
+    const now = Date.now();
+
+    this.sources.forEach(source => {
+      if (this.polling.has(source)) return;
+      if (now - (this.lastPoll.get(source) || 0) < source.interval) return;
+
+      this.lastPoll.set(source, now);
+      this.polling.add(source);
+
+      source.poll().then(lines => {
+        // Source may have been swapped out while polling
+        if (!this.sources.includes(source)) return;
+
+        lines.forEach(line => {
+          if (line.bytes && this.countsThroughput(source)) {
+            this.byteCount += line.bytes;
+          }
+          this.addLine(line);
+        });
+      }).catch(err => {
+        console.error(`Telemetry source ${source.id} failed:`, err);
+      }).finally(() => {
+        this.polling.delete(source);
+      });
+    });
+  }
+
   start() {
     if (this.intervalId) return;
 
-    // Generate initial lines
-    for (let i = 0; i < 20; i++) {
-      this.addLine(this.generateLine());
-    }
+    this.sources.forEach(source => source.start());
 
-    // Start continuous generation
-    this.intervalId = setInterval(() => {
-      // Generate 1-3 lines per interval
-      const count = 1 + Math.floor(Math.random() * 2);
-      for (let i = 0; i < count; i++) {
+    // Seed the panel with simulated lines when that source is enabled
+    if (this.getSource('random')) {
+      for (let i = 0; i < 20; i++) {
         this.addLine(this.generateLine());
       }
+    }
+
+    // Start continuous polling
+    this.intervalId = setInterval(() => {
+      this.pollSources();
       this.updateStreamRate();
     }, this.updateInterval);
   }
@@ -228,6 +311,7 @@ class DataStreamManager {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+    this.sources.forEach(source => source.stop());
   }
 
   clear() {
@@ -0,0 +1,84 @@
+// ========================================
+// GEOIP RESOLVER - Offline IP to Location Lookup
+// Reads a user-supplied MaxMind-format (.mmdb) city database
+// ========================================
+
+const mmdb = require('mmdb-lib');
+
+class GeoIpResolver {
+  constructor() {
+    this.reader = null;
+    this.databasePath = null;
+    this.cache = new Map();
+    this.maxCacheSize = 2048;
+  }
+
+  // Load (or replace) the database; throws if the file is not a valid MMDB
+  async load(databasePath) {
+    const buffer = await require('fs').promises.readFile(databasePath);
+    this.reader = new mmdb.Reader(buffer);
+    this.databasePath = databasePath;
+    this.cache.clear();
+    return this.reader.metadata;
+  }
+
+  unload() {
+    this.reader = null;
+    this.databasePath = null;
+    this.cache.clear();
+  }
+
+  isLoaded() {
+    return this.reader !== null;
+  }
+
+  // Loopback, RFC 1918, link-local, CGNAT, unique-local and unspecified addresses
+  static isPrivate(ip) {
+    if (ip.includes(':')) {
+      const lower = ip.toLowerCase();
+      return lower === '::' || lower === '::1' ||
+        lower.startsWith('fe80:') || lower.startsWith('fc') || lower.startsWith('fd');
+    }
+
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  // Returns { lat, lon, city, country } or null when private or not found
+  resolve(ip) {
+    if (!this.reader || GeoIpResolver.isPrivate(ip)) return null;
+    if (this.cache.has(ip)) return this.cache.get(ip);
+
+    let result = null;
+    try {
+      const record = this.reader.get(ip);
+      // Country-only databases have no coordinates
+      if (record && record.location) {
+        result = {
+          lat: record.location.latitude,
+          lon: record.location.longitude,
+          city: record.city && record.city.names ? record.city.names.en : null,
+          country: record.country ? record.country.iso_code : null,
+        };
+      }
+    } catch (e) {
+      // Malformed address
+      result = null;
+    }
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(ip, result);
+    return result;
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoIpResolver;
+}
@@ -0,0 +1,240 @@
+// ========================================
+// GEOJSON LAYER - User Overlays for the Globe
+// ========================================
+//
+// One GeoJSON file (RFC 7946) drawn over the globe: points become markers,
+// lines and polygons are traced on the surface. Accepts a FeatureCollection,
+// a single Feature or a bare geometry. Features may style themselves with
+// simplestyle properties, which win over the layer's own options:
+//   { "type": "Feature",
+//     "geometry": { "type": "Point", "coordinates": [-0.12, 51.5] },
+//     "properties": { "name": "London office", "marker-color": "#ffaa00", "pulse": true } }
+
+// Longest edge, in degrees, drawn as a straight line; longer ones are split
+// so they follow the globe's curve
+const GEOJSON_MAX_STEP = 2;
+
+class GeoJsonLayer {
+  // options: { file, name, color, visible, pulse, labelProperty }
+  constructor(options) {
+    this.file = options.file;
+    this.name = options.name || GeoJsonLayer.baseName(options.file);
+    this.color = GeoJsonLayer.color(options.color) || '#ffaa00';
+    this.visible = options.visible !== false;
+    this.pulse = !!options.pulse;
+    this.labelProperty = options.labelProperty || '';
+    this.features = [];
+  }
+
+  // Throws when the file can't be read, isn't GeoJSON or has nothing to draw
+  async load() {
+    const text = await require('fs').promises.readFile(this.file, 'utf8');
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a JSON file');
+    }
+
+    const features = GeoJsonLayer.parse(data, this.labelProperty);
+    if (features.length === 0) throw new Error('No points, lines or polygons found');
+    this.features = features;
+    return features.length;
+  }
+
+  // [{ kind, label, color, pulse, properties, lon, lat } plus path for a
+  // 'line' or rings (and fill) for a 'polygon']. lon and lat are the point
+  // itself, or where a line or polygon is labelled: halfway along the line,
+  // the centroid of the polygon's outer ring.
+  static parse(data, labelProperty = '') {
+    if (!data || typeof data !== 'object') throw new Error('Not GeoJSON');
+
+    const features = [];
+    const addFeature = (feature) => {
+      if (!feature || !feature.geometry) return;
+      const properties = feature.properties || {};
+      const label = [labelProperty, 'name', 'title', 'label']
+        .map(key => key && properties[key])
+        .find(value => value !== undefined && value !== null && value !== '');
+      const style = {
+        label: label === undefined ? '' : String(label),
+        pulse: properties.pulse === undefined ? undefined : !!properties.pulse,
+        properties,
+      };
+      GeoJsonLayer.addGeometry(feature.geometry, style, features);
+    };
+
+    switch (data.type) {
+      case 'FeatureCollection':
+        (data.features || []).forEach(addFeature);
+        break;
+      case 'Feature':
+        addFeature(data);
+        break;
+      default:
+        addFeature({ geometry: data });
+    }
+    return features;
+  }
+
+  static addGeometry(geometry, style, features) {
+    const props = style.properties;
+    const point = c => ({ lon: Number(c[0]), lat: Number(c[1]) });
+    const valid = c => Array.isArray(c) && isFinite(c[0]) && isFinite(c[1]);
+
+    switch (geometry.type) {
+      case 'Point':
+      case 'MultiPoint': {
+        const coords = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates || [];
+        coords.filter(valid).forEach(c => features.push({
+          ...style,
+          kind: 'point',
+          ...point(c),
+          color: GeoJsonLayer.color(props['marker-color']),
+        }));
+        break;
+      }
+      case 'LineString':
+      case 'MultiLineString': {
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates || [];
+        lines.forEach(line => {
+          const path = GeoJsonLayer.densify((line || []).filter(valid).map(point));
+          if (path.length > 1) {
+            features.push({ ...style, kind: 'line', path, ...GeoJsonLayer.midpoint(path), color: GeoJsonLayer.color(props.stroke) });
+          }
+        });
+        break;
+      }
+      case 'Polygon':
+      case 'MultiPolygon': {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates || [];
+        polygons.forEach(polygon => {
+          const rings = (polygon || [])
+            .map(ring => GeoJsonLayer.densify((ring || []).filter(valid).map(point)))
+            .filter(ring => ring.length > 2);
+          if (rings.length > 0) {
+            const fill = GeoJsonLayer.color(props.fill);
+            features.push({
+              ...style,
+              kind: 'polygon',
+              rings,
+              ...GeoJsonLayer.centroid(rings[0]),
+              color: GeoJsonLayer.color(props.stroke) || fill,
+              fill,
+            });
+          }
+        });
+        break;
+      }
+      case 'GeometryCollection':
+        (geometry.geometries || []).forEach(g => GeoJsonLayer.addGeometry(g, style, features));
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Split long edges; an edge across the antimeridian goes the short way
+  static densify(points, maxStep = GEOJSON_MAX_STEP) {
+    const result = [];
+    points.forEach((p, i) => {
+      if (i === 0) {
+        result.push(p);
+        return;
+      }
+      const prev = points[i - 1];
+      const dLon = GeoJsonLayer.lonStep(prev.lon, p.lon);
+      const dLat = p.lat - prev.lat;
+      const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dLon), Math.abs(dLat)) / maxStep));
+      for (let s = 1; s <= steps; s++) {
+        result.push({ lon: prev.lon + (dLon * s) / steps, lat: prev.lat + (dLat * s) / steps });
+      }
+    });
+    return result;
+  }
+
+  // The point halfway along a densified path, measured in degrees
+  static midpoint(path) {
+    const lengths = path.map((p, i) => (i === 0 ? 0 : Math.hypot(GeoJsonLayer.lonStep(path[i - 1].lon, p.lon), p.lat - path[i - 1].lat)));
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+    for (let i = 1; i < path.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        const t = remaining / lengths[i];
+        const prev = path[i - 1];
+        const lon = prev.lon + GeoJsonLayer.lonStep(prev.lon, path[i].lon) * t;
+        return {
+          lon: ((lon + 540) % 360) - 180,
+          lat: prev.lat + (path[i].lat - prev.lat) * t,
+        };
+      }
+      remaining -= lengths[i];
+    }
+    return { lon: path[0].lon, lat: path[0].lat };
+  }
+
+  // Mean direction of a ring's points (the closing one counted once), so
+  // rings across the antimeridian still center on the right side of the globe
+  static centroid(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const points = first.lon === last.lon && first.lat === last.lat ? ring.slice(1) : ring;
+
+    const toRad = Math.PI / 180;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    points.forEach(({ lon, lat }) => {
+      x += Math.cos(lat * toRad) * Math.cos(lon * toRad);
+      y += Math.cos(lat * toRad) * Math.sin(lon * toRad);
+      z += Math.sin(lat * toRad);
+    });
+    const length = Math.hypot(x, y, z) || 1;
+    return { lon: Math.atan2(y, x) / toRad, lat: Math.asin(z / length) / toRad };
+  }
+
+  // Even-odd test over a polygon's rings in lon/lat, casting the ray north
+  // up the point's meridian. Longitudes are taken relative to the point and
+  // each edge the short way round, so rings densified past ±180 work from
+  // either side of the antimeridian, as do rings around the south pole.
+  static contains(rings, lon, lat) {
+    let inside = false;
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j];
+        const b = ring[i];
+        const aLon = GeoJsonLayer.lonStep(lon, a.lon);
+        const bLon = aLon + GeoJsonLayer.lonStep(a.lon, b.lon);
+        if ((aLon > 0) !== (bLon > 0) && lat < a.lat + ((b.lat - a.lat) * -aLon) / (bLon - aLon)) {
+          inside = !inside;
+        }
+      }
+    });
+    return inside;
+  }
+
+  // Longitude change from a to b, the short way round
+  static lonStep(a, b) {
+    let d = b - a;
+    if (d > 180) d -= 360;
+    if (d < -180) d += 360;
+    return d;
+  }
+
+  // '#rgb' or '#rrggbb' (with or without the #) as '#rrggbb'; anything else
+  // is undefined so the layer color applies
+  static color(value) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+    if (!match) return undefined;
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+  }
+
+  static baseName(file) {
+    return String(file || 'layer').split(/[\\/]/).pop().replace(/\.(geo)?json$/i, '');
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GeoJsonLayer;
+}
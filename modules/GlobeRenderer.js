@@ -9,20 +9,46 @@ class GlobeRenderer {
     this.ctx = this.canvas.getContext('2d');
     this.rotation = 0;
     this.rotationSpeed = 0.005;
+
+    // Camera: tilt brings a latitude to the middle, zoom scales the globe.
+    // Dragging, the wheel and focusOn() move it; auto-rotation resumes once
+    // the globe has been left alone for idleDelay ms.
+    this.tilt = 0;
+    this.zoom = 1;
+    this.minZoom = 0.6;
+    this.maxZoom = 4;
+    this.spin = { rotation: 0, tilt: 0 };
+    this.drag = null;
+    this.transition = null;
+    this.lastInteraction = -Infinity;
+    this.idleDelay = 8000;
     this.satellites = [];
+    // SatelliteTracker with real orbits; simulated satellites while null
+    this.tracker = null;
     this.animationId = null;
     this.time = 0;
 
     // Colors from CSS variables
-    this.primaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--primary-color').trim() || '#00ff88';
-    this.secondaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--secondary-color').trim() || '#00ccff';
-    this.warningColor = '#ff5500';
+    this.updateColors();
+
+    // Sub-solar point (for the day/night terminator), from the UTC clock
+    this.sunLon = 0;
+    this.sunLat = 0;
+    this.sunUpdatedAt = 0;
+    this.updateSunPosition();
+
+    // World clock markers: [{ label, timeZone, lon, lat }]
+    this.worldClocks = [];
+    this.clockFormats = new Map();
 
-    // Sun position (for day/night terminator)
-    this.sunLon = -30;
-    this.sunLat = 15;
+    // User GeoJSON overlays (GeoJsonLayer), drawn in order
+    this.overlays = [];
+
+    // Natural Earth countries (CoastlineData); the hand-drawn continents
+    // stand in while it's null or loading
+    this.coastlines = null;
+    this.bordersVisible = true;
+    this.hoveredCountry = null;
 
     // Generate all static data
     this.stars = this.generateStars(200);
@@ -49,6 +75,16 @@ class GlobeRenderer {
     this.lastConnectionTime = 0;
     this.connectionInterval = 2000 + Math.random() * 3000;
 
+    // Real connection endpoints (replace the random hub arcs once set)
+    this.endpoints = new Map();
+    this.liveEndpoints = false;
+    this.hoveredEndpoint = null;
+    this.tooltip = null;
+    // Clicked item whose tooltip stays up: { item, x, y }
+    this.pinned = null;
+    this.initTooltip();
+    this.initMouseControls();
+
     // Radar Sweep
     this.radarAngle = 0;
     this.radarSpeed = (Math.PI * 2) / 360;
@@ -56,7 +92,8 @@ class GlobeRenderer {
     // Pulse Rings from Satellites
     this.pulseRings = [];
 
-    // Target Lock Animation
+    // Target Lock Animation (random unless driven by lockTarget)
+    this.autoTargetLock = true;
     this.targetLock = null;
     this.lastTargetTime = 0;
     this.targetInterval = 10000 + Math.random() * 10000;
@@ -88,6 +125,49 @@ class GlobeRenderer {
     }));
   }
 
+  // Real satellites from a loaded SatelliteTracker replace the simulated
+  // ones; null (or an empty tracker) brings the simulated ones back
+  setSatelliteTracker(tracker) {
+    this.tracker = tracker && tracker.isLoaded() ? tracker : null;
+    if (!this.tracker) {
+      this.initSatellites();
+      return;
+    }
+
+    this.satellites = tracker.satellites.map((entry, i) => ({
+      id: entry.name,
+      type: `NORAD ${entry.noradId}`,
+      entry,
+      lat: 0,
+      lon: 0,
+      alt: 0,
+      blinkPhase: Math.random() * Math.PI * 2,
+      orbitColor: i % 2 === 0 ? 'secondary' : 'warning',
+      track: [],
+      trackTime: 0,
+    }));
+    this.updateTrackedSatellites();
+  }
+
+  updateTrackedSatellites() {
+    const now = new Date();
+    this.satellites.forEach(sat => {
+      const position = this.tracker.position(sat.entry, now);
+      if (position) Object.assign(sat, position);
+      // Ground tracks drift slowly; recompute them every 30 seconds
+      if (now - sat.trackTime > 30000) {
+        sat.track = this.tracker.groundTrack(sat.entry, now);
+        sat.trackTime = now.getTime();
+      }
+    });
+  }
+
+  // Real satellites sit above the surface in proportion to the square root of
+  // their altitude, so low orbits and geostationary ones both fit the canvas
+  altitudeRadius(radius, alt) {
+    return radius * (1.04 + 0.16 * Math.sqrt(Math.min(Math.max(alt, 0), 36000) / 36000));
+  }
+
   generateStars(count) {
     const stars = [];
     for (let i = 0; i < count; i++) {
@@ -529,24 +609,50 @@ class GlobeRenderer {
     const latRad = lat * (Math.PI / 180);
 
     const x = radius * Math.cos(latRad) * Math.sin(lonRad);
-    const y = -radius * Math.sin(latRad);
-    const z = radius * Math.cos(latRad) * Math.cos(lonRad);
+    const up = radius * Math.sin(latRad);
+    const front = radius * Math.cos(latRad) * Math.cos(lonRad);
+
+    // Tilt about the horizontal axis so latitude `tilt` faces the viewer
+    const y = up * Math.cos(this.tilt) - front * Math.sin(this.tilt);
+    const z = up * Math.sin(this.tilt) + front * Math.cos(this.tilt);
 
     const visible = z > 0;
 
     return {
       x: this.canvas.width / 2 + x,
-      y: this.canvas.height / 2 + y,
+      y: this.canvas.height / 2 - y,
       visible,
       depth: z / radius
     };
   }
 
+  // lon/lat on the surface under a canvas point, or null off the globe
+  unproject(x, y) {
+    const radius = this.globeRadius();
+    const dx = x - this.canvas.width / 2;
+    const dy = this.canvas.height / 2 - y;
+    const distSq = dx * dx + dy * dy;
+    if (distSq > radius * radius) return null;
+
+    const z = Math.sqrt(radius * radius - distSq);
+    const up = dy * Math.cos(this.tilt) + z * Math.sin(this.tilt);
+    const front = z * Math.cos(this.tilt) - dy * Math.sin(this.tilt);
+
+    return {
+      lon: GlobeRenderer.normalizeLon((Math.atan2(dx, front) - this.rotation) * (180 / Math.PI)),
+      lat: Math.asin(Math.max(-1, Math.min(1, up / radius))) * (180 / Math.PI),
+    };
+  }
+
+  globeRadius() {
+    return (Math.min(this.canvas.width, this.canvas.height) / 2 - 20) * this.zoom;
+  }
+
   drawGlobe() {
     const ctx = this.ctx;
     const cx = this.canvas.width / 2;
     const cy = this.canvas.height / 2;
-    const radius = Math.min(cx, cy) - 20;
+    const radius = this.globeRadius();
 
     // Clear canvas
     ctx.fillStyle = '#010204';
@@ -585,6 +691,9 @@ class GlobeRenderer {
     // Draw rivers
     this.drawRivers(ctx, radius);
 
+    // Draw overlay lines and polygons
+    this.drawOverlayShapes(ctx, radius);
+
     // Draw shipping lanes and ships
     this.drawShippingLanes(ctx, radius);
     this.drawShips(ctx, radius);
@@ -635,6 +744,15 @@ class GlobeRenderer {
     // Draw satellites
     this.drawSatellites(radius);
 
+    // Draw world clocks
+    this.drawWorldClocks(radius);
+
+    // Draw overlay markers
+    this.drawOverlayMarkers(radius);
+
+    // Draw real connection endpoints
+    this.drawEndpoints(radius);
+
     // Draw connection lines
     if (this.effectsEnabled) {
       this.drawConnectionLines(radius);
@@ -808,43 +926,300 @@ class GlobeRenderer {
     ctx.setLineDash([]);
   }
 
-  drawTerminator(ctx, radius) {
-    const cx = this.canvas.width / 2;
-    const cy = this.canvas.height / 2;
-    const terminatorLon = this.sunLon + 90 + this.rotation * (180 / Math.PI);
+  // === OVERLAYS ===
+  // layers: GeoJsonLayer instances; their visible and color options are read
+  // every frame, so toggling them needs no call here
+  setOverlays(layers) {
+    this.overlays = layers || [];
+    if (this.pinned && this.pinned.item.kind === 'overlay') this.unpin();
+  }
 
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius - 1, 0, Math.PI * 2);
-    ctx.clip();
+  // Lines and polygons, labelled at their midpoint or centroid
+  drawOverlayShapes(ctx, radius) {
+    this.overlays.forEach(layer => {
+      if (!layer.visible) return;
 
-    const nightGradient = ctx.createLinearGradient(cx - radius, 0, cx + radius, 0);
-    nightGradient.addColorStop(0, 'rgba(0, 0, 20, 0.5)');
-    nightGradient.addColorStop(0.4, 'rgba(0, 0, 15, 0.35)');
-    nightGradient.addColorStop(0.6, 'rgba(0, 0, 10, 0.2)');
-    nightGradient.addColorStop(1, 'transparent');
+      layer.features.forEach(feature => {
+        const color = feature.color || layer.color;
 
-    ctx.fillStyle = nightGradient;
-    ctx.fillRect(cx - radius, cy - radius, radius, radius * 2);
-    ctx.restore();
+        if (feature.kind === 'line') {
+          // Where it was drawn, for picking
+          feature.screenPath = feature.path.map(pt => this.project(pt.lon, pt.lat, radius));
+          ctx.beginPath();
+          feature.screenPath.forEach((p, i) => {
+            if (!p.visible) return;
+            const prev = feature.screenPath[i - 1];
+            if (prev && prev.visible) ctx.lineTo(p.x, p.y);
+            else ctx.moveTo(p.x, p.y);
+          });
+          ctx.strokeStyle = this.hexToRgba(color, 0.7);
+          ctx.lineWidth = 1.2;
+          ctx.stroke();
+        } else if (feature.kind === 'polygon') {
+          // Like the continents, only the visible part of each ring is kept
+          ctx.beginPath();
+          let drawn = false;
+          feature.rings.forEach(ring => {
+            const points = ring.map(pt => this.project(pt.lon, pt.lat, radius)).filter(p => p.visible);
+            if (points.length < 3) return;
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            drawn = true;
+          });
+          if (!drawn) return;
+          ctx.fillStyle = this.hexToRgba(feature.fill || color, 0.12);
+          ctx.fill('evenodd');
+          ctx.strokeStyle = this.hexToRgba(color, 0.6);
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        } else {
+          return;
+        }
+
+        const anchor = this.project(feature.lon, feature.lat, radius);
+        if (feature.label && anchor.visible && anchor.depth > 0.5) {
+          ctx.font = '8px "Share Tech Mono"';
+          ctx.fillStyle = this.hexToRgba(color, 0.7 * anchor.depth);
+          ctx.fillText(feature.label, anchor.x - ctx.measureText(feature.label).width / 2, anchor.y + 3);
+        }
+      });
+    });
+  }
+
+  drawOverlayMarkers(radius) {
+    const ctx = this.ctx;
+    const time = Date.now() / 1000;
+
+    this.overlays.forEach(layer => {
+      layer.features.forEach((feature, i) => {
+        if (feature.kind !== 'point') return;
+        const p = this.project(feature.lon, feature.lat, radius);
+        // Where it was drawn, for picking; null while hidden
+        feature.screen = layer.visible && p.visible && p.depth > 0.2 ? p : null;
+        if (!feature.screen) return;
+
+        const color = feature.color || layer.color;
+        const pulse = feature.pulse === undefined ? layer.pulse : feature.pulse;
+
+        if (pulse) {
+          const phase = (time / 1.5 + i * 0.37) % 1;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 3 + phase * 10, 0, Math.PI * 2);
+          ctx.strokeStyle = this.hexToRgba(color, (1 - phase) * 0.6 * p.depth);
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+        ctx.fillStyle = this.hexToRgba(color, 0.5 + p.depth * 0.5);
+        ctx.fill();
+
+        if (feature.label && p.depth > 0.5) {
+          ctx.font = '8px "Share Tech Mono"';
+          ctx.fillStyle = this.hexToRgba(color, 0.7 * p.depth);
+          ctx.fillText(feature.label, p.x + 6, p.y + 3);
+        }
+      });
+    });
+  }
+
+  // === SUN AND WORLD CLOCKS ===
+
+  // The point where the sun is overhead at date, { lon, lat } in degrees.
+  // Low-precision solar coordinates (Astronomical Almanac), good to about
+  // 0.01 degrees, turned into a longitude with the sidereal time at Greenwich.
+  static subsolarPoint(date = new Date()) {
+    const toRad = Math.PI / 180;
+    const d = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+
+    const meanAnomaly = (357.529 + 0.98560028 * d) * toRad;
+    const meanLongitude = 280.459 + 0.98564736 * d;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * toRad;
+    const obliquity = (23.439 - 0.00000036 * d) * toRad;
+
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)) / toRad;
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude)) / toRad;
+    const siderealTime = 280.46061837 + 360.98564736629 * d;
+
+    return {
+      lon: GlobeRenderer.normalizeLon(rightAscension - siderealTime),
+      lat: declination,
+    };
+  }
+
+  static normalizeLon(lon) {
+    return ((lon % 360) + 540) % 360 - 180;
+  }
+
+  // Great-circle distance in degrees
+  static angularDistance(lon1, lat1, lon2, lat2) {
+    const toRad = Math.PI / 180;
+    const cos = Math.sin(lat1 * toRad) * Math.sin(lat2 * toRad) +
+      Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) / toRad;
+  }
+
+  // The sun moves a quarter of a degree a minute; every 10 seconds is plenty
+  updateSunPosition(now = Date.now()) {
+    if (now - this.sunUpdatedAt < 10000) return;
+    const sun = GlobeRenderer.subsolarPoint(new Date(now));
+    this.sunLon = sun.lon;
+    this.sunLat = sun.lat;
+    this.sunUpdatedAt = now;
+  }
+
+  // 0 in daylight, rising through twilight to 1 once the sun is 12 degrees
+  // below the horizon
+  nightLevel(lon, lat) {
+    const distance = GlobeRenderer.angularDistance(lon, lat, this.sunLon, this.sunLat);
+    return Math.max(0, Math.min(1, (distance - 90) / 12));
+  }
+
+  // clocks: [{ label, timeZone, lat, lon }]. Clocks without coordinates are
+  // placed on the globe city their zone or label names ("Asia/Tokyo" is
+  // Tokyo); ones that match no city only show in the header.
+  setWorldClocks(clocks) {
+    const cityNamed = (name) => {
+      const wanted = String(name || '').replace(/_/g, ' ').toLowerCase();
+      return this.cities.find(city => city.name.toLowerCase() === wanted);
+    };
+
+    this.worldClocks = [];
+    (clocks || []).forEach(clock => {
+      if (typeof clock.lat === 'number' && typeof clock.lon === 'number') {
+        this.worldClocks.push({ label: clock.label, timeZone: clock.timeZone, lon: clock.lon, lat: clock.lat });
+        return;
+      }
+      const city = cityNamed(String(clock.timeZone).split('/').pop()) || cityNamed(clock.label);
+      if (city) this.worldClocks.push({ label: clock.label, timeZone: clock.timeZone, lon: city.lon, lat: city.lat });
+    });
+  }
+
+  // { hour, minute } in the clock's zone
+  clockTime(timeZone, date) {
+    let format = this.clockFormats.get(timeZone);
+    if (!format) {
+      format = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+      this.clockFormats.set(timeZone, format);
+    }
+    const parts = {};
+    format.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return { hour: parseInt(parts.hour, 10), minute: parseInt(parts.minute, 10) };
+  }
+
+  // A small clock face with the local time beside it, dimmed at night
+  drawWorldClocks(radius) {
+    const ctx = this.ctx;
+    const now = new Date();
+
+    this.worldClocks.forEach(clock => {
+      const p = this.project(clock.lon, clock.lat, radius);
+      if (!p.visible || p.depth < 0.2) return;
+
+      let time;
+      try {
+        time = this.clockTime(clock.timeZone, now);
+      } catch (e) {
+        return;
+      }
+
+      const alpha = (0.5 + p.depth * 0.5) * (1 - this.nightLevel(clock.lon, clock.lat) * 0.4);
+      const hourAngle = ((time.hour % 12) + time.minute / 60) / 12 * Math.PI * 2 - Math.PI / 2;
+      const minuteAngle = time.minute / 60 * Math.PI * 2 - Math.PI / 2;
+
+      ctx.strokeStyle = this.hexToRgba(this.secondaryColor, alpha);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(p.x + Math.cos(hourAngle) * 2.5, p.y + Math.sin(hourAngle) * 2.5);
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(p.x + Math.cos(minuteAngle) * 4, p.y + Math.sin(minuteAngle) * 4);
+      ctx.stroke();
+
+      const hh = String(time.hour).padStart(2, '0');
+      const mm = String(time.minute).padStart(2, '0');
+      ctx.font = '8px "Share Tech Mono"';
+      ctx.fillStyle = this.hexToRgba(this.secondaryColor, alpha * 0.9);
+      ctx.fillText(`${clock.label} ${hh}:${mm}`, p.x + 8, p.y + 3);
+    });
+  }
+
+  // Night side darkened in bands through twilight, with the terminator (the
+  // circle 90 degrees from the sub-solar point) as a dashed line
+  drawTerminator(ctx, radius) {
+    const nightLon = GlobeRenderer.normalizeLon(this.sunLon + 180);
+    const nightLat = -this.sunLat;
+
+    ctx.fillStyle = 'rgba(0, 0, 15, 0.13)';
+    [90, 84, 78, 72].forEach(capAngle => {
+      if (this.traceCap(ctx, nightLon, nightLat, capAngle, radius - 1)) ctx.fill();
+    });
 
-    // Terminator line
     ctx.strokeStyle = this.hexToRgba(this.secondaryColor, 0.12);
     ctx.lineWidth = 1;
     ctx.setLineDash([2, 4]);
     ctx.beginPath();
-    let started = false;
-    for (let lat = -90; lat <= 90; lat += 2) {
-      const p = this.project(terminatorLon, lat, radius);
-      if (p.visible) {
-        if (!started) { ctx.moveTo(p.x, p.y); started = true; }
-        else { ctx.lineTo(p.x, p.y); }
-      } else { started = false; }
-    }
+    this.drawSurfacePath(this.circlePoints(this.sunLon, this.sunLat, 90, 96), radius);
     ctx.stroke();
     ctx.setLineDash([]);
   }
 
+  // Path of the visible part of the spherical cap within `angle` degrees of
+  // lon/lat: the cap's edge where it faces us, closed along the limb where it
+  // wraps round the back. Returns false when none of it is visible.
+  traceCap(ctx, lon, lat, angle, radius) {
+    const cx = this.canvas.width / 2;
+    const cy = this.canvas.height / 2;
+    const center = this.project(lon, lat, radius);
+    // How far the cap's center is from the middle of the visible disc; the
+    // edge spans (tilt - angle) to (tilt + angle) degrees from it, and the
+    // limb is 90. Half a degree of slack keeps an edge lying on the limb from
+    // flickering between cases.
+    const tilt = Math.acos(Math.max(-1, Math.min(1, center.depth))) * (180 / Math.PI);
+
+    ctx.beginPath();
+    if (tilt - angle > 89.5) return false;
+    if (angle - tilt > 89.5) {
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      return true;
+    }
+
+    const points = this.circlePoints(lon, lat, angle, 96).slice(0, -1).map(pt => this.project(pt.lon, pt.lat, radius));
+    const n = points.length;
+    const visibleCount = points.filter(p => p.visible).length;
+    if (tilt + angle < 90.5 || visibleCount === n) {
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      return true;
+    }
+    // Only a sliver between two samples crosses the limb
+    if (visibleCount === 0) {
+      if (!center.visible) return false;
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      return true;
+    }
+
+    // The visible part of the edge is one run; start where it comes into view
+    const first = points.findIndex((p, i) => p.visible && !points[(i + n - 1) % n].visible);
+    const run = [];
+    for (let i = first; points[i % n].visible; i++) run.push(points[i % n]);
+
+    run.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+
+    // Back along the limb, the way that passes the cap's center direction
+    const angleOf = p => Math.atan2(p.y - cy, p.x - cx);
+    const from = angleOf(run[run.length - 1]);
+    const to = angleOf(run[0]);
+    const turn = a => ((a - from) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+    ctx.arc(cx, cy, radius, from, to, turn(angleOf(center)) > turn(to));
+    ctx.closePath();
+    return true;
+  }
+
   drawDeserts(ctx, radius) {
     this.deserts.forEach(desert => {
       const visiblePoints = [];
@@ -865,6 +1240,12 @@ class GlobeRenderer {
   }
 
   drawContinents(ctx, radius) {
+    const detail = this.coastlines && this.coastlines.forRadius(radius);
+    if (detail) {
+      this.drawCountries(ctx, radius, detail);
+      return;
+    }
+
     Object.entries(this.continents).forEach(([name, continent]) => {
       const visiblePoints = [];
       continent.forEach(([lon, lat]) => {
@@ -912,6 +1293,108 @@ class GlobeRenderer {
     });
   }
 
+  // === COUNTRIES ===
+  setCoastlines(data) {
+    this.coastlines = data;
+    this.hoveredCountry = null;
+  }
+
+  setBordersVisible(visible) {
+    this.bordersVisible = visible;
+  }
+
+  // Whether anything within bounds ({ lon, lat, angle }) can face the viewer
+  facesViewer(bounds) {
+    const centerLon = -this.rotation * (180 / Math.PI);
+    const centerLat = this.tilt * (180 / Math.PI);
+    return GlobeRenderer.angularDistance(bounds.lon, bounds.lat, centerLon, centerLat) - bounds.angle < 90;
+  }
+
+  // Land from CoastlineData: filled countries, glowing coastlines and dashed
+  // borders, with the hovered country lit up
+  drawCountries(ctx, radius, detail) {
+    const cx = this.canvas.width / 2;
+    const cy = this.canvas.height / 2;
+
+    // Points round the back are pushed out to the limb along their bearing,
+    // so a country wrapping round the edge fills up to the horizon
+    // Rings and lines are packed lon, lat, lon, lat...
+    const traceRing = (ring) => {
+      for (let i = 0; i < ring.length; i += 2) {
+        const p = this.project(ring[i], ring[i + 1], radius);
+        let { x, y } = p;
+        if (!p.visible) {
+          const length = Math.hypot(x - cx, y - cy) || 1;
+          x = cx + ((x - cx) / length) * radius;
+          y = cy + ((y - cy) / length) * radius;
+        }
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.closePath();
+    };
+    // As drawSurfacePath, for lines that may face the viewer
+    const traceLines = (lines) => {
+      lines.forEach((line) => {
+        if (!this.facesViewer(line.bounds)) return;
+        let lastVisible = false;
+        for (let i = 0; i < line.points.length; i += 2) {
+          const p = this.project(line.points[i], line.points[i + 1], radius);
+          if (p.visible && lastVisible) ctx.lineTo(p.x, p.y);
+          else if (p.visible) ctx.moveTo(p.x, p.y);
+          lastVisible = p.visible;
+        }
+      });
+    };
+
+    const visibleCountries = detail.countries.filter(country => this.facesViewer(country.bounds));
+
+    ctx.beginPath();
+    visibleCountries.forEach(country => country.polygons.forEach(polygon => polygon.forEach(traceRing)));
+    ctx.fillStyle = this.hexToRgba(this.primaryColor, 0.26);
+    ctx.fill('evenodd');
+
+    const hovered = visibleCountries.find(country => country.name === this.hoveredCountry);
+    if (hovered) {
+      ctx.beginPath();
+      hovered.polygons.forEach(polygon => polygon.forEach(traceRing));
+      ctx.fillStyle = this.hexToRgba(this.primaryColor, 0.2);
+      ctx.fill('evenodd');
+    }
+
+    if (this.bordersVisible) {
+      ctx.beginPath();
+      traceLines(detail.borders);
+      ctx.strokeStyle = this.hexToRgba(this.primaryColor, 0.3);
+      ctx.lineWidth = 0.5;
+      ctx.setLineDash([2, 2]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Coastline glow
+    ctx.beginPath();
+    traceLines(detail.coastlines);
+    ctx.strokeStyle = this.hexToRgba(this.primaryColor, 0.75);
+    ctx.lineWidth = 1;
+    ctx.shadowColor = this.primaryColor;
+    ctx.shadowBlur = 4;
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+  }
+
+  // Country under a canvas point: { name, lon, lat } or null
+  countryAt(x, y) {
+    const detail = this.coastlines && this.coastlines.forRadius(this.globeRadius());
+    const point = detail && this.unproject(x, y);
+    if (!point) return null;
+
+    const country = detail.countries.find(c =>
+      GlobeRenderer.angularDistance(c.bounds.lon, c.bounds.lat, point.lon, point.lat) <= c.bounds.angle &&
+      c.polygons.some(polygon => CoastlineData.contains(polygon, point.lon, point.lat)));
+    return country ? { name: country.name, ...point } : null;
+  }
+
   drawMountains(ctx, radius) {
     Object.values(this.mountains).forEach(mountain => {
       const visiblePoints = [];
@@ -993,8 +1476,12 @@ class GlobeRenderer {
 
       const pos = this.interpolatePath(lane.points, ship.progress);
       const p = this.project(pos.lon, pos.lat, radius * 0.99);
+      ship.lon = pos.lon;
+      ship.lat = pos.lat;
+      // Where it was drawn, for picking; null while hidden
+      ship.screen = p.visible && p.depth > 0.2 ? p : null;
 
-      if (p.visible && p.depth > 0.2) {
+      if (ship.screen) {
         ctx.fillStyle = this.hexToRgba('#ffaa00', 0.7 * p.depth);
         ctx.beginPath();
         ctx.arc(p.x, p.y, ship.size, 0, Math.PI * 2);
@@ -1064,17 +1551,15 @@ class GlobeRenderer {
   }
 
   drawCityLights(ctx, radius) {
-    const terminatorLon = this.sunLon + 90;
-
     this.cities.forEach(city => {
       const p = this.project(city.lon, city.lat, radius * 0.98);
       if (!p.visible || p.depth < 0.15) return;
 
-      const cityLonAdjusted = (city.lon - this.rotation * (180 / Math.PI) + 540) % 360 - 180;
-      const isNight = Math.abs(cityLonAdjusted - terminatorLon) > 90;
+      // Lights come on through twilight
+      const night = this.nightLevel(city.lon, city.lat);
 
-      if (isNight) {
-        const alpha = city.intensity * p.depth * 0.85;
+      if (night > 0) {
+        const alpha = city.intensity * p.depth * 0.85 * night;
         const glowSize = 2 + city.intensity * 4;
 
         const cityGlow = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, glowSize);
@@ -1324,6 +1809,11 @@ class GlobeRenderer {
   drawOrbitalTrajectories(radius) {
     const ctx = this.ctx;
 
+    if (this.tracker) {
+      this.drawGroundTracks(radius);
+      return;
+    }
+
     this.satellites.forEach(sat => {
       const inclination = sat.inclination * (Math.PI / 180);
       const orbitRadius = radius * 1.1;
@@ -1357,10 +1847,75 @@ class GlobeRenderer {
     });
   }
 
+  // Draw a lat/lon polyline, breaking it where it passes behind the globe
+  drawSurfacePath(points, radius) {
+    const ctx = this.ctx;
+    let lastVisible = false;
+    points.forEach(point => {
+      const p = this.project(point.lon, point.lat, radius);
+      if (p.visible && lastVisible) ctx.lineTo(p.x, p.y);
+      else if (p.visible) ctx.moveTo(p.x, p.y);
+      lastVisible = p.visible;
+    });
+  }
+
+  // Real satellites: ground track on the surface and the footprint, the area
+  // that sees the satellite above the horizon
+  drawGroundTracks(radius) {
+    const ctx = this.ctx;
+
+    this.satellites.forEach(sat => {
+      const color = sat.orbitColor === 'secondary' ? this.secondaryColor : this.warningColor;
+
+      ctx.beginPath();
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = this.hexToRgba(color, 0.2);
+      ctx.lineWidth = 1;
+      this.drawSurfacePath(sat.track, radius);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const footprint = this.circlePoints(sat.lon, sat.lat, SatelliteTracker.footprintRadius(sat.alt));
+      ctx.beginPath();
+      ctx.strokeStyle = this.hexToRgba(color, 0.12);
+      this.drawSurfacePath(footprint, radius);
+      ctx.stroke();
+    });
+  }
+
+  // Points on the circle `angle` degrees (great-circle distance) around lon/lat
+  circlePoints(lon, lat, angle, steps = 48) {
+    const toRad = Math.PI / 180;
+    const lat1 = lat * toRad;
+    const d = angle * toRad;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const bearing = (i / steps) * Math.PI * 2;
+      const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(bearing));
+      const lon2 = lon * toRad + Math.atan2(
+        Math.sin(bearing) * Math.sin(d) * Math.cos(lat1),
+        Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+      );
+      points.push({ lon: lon2 / toRad, lat: lat2 / toRad });
+    }
+    return points;
+  }
+
   drawSatellites(radius) {
     const ctx = this.ctx;
     const time = Date.now() / 1000;
 
+    if (this.tracker) {
+      this.updateTrackedSatellites();
+      this.satellites.forEach(sat => {
+        const p = this.project(sat.lon, sat.lat, this.altitudeRadius(radius, sat.alt));
+        const satColor = sat.orbitColor === 'secondary' ? this.secondaryColor : this.warningColor;
+        sat.screen = p.visible && p.depth > 0.3 ? p : null;
+        if (sat.screen) this.drawSatelliteMarker(sat, p, satColor, time);
+      });
+      return;
+    }
+
     this.satellites.forEach(sat => {
       sat.orbitPhase += sat.orbitalSpeed;
       if (sat.orbitPhase > Math.PI * 2) sat.orbitPhase -= Math.PI * 2;
@@ -1375,27 +1930,10 @@ class GlobeRenderer {
 
       const p = this.project(sat.lon, sat.lat, radius * 1.1);
       const satColor = sat.orbitColor === 'secondary' ? this.secondaryColor : this.warningColor;
+      sat.screen = p.visible && p.depth > 0.3 ? p : null;
 
-      if (p.visible && p.depth > 0.3) {
-        let blink = Math.sin(time * 3 + sat.blinkPhase) * 0.5 + 0.5;
-
-        if (this.effectsEnabled) {
-          const satAngle = Math.atan2(p.y - this.canvas.height / 2, p.x - this.canvas.width / 2);
-          if (this.isInRadarSweep(satAngle)) blink = 1.0;
-        }
-
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
-        ctx.fillStyle = this.hexToRgba(satColor, 0.3 + blink * 0.7);
-        ctx.fill();
-
-        const glowGradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, 6);
-        glowGradient.addColorStop(0, this.hexToRgba(satColor, 0.4 * blink));
-        glowGradient.addColorStop(1, 'transparent');
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
-        ctx.fillStyle = glowGradient;
-        ctx.fill();
+      if (sat.screen) {
+        const blink = this.drawSatelliteMarker(sat, p, satColor, time);
 
         // Trail
         for (let i = 1; i <= 5; i++) {
@@ -1414,16 +1952,41 @@ class GlobeRenderer {
             ctx.fill();
           }
         }
-
-        if (p.depth > 0.7) {
-          ctx.font = '8px "Share Tech Mono"';
-          ctx.fillStyle = this.hexToRgba(satColor, 0.6);
-          ctx.fillText(sat.id, p.x + 8, p.y + 3);
-        }
       }
     });
   }
 
+  // Dot, glow and label; returns the blink level so trails can match it
+  drawSatelliteMarker(sat, p, satColor, time) {
+    const ctx = this.ctx;
+    let blink = Math.sin(time * 3 + sat.blinkPhase) * 0.5 + 0.5;
+
+    if (this.effectsEnabled) {
+      const satAngle = Math.atan2(p.y - this.canvas.height / 2, p.x - this.canvas.width / 2);
+      if (this.isInRadarSweep(satAngle)) blink = 1.0;
+    }
+
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+    ctx.fillStyle = this.hexToRgba(satColor, 0.3 + blink * 0.7);
+    ctx.fill();
+
+    const glowGradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, 6);
+    glowGradient.addColorStop(0, this.hexToRgba(satColor, 0.4 * blink));
+    glowGradient.addColorStop(1, 'transparent');
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+    ctx.fillStyle = glowGradient;
+    ctx.fill();
+
+    if (p.depth > 0.7) {
+      ctx.font = '8px "Share Tech Mono"';
+      ctx.fillStyle = this.hexToRgba(satColor, 0.6);
+      ctx.fillText(sat.id, p.x + 8, p.y + 3);
+    }
+    return blink;
+  }
+
   hexToRgba(hex, alpha) {
     const r = parseInt(hex.slice(1, 3), 16);
     const g = parseInt(hex.slice(3, 5), 16);
@@ -1431,11 +1994,13 @@ class GlobeRenderer {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
+  // A theme's --globe-* colors win over the UI colors
   updateColors() {
-    this.primaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--primary-color').trim() || '#00ff88';
-    this.secondaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--secondary-color').trim() || '#00ccff';
+    const style = getComputedStyle(document.documentElement);
+    const color = (...names) => names.map(n => style.getPropertyValue(n).trim()).find(c => c);
+    this.primaryColor = color('--globe-primary', '--primary-color') || '#00ff88';
+    this.secondaryColor = color('--globe-secondary', '--secondary-color') || '#00ccff';
+    this.warningColor = color('--warning-color') || '#ff5500';
   }
 
   animate(currentTime) {
@@ -1446,7 +2011,10 @@ class GlobeRenderer {
     this.lastFrameTime = currentTime;
 
     this.time += 0.03;
-    this.rotation += this.rotationSpeed;
+    this.updateCamera(performance.now());
+    this.updateSunPosition();
+
+    this.updateEndpoints();
 
     if (this.effectsEnabled) {
       this.updateConnectionLines();
@@ -1462,7 +2030,7 @@ class GlobeRenderer {
   // === CONNECTION LINES ===
   updateConnectionLines() {
     const now = Date.now();
-    if (now - this.lastConnectionTime > this.connectionInterval && this.connectionLines.length < this.maxConnections) {
+    if (!this.liveEndpoints && now - this.lastConnectionTime > this.connectionInterval && this.connectionLines.length < this.maxConnections) {
       this.spawnConnection();
       this.lastConnectionTime = now;
       this.connectionInterval = 2000 + Math.random() * 3000;
@@ -1485,37 +2053,52 @@ class GlobeRenderer {
       startLat: hubs[startIdx].lat,
       endLon: hubs[endIdx].lon,
       endLat: hubs[endIdx].lat,
+      label: `${hubs[startIdx].name} → ${hubs[endIdx].name}`.toUpperCase(),
       progress: 0,
-      color: colors[Math.floor(Math.random() * colors.length)]
+      color: colors[Math.floor(Math.random() * colors.length)],
+      path: []
     });
   }
 
+  // Point along the quadratic arc between two projected points
+  arcPoint(startP, endP, t) {
+    const midX = (startP.x + endP.x) / 2;
+    const midY = (startP.y + endP.y) / 2;
+    const dist = Math.sqrt(Math.pow(endP.x - startP.x, 2) + Math.pow(endP.y - startP.y, 2));
+    const arcHeight = Math.min(dist * 0.4, 40);
+    const controlY = midY - arcHeight;
+
+    return {
+      x: (1 - t) * (1 - t) * startP.x + 2 * (1 - t) * t * midX + t * t * endP.x,
+      y: (1 - t) * (1 - t) * startP.y + 2 * (1 - t) * t * controlY + t * t * endP.y
+    };
+  }
+
+  traceArc(startP, endP, progress, segments = 30) {
+    const points = [];
+    const endSegment = Math.floor(Math.min(progress, 1) * segments);
+    for (let i = 0; i <= endSegment; i++) {
+      points.push(this.arcPoint(startP, endP, i / segments));
+    }
+    return points;
+  }
+
   drawConnectionLines(radius) {
     const ctx = this.ctx;
 
     this.connectionLines.forEach(conn => {
+      conn.path = [];
       const startP = this.project(conn.startLon, conn.startLat, radius);
       const endP = this.project(conn.endLon, conn.endLat, radius);
 
       if (!startP.visible || !endP.visible) return;
 
-      const midX = (startP.x + endP.x) / 2;
-      const midY = (startP.y + endP.y) / 2;
-      const dist = Math.sqrt(Math.pow(endP.x - startP.x, 2) + Math.pow(endP.y - startP.y, 2));
-      const arcHeight = Math.min(dist * 0.4, 40);
-      const controlY = midY - arcHeight;
-
+      conn.path = this.traceArc(startP, endP, conn.progress);
       ctx.beginPath();
-      const segments = 30;
-      const endSegment = Math.floor(Math.min(conn.progress, 1) * segments);
-
-      for (let i = 0; i <= endSegment; i++) {
-        const t = i / segments;
-        const x = (1 - t) * (1 - t) * startP.x + 2 * (1 - t) * t * midX + t * t * endP.x;
-        const y = (1 - t) * (1 - t) * startP.y + 2 * (1 - t) * t * controlY + t * t * endP.y;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      }
+      conn.path.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
 
       const alpha = conn.progress > 1 ? Math.max(0, 1 - (conn.progress - 1) * 5) : 0.7;
       ctx.strokeStyle = this.hexToRgba(conn.color, alpha);
@@ -1526,12 +2109,10 @@ class GlobeRenderer {
       ctx.shadowBlur = 0;
 
       if (conn.progress <= 1) {
-        const t = conn.progress;
-        const headX = (1 - t) * (1 - t) * startP.x + 2 * (1 - t) * t * midX + t * t * endP.x;
-        const headY = (1 - t) * (1 - t) * startP.y + 2 * (1 - t) * t * controlY + t * t * endP.y;
+        const head = this.arcPoint(startP, endP, conn.progress);
 
         ctx.beginPath();
-        ctx.arc(headX, headY, 3, 0, Math.PI * 2);
+        ctx.arc(head.x, head.y, 3, 0, Math.PI * 2);
         ctx.fillStyle = conn.color;
         ctx.shadowColor = conn.color;
         ctx.shadowBlur = 10;
@@ -1541,6 +2122,425 @@ class GlobeRenderer {
     });
   }
 
+  // === CONNECTION ENDPOINTS ===
+  // endpoints: [{ id, startLon, startLat, endLon, endLat, label, detail }]
+  // Arcs grow in when an endpoint appears and fade out when it disappears.
+  setEndpoints(endpoints) {
+    this.liveEndpoints = true;
+    this.connectionLines = [];
+
+    const seen = new Set();
+    endpoints.forEach(ep => {
+      seen.add(ep.id);
+      const existing = this.endpoints.get(ep.id);
+      if (existing) {
+        Object.assign(existing, ep, { closing: false });
+      } else {
+        this.endpoints.set(ep.id, { ...ep, progress: 0, closing: false, fade: 1, path: [] });
+      }
+    });
+
+    this.endpoints.forEach((ep, id) => {
+      if (!seen.has(id)) ep.closing = true;
+    });
+  }
+
+  // Return to simulated hub-to-hub traffic
+  clearEndpoints() {
+    this.liveEndpoints = false;
+    this.endpoints.clear();
+    if (this.pinned && this.pinned.item.kind === 'endpoint') this.pinned = null;
+    this.hideTooltip();
+  }
+
+  updateEndpoints() {
+    this.endpoints.forEach((ep, id) => {
+      if (ep.progress < 1) ep.progress = Math.min(1, ep.progress + 0.03);
+      if (ep.closing) {
+        ep.fade -= 0.05;
+        if (ep.fade <= 0) {
+          this.endpoints.delete(id);
+          if (this.pinned && this.pinned.item.target === ep) this.unpin();
+          if (this.hoveredEndpoint === ep) this.hideTooltip();
+        }
+      }
+    });
+  }
+
+  drawEndpoints(radius) {
+    const ctx = this.ctx;
+
+    this.endpoints.forEach(ep => {
+      ep.path = [];
+      const startP = this.project(ep.startLon, ep.startLat, radius);
+      const endP = this.project(ep.endLon, ep.endLat, radius);
+      if (!startP.visible || !endP.visible) return;
+
+      const hovered = ep === this.hoveredEndpoint;
+      const color = hovered ? this.warningColor : this.secondaryColor;
+      const alpha = (hovered ? 1 : 0.6) * ep.fade;
+
+      ep.path = this.traceArc(startP, endP, ep.progress);
+
+      ctx.beginPath();
+      ep.path.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.strokeStyle = this.hexToRgba(color, alpha);
+      ctx.lineWidth = hovered ? 2 : 1;
+      ctx.stroke();
+
+      // Remote end marker (a ring at home for private addresses)
+      const head = ep.path[ep.path.length - 1];
+      ctx.beginPath();
+      ctx.arc(head.x, head.y, hovered ? 3.5 : 2, 0, Math.PI * 2);
+      ctx.fillStyle = this.hexToRgba(color, alpha);
+      ctx.fill();
+    });
+  }
+
+  // Nearest arc (endpoint or simulated connection) within a few pixels of a
+  // canvas point
+  arcAt(arcs, x, y) {
+    let best = null;
+    let bestDist = 6;
+
+    arcs.forEach(arc => {
+      if (arc.closing) return;
+      arc.path.forEach(p => {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d < bestDist) {
+          bestDist = d;
+          best = arc;
+        }
+      });
+    });
+
+    return best;
+  }
+
+  // Overlay line passing within a few pixels of a canvas point, else the
+  // overlay polygon around it: { layer, feature } or null
+  overlayShapeAt(x, y) {
+    const layers = this.overlays.filter(layer => layer.visible);
+    let best = null;
+    let bestDist = 5;
+
+    layers.forEach(layer => {
+      layer.features.forEach(feature => {
+        if (feature.kind !== 'line' || !feature.screenPath) return;
+        feature.screenPath.forEach((b, i) => {
+          const a = feature.screenPath[i - 1];
+          if (!a || !a.visible || !b.visible) return;
+          // Distance to the segment a-b
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const lengthSq = dx * dx + dy * dy;
+          const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+          const d = Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+          if (d < bestDist) {
+            bestDist = d;
+            best = { layer, feature };
+          }
+        });
+      });
+    });
+    if (best) return best;
+
+    const point = this.unproject(x, y);
+    if (!point) return null;
+    // Layers drawn last are on top
+    for (const layer of layers.reverse()) {
+      const feature = layer.features.find(f => f.kind === 'polygon' && GeoJsonLayer.contains(f.rings, point.lon, point.lat));
+      if (feature) return { layer, feature };
+    }
+    return null;
+  }
+
+  // === CAMERA ===
+  // Center lon/lat, easing there over `duration` ms; zoom optionally changes
+  // too. Auto-rotation waits for idleDelay once the move ends.
+  focusOn(lon, lat, { zoom = this.zoom, duration = 1200 } = {}) {
+    const toRad = Math.PI / 180;
+    // Rotate the short way round
+    const turn = (-lon * toRad - this.rotation) % (Math.PI * 2);
+    const shortest = ((turn + Math.PI * 3) % (Math.PI * 2)) - Math.PI;
+
+    this.spin = { rotation: 0, tilt: 0 };
+    this.transition = {
+      from: { rotation: this.rotation, tilt: this.tilt, zoom: this.zoom },
+      to: { rotation: this.rotation + shortest, tilt: this.clampTilt(lat * toRad), zoom: this.clampZoom(zoom) },
+      start: performance.now(),
+      duration: Math.max(0, duration),
+    };
+    this.lastInteraction = performance.now();
+  }
+
+  clampTilt(tilt) {
+    const limit = 75 * (Math.PI / 180);
+    return Math.max(-limit, Math.min(limit, tilt));
+  }
+
+  clampZoom(zoom) {
+    return Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+  }
+
+  // One frame of focusOn() easing, drag inertia or auto-rotation
+  updateCamera(now) {
+    if (this.transition) {
+      const { from, to, start, duration } = this.transition;
+      const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+      this.rotation = from.rotation + (to.rotation - from.rotation) * ease;
+      this.tilt = from.tilt + (to.tilt - from.tilt) * ease;
+      this.zoom = from.zoom + (to.zoom - from.zoom) * ease;
+      if (t === 1) this.transition = null;
+      this.lastInteraction = now;
+      return;
+    }
+    if (this.drag) return;
+
+    if (Math.abs(this.spin.rotation) > 0.0002 || Math.abs(this.spin.tilt) > 0.0002) {
+      this.rotation += this.spin.rotation;
+      this.tilt = this.clampTilt(this.tilt + this.spin.tilt);
+      this.spin.rotation *= 0.94;
+      this.spin.tilt *= 0.94;
+      this.lastInteraction = now;
+      return;
+    }
+
+    if (now - this.lastInteraction > this.idleDelay) {
+      this.rotation += this.rotationSpeed;
+    }
+  }
+
+  // === PICKING ===
+  // The nearest thing under a canvas point, as { kind, target }: overlay
+  // markers, satellites, ships and cities first, then connection arcs, then
+  // overlay lines and polygons, then the country underneath
+  pickAt(x, y) {
+    const radius = this.globeRadius();
+    let best = null;
+    let bestDist = 7;
+    const consider = (p, kind, target) => {
+      const d = Math.hypot(p.x - x, p.y - y);
+      if (d < bestDist) {
+        bestDist = d;
+        best = { kind, target };
+      }
+    };
+
+    this.overlays.forEach(layer => {
+      layer.features.forEach(feature => {
+        if (feature.screen) consider(feature.screen, 'overlay', { layer, feature });
+      });
+    });
+    this.satellites.forEach(sat => {
+      if (sat.screen) consider(sat.screen, 'satellite', sat);
+    });
+    this.ships.forEach(ship => {
+      if (ship.screen) consider(ship.screen, 'ship', ship);
+    });
+    this.cities.forEach(city => {
+      const p = this.project(city.lon, city.lat, radius * 0.98);
+      if (p.visible && p.depth > 0.15) consider(p, 'city', city);
+    });
+    if (best) return best;
+
+    const endpoint = this.arcAt(this.endpoints, x, y);
+    if (endpoint) return { kind: 'endpoint', target: endpoint };
+    const connection = this.arcAt(this.connectionLines, x, y);
+    if (connection) return { kind: 'connection', target: connection };
+    const shape = this.overlayShapeAt(x, y);
+    if (shape) return { kind: 'overlay', target: shape };
+    const country = this.countryAt(x, y);
+    if (country) return { kind: 'country', target: country };
+    return null;
+  }
+
+  // Tooltip text for a picked item: { label, detail }
+  describe({ kind, target }) {
+    const where = (lon, lat) =>
+      `${Math.abs(lat).toFixed(2)}${lat >= 0 ? 'N' : 'S'} / ${Math.abs(lon).toFixed(2)}${lon >= 0 ? 'E' : 'W'}`;
+
+    switch (kind) {
+      case 'satellite': {
+        const lines = [target.type, where(target.lon, target.lat)];
+        if (this.tracker) lines.push(`ALT ${Math.round(target.alt)} km`);
+        return { label: target.id, detail: lines.join('\n') };
+      }
+      case 'ship': {
+        const lane = this.shippingLanes[target.laneIndex % this.shippingLanes.length];
+        return { label: `VESSEL ${this.ships.indexOf(target) + 1}`, detail: `${lane.name} lane\n${where(target.lon, target.lat)}` };
+      }
+      case 'city': {
+        const night = this.nightLevel(target.lon, target.lat) > 0.5 ? 'NIGHT' : 'DAY';
+        return {
+          label: target.name.toUpperCase(),
+          detail: `POP ${target.pop}M  ${night}\n${where(target.lon, target.lat)}`,
+        };
+      }
+      case 'connection':
+        return { label: target.label, detail: 'Simulated link' };
+      case 'country':
+        return { label: target.name.toUpperCase(), detail: where(target.lon, target.lat) };
+      case 'overlay': {
+        const { layer, feature } = target;
+        const lines = [layer.name];
+        if (feature.properties.description) lines.push(String(feature.properties.description));
+        lines.push(where(feature.lon, feature.lat));
+        const fallback = { point: 'MARKER', line: 'LINE', polygon: 'AREA' }[feature.kind];
+        return { label: feature.label || fallback, detail: lines.join('\n') };
+      }
+      default:
+        return { label: target.label, detail: target.detail };
+    }
+  }
+
+  // === MOUSE CONTROLS ===
+  initTooltip() {
+    const container = this.canvas.parentElement;
+    if (!container) return;
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'globe-tooltip';
+    container.appendChild(this.tooltip);
+  }
+
+  // Drag to rotate (with inertia), wheel to zoom, double-click to focus,
+  // hover for a tooltip and click to pin it
+  initMouseControls() {
+    const canvas = this.canvas;
+
+    // Canvas pixels may be scaled by CSS; tooltips are placed in the
+    // container's coordinates
+    const canvasPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height),
+      };
+    };
+    const containerPoint = (e) => {
+      const rect = (canvas.parentElement || canvas).getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    canvas.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      const { x, y } = canvasPoint(e);
+      const now = performance.now();
+      this.drag = { startX: x, startY: y, x, y, time: now, moved: false };
+      this.transition = null;
+      this.spin = { rotation: 0, tilt: 0 };
+      this.lastInteraction = now;
+    });
+
+    window.addEventListener('mousemove', (e) => {
+      if (!this.drag) return;
+      const { x, y } = canvasPoint(e);
+      const now = performance.now();
+      // A pixel of drag moves the surface under the cursor by about a pixel
+      const scale = 1 / this.globeRadius();
+      const dRotation = (x - this.drag.x) * scale;
+      const dTilt = (y - this.drag.y) * scale;
+
+      this.rotation += dRotation;
+      this.tilt = this.clampTilt(this.tilt + dTilt);
+      // Inertia carries on at the drag's speed, per frame
+      const frames = Math.max(1, (now - this.drag.time) / this.frameInterval);
+      this.spin = { rotation: dRotation / frames, tilt: dTilt / frames };
+
+      if (Math.hypot(x - this.drag.startX, y - this.drag.startY) > 4) {
+        this.drag.moved = true;
+        canvas.classList.add('dragging');
+        this.hideTooltip();
+      }
+      Object.assign(this.drag, { x, y, time: now });
+      this.lastInteraction = now;
+    });
+
+    window.addEventListener('mouseup', (e) => {
+      if (!this.drag) return;
+      const { moved, time } = this.drag;
+      this.drag = null;
+      canvas.classList.remove('dragging');
+      this.lastInteraction = performance.now();
+
+      // Letting go after holding still doesn't fling the globe
+      if (this.lastInteraction - time > 100) this.spin = { rotation: 0, tilt: 0 };
+
+      if (!moved && e.target === canvas) {
+        const { x, y } = canvasPoint(e);
+        const item = this.pickAt(x, y);
+        if (item) this.pin(item, containerPoint(e));
+        else this.unpin();
+      }
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.transition = null;
+      this.zoom = this.clampZoom(this.zoom * Math.exp(-e.deltaY * 0.0015));
+      this.lastInteraction = performance.now();
+    }, { passive: false });
+
+    canvas.addEventListener('dblclick', (e) => {
+      const { x, y } = canvasPoint(e);
+      const point = this.unproject(x, y);
+      if (point) this.focusOn(point.lon, point.lat, { zoom: this.zoom * 1.5, duration: 800 });
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+      if (this.drag) return;
+      const { x, y } = canvasPoint(e);
+      const item = this.pickAt(x, y);
+      if (item) {
+        const at = containerPoint(e);
+        this.showTooltip(item, at.x, at.y);
+      } else {
+        this.hideTooltip();
+      }
+    });
+
+    canvas.addEventListener('mouseleave', () => this.hideTooltip());
+  }
+
+  showTooltip(item, x, y, pinned = false) {
+    this.hoveredEndpoint = item.kind === 'endpoint' ? item.target : null;
+    this.hoveredCountry = item.kind === 'country' ? item.target.name : null;
+    if (!this.tooltip) return;
+
+    const { label, detail } = this.describe(item);
+    this.tooltip.textContent = detail ? `${label}\n${detail}` : label;
+    this.tooltip.style.left = `${x + 12}px`;
+    this.tooltip.style.top = `${y + 12}px`;
+    this.tooltip.classList.toggle('pinned', pinned);
+    this.tooltip.classList.add('visible');
+  }
+
+  // Falls back to the pinned tooltip, if there is one
+  hideTooltip() {
+    if (this.pinned) {
+      this.showTooltip(this.pinned.item, this.pinned.x, this.pinned.y, true);
+      return;
+    }
+    this.hoveredEndpoint = null;
+    this.hoveredCountry = null;
+    if (this.tooltip) this.tooltip.classList.remove('visible');
+  }
+
+  pin(item, { x, y }) {
+    this.pinned = { item, x, y };
+    this.showTooltip(item, x, y, true);
+  }
+
+  unpin() {
+    this.pinned = null;
+    this.hideTooltip();
+  }
+
   // === RADAR SWEEP ===
   updateRadarSweep() {
     this.radarAngle += this.radarSpeed;
@@ -1627,7 +2627,7 @@ class GlobeRenderer {
   updateTargetLock() {
     const now = Date.now();
 
-    if (!this.targetLock && now - this.lastTargetTime > this.targetInterval) {
+    if (this.autoTargetLock && !this.targetLock && now - this.lastTargetTime > this.targetInterval) {
       this.spawnTargetLock();
       this.lastTargetTime = now;
       this.targetInterval = 10000 + Math.random() * 10000;
@@ -1662,7 +2662,17 @@ class GlobeRenderer {
   spawnTargetLock() {
     const lon = (Math.random() - 0.5) * 120;
     const lat = (Math.random() - 0.5) * 100;
+    this.lockTarget(lon, lat);
+  }
+
+  // Run the lock-on animation at a specific location
+  lockTarget(lon, lat) {
     this.targetLock = { lon, lat, phase: 'searching', time: 0, rotation: 0, jitterX: 0, jitterY: 0 };
+    this.lastTargetTime = Date.now();
+  }
+
+  setAutoTargetLock(enabled) {
+    this.autoTargetLock = enabled;
   }
 
   drawTargetLock(radius) {
@@ -1755,13 +2765,15 @@ class GlobeRenderer {
     }
   }
 
+  // Real satellites also carry their current or next pass over the observer
   getSatellites() {
     return this.satellites.map(sat => ({
       id: sat.id,
       type: sat.type,
       lat: sat.lat.toFixed(4),
       lon: sat.lon.toFixed(4),
-      alt: Math.round(sat.alt)
+      alt: Math.round(sat.alt),
+      pass: this.tracker ? this.tracker.nextPass(sat.entry) : undefined
     }));
   }
 
@@ -0,0 +1,132 @@
+// ========================================
+// PROCESS INSPECTOR - Foreground Process & CWD Lookup
+// Used by the main process; never blocks on child processes
+// ========================================
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+function execFileAsync(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 2000 }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
+  });
+}
+
+class ProcessInspector {
+  constructor(platform = process.platform) {
+    this.platform = platform;
+  }
+
+  // Describe what is running in a terminal whose shell is shellPid:
+  //   { pid, name, cwd, shellPid, isShell }
+  // options.pty is the node-pty instance and options.shellName the spawned
+  // command's basename, used where /proc and ps are unavailable.
+  async inspect(shellPid, options = {}) {
+    try {
+      if (this.platform === 'linux') {
+        return await this.inspectProc(shellPid);
+      }
+      if (this.platform === 'darwin') {
+        return await this.inspectPs(shellPid, options.pty);
+      }
+    } catch (e) {
+      // Process exited mid-lookup or tools unavailable
+    }
+    return this.inspectFallback(shellPid, options);
+  }
+
+  // Linux: tpgid (field 8 of /proc/<pid>/stat) is the terminal's foreground
+  // process group; its leader's pid equals the group id.
+  async inspectProc(shellPid) {
+    const stat = await fs.promises.readFile(`/proc/${shellPid}/stat`, 'utf8');
+    // comm may contain spaces and parentheses, so split after the last ')'
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const tpgid = parseInt(fields[5], 10);
+
+    // A foreground process that has already exited leaves the shell in charge
+    let pid = shellPid;
+    let name = null;
+    if (tpgid > 0 && tpgid !== shellPid) {
+      name = await this.readProc(`/proc/${tpgid}/comm`, 'file');
+      if (name) pid = tpgid;
+    }
+    if (!name) name = await this.readProc(`/proc/${shellPid}/comm`, 'file');
+    const cwd = await this.readProc(`/proc/${pid}/cwd`, 'link');
+
+    // Foreground process may belong to another user (sudo) - fall back to the shell
+    const shellCwd = cwd || (pid !== shellPid ? await this.readProc(`/proc/${shellPid}/cwd`, 'link') : null);
+
+    return {
+      pid,
+      name: name || null,
+      cwd: shellCwd,
+      shellPid,
+      isShell: pid === shellPid,
+    };
+  }
+
+  async readProc(filePath, kind) {
+    try {
+      if (kind === 'link') return await fs.promises.readlink(filePath);
+      return (await fs.promises.readFile(filePath, 'utf8')).trim();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // macOS: no /proc, so ask ps for the foreground group and lsof for the cwd
+  async inspectPs(shellPid, pty) {
+    const tpgid = parseInt((await execFileAsync('ps', ['-o', 'tpgid=', '-p', String(shellPid)])).trim(), 10);
+
+    let pid = shellPid;
+    if (tpgid > 0 && tpgid !== shellPid) {
+      pid = tpgid;
+    }
+
+    let name = null;
+    try {
+      const comm = (await execFileAsync('ps', ['-o', 'comm=', '-p', String(pid)])).trim();
+      name = comm ? comm.split('/').pop() : null;
+    } catch (e) {
+      pid = shellPid;
+    }
+
+    let cwd = await this.lsofCwd(pid);
+    if (!cwd && pid !== shellPid) cwd = await this.lsofCwd(shellPid);
+
+    return {
+      pid,
+      name: name || (pty ? pty.process : null),
+      cwd,
+      shellPid,
+      isShell: pid === shellPid,
+    };
+  }
+
+  async lsofCwd(pid) {
+    try {
+      const output = await execFileAsync('lsof', ['-a', '-p', String(pid), '-d', 'cwd', '-Fn']);
+      const line = output.split('\n').find(l => l.startsWith('n'));
+      return line ? line.slice(1) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Windows and failed lookups: node-pty knows the foreground name, not the cwd
+  inspectFallback(shellPid, { pty, shellName } = {}) {
+    const name = pty && pty.process ? pty.process.split(/[\\/]/).pop() : null;
+    return {
+      pid: shellPid,
+      name,
+      cwd: null,
+      shellPid,
+      isShell: !name || !shellName || name === shellName,
+    };
+  }
+}
+
+module.exports = ProcessInspector;
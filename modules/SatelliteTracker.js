@@ -0,0 +1,188 @@
+// ========================================
+// SATELLITE TRACKER - Real Orbits from TLE Files
+// SGP4 propagation via satellite.js
+// ========================================
+//
+// A TLE file holds two-line element sets, each optionally preceded by a name
+// line (as published by CelesTrak and Space-Track):
+//   ISS (ZARYA)
+//   1 25544U 98067A   24001.50000000  .00016717  00000-0  10270-3 0  9005
+//   2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.50000000 12345
+
+const satelliteJs = require('satellite.js');
+
+const EARTH_RADIUS_KM = 6371;
+
+class SatelliteTracker {
+  constructor() {
+    this.satellites = [];
+    this.filePath = null;
+    this.observer = { lat: 0, lon: 0 };
+    // Degrees above the horizon a satellite must reach to count as a pass
+    this.minElevation = 10;
+  }
+
+  // Load (or replace) the TLE file. filter is a comma-separated list of name
+  // fragments; max caps how many satellites are tracked. Throws when the file
+  // holds no usable element sets.
+  async load(filePath, { filter = '', max = 12 } = {}) {
+    const text = await require('fs').promises.readFile(filePath, 'utf8');
+    const terms = filter.split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+
+    const satellites = [];
+    for (const entry of SatelliteTracker.parseTle(text)) {
+      if (satellites.length >= max) break;
+      if (terms.length > 0 && !terms.some(term => entry.name.toUpperCase().includes(term))) continue;
+
+      const satrec = satelliteJs.twoline2satrec(entry.line1, entry.line2);
+      if (satrec.error) continue;
+      satellites.push({
+        name: entry.name,
+        noradId: satrec.satnum.trim(),
+        satrec,
+        // Minutes per revolution; satrec.no is radians per minute
+        period: (2 * Math.PI) / satrec.no,
+        nextPass: undefined,
+        passCheckedAt: 0,
+      });
+    }
+    if (satellites.length === 0) throw new Error('No usable TLE entries found');
+
+    this.satellites = satellites;
+    this.filePath = filePath;
+    return satellites.length;
+  }
+
+  unload() {
+    this.satellites = [];
+    this.filePath = null;
+  }
+
+  isLoaded() {
+    return this.satellites.length > 0;
+  }
+
+  setObserver(lat, lon) {
+    this.observer = { lat, lon };
+    this.satellites.forEach(sat => {
+      sat.nextPass = undefined;
+    });
+  }
+
+  // [{ name, line1, line2 }]; unnamed sets are named after their catalog number
+  static parseTle(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+    const entries = [];
+
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (!lines[i].startsWith('1 ') || !lines[i + 1].startsWith('2 ')) continue;
+
+      const previous = i > 0 ? lines[i - 1] : '';
+      const named = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ');
+      entries.push({
+        name: named ? previous.replace(/^0 /, '').trim() : `NORAD ${lines[i].slice(2, 7).trim()}`,
+        line1: lines[i],
+        line2: lines[i + 1],
+      });
+      i++;
+    }
+    return entries;
+  }
+
+  // { lat, lon, alt } in degrees and km, or null if the orbit has decayed
+  position(sat, date = new Date()) {
+    const pv = satelliteJs.propagate(sat.satrec, date);
+    if (!pv.position) return null;
+
+    const geodetic = satelliteJs.eciToGeodetic(pv.position, satelliteJs.gstime(date));
+    return {
+      lat: satelliteJs.degreesLat(geodetic.latitude),
+      lon: satelliteJs.degreesLong(geodetic.longitude),
+      alt: geodetic.height,
+    };
+  }
+
+  // Sub-satellite points from `before` to `after` orbits around date
+  groundTrack(sat, date = new Date(), { before = 0.5, after = 1, steps = 120 } = {}) {
+    const start = date.getTime() - before * sat.period * 60000;
+    const span = (before + after) * sat.period * 60000;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const p = this.position(sat, new Date(start + (span * i) / steps));
+      if (p) points.push(p);
+    }
+    return points;
+  }
+
+  // Angular radius in degrees of the area that sees the satellite above the horizon
+  static footprintRadius(alt) {
+    return Math.acos(EARTH_RADIUS_KM / (EARTH_RADIUS_KM + Math.max(alt, 0))) * (180 / Math.PI);
+  }
+
+  // Elevation in degrees of the satellite seen from the observer
+  elevation(sat, date) {
+    const pv = satelliteJs.propagate(sat.satrec, date);
+    if (!pv.position) return -90;
+
+    const observer = {
+      latitude: satelliteJs.degreesToRadians(this.observer.lat),
+      longitude: satelliteJs.degreesToRadians(this.observer.lon),
+      height: 0,
+    };
+    const ecf = satelliteJs.eciToEcf(pv.position, satelliteJs.gstime(date));
+    return satelliteJs.ecfToLookAngles(observer, ecf).elevation * (180 / Math.PI);
+  }
+
+  // The current or next pass over the observer within the next day:
+  // { rise, set, maxElevation, visible } with Dates, or null. Cached until
+  // the pass ends; a day without passes is re-checked every 10 minutes.
+  nextPass(sat, now = new Date()) {
+    const stale = sat.nextPass === undefined ||
+      (sat.nextPass && sat.nextPass.set < now) ||
+      (sat.nextPass === null && now - sat.passCheckedAt > 600000);
+    if (stale) {
+      sat.nextPass = this.findPass(sat, now);
+      sat.passCheckedAt = now.getTime();
+    }
+    if (!sat.nextPass) return null;
+    return { ...sat.nextPass, visible: sat.nextPass.rise <= now };
+  }
+
+  // Scan a day ahead in 30 second steps, then refine rise and set to the second
+  findPass(sat, now) {
+    const step = 30000;
+    const end = now.getTime() + 86400000;
+    const above = t => this.elevation(sat, new Date(t)) >= this.minElevation;
+
+    let t = now.getTime();
+    let rise = above(t) ? t : null;
+    for (; rise === null && t < end; t += step) {
+      if (above(t + step)) rise = this.refine(above, t, t + step);
+    }
+    if (rise === null) return null;
+
+    let set = null;
+    let maxElevation = this.minElevation;
+    for (t = Math.max(rise, now.getTime()); set === null && t < end; t += step) {
+      maxElevation = Math.max(maxElevation, this.elevation(sat, new Date(t)));
+      if (!above(t + step)) set = this.refine(t2 => !above(t2), t, t + step);
+    }
+
+    return { rise: new Date(rise), set: new Date(set === null ? end : set), maxElevation };
+  }
+
+  // First time in (from, to] where test() holds, given it holds at `to`
+  refine(test, from, to) {
+    while (to - from > 1000) {
+      const mid = (from + to) / 2;
+      if (test(mid)) to = mid;
+      else from = mid;
+    }
+    return to;
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SatelliteTracker;
+}
@@ -0,0 +1,275 @@
+// ========================================
+// SHELL INTEGRATION - OSC 133 Prompt Marks & OSC 7 CWD
+// ========================================
+//
+// Tracks commands reported by the scripts in shell-integration/:
+//   OSC 133;A  prompt start        OSC 133;C  command output start
+//   OSC 133;B  prompt end          OSC 133;D;<code>  command finished
+//   OSC 7;file://<host><path>  working directory
+
+class ShellIntegration {
+  constructor(terminal) {
+    this.terminal = terminal;
+    this.commands = [];
+    this.current = null;
+    this.cwd = null;
+    this.host = null;
+    this.navIndex = null;
+    this.maxCommands = 500;
+    this.finishedCallbacks = [];
+    // Overview ruler colors (#rrggbb) for running, succeeded and failed commands
+    this.colors = { running: '#446655', success: '#00ff88', failure: '#ff0044' };
+
+    this.disposables = [
+      terminal.parser.registerOscHandler(133, (data) => this.handlePromptMark(data)),
+      terminal.parser.registerOscHandler(7, (data) => this.handleCwd(data)),
+    ];
+  }
+
+  // True once the shell has reported at least one prompt
+  isActive() {
+    return this.commands.length > 0;
+  }
+
+  onCommandFinished(callback) {
+    this.finishedCallbacks.push(callback);
+  }
+
+  handlePromptMark(data) {
+    const [kind, ...params] = data.split(';');
+
+    switch (kind) {
+      case 'A':
+        this.startPrompt();
+        break;
+      case 'B':
+        if (this.current) this.current.inputMarker = this.terminal.registerMarker(0);
+        break;
+      case 'C':
+        if (this.current) {
+          this.current.outputMarker = this.terminal.registerMarker(0);
+          this.current.startedAt = Date.now();
+        }
+        break;
+      case 'D':
+        this.finishCommand(params[0] !== undefined && params[0] !== '' ? parseInt(params[0], 10) : null);
+        break;
+    }
+
+    return true;
+  }
+
+  handleCwd(data) {
+    const match = data.match(/^file:\/\/([^/]*)(\/.*)$/);
+    if (match) {
+      this.host = match[1] || null;
+      try {
+        this.cwd = decodeURIComponent(match[2]);
+      } catch (e) {
+        this.cwd = match[2];
+      }
+    }
+    return true;
+  }
+
+  // The OSC 7 cwd if it is on this machine: the shell reported no host,
+  // localhost or this host's name. After ssh the path belongs to the remote
+  // host and is null here.
+  localCwd(hostname = require('os').hostname()) {
+    if (!this.cwd) return null;
+    const host = (this.host || '').toLowerCase();
+    const local = hostname.toLowerCase();
+    if (!host || host === 'localhost' || host === local || host === local.split('.')[0]) return this.cwd;
+    return null;
+  }
+
+  startPrompt() {
+    // A prompt without a D (Ctrl+C at the prompt, empty line) just replaces the last one
+    if (this.current && !this.current.outputMarker) {
+      this.disposeCommand(this.current);
+      this.commands.pop();
+    }
+
+    const marker = this.terminal.registerMarker(0);
+    if (!marker) return;
+
+    const command = {
+      promptMarker: marker,
+      inputMarker: null,
+      outputMarker: null,
+      endMarker: null,
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      decoration: null,
+      statusDecoration: null,
+    };
+
+    command.decoration = this.terminal.registerDecoration({
+      marker,
+      anchor: 'left',
+      x: 0,
+      width: 1,
+      overviewRulerOptions: { color: this.rulerColor(command), position: 'left' },
+    });
+    if (command.decoration) {
+      command.decoration.onRender(el => this.renderMark(el, command));
+    }
+
+    this.commands.push(command);
+    this.current = command;
+    this.navIndex = null;
+
+    while (this.commands.length > this.maxCommands) {
+      this.disposeCommand(this.commands.shift());
+    }
+  }
+
+  finishCommand(exitCode) {
+    const command = this.current;
+    if (!command || !command.outputMarker) return;
+
+    command.endMarker = this.terminal.registerMarker(0);
+    command.finishedAt = Date.now();
+    command.exitCode = exitCode;
+
+    // Repaint the gutter mark and ruler in the result color
+    if (command.decoration && !command.decoration.isDisposed) {
+      command.decoration.options.overviewRulerOptions = { color: this.rulerColor(command), position: 'left' };
+      if (command.decoration.element) this.renderMark(command.decoration.element, command);
+    }
+
+    command.statusDecoration = this.terminal.registerDecoration({
+      marker: command.promptMarker,
+      anchor: 'right',
+      x: 0,
+      width: 14,
+    });
+    if (command.statusDecoration) {
+      command.statusDecoration.onRender(el => this.renderStatus(el, command));
+    }
+
+    this.finishedCallbacks.forEach(cb => cb({
+      exitCode,
+      duration: command.finishedAt - command.startedAt,
+    }));
+  }
+
+  renderMark(el, command) {
+    el.classList.add('command-mark');
+    el.classList.toggle('command-success', command.exitCode === 0);
+    el.classList.toggle('command-failure', command.exitCode !== null && command.exitCode !== 0);
+    el.title = command.finishedAt ? this.describe(command) : 'Running';
+  }
+
+  renderStatus(el, command) {
+    el.classList.add('command-status');
+    el.classList.toggle('command-failure', command.exitCode !== 0);
+    el.textContent = this.describe(command);
+  }
+
+  describe(command) {
+    const status = command.exitCode === 0 ? '✓' : `✗ ${command.exitCode === null ? '?' : command.exitCode}`;
+    return `${status} ${ShellIntegration.formatDuration(command.finishedAt - command.startedAt)}`;
+  }
+
+  static formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${minutes}m${seconds.toString().padStart(2, '0')}s`;
+  }
+
+  rulerColor(command) {
+    if (!command.finishedAt) return this.colors.running;
+    return command.exitCode ? this.colors.failure : this.colors.success;
+  }
+
+  // The pane's own theme colors: { running, success, failure }. Marks already
+  // drawn are recolored.
+  setColors(colors) {
+    this.colors = { ...this.colors, ...colors };
+    this.commands.forEach((command) => {
+      if (!command.decoration || command.decoration.isDisposed) return;
+      command.decoration.options.overviewRulerOptions = { color: this.rulerColor(command), position: 'left' };
+    });
+  }
+
+  // Commands whose prompt is still in the buffer
+  liveCommands() {
+    return this.commands.filter(c => !c.promptMarker.isDisposed && c.promptMarker.line >= 0);
+  }
+
+  // Scroll so the previous/next prompt sits at the top of the viewport
+  jumpToPrevious() {
+    const commands = this.liveCommands();
+    const top = this.terminal.buffer.active.viewportY;
+    for (let i = commands.length - 1; i >= 0; i--) {
+      if (commands[i].promptMarker.line < top) {
+        return this.jumpTo(commands[i]);
+      }
+    }
+    return false;
+  }
+
+  jumpToNext() {
+    const commands = this.liveCommands();
+    const top = this.terminal.buffer.active.viewportY;
+    for (const command of commands) {
+      if (command.promptMarker.line > top) {
+        return this.jumpTo(command);
+      }
+    }
+    this.terminal.scrollToBottom();
+    this.navIndex = null;
+    return false;
+  }
+
+  jumpTo(command) {
+    this.terminal.scrollToLine(command.promptMarker.line);
+    this.navIndex = this.commands.indexOf(command);
+    return true;
+  }
+
+  // Buffer lines { start, end } of the output of the command last jumped to,
+  // or of the last finished one (always, with last: true); null when there is
+  // none
+  commandOutputRange({ last = false } = {}) {
+    let command = this.navIndex !== null && !last ? this.commands[this.navIndex] : null;
+    if (!command || !command.endMarker) {
+      command = this.liveCommands().reverse().find(c => c.endMarker);
+    }
+    if (!command || !command.outputMarker || command.outputMarker.isDisposed) return null;
+
+    const start = command.outputMarker.line;
+    const end = command.endMarker.line - 1;
+    return end < start ? null : { start, end };
+  }
+
+  selectCommandOutput() {
+    const range = this.commandOutputRange();
+    if (!range) return false;
+
+    this.terminal.selectLines(range.start, range.end);
+    this.terminal.scrollToLine(Math.max(0, range.start - 1));
+    return true;
+  }
+
+  disposeCommand(command) {
+    [command.decoration, command.statusDecoration].forEach(d => d && d.dispose());
+    [command.promptMarker, command.inputMarker, command.outputMarker, command.endMarker]
+      .forEach(m => m && m.dispose());
+  }
+
+  dispose() {
+    this.commands.forEach(c => this.disposeCommand(c));
+    this.commands = [];
+    this.disposables.forEach(d => d.dispose());
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShellIntegration;
+}
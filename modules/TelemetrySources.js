@@ -0,0 +1,472 @@
+// ========================================
+// TELEMETRY SOURCES - Pluggable Data Stream Feeds
+// ========================================
+//
+// A source is any object with:
+//   id                 - unique name ('random', 'sockets', 'interfaces', 'logfile')
+//   interval           - minimum ms between polls
+//   reportsThroughput  - true when line.bytes is real traffic for the rate readout
+//   start() / stop()
+//   poll()             - resolves to an array of stream lines:
+//                        { type, tag, tagClass, content, bytes }
+
+const fsp = require('fs').promises;
+
+// TCP states from include/net/tcp_states.h
+const TCP_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING',
+};
+
+function formatBytes(bytes) {
+  if (bytes > 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + 'MB';
+  if (bytes > 1024) return (bytes / 1024).toFixed(1) + 'KB';
+  return Math.round(bytes) + 'B';
+}
+
+// ----------------------------------------
+// Simulated traffic (the original generator)
+// ----------------------------------------
+
+class RandomSource {
+  constructor(manager) {
+    this.id = 'random';
+    this.interval = 0;
+    this.reportsThroughput = false;
+    this.manager = manager;
+  }
+
+  start() {}
+
+  stop() {}
+
+  async poll() {
+    // 1-2 lines per tick, matching the original stream density
+    const count = 1 + Math.floor(Math.random() * 2);
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+      lines.push(this.manager.generateLine());
+    }
+    return lines;
+  }
+}
+
+// ----------------------------------------
+// Active sockets from /proc/net/{tcp,udp}[6]
+// ----------------------------------------
+
+class SocketSource {
+  constructor(options = {}) {
+    this.id = 'sockets';
+    this.interval = options.interval || 2000;
+    this.reportsThroughput = false;
+    this.maxLinesPerPoll = options.maxLinesPerPoll || 6;
+    this.tables = ['tcp', 'tcp6', 'udp', 'udp6'];
+
+    this.connections = new Map();
+    this.primed = false;
+    this.unavailable = false;
+  }
+
+  start() {}
+
+  stop() {}
+
+  // /proc stores IPv4 as one little-endian 32-bit word, IPv6 as four
+  static parseAddress(hex) {
+    const [addrHex, portHex] = hex.split(':');
+    const port = parseInt(portHex, 16);
+
+    if (addrHex.length === 8) {
+      const bytes = addrHex.match(/../g).map(b => parseInt(b, 16)).reverse();
+      return { ip: bytes.join('.'), port, family: 4 };
+    }
+
+    const groups = [];
+    for (let w = 0; w < 4; w++) {
+      const word = addrHex.slice(w * 8, w * 8 + 8).match(/../g).reverse().join('');
+      groups.push(word.slice(0, 4), word.slice(4, 8));
+    }
+    let ip = groups.map(g => parseInt(g, 16).toString(16)).join(':');
+
+    // IPv4-mapped (::ffff:a.b.c.d)
+    const mapped = ip.match(/^0:0:0:0:0:ffff:([0-9a-f]+):([0-9a-f]+)$/);
+    if (mapped) {
+      const hi = parseInt(mapped[1], 16);
+      const lo = parseInt(mapped[2], 16);
+      return { ip: `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`, port, family: 4 };
+    }
+
+    ip = ip.replace(/(^|:)0(:0)+(:|$)/, '::');
+    return { ip, port, family: 6 };
+  }
+
+  static parseTable(text, proto) {
+    const rows = [];
+    const lines = text.split('\n').slice(1);
+
+    for (const line of lines) {
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 10) continue;
+
+      rows.push({
+        proto,
+        local: SocketSource.parseAddress(fields[1]),
+        remote: SocketSource.parseAddress(fields[2]),
+        state: proto === 'TCP' ? (TCP_STATES[fields[3]] || fields[3]) : 'OPEN',
+        uid: parseInt(fields[7], 10),
+        inode: fields[9],
+      });
+    }
+
+    return rows;
+  }
+
+  async readConnections() {
+    const all = [];
+    for (const table of this.tables) {
+      try {
+        const text = await fsp.readFile(`/proc/net/${table}`, 'utf8');
+        all.push(...SocketSource.parseTable(text, table.replace('6', '').toUpperCase()));
+      } catch (e) {
+        // Table missing (no IPv6, not Linux) - skip it
+      }
+    }
+    return all;
+  }
+
+  // Latest snapshot of connections with a remote peer
+  getConnections() {
+    return Array.from(this.connections.values()).filter(c => c.remote.port !== 0);
+  }
+
+  // Map socket inodes to { pid, name } by scanning /proc/<pid>/fd.
+  // Only this user's processes are readable; others stay unmapped. Every
+  // socket passed on the way is kept, not just the wanted ones, so callers
+  // can answer later lookups from the result without walking again.
+  static async findSocketOwners(inodes) {
+    const wanted = new Set(inodes);
+    const owners = new Map();
+    if (wanted.size === 0) return owners;
+
+    let pids;
+    try {
+      pids = (await fsp.readdir('/proc')).filter(name => /^\d+$/.test(name));
+    } catch (e) {
+      return owners;
+    }
+
+    let found = 0;
+    for (const pid of pids) {
+      let fds;
+      try {
+        fds = await fsp.readdir(`/proc/${pid}/fd`);
+      } catch (e) {
+        continue;
+      }
+
+      // One process at a time, its descriptors all at once
+      const targets = await Promise.all(fds.map(fd =>
+        fsp.readlink(`/proc/${pid}/fd/${fd}`).catch(() => '')
+      ));
+      const sockets = targets
+        .map(target => (target.match(/^socket:\[(\d+)\]$/) || [])[1])
+        .filter(inode => inode && !owners.has(inode));
+      if (sockets.length === 0) continue;
+
+      let name = pid;
+      try {
+        name = (await fsp.readFile(`/proc/${pid}/comm`, 'utf8')).trim();
+      } catch (e) {
+        // Process exited mid-scan
+      }
+      for (const inode of sockets) {
+        owners.set(inode, { pid: Number(pid), name });
+        if (wanted.has(inode)) found++;
+      }
+
+      if (found === wanted.size) break;
+    }
+
+    return owners;
+  }
+
+  async poll() {
+    if (this.unavailable) return [];
+
+    const rows = await this.readConnections();
+    if (rows.length === 0 && !this.primed) {
+      this.unavailable = true;
+      return [{
+        type: 'alert',
+        tag: 'SOCK',
+        tagClass: 'tag-alert',
+        content: 'Socket tables unavailable (/proc/net not readable)',
+      }];
+    }
+
+    const current = new Map();
+    for (const row of rows) {
+      const key = `${row.proto} ${row.local.ip}:${row.local.port} ${row.remote.ip}:${row.remote.port}`;
+      current.set(key, row);
+    }
+
+    const lines = [];
+    for (const [key, row] of current) {
+      const previous = this.connections.get(key);
+      if (!previous || previous.state !== row.state) {
+        lines.push(this.formatLine(row, row.state));
+      }
+    }
+    for (const [key, row] of this.connections) {
+      if (!current.has(key)) {
+        lines.push(this.formatLine(row, 'CLOSED'));
+      }
+    }
+
+    this.connections = current;
+
+    // First poll lists what is already open, capped like every other poll
+    this.primed = true;
+    return lines.slice(0, this.maxLinesPerPoll);
+  }
+
+  formatLine(row, state) {
+    const local = `${row.local.ip}:${row.local.port}`;
+    const remote = row.remote.port === 0 ? '*' : `${row.remote.ip}:${row.remote.port}`;
+    return {
+      type: 'network',
+      tag: row.proto,
+      tagClass: row.proto === 'UDP' ? 'tag-udp' : 'tag-tcp',
+      // No bytes: socket queue sizes are backlog, not traffic
+      content: `${local} → ${remote} ${state}`,
+    };
+  }
+}
+
+// ----------------------------------------
+// Interface byte counters from /proc/net/dev
+// ----------------------------------------
+
+class InterfaceSource {
+  constructor(options = {}) {
+    this.id = 'interfaces';
+    this.interval = options.interval || 1000;
+    this.reportsThroughput = true;
+    this.includeLoopback = options.includeLoopback || false;
+
+    this.previous = null;
+    this.unavailable = false;
+  }
+
+  start() {}
+
+  stop() {
+    this.previous = null;
+  }
+
+  static parseDev(text) {
+    const counters = new Map();
+    const lines = text.split('\n').slice(2);
+
+    for (const line of lines) {
+      const match = line.match(/^\s*([^:]+):\s*(.*)$/);
+      if (!match) continue;
+      const fields = match[2].trim().split(/\s+/).map(Number);
+      counters.set(match[1].trim(), { rx: fields[0], tx: fields[8] });
+    }
+
+    return counters;
+  }
+
+  async poll() {
+    if (this.unavailable) return [];
+
+    let counters;
+    try {
+      counters = InterfaceSource.parseDev(await fsp.readFile('/proc/net/dev', 'utf8'));
+    } catch (e) {
+      this.unavailable = true;
+      return [{
+        type: 'alert',
+        tag: 'IFACE',
+        tagClass: 'tag-alert',
+        content: 'Interface counters unavailable (/proc/net/dev not readable)',
+      }];
+    }
+
+    const previous = this.previous;
+    this.previous = counters;
+    if (!previous) return [];
+
+    const lines = [];
+    for (const [name, now] of counters) {
+      if (name === 'lo' && !this.includeLoopback) continue;
+
+      const before = previous.get(name);
+      if (!before) continue;
+
+      // Counters reset when an interface goes down and up again
+      const rx = Math.max(0, now.rx - before.rx);
+      const tx = Math.max(0, now.tx - before.tx);
+      if (rx === 0 && tx === 0) continue;
+
+      lines.push({
+        type: 'network',
+        tag: 'IFACE',
+        tagClass: 'tag-udp',
+        content: `${name} RX ${formatBytes(rx)} TX ${formatBytes(tx)}`,
+        bytes: rx + tx,
+      });
+    }
+
+    return lines;
+  }
+}
+
+// ----------------------------------------
+// Tail a user-chosen log file
+// ----------------------------------------
+
+class FileTailer {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.position = null;
+    this.partial = '';
+    this.backlogBytes = options.backlogBytes !== undefined ? options.backlogBytes : 2048;
+  }
+
+  // Returns complete lines appended since the last read
+  async readNewLines() {
+    const stat = await fsp.stat(this.filePath);
+
+    if (this.position === null) {
+      // Start near the end, like tail -f, dropping the first partial line
+      this.position = Math.max(0, stat.size - this.backlogBytes);
+      this.skipPartial = this.position > 0;
+    } else if (stat.size < this.position) {
+      // Truncated or rotated
+      this.position = 0;
+      this.partial = '';
+      this.skipPartial = false;
+    }
+
+    if (stat.size === this.position) return [];
+
+    const handle = await fsp.open(this.filePath, 'r');
+    try {
+      // While skipping, read from the byte before so a backlog that starts
+      // right after a newline keeps its first line
+      const start = this.skipPartial ? this.position - 1 : this.position;
+      const length = Math.min(stat.size - start, 256 * 1024);
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, start);
+      this.position = start + bytesRead;
+
+      let text = this.partial + buffer.toString('utf8', 0, bytesRead);
+      if (this.skipPartial) {
+        // Drop up to the end of the line the backlog started in, however
+        // many reads it takes to see it
+        const newline = text.indexOf('\n');
+        if (newline === -1) return [];
+        text = text.slice(newline + 1);
+        this.skipPartial = false;
+      }
+
+      const lines = text.split('\n');
+      this.partial = lines.pop();
+      return lines.filter(l => l.trim());
+    } finally {
+      await handle.close();
+    }
+  }
+
+  reset() {
+    this.position = null;
+    this.partial = '';
+  }
+}
+
+class LogTailSource {
+  constructor(options = {}) {
+    this.id = 'logfile';
+    this.interval = options.interval || 1000;
+    this.reportsThroughput = false;
+    this.filePath = options.filePath;
+    this.alertPattern = options.alertPattern || /\b(error|fail(ed|ure)?|denied|critical|panic)\b/i;
+    this.maxLinesPerPoll = options.maxLinesPerPoll || 10;
+
+    this.tailer = this.filePath ? new FileTailer(this.filePath) : null;
+    this.failed = false;
+  }
+
+  start() {}
+
+  stop() {
+    if (this.tailer) this.tailer.reset();
+  }
+
+  async poll() {
+    if (!this.tailer || this.failed) return [];
+
+    let lines;
+    try {
+      lines = await this.tailer.readNewLines();
+    } catch (e) {
+      this.failed = true;
+      return [{
+        type: 'alert',
+        tag: 'LOG',
+        tagClass: 'tag-alert',
+        content: `Cannot read ${this.filePath}: ${e.code || e.message}`,
+      }];
+    }
+
+    return lines.slice(-this.maxLinesPerPoll).map(text => {
+      const isAlert = this.alertPattern.test(text);
+      return {
+        type: isAlert ? 'alert' : 'system',
+        tag: 'LOG',
+        tagClass: isAlert ? 'tag-alert' : 'tag-tcp',
+        content: text.length > 200 ? text.slice(0, 197) + '...' : text,
+      };
+    });
+  }
+}
+
+// Build a source from its id; returns null for unknown ids
+function createTelemetrySource(id, manager, options = {}) {
+  switch (id) {
+    case 'random':
+      return new RandomSource(manager);
+    case 'sockets':
+      return new SocketSource(options);
+    case 'interfaces':
+      return new InterfaceSource(options);
+    case 'logfile':
+      return options.filePath ? new LogTailSource(options) : null;
+    default:
+      return null;
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RandomSource,
+    SocketSource,
+    InterfaceSource,
+    FileTailer,
+    LogTailSource,
+    createTelemetrySource,
+  };
+}
@@ -0,0 +1,360 @@
+// ========================================
+// THEME REGISTRY - Built-in, User and Imported Color Schemes
+// ========================================
+//
+// Themes come from the app's themes/ directory, then the user's theme
+// directory, where a theme with the same id replaces a built-in one. The id
+// is the file name without its extension. Files read:
+//   *.json         HackerTerm themes, Windows Terminal schemes (a single
+//                  scheme or a settings.json with "schemes") or base16 JSON
+//   *.itermcolors  iTerm2 color presets
+//   *.yaml, *.yml  base16 / tinted-theming schemes
+//
+// A HackerTerm theme:
+//   {
+//     "name": "Matrix Green",
+//     "terminal": { "background": "#0a0a0a", "foreground": "#00ff88", "black": ..., "brightWhite": ... },
+//     "ui":       { "primary-color": "#00ff88", "secondary-color": ..., ... },   CSS variables, without --
+//     "globe":    { "primary": ..., "secondary": ... },
+//     "cityMap":  { "primary": ..., "primaryDim": ..., "alert": ... },
+//     "waveform": { "primary": ... }
+//   }
+// Only terminal.background and terminal.foreground are required; missing UI
+// colors are derived from the palette and the canvas renderers follow the UI.
+
+const ANSI_COLOR_NAMES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+  'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+
+class ThemeRegistry {
+  // directories: [{ dir, source }] in load order, later ones win
+  constructor(directories, defaultId = 'matrix') {
+    this.directories = directories;
+    this.defaultId = defaultId;
+    this.themes = new Map();
+    this.errors = [];
+  }
+
+  load() {
+    const nodeFs = require('fs');
+    const nodePath = require('path');
+
+    this.themes.clear();
+    this.errors = [];
+
+    for (const { dir, source } of this.directories) {
+      let files;
+      try {
+        files = nodeFs.readdirSync(dir).sort();
+      } catch (e) {
+        continue;
+      }
+
+      for (const file of files) {
+        const filePath = nodePath.join(dir, file);
+        try {
+          const themes = ThemeRegistry.parseFile(file, nodeFs.readFileSync(filePath, 'utf8'));
+          themes.forEach(theme => this.themes.set(theme.id, { ...theme, source, file: filePath }));
+        } catch (e) {
+          this.errors.push(`${file}: ${e.message}`);
+        }
+      }
+    }
+
+    if (this.errors.length > 0) {
+      console.warn('Some themes could not be loaded:', this.errors);
+    }
+  }
+
+  has(id) {
+    return this.themes.has(id);
+  }
+
+  // Unknown ids fall back to the default theme, then to any theme at all
+  get(id) {
+    return this.themes.get(id) || this.themes.get(this.defaultId) || this.themes.values().next().value || null;
+  }
+
+  list() {
+    return Array.from(this.themes.values())
+      .map(({ id, name, source }) => ({ id, name, source }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Check that a scheme file parses, write each of its themes into targetDir
+  // as <id>.json and reload. Resolves with { ids, replaced }: the ids of the
+  // themes it added and those of user themes it overwrote.
+  async import(filePath, targetDir) {
+    const nodeFs = require('fs');
+    const nodePath = require('path');
+
+    const fileName = nodePath.basename(filePath);
+    const themes = ThemeRegistry.parseFile(fileName, await nodeFs.promises.readFile(filePath, 'utf8'));
+    if (themes.length === 0) throw new Error('No color scheme found in this file');
+    const ids = themes.map(t => t.id);
+
+    // Re-importing a file that's already in targetDir just reloads it
+    if (nodePath.resolve(nodePath.dirname(filePath)) === nodePath.resolve(targetDir)) {
+      this.load();
+      return { ids, replaced: [] };
+    }
+
+    // One file per theme, so a second settings.json or a scheme sharing a
+    // file name with an earlier import doesn't drop that import's themes
+    const replaced = ids.filter(id => this.themes.has(id) && this.themes.get(id).source === 'user');
+    await nodeFs.promises.mkdir(targetDir, { recursive: true });
+    for (const { id, name, terminal, ui, globe, cityMap, waveform } of themes) {
+      const theme = { name, terminal, ui, globe, cityMap, waveform };
+      await nodeFs.promises.writeFile(nodePath.join(targetDir, `${id}.json`), `${JSON.stringify(theme, null, 2)}\n`);
+    }
+    this.load();
+    return { ids, replaced };
+  }
+
+  // ---- Parsing ----
+
+  // Themes in a file, or [] for files that aren't color schemes
+  static parseFile(fileName, text) {
+    const match = /^(.*?)(\.[^.]+)?$/.exec(fileName);
+    const base = match[1];
+    const ext = (match[2] || '').toLowerCase();
+
+    switch (ext) {
+      case '.itermcolors':
+        return [ThemeRegistry.normalize(base, ThemeRegistry.fromITerm(text))];
+      case '.yaml':
+      case '.yml':
+        return [ThemeRegistry.normalize(base, ThemeRegistry.fromBase16(ThemeRegistry.parseYamlPairs(text)))];
+      case '.json':
+        return ThemeRegistry.fromJson(base, JSON.parse(ThemeRegistry.stripJsonComments(text)));
+      default:
+        return [];
+    }
+  }
+
+  static fromJson(base, data) {
+    if (!data || typeof data !== 'object') throw new Error('Not a theme');
+
+    // Windows Terminal settings.json: one theme per scheme, named by the scheme
+    if (Array.isArray(data.schemes)) {
+      return data.schemes
+        .filter(scheme => scheme && scheme.name)
+        .map(scheme => ThemeRegistry.normalize(ThemeRegistry.slug(scheme.name), ThemeRegistry.fromWindowsTerminal(scheme)));
+    }
+    if (data.terminal) {
+      return [ThemeRegistry.normalize(base, data)];
+    }
+    if (data.base00 || (data.palette && data.palette.base00)) {
+      return [ThemeRegistry.normalize(base, ThemeRegistry.fromBase16(data))];
+    }
+    if (data.background && data.black) {
+      return [ThemeRegistry.normalize(base, ThemeRegistry.fromWindowsTerminal(data))];
+    }
+    throw new Error('Unrecognized theme format');
+  }
+
+  // Windows Terminal calls magenta "purple"
+  static fromWindowsTerminal(scheme) {
+    const terminal = {
+      background: scheme.background,
+      foreground: scheme.foreground,
+      cursor: scheme.cursorColor,
+      selectionBackground: scheme.selectionBackground,
+    };
+    ANSI_COLOR_NAMES.forEach((name) => {
+      terminal[name] = scheme[name];
+    });
+    terminal.magenta = scheme.purple || scheme.magenta;
+    terminal.brightMagenta = scheme.brightPurple || scheme.brightMagenta;
+    return { name: scheme.name, terminal };
+  }
+
+  // iTerm2 presets are plists of { "Ansi 0 Color": { "Red Component": 0.1, ... } }
+  static fromITerm(text) {
+    const keys = {
+      'Background Color': 'background',
+      'Foreground Color': 'foreground',
+      'Cursor Color': 'cursor',
+      'Cursor Text Color': 'cursorAccent',
+      'Selection Color': 'selectionBackground',
+    };
+    ANSI_COLOR_NAMES.forEach((name, i) => {
+      keys[`Ansi ${i} Color`] = name;
+    });
+
+    const terminal = {};
+    const entry = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+    let match;
+    while ((match = entry.exec(text)) !== null) {
+      const name = keys[match[1].trim()];
+      if (!name) continue;
+
+      const rgb = {};
+      const component = /<key>(Red|Green|Blue) Component<\/key>\s*<(?:real|integer)>([^<]+)<\/(?:real|integer)>/g;
+      let c;
+      while ((c = component.exec(match[2])) !== null) {
+        rgb[c[1]] = parseFloat(c[2]);
+      }
+      if ([rgb.Red, rgb.Green, rgb.Blue].every(v => typeof v === 'number' && !isNaN(v))) {
+        terminal[name] = ThemeRegistry.toHex(rgb.Red * 255, rgb.Green * 255, rgb.Blue * 255);
+      }
+    }
+    return { terminal };
+  }
+
+  // base16: base00-07 are background to foreground shades, base08-0F accents
+  static fromBase16(data) {
+    const palette = data.palette || data;
+    const color = (key) => {
+      const value = palette[key] || palette[key.toLowerCase()];
+      if (!value) return undefined;
+      return String(value).startsWith('#') ? String(value) : `#${value}`;
+    };
+
+    return {
+      name: data.scheme || data.name,
+      terminal: {
+        background: color('base00'),
+        foreground: color('base05'),
+        cursor: color('base05'),
+        selectionBackground: color('base02'),
+        black: color('base00'),
+        red: color('base08'),
+        green: color('base0B'),
+        yellow: color('base0A'),
+        blue: color('base0D'),
+        magenta: color('base0E'),
+        cyan: color('base0C'),
+        white: color('base05'),
+        brightBlack: color('base03'),
+        brightRed: color('base08'),
+        brightGreen: color('base0B'),
+        brightYellow: color('base0A'),
+        brightBlue: color('base0D'),
+        brightMagenta: color('base0E'),
+        brightCyan: color('base0C'),
+        brightWhite: color('base07'),
+      },
+    };
+  }
+
+  // Just enough YAML for base16 files: "key: value" lines, nesting ignored
+  static parseYamlPairs(text) {
+    const pairs = {};
+    text.split('\n').forEach((line) => {
+      const match = /^\s*([\w-]+)\s*:\s*(.*)$/.exec(line);
+      if (!match) return;
+      let value = match[2].trim();
+      const quoted = /^(["'])(.*?)\1/.exec(value);
+      value = quoted ? quoted[2] : value.replace(/\s+#.*$/, '').trim();
+      if (value) pairs[match[1]] = value;
+    });
+    return pairs;
+  }
+
+  // Windows Terminal settings are JSON with // and /* */ comments and
+  // trailing commas; strings are matched first so a // or ,] inside one
+  // (a URL, say) stays put. A comma is trailing when only blanks and
+  // comments stand between it and the closing ] or }.
+  static stripJsonComments(text) {
+    const pattern = /("(?:[^"\\\n]|\\.)*")|,(?=(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[\]}])|\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+    return text.replace(pattern, (match, string) => string || ' ');
+  }
+
+  // Fill in everything a theme may leave out. Palette and UI colors end up
+  // as '#rrggbb' ('#rrggbbaa' with alpha); anything else is dropped.
+  static normalize(id, theme) {
+    const colors = (entries) => {
+      const result = {};
+      for (const [key, value] of Object.entries(entries || {})) {
+        const color = ThemeRegistry.color(value);
+        if (color) result[key] = color;
+      }
+      return result;
+    };
+    const terminal = colors(theme.terminal);
+    const themeUi = colors(theme.ui);
+    if (!ThemeRegistry.isColor(terminal.background) || !ThemeRegistry.isColor(terminal.foreground)) {
+      throw new Error('A theme needs at least terminal background and foreground colors');
+    }
+
+    terminal.cursor = terminal.cursor || terminal.foreground;
+    terminal.cursorAccent = terminal.cursorAccent || terminal.background;
+    terminal.selectionBackground = terminal.selectionBackground || `${ThemeRegistry.toHex(...ThemeRegistry.parseHex(terminal.foreground))}55`;
+
+    const bg = terminal.background;
+    const primary = themeUi['primary-color'] || terminal.cursor;
+    const mix = (color, amount) => ThemeRegistry.mix(color, bg, amount);
+    const ui = {
+      'primary-color': primary,
+      'primary-dim': mix(primary, 0.35),
+      'primary-glow': primary,
+      'secondary-color': terminal.cyan || terminal.blue || primary,
+      'warning-color': terminal.yellow || primary,
+      'alert-color': terminal.red || primary,
+      'background': bg,
+      'panel-bg': bg,
+      'border-color': mix(primary, 0.8),
+      'text-dim': terminal.brightBlack || mix(primary, 0.6),
+      ...themeUi,
+    };
+
+    return {
+      id,
+      name: theme.name || id,
+      terminal,
+      ui,
+      globe: theme.globe || {},
+      cityMap: theme.cityMap || {},
+      waveform: theme.waveform || {},
+    };
+  }
+
+  // ---- Colors ----
+
+  static isColor(value) {
+    return typeof value === 'string' && ThemeRegistry.parseHex(value) !== null;
+  }
+
+  // '#rgb', '#rrggbb' or '#rrggbbaa', with or without the #, as lowercase
+  // '#rrggbb' or '#rrggbbaa'; null for anything else
+  static color(value) {
+    if (typeof value !== 'string') return null;
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value.trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return `#${hex.toLowerCase()}`;
+  }
+
+  // '#rgb', '#rrggbb' or '#rrggbbaa' -> [r, g, b]
+  static parseHex(value) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(value).trim());
+    if (!match) return null;
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+
+  static toHex(r, g, b) {
+    return `#${[r, g, b].map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  // amount 0 is a, 1 is b
+  static mix(a, b, amount) {
+    const ca = ThemeRegistry.parseHex(a);
+    const cb = ThemeRegistry.parseHex(b);
+    if (!ca || !cb) return a;
+    return ThemeRegistry.toHex(...ca.map((v, i) => v + (cb[i] - v) * amount));
+  }
+
+  static slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+  }
+}
+
+// Export for use in renderer.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeRegistry;
+}
@@ -21,8 +21,7 @@ class WaveformRenderer {
     this.currentSpike = 0;
 
     // Visual settings
-    this.primaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--primary-color').trim() || '#00ff88';
+    this.updateColors();
     this.glowIntensity = 15;
 
     // Initialize points
@@ -47,9 +46,11 @@ class WaveformRenderer {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
+  // A theme's --waveform-primary wins over the UI color
   updateColors() {
-    this.primaryColor = getComputedStyle(document.documentElement)
-      .getPropertyValue('--primary-color').trim() || '#00ff88';
+    const style = getComputedStyle(document.documentElement);
+    this.primaryColor = style.getPropertyValue('--waveform-primary').trim() ||
+      style.getPropertyValue('--primary-color').trim() || '#00ff88';
   }
 
   // Trigger a spike (called on keyboard input)
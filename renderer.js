@@ -1,9 +1,14 @@
 const { ipcRenderer, shell, clipboard } = require('electron');
 const { Terminal } = require('@xterm/xterm');
 const { FitAddon } = require('@xterm/addon-fit');
+const { SearchAddon } = require('@xterm/addon-search');
+const { SerializeAddon } = require('@xterm/addon-serialize');
+// 0.10 only publishes its ES module build
+const { LigaturesAddon } = require('@xterm/addon-ligatures/lib/addon-ligatures.mjs');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { EventEmitter } = require('events');
 
 // ========================================
 // SETTINGS PERSISTENCE
@@ -28,6 +33,32 @@ const defaultShortcuts = {
   'dataPanel.toggle': 'Ctrl+Shift+P',
   'settings.open': 'Ctrl+,',
   'stt.toggle': 'Ctrl+Shift+S',
+  'tab.newWithProfile': 'Ctrl+Shift+T',
+  'session.save': 'Ctrl+Alt+S',
+  'session.loadLayout': 'Ctrl+Alt+L',
+  'pane.find': 'Ctrl+Shift+F',
+  'pane.prevCommand': 'Ctrl+Shift+Up',
+  'pane.nextCommand': 'Ctrl+Shift+Down',
+  'pane.selectOutput': 'Ctrl+Shift+O',
+  'tab.moveToNewWindow': 'Ctrl+Shift+N',
+  'pane.broadcast': 'Ctrl+Shift+B',
+  'pane.zoom': 'Ctrl+Shift+Z',
+  'pane.resizeUp': 'Ctrl+Shift+Alt+Up',
+  'pane.resizeDown': 'Ctrl+Shift+Alt+Down',
+  'pane.resizeLeft': 'Ctrl+Shift+Alt+Left',
+  'pane.resizeRight': 'Ctrl+Shift+Alt+Right',
+  'pane.swapUp': 'Ctrl+Shift+Alt+K',
+  'pane.swapDown': 'Ctrl+Shift+Alt+J',
+  'pane.swapLeft': 'Ctrl+Shift+Alt+H',
+  'pane.swapRight': 'Ctrl+Shift+Alt+L',
+  'layout.evenHorizontal': 'Ctrl+Alt+1',
+  'layout.evenVertical': 'Ctrl+Alt+2',
+  'layout.mainLeft': 'Ctrl+Alt+3',
+  'layout.tiled': 'Ctrl+Alt+4',
+  'pane.record': 'Ctrl+Shift+R',
+  'session.replay': 'Ctrl+Alt+R',
+  'pane.export': 'Ctrl+Shift+X',
+  'tab.theme': 'Ctrl+Alt+C',
 };
 
 const shortcutLabels = {
@@ -47,11 +78,100 @@ const shortcutLabels = {
   'dataPanel.toggle': 'Toggle Data Panel',
   'settings.open': 'Open Settings',
   'stt.toggle': 'Speech-to-Text',
+  'tab.newWithProfile': 'New Tab with Profile',
+  'session.save': 'Save Session',
+  'session.loadLayout': 'Load Layout',
+  'pane.find': 'Find in Scrollback',
+  'pane.prevCommand': 'Previous Command',
+  'pane.nextCommand': 'Next Command',
+  'pane.selectOutput': 'Select Command Output',
+  'tab.moveToNewWindow': 'Move Tab to New Window',
+  'pane.broadcast': 'Broadcast Input',
+  'pane.zoom': 'Zoom Pane',
+  'pane.resizeUp': 'Move Pane Edge Up',
+  'pane.resizeDown': 'Move Pane Edge Down',
+  'pane.resizeLeft': 'Move Pane Edge Left',
+  'pane.resizeRight': 'Move Pane Edge Right',
+  'pane.swapUp': 'Swap Pane Up',
+  'pane.swapDown': 'Swap Pane Down',
+  'pane.swapLeft': 'Swap Pane Left',
+  'pane.swapRight': 'Swap Pane Right',
+  'layout.evenHorizontal': 'Layout: Even Horizontal',
+  'layout.evenVertical': 'Layout: Even Vertical',
+  'layout.mainLeft': 'Layout: Main Left',
+  'layout.tiled': 'Layout: Tiled',
+  'pane.record': 'Record Pane',
+  'session.replay': 'Replay Recording',
+  'pane.export': 'Export Scrollback',
+  'tab.theme': 'Tab Theme',
 };
 
+// Shell profiles: command, args and env values may use ~ and $VAR,
+// which are expanded by the main process before spawning
+const defaultProfiles = {
+  bash: {
+    name: 'Bash',
+    command: '/bin/bash',
+    args: ['--rcfile', '~/.bashrc', '-i'],
+    env: { BASH_ENV: '~/.bashrc' },
+    cwd: null,
+    theme: null,
+  },
+  login: {
+    name: 'Login Shell',
+    command: '$SHELL',
+    args: ['-l'],
+    env: {},
+    cwd: null,
+    theme: null,
+  },
+};
+
+// Threat rules: each raises the threat level to `level` for `duration` ms.
+//   log:    new lines in `file` matching `pattern`
+//   metric: `metric` ('cpu' or 'mem', percent) above `above`
+//   exit:   non-zero exit code in a watched pane (or any pane with allPanes)
+//   output: terminal output matching `pattern`
+const defaultThreatRules = [
+  {
+    id: 'auth-failures',
+    type: 'log',
+    file: '/var/log/auth.log',
+    pattern: 'Failed password|authentication failure|incorrect password attempt',
+    level: 'HIGH',
+  },
+  { id: 'cpu-high', type: 'metric', metric: 'cpu', above: 90, level: 'MEDIUM' },
+  { id: 'mem-high', type: 'metric', metric: 'mem', above: 90, level: 'MEDIUM' },
+  { id: 'watched-exit', type: 'exit', level: 'MEDIUM' },
+  {
+    id: 'crash-output',
+    type: 'output',
+    pattern: 'Segmentation fault|core dumped|Traceback \\(most recent call last\\)',
+    level: 'MEDIUM',
+  },
+];
+
+// Foreground commands that never trigger the close confirmation
+const defaultConfirmCloseIgnore = [
+  'bash', 'zsh', 'fish', 'sh', 'dash', 'ksh', 'tcsh', 'csh',
+  'pwsh', 'powershell', 'cmd',
+  'less', 'more', 'most', 'man', 'top', 'htop', 'btop', 'tail', 'watch',
+];
+
 const defaultSettings = {
   theme: 'matrix',
+  // Switch to another theme between two times of day; from > to runs past midnight
+  themeSchedule: { enabled: false, theme: 'amber', from: '20:00', to: '07:00' },
   fontSize: 14,
+  // Empty fontFamily uses the built-in stack; see terminalFontFamily()
+  fontFamily: '',
+  fontWeight: 500,
+  fontWeightBold: 700,
+  lineHeight: 1.25,
+  letterSpacing: 0.5,
+  cursorStyle: 'block',
+  cursorBlink: true,
+  ligatures: false,
   effectsEnabled: true,
   effectsIntensity: 50,
   glitchEnabled: true,
@@ -60,6 +180,33 @@ const defaultSettings = {
   typingSoundEnabled: true,
   typingSoundVolume: 30,
   shortcuts: { ...defaultShortcuts },
+  profiles: { ...defaultProfiles },
+  defaultProfile: 'bash',
+  shellIntegration: true,
+  titleTemplate: '{title}',
+  restoreSession: true,
+  confirmClose: true,
+  confirmCloseIgnore: defaultConfirmCloseIgnore,
+  telemetrySources: ['random'],
+  telemetryLogFile: '',
+  globeEndpoints: false,
+  // Natural Earth coastlines instead of the hand-drawn continents
+  globeCoastlines: true,
+  globeBorders: true,
+  geoIpDatabase: '',
+  // Real satellites from a TLE file; names to track, comma-separated (empty = first 12)
+  satelliteTleFile: '',
+  satelliteFilter: '',
+  // GeoJSON overlays: [{ file, name, color, visible, pulse, labelProperty }]
+  globeLayers: [],
+  homeLat: 51.48,
+  homeLon: 0,
+  // Header clock: 'local', 'cycle' (local and each world clock in turn) or 'list'
+  clockMode: 'local',
+  // [{ label, timeZone, lat, lon }]; label and coordinates are optional, see resolveWorldClocks()
+  worldClocks: [],
+  threatSimulation: true,
+  threatRules: defaultThreatRules,
 };
 
 let currentSettings = { ...defaultSettings };
@@ -72,7 +219,9 @@ function loadSettings() {
       currentSettings = {
         ...defaultSettings,
         ...saved,
-        shortcuts: { ...defaultShortcuts, ...(saved.shortcuts || {}) }
+        shortcuts: { ...defaultShortcuts, ...(saved.shortcuts || {}) },
+        profiles: { ...defaultProfiles, ...(saved.profiles || {}) },
+        themeSchedule: { ...defaultSettings.themeSchedule, ...(saved.themeSchedule || {}) },
       };
     }
   } catch (e) {
@@ -90,6 +239,14 @@ function saveSettings() {
   }
 }
 
+// Look up a shell profile by id, falling back to the default profile
+function getProfile(profileId) {
+  const profiles = currentSettings.profiles || defaultProfiles;
+  const id = profiles[profileId] ? profileId : currentSettings.defaultProfile;
+  const profile = profiles[id] || defaultProfiles.bash;
+  return { id: profiles[id] ? id : 'bash', ...profile, name: profile.name || id };
+}
+
 // Load settings immediately
 loadSettings();
 
@@ -123,6 +280,10 @@ class ContextMenu {
         <span>Clear</span>
         <span class="context-menu-icon">⌘K</span>
       </div>
+      <div class="context-menu-item" data-action="export">
+        <span>Export Scrollback…</span>
+        <span class="context-menu-icon">⇩</span>
+      </div>
       <div class="context-menu-separator"></div>
       <div class="context-menu-item" data-action="split-vertical">
         <span>Split Vertical</span>
@@ -132,6 +293,31 @@ class ContextMenu {
         <span>Split Horizontal</span>
         <span class="context-menu-icon">━</span>
       </div>
+      <div class="context-menu-item" data-action="split-profile">
+        <span>Split with Profile…</span>
+        <span class="context-menu-icon">┃</span>
+      </div>
+      <div class="context-menu-item" data-action="zoom">
+        <span class="zoom-label">Zoom Pane</span>
+        <span class="context-menu-icon">⤢</span>
+      </div>
+      <div class="context-menu-item" data-action="tab-theme">
+        <span>Tab Theme…</span>
+        <span class="context-menu-icon">◐</span>
+      </div>
+      <div class="context-menu-separator"></div>
+      <div class="context-menu-item" data-action="watch">
+        <span class="watch-label">Watch Pane</span>
+        <span class="context-menu-icon">◉</span>
+      </div>
+      <div class="context-menu-item" data-action="broadcast">
+        <span class="broadcast-label">Broadcast to Pane</span>
+        <span class="context-menu-icon">⇶</span>
+      </div>
+      <div class="context-menu-item" data-action="record">
+        <span class="record-label">Record Pane</span>
+        <span class="context-menu-icon">●</span>
+      </div>
     `;
     document.body.appendChild(this.menu);
 
@@ -157,8 +343,28 @@ class ContextMenu {
       copyItem.classList.toggle('disabled', !hasSelection);
     }
 
+    const pane = paneManager ? paneManager.panes.get(paneId) : null;
+    const watchLabel = this.menu.querySelector('.watch-label');
+    if (watchLabel) {
+      watchLabel.textContent = pane && pane.watched ? 'Unwatch Pane' : 'Watch Pane';
+    }
+    const zoomLabel = this.menu.querySelector('.zoom-label');
+    if (zoomLabel) {
+      zoomLabel.textContent = pane && paneManager.isZoomed(paneId) ? 'Unzoom Pane' : 'Zoom Pane';
+    }
+    const broadcastLabel = this.menu.querySelector('.broadcast-label');
+    if (broadcastLabel) {
+      const selected = paneManager && paneManager.broadcast.mode === 'selected' && paneManager.broadcast.paneIds.has(paneId);
+      broadcastLabel.textContent = selected ? 'Stop Broadcasting to Pane' : 'Broadcast to Pane';
+    }
+
+    const recordLabel = this.menu.querySelector('.record-label');
+    if (recordLabel) {
+      recordLabel.textContent = pane && pane.recorder ? 'Stop Recording' : 'Record Pane';
+    }
+
     const menuWidth = 180;
-    const menuHeight = 190;
+    const menuHeight = 410;
     const adjustedX = x + menuWidth > window.innerWidth ? window.innerWidth - menuWidth - 10 : x;
     const adjustedY = y + menuHeight > window.innerHeight ? window.innerHeight - menuHeight - 10 : y;
 
@@ -187,13 +393,22 @@ class ContextMenu {
         break;
       case 'paste':
         const text = clipboard.readText();
-        if (text && this.currentTerminalId) {
-          ipcRenderer.send('terminal-input', { terminalId: this.currentTerminalId, data: text });
+        if (text && this.currentPaneId && paneManager) {
+          paneManager.sendInput(this.currentPaneId, text);
         }
         break;
       case 'clear':
         this.currentTerminal.clear();
         break;
+      case 'export':
+        if (this.currentPaneId && paneManager) {
+          const paneId = this.currentPaneId;
+          this.hide();
+          // Defer so the click that chose this item doesn't close the picker
+          setTimeout(() => showExportPicker(paneId), 0);
+          return;
+        }
+        break;
       case 'split-vertical':
         if (this.currentPaneId && paneManager) {
           paneManager.splitPane(this.currentPaneId, 'vertical');
@@ -204,6 +419,49 @@ class ContextMenu {
           paneManager.splitPane(this.currentPaneId, 'horizontal');
         }
         break;
+      case 'split-profile':
+        if (this.currentPaneId && paneManager) {
+          const paneId = this.currentPaneId;
+          const rect = this.menu.getBoundingClientRect();
+          this.hide();
+          // Defer so the click that chose this item doesn't close the picker
+          setTimeout(() => {
+            showProfilePicker((profileId) => {
+              paneManager.splitPane(paneId, 'vertical', { profileId });
+            }, rect.left, rect.top);
+          }, 0);
+          return;
+        }
+        break;
+      case 'zoom':
+        if (this.currentPaneId && paneManager) {
+          paneManager.toggleZoom(this.currentPaneId);
+        }
+        break;
+      case 'tab-theme':
+        if (this.currentPaneId && paneManager) {
+          const pane = paneManager.panes.get(this.currentPaneId);
+          this.hide();
+          // Defer so the click that chose this item doesn't close the picker
+          if (pane) setTimeout(() => showTabThemePicker(pane.tabId), 0);
+          return;
+        }
+        break;
+      case 'watch':
+        if (this.currentPaneId && paneManager) {
+          paneManager.toggleWatched(this.currentPaneId);
+        }
+        break;
+      case 'broadcast':
+        if (this.currentPaneId && paneManager) {
+          paneManager.toggleBroadcastPane(this.currentPaneId);
+        }
+        break;
+      case 'record':
+        if (this.currentPaneId && paneManager) {
+          paneManager.toggleRecording(this.currentPaneId);
+        }
+        break;
     }
 
     this.hide();
@@ -527,10 +785,7 @@ class ClipboardHistoryPopup {
   pasteText(text) {
     const focusedPane = this.paneManager.getFocusedPane();
     if (focusedPane) {
-      ipcRenderer.send('terminal-input', {
-        terminalId: focusedPane.terminalId,
-        data: text
-      });
+      this.paneManager.sendInput(focusedPane.paneId, text);
     }
   }
 }
@@ -539,1922 +794,4143 @@ let clipboardHistory = null;
 let clipboardHistoryPopup = null;
 
 // ========================================
-// SHORTCUT MANAGER
+// LIST PICKER
 // ========================================
 
-class ShortcutManager {
+class ListPicker {
   constructor() {
-    this.shortcuts = new Map();
-    this.actions = new Map();
-    this.recordingCallback = null;
-    this.recordingAction = null;
+    this.popup = null;
+    this.items = [];
+    this.selectedIndex = 0;
+    this.isVisible = false;
+    this.onSelect = null;
 
-    this.loadFromSettings();
-    document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    this.createPopup();
+    this.setupKeyboardListeners();
   }
 
-  loadFromSettings() {
-    this.shortcuts.clear();
-    for (const [action, shortcut] of Object.entries(currentSettings.shortcuts)) {
-      this.shortcuts.set(action, shortcut);
-    }
-  }
+  createPopup() {
+    this.popup = document.createElement('div');
+    this.popup.className = 'list-picker';
+    this.popup.innerHTML = `
+      <div class="list-picker-header"></div>
+      <div class="list-picker-list"></div>
+    `;
+    document.body.appendChild(this.popup);
 
-  parseShortcut(shortcutStr) {
-    const parts = shortcutStr.split('+');
-    return {
-      ctrl: parts.includes('Ctrl'),
-      shift: parts.includes('Shift'),
-      alt: parts.includes('Alt'),
-      meta: parts.includes('Meta'),
-      key: parts[parts.length - 1],
-    };
+    this.popup.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', () => {
+      if (this.isVisible) this.hide();
+    });
   }
 
-  serializeEvent(e) {
-    const parts = [];
-    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
-    if (e.shiftKey) parts.push('Shift');
-    if (e.altKey) parts.push('Alt');
-
-    let key = e.key;
-    if (key === 'ArrowUp') key = 'Up';
-    else if (key === 'ArrowDown') key = 'Down';
-    else if (key === 'ArrowLeft') key = 'Left';
-    else if (key === 'ArrowRight') key = 'Right';
-    else if (key === ' ') key = 'Space';
-    else if (key.length === 1) key = key.toUpperCase();
+  setupKeyboardListeners() {
+    document.addEventListener('keydown', (e) => {
+      if (!this.isVisible) return;
 
-    if (['Control', 'Shift', 'Alt', 'Meta'].includes(key)) {
-      return null;
-    }
+      e.preventDefault();
+      e.stopPropagation();
 
-    parts.push(key);
-    return parts.join('+');
+      if (e.key === 'ArrowUp') {
+        this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+        this.renderList();
+      } else if (e.key === 'ArrowDown') {
+        this.selectedIndex = Math.min(this.items.length - 1, this.selectedIndex + 1);
+        this.renderList();
+      } else if (e.key === 'Enter') {
+        this.confirmSelection();
+      } else if (e.key === 'Escape') {
+        this.hide();
+      }
+    }, true);
   }
 
-  matchesShortcut(e, shortcutStr) {
-    const shortcut = this.parseShortcut(shortcutStr);
-    const ctrl = e.ctrlKey || e.metaKey;
+  // items: [{ id, label, detail }]; x/y default to the focused pane's corner
+  show({ title, items, x, y, onSelect }) {
+    if (!items || items.length === 0) return;
 
-    let key = e.key;
-    if (key === 'ArrowUp') key = 'Up';
-    else if (key === 'ArrowDown') key = 'Down';
-    else if (key === 'ArrowLeft') key = 'Left';
-    else if (key === 'ArrowRight') key = 'Right';
-    else if (key.length === 1) key = key.toUpperCase();
+    this.items = items;
+    this.onSelect = onSelect;
+    this.selectedIndex = 0;
+    this.popup.querySelector('.list-picker-header').textContent = title;
+    this.renderList();
 
-    return (
-      shortcut.ctrl === ctrl &&
-      shortcut.shift === e.shiftKey &&
-      shortcut.alt === e.altKey &&
-      shortcut.key.toUpperCase() === key.toUpperCase()
-    );
-  }
+    if (x === undefined || y === undefined) {
+      const focusedPane = paneManager ? paneManager.getFocusedPane() : null;
+      const rect = focusedPane ? focusedPane.element.getBoundingClientRect() : { left: 20, top: 60 };
+      x = rect.left + 20;
+      y = rect.top + 20;
+    }
 
-  registerAction(action, callback) {
-    this.actions.set(action, callback);
-  }
+    const popupWidth = 260;
+    const popupHeight = Math.min(300, 40 + items.length * 32);
+    if (x + popupWidth > window.innerWidth) x = window.innerWidth - popupWidth - 10;
+    if (y + popupHeight > window.innerHeight) y = window.innerHeight - popupHeight - 10;
 
-  handleKeyDown(e) {
-    if (this.recordingCallback) {
-      e.preventDefault();
-      e.stopPropagation();
+    this.popup.style.left = `${Math.max(10, x)}px`;
+    this.popup.style.top = `${Math.max(10, y)}px`;
+    this.popup.classList.add('visible');
+    this.isVisible = true;
+  }
 
-      const serialized = this.serializeEvent(e);
-      if (serialized) {
-        this.recordingCallback(serialized);
-        this.recordingCallback = null;
-        this.recordingAction = null;
-      }
-      return;
-    }
+  hide() {
+    this.popup.classList.remove('visible');
+    this.isVisible = false;
+    this.onSelect = null;
 
-    for (const [action, shortcutStr] of this.shortcuts) {
-      if (this.matchesShortcut(e, shortcutStr)) {
-        const callback = this.actions.get(action);
-        if (callback) {
-          e.preventDefault();
-          e.stopPropagation();
-          callback();
-          return;
-        }
-      }
+    const focusedPane = paneManager ? paneManager.getFocusedPane() : null;
+    if (focusedPane) {
+      focusedPane.terminal.focus();
     }
   }
 
-  startRecording(action, callback) {
-    this.recordingAction = action;
-    this.recordingCallback = callback;
-  }
+  renderList() {
+    const list = this.popup.querySelector('.list-picker-list');
+    list.innerHTML = '';
 
-  stopRecording() {
-    this.recordingCallback = null;
-    this.recordingAction = null;
-  }
+    this.items.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = `list-picker-item ${index === this.selectedIndex ? 'selected' : ''}`;
+
+      const label = document.createElement('span');
+      label.className = 'list-picker-label';
+      label.textContent = item.label;
+      row.appendChild(label);
+
+      if (item.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'list-picker-detail';
+        detail.textContent = item.detail;
+        row.appendChild(detail);
+      }
 
-  setShortcut(action, shortcutStr) {
-    this.shortcuts.set(action, shortcutStr);
-    currentSettings.shortcuts[action] = shortcutStr;
-    saveSettings();
-  }
+      row.addEventListener('click', () => {
+        this.selectedIndex = index;
+        this.confirmSelection();
+      });
 
-  getShortcut(action) {
-    return this.shortcuts.get(action) || '';
-  }
+      list.appendChild(row);
+    });
 
-  detectConflict(shortcutStr, excludeAction) {
-    for (const [action, existing] of this.shortcuts) {
-      if (action !== excludeAction && existing === shortcutStr) {
-        return action;
-      }
-    }
-    return null;
+    const selected = list.querySelector('.list-picker-item.selected');
+    if (selected) selected.scrollIntoView({ block: 'nearest' });
   }
 
-  resetToDefaults() {
-    for (const [action, shortcut] of Object.entries(defaultShortcuts)) {
-      this.shortcuts.set(action, shortcut);
+  confirmSelection() {
+    const item = this.items[this.selectedIndex];
+    const callback = this.onSelect;
+    this.hide();
+    if (item && callback) {
+      callback(item.id);
     }
-    currentSettings.shortcuts = { ...defaultShortcuts };
-    saveSettings();
   }
 }
 
+let listPicker = null;
+
+// Show the shell profile picker and call onSelect with the chosen profile id
+function showProfilePicker(onSelect, x, y) {
+  if (!listPicker) return;
+
+  const items = Object.entries(currentSettings.profiles || {}).map(([id, profile]) => ({
+    id,
+    label: profile.name || id,
+    detail: id === currentSettings.defaultProfile ? 'default' : profile.command,
+  }));
+
+  listPicker.show({ title: 'SELECT PROFILE', items, x, y, onSelect });
+}
+
+function showTabThemePicker(tabId) {
+  if (!listPicker || !tabManager) return;
+  const tab = tabManager.tabs.get(tabId);
+  if (!tab) return;
+
+  const items = [
+    { id: '', label: 'Default', detail: tab.theme ? 'profile or global theme' : 'current' },
+    ...themeRegistry.list().map(theme => ({
+      id: theme.id,
+      label: theme.name,
+      detail: theme.id === tab.theme ? 'current' : theme.source,
+    })),
+  ];
+
+  listPicker.show({
+    title: 'TAB THEME',
+    items,
+    onSelect: id => tabManager.setTabTheme(tabId, id || null),
+  });
+}
+
 // ========================================
-// KEY SOUND MANAGER
+// CONFIRM DIALOG
 // ========================================
 
-class KeySoundManager {
+class ConfirmDialog {
   constructor() {
-    this.audioContext = null;
-    this.enabled = currentSettings.typingSoundEnabled;
-    this.volume = currentSettings.typingSoundVolume / 100;
-    this.lastPlayTime = 0;
-    this.minInterval = 25; // Minimum ms between sounds
-    this.keyIndex = 0; // For cycling through sound variations
-    this.noiseBuffer = null; // Pre-generated noise buffer
-  }
-
-  init() {
-    try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      this.createNoiseBuffer();
-    } catch (e) {
-      console.log('Web Audio API not supported');
-      this.enabled = false;
-    }
-  }
+    this.overlay = null;
+    this.isVisible = false;
+    this.resolve = null;
 
-  // Create a buffer of white noise for realistic key sounds
-  createNoiseBuffer() {
-    const ctx = this.audioContext;
-    const bufferSize = ctx.sampleRate * 0.1; // 100ms of noise
-    this.noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-    const data = this.noiseBuffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) {
-      data[i] = Math.random() * 2 - 1;
-    }
+    this.createDialog();
+    this.setupKeyboardListeners();
   }
 
-  setEnabled(enabled) {
-    this.enabled = enabled;
-    currentSettings.typingSoundEnabled = enabled;
-    saveSettings();
-  }
+  createDialog() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'confirm-dialog-overlay';
+    this.overlay.innerHTML = `
+      <div class="confirm-dialog">
+        <div class="confirm-dialog-header"></div>
+        <div class="confirm-dialog-message"></div>
+        <div class="confirm-dialog-list"></div>
+        <div class="confirm-dialog-buttons">
+          <button class="confirm-dialog-btn" data-result="cancel">CANCEL</button>
+          <button class="confirm-dialog-btn confirm-dialog-danger" data-result="confirm"></button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
 
-  setVolume(volume) {
-    this.volume = volume / 100;
-    currentSettings.typingSoundVolume = volume;
-    saveSettings();
+    this.overlay.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (e.target === this.overlay) {
+        this.close(false);
+        return;
+      }
+      const button = e.target.closest('.confirm-dialog-btn');
+      if (button) this.close(button.dataset.result === 'confirm');
+    });
   }
 
-  // Realistic mechanical keyboard sound
-  playKeySound() {
-    if (!this.enabled || !this.audioContext) return;
+  setupKeyboardListeners() {
+    document.addEventListener('keydown', (e) => {
+      if (!this.isVisible) return;
 
-    const now = Date.now();
-    if (now - this.lastPlayTime < this.minInterval) return;
-    this.lastPlayTime = now;
+      e.preventDefault();
+      e.stopPropagation();
 
-    if (this.audioContext.state === 'suspended') {
-      this.audioContext.resume();
-    }
+      if (e.key === 'Enter') {
+        this.close(true);
+      } else if (e.key === 'Escape') {
+        this.close(false);
+      }
+    }, true);
+  }
 
-    const ctx = this.audioContext;
-    const t = ctx.currentTime;
+  // items: [{ label, detail }]; resolves true when the user confirms
+  show({ title, message, items = [], confirmLabel = 'OK' }) {
+    // A second request while open (e.g. clicking close twice) joins the first
+    if (this.isVisible) return this.pending;
 
-    // Cycle through different key sounds for natural variation
-    const soundType = this.keyIndex % 4;
-    this.keyIndex++;
+    this.overlay.querySelector('.confirm-dialog-header').textContent = title;
+    this.overlay.querySelector('.confirm-dialog-message').textContent = message;
+    this.overlay.querySelector('[data-result="confirm"]').textContent = confirmLabel;
 
-    if (soundType === 0) {
-      this.playKeyClick(t, 1.0);
-    } else if (soundType === 1) {
-      this.playKeyClick(t, 0.9);
-    } else if (soundType === 2) {
-      this.playKeyThock(t);
-    } else {
-      this.playKeyClick(t, 1.05);
-    }
-  }
+    const list = this.overlay.querySelector('.confirm-dialog-list');
+    list.innerHTML = '';
+    items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'confirm-dialog-item';
+
+      const label = document.createElement('span');
+      label.className = 'confirm-dialog-label';
+      label.textContent = item.label;
+      row.appendChild(label);
+
+      if (item.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'confirm-dialog-detail';
+        detail.textContent = item.detail;
+        row.appendChild(detail);
+      }
 
-  // Realistic key click - the main keystroke sound
-  playKeyClick(t, pitchVariation = 1) {
-    const ctx = this.audioContext;
+      list.appendChild(row);
+    });
 
-    // Create noise source for the initial impact
-    const noiseSource = ctx.createBufferSource();
-    noiseSource.buffer = this.noiseBuffer;
+    this.overlay.classList.add('visible');
+    this.isVisible = true;
+    this.pending = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+    return this.pending;
+  }
 
-    // Bandpass filter for the "click" character
-    const clickFilter = ctx.createBiquadFilter();
-    clickFilter.type = 'bandpass';
-    clickFilter.frequency.setValueAtTime(1800 * pitchVariation + Math.random() * 200, t);
-    clickFilter.Q.setValueAtTime(1.5, t);
+  close(result) {
+    if (!this.isVisible) return;
+    this.overlay.classList.remove('visible');
+    this.isVisible = false;
 
-    // Highpass to remove low rumble
-    const highpass = ctx.createBiquadFilter();
-    highpass.type = 'highpass';
-    highpass.frequency.setValueAtTime(400, t);
+    const resolve = this.resolve;
+    this.resolve = null;
+    this.pending = null;
 
-    // Envelope for the click
-    const clickGain = ctx.createGain();
-    clickGain.gain.setValueAtTime(0, t);
-    clickGain.gain.linearRampToValueAtTime(this.volume * 0.25, t + 0.002);
-    clickGain.gain.exponentialRampToValueAtTime(this.volume * 0.08, t + 0.012);
-    clickGain.gain.exponentialRampToValueAtTime(0.001, t + 0.035);
+    const focusedPane = paneManager ? paneManager.getFocusedPane() : null;
+    if (focusedPane) {
+      focusedPane.terminal.focus();
+    }
 
-    noiseSource.connect(clickFilter);
-    clickFilter.connect(highpass);
-    highpass.connect(clickGain);
-    clickGain.connect(ctx.destination);
+    if (resolve) resolve(result);
+  }
+}
 
-    noiseSource.start(t);
-    noiseSource.stop(t + 0.04);
+let confirmDialog = null;
+
+// Ask before killing panes whose foreground process isn't on the ignore list.
+// Resolves true when nothing is running or the user confirms; onPrompt runs
+// just before the dialog opens.
+async function confirmCloseProcesses(paneIds, title, onPrompt = null) {
+  if (!currentSettings.confirmClose || !confirmDialog || !paneManager) return true;
+
+  const busy = await paneManager.getBusyProcesses(paneIds);
+  if (busy.length === 0) return true;
+  if (onPrompt) onPrompt();
+
+  const ok = await confirmDialog.show({
+    title,
+    message: busy.length === 1
+      ? 'A process is still running and will be killed:'
+      : `${busy.length} processes are still running and will be killed:`,
+    items: busy.map(p => ({ label: p.name, detail: `pid ${p.pid} · ${p.location}` })),
+    confirmLabel: 'CLOSE',
+  });
+  return ok;
+}
 
-    // Add subtle low-frequency thump for body
-    const thumpOsc = ctx.createOscillator();
-    thumpOsc.type = 'sine';
-    thumpOsc.frequency.setValueAtTime(120 + Math.random() * 30, t);
-    thumpOsc.frequency.exponentialRampToValueAtTime(60, t + 0.02);
+// Pick where typed input is broadcast; "Selected panes" toggles the focused pane
+function showBroadcastPicker() {
+  if (!listPicker || !paneManager) return;
+
+  const mode = paneManager.broadcast.mode;
+  const focused = paneManager.getFocusedPane();
+  const focusedSelected = focused && mode === 'selected' && paneManager.broadcast.paneIds.has(focused.paneId);
+  const items = [
+    { id: 'off', label: 'Off', detail: mode === 'off' ? 'active' : '' },
+    { id: 'tab', label: 'Panes in each tab', detail: mode === 'tab' ? 'active' : '' },
+    { id: 'all', label: 'All panes', detail: mode === 'all' ? 'active' : '' },
+    {
+      id: 'selected',
+      label: focusedSelected ? 'Remove this pane' : 'Add this pane',
+      detail: mode === 'selected' ? `${paneManager.broadcast.paneIds.size} selected` : 'hand-picked',
+    },
+  ];
+
+  listPicker.show({
+    title: 'BROADCAST INPUT',
+    items,
+    onSelect: (id) => {
+      if (id === 'selected') {
+        if (focused) paneManager.toggleBroadcastPane(focused.paneId);
+      } else {
+        paneManager.setBroadcastMode(id);
+      }
+    },
+  });
+}
 
-    const thumpGain = ctx.createGain();
-    thumpGain.gain.setValueAtTime(0, t);
-    thumpGain.gain.linearRampToValueAtTime(this.volume * 0.08, t + 0.001);
-    thumpGain.gain.exponentialRampToValueAtTime(0.001, t + 0.025);
+// Pick what to export from a pane, then where to save it
+function showExportPicker(paneId) {
+  if (!listPicker || !paneManager) return;
+  const pane = paneManager.panes.get(paneId);
+  if (!pane) return;
+
+  const formats = [
+    { id: 'text', label: 'Plain text' },
+    { id: 'ansi', label: 'ANSI (colors kept)' },
+    { id: 'html', label: 'HTML' },
+  ];
+  const hasCommand = !!pane.shellIntegration.commandOutputRange({ last: true });
+  const items = [];
+  formats.forEach((format) => {
+    items.push({ id: `${format.id}:buffer`, label: format.label, detail: 'whole buffer' });
+    if (hasCommand) {
+      items.push({ id: `${format.id}:command`, label: format.label, detail: 'last command output' });
+    }
+  });
 
-    thumpOsc.connect(thumpGain);
-    thumpGain.connect(ctx.destination);
+  listPicker.show({
+    title: 'EXPORT SCROLLBACK',
+    items,
+    onSelect: (id) => {
+      const [format, scope] = id.split(':');
+      exportPaneToFile(paneId, format, scope === 'command');
+    },
+  });
+}
 
-    thumpOsc.start(t);
-    thumpOsc.stop(t + 0.03);
+async function exportPaneToFile(paneId, format, lastCommand) {
+  // Snapshot now, before output arrives while the save dialog is open
+  const content = paneManager.exportPane(paneId, format, { lastCommand });
+  if (content === null) return;
+
+  const extension = { text: 'txt', ansi: 'ans', html: 'html' }[format];
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('Z', '');
+  const filePath = await ipcRenderer.invoke('dialog-save-file', {
+    title: 'Export Scrollback',
+    defaultPath: path.join(os.homedir(), `hackerterm-${stamp}.${extension}`),
+    filters: [{ name: format.toUpperCase(), extensions: [extension] }, { name: 'All Files', extensions: ['*'] }],
+  });
+  if (!filePath) return;
+
+  try {
+    await fs.promises.writeFile(filePath, content);
+    if (statusFooter) statusFooter.setStatus({ text: `Saved ${filePath.replace(os.homedir(), '~')}`, label: 'EXPORT', state: 'ok', duration: 5000 });
+  } catch (e) {
+    if (statusFooter) statusFooter.setStatus({ text: `Export failed: ${e.message}`, label: 'EXPORT', state: 'fail', duration: 5000 });
   }
+}
 
-  // Deeper "thock" sound - like a well-lubed switch bottoming out
-  playKeyThock(t) {
-    const ctx = this.audioContext;
+// ========================================
+// SEARCH BAR
+// ========================================
 
-    // Noise for the impact
-    const noiseSource = ctx.createBufferSource();
-    noiseSource.buffer = this.noiseBuffer;
+// Per-pane find bar over the scrollback, backed by @xterm/addon-search
+class SearchBar {
+  constructor(pane) {
+    this.pane = pane;
+    this.searchAddon = pane.searchAddon;
+    this.options = { regex: false, caseSensitive: false, wholeWord: false };
+    this.isVisible = false;
 
-    // Lower bandpass for deeper thock
-    const thockFilter = ctx.createBiquadFilter();
-    thockFilter.type = 'bandpass';
-    thockFilter.frequency.setValueAtTime(800 + Math.random() * 150, t);
-    thockFilter.Q.setValueAtTime(1.2, t);
+    this.createBar();
+    this.searchAddon.onDidChangeResults(({ resultIndex, resultCount }) => {
+      this.updateCounter(resultIndex, resultCount);
+    });
+  }
 
-    const thockGain = ctx.createGain();
-    thockGain.gain.setValueAtTime(0, t);
-    thockGain.gain.linearRampToValueAtTime(this.volume * 0.22, t + 0.003);
-    thockGain.gain.exponentialRampToValueAtTime(this.volume * 0.06, t + 0.015);
-    thockGain.gain.exponentialRampToValueAtTime(0.001, t + 0.045);
+  createBar() {
+    this.bar = document.createElement('div');
+    this.bar.className = 'search-bar';
+    this.bar.innerHTML = `
+      <input type="text" class="search-input" placeholder="Find" spellcheck="false">
+      <span class="search-count"></span>
+      <button class="search-toggle" data-option="regex" title="Regular expression">.*</button>
+      <button class="search-toggle" data-option="caseSensitive" title="Match case">Aa</button>
+      <button class="search-toggle" data-option="wholeWord" title="Whole word">ab</button>
+      <button class="search-nav" data-nav="previous" title="Previous match (Shift+Enter)">&#9650;</button>
+      <button class="search-nav" data-nav="next" title="Next match (Enter)">&#9660;</button>
+      <button class="search-nav" data-nav="close" title="Close (Esc)">&times;</button>
+    `;
+    this.pane.element.appendChild(this.bar);
 
-    noiseSource.connect(thockFilter);
-    thockFilter.connect(thockGain);
-    thockGain.connect(ctx.destination);
+    this.input = this.bar.querySelector('.search-input');
+    this.counter = this.bar.querySelector('.search-count');
 
-    noiseSource.start(t);
-    noiseSource.stop(t + 0.05);
+    this.input.addEventListener('input', () => this.find('next', true));
 
-    // Deeper body thump
-    const bodyOsc = ctx.createOscillator();
-    bodyOsc.type = 'sine';
-    bodyOsc.frequency.setValueAtTime(90 + Math.random() * 20, t);
-    bodyOsc.frequency.exponentialRampToValueAtTime(45, t + 0.03);
+    this.input.addEventListener('keydown', (e) => {
+      // The find shortcut closes the bar; other keys stay out of the shortcut manager
+      if (shortcutManager && shortcutManager.matchesAction(e, 'pane.find')) return;
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.find(e.shiftKey ? 'previous' : 'next');
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hide();
+      }
+    });
 
-    const bodyGain = ctx.createGain();
-    bodyGain.gain.setValueAtTime(0, t);
-    bodyGain.gain.linearRampToValueAtTime(this.volume * 0.1, t + 0.002);
-    bodyGain.gain.exponentialRampToValueAtTime(0.001, t + 0.035);
+    this.bar.querySelectorAll('.search-toggle').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const option = btn.dataset.option;
+        this.options[option] = !this.options[option];
+        btn.classList.toggle('active', this.options[option]);
+        this.find('next', true);
+        this.input.focus();
+      });
+    });
 
-    bodyOsc.connect(bodyGain);
-    bodyGain.connect(ctx.destination);
+    this.bar.querySelectorAll('.search-nav').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.nav === 'close') {
+          this.hide();
+        } else {
+          this.find(btn.dataset.nav);
+          this.input.focus();
+        }
+      });
+    });
 
-    bodyOsc.start(t);
-    bodyOsc.stop(t + 0.04);
+    // Clicks inside the bar shouldn't refocus the terminal
+    this.bar.addEventListener('mousedown', (e) => e.stopPropagation());
   }
 
-  // Special key sound - deeper for Enter, Backspace, Delete (like space bar)
-  playSpecialKeySound() {
-    if (!this.enabled || !this.audioContext) return;
+  // Hex colors from the pane's own theme, not the chrome's (which follows the
+  // active tab). Backgrounds stay dark so the terminal's bright foreground
+  // remains legible.
+  getDecorations() {
+    const color = paneManager.themeColorsForPane(this.pane);
+    return {
+      matchBackground: color('border-color', '#1a3a2a'),
+      matchBorder: color('secondary-color', '#00ccff'),
+      matchOverviewRuler: color('secondary-color', '#00ccff'),
+      activeMatchBackground: color('primary-dim', '#00aa55'),
+      activeMatchBorder: color('warning-color', '#ff5500'),
+      activeMatchColorOverviewRuler: color('warning-color', '#ff5500'),
+    };
+  }
 
-    const now = Date.now();
-    if (now - this.lastPlayTime < this.minInterval) return;
-    this.lastPlayTime = now;
+  // Repaint the highlights of an open search, after a theme change
+  refreshDecorations() {
+    if (this.isVisible && this.input.value) this.find('next', true);
+  }
 
-    if (this.audioContext.state === 'suspended') {
-      this.audioContext.resume();
+  // incremental: refine from the current match while typing
+  find(direction, incremental = false) {
+    const term = this.input.value;
+    if (!term) {
+      this.searchAddon.clearDecorations();
+      this.pane.terminal.clearSelection();
+      this.input.classList.remove('invalid');
+      this.counter.textContent = '';
+      return;
     }
 
-    const ctx = this.audioContext;
-    const t = ctx.currentTime;
-
-    // Noise for the impact - longer and deeper
-    const noiseSource = ctx.createBufferSource();
-    noiseSource.buffer = this.noiseBuffer;
+    if (this.options.regex) {
+      try {
+        new RegExp(term);
+      } catch (e) {
+        this.input.classList.add('invalid');
+        this.counter.textContent = 'bad regex';
+        return;
+      }
+    }
+    this.input.classList.remove('invalid');
 
-    // Lower frequency for bigger key feel
-    const filter = ctx.createBiquadFilter();
-    filter.type = 'bandpass';
-    filter.frequency.setValueAtTime(600 + Math.random() * 100, t);
-    filter.Q.setValueAtTime(0.8, t);
+    const searchOptions = {
+      ...this.options,
+      incremental: incremental && direction === 'next',
+      decorations: this.getDecorations(),
+    };
 
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(0, t);
-    gain.gain.linearRampToValueAtTime(this.volume * 0.28, t + 0.004);
-    gain.gain.exponentialRampToValueAtTime(this.volume * 0.08, t + 0.02);
-    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.06);
+    if (direction === 'previous') {
+      this.searchAddon.findPrevious(term, searchOptions);
+    } else {
+      this.searchAddon.findNext(term, searchOptions);
+    }
+  }
 
-    noiseSource.connect(filter);
-    filter.connect(gain);
-    gain.connect(ctx.destination);
+  updateCounter(resultIndex, resultCount) {
+    if (!this.input.value) {
+      this.counter.textContent = '';
+    } else if (resultCount === 0) {
+      this.counter.textContent = 'no results';
+    } else if (resultIndex === -1) {
+      // More matches than the highlight limit
+      this.counter.textContent = `${resultCount}+`;
+    } else {
+      this.counter.textContent = `${resultIndex + 1}/${resultCount}`;
+    }
+    this.input.classList.toggle('no-results', !!this.input.value && resultCount === 0);
+  }
 
-    noiseSource.start(t);
-    noiseSource.stop(t + 0.07);
+  show() {
+    this.isVisible = true;
+    this.bar.classList.add('visible');
 
-    // Deeper body resonance
-    const bodyOsc = ctx.createOscillator();
-    bodyOsc.type = 'sine';
-    bodyOsc.frequency.setValueAtTime(70, t);
-    bodyOsc.frequency.exponentialRampToValueAtTime(35, t + 0.04);
+    // Seed with the current selection, like most editors
+    const selection = this.pane.terminal.getSelection();
+    if (selection && !selection.includes('\n')) {
+      this.input.value = selection;
+    }
 
-    const bodyGain = ctx.createGain();
-    bodyGain.gain.setValueAtTime(0, t);
-    bodyGain.gain.linearRampToValueAtTime(this.volume * 0.12, t + 0.003);
-    bodyGain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
+    this.input.focus();
+    this.input.select();
+    if (this.input.value) this.find('next', true);
+  }
 
-    bodyOsc.connect(bodyGain);
-    bodyGain.connect(ctx.destination);
+  hide() {
+    this.isVisible = false;
+    this.bar.classList.remove('visible');
+    this.searchAddon.clearDecorations();
+    this.pane.terminal.clearSelection();
+    this.pane.terminal.focus();
+  }
 
-    bodyOsc.start(t);
-    bodyOsc.stop(t + 0.06);
+  toggle() {
+    if (this.isVisible && document.activeElement === this.input) {
+      this.hide();
+    } else {
+      this.show();
+    }
   }
 }
 
 // ========================================
-// SPEECH-TO-TEXT MANAGER
+// SHORTCUT MANAGER
 // ========================================
 
-class SpeechToTextManager {
+class ShortcutManager {
   constructor() {
-    this.isRecording = false;
-    this.isProcessing = false;
-    this.isModelLoaded = false;
-    this.mediaStream = null;
-    this.audioContext = null;
-    this.audioWorklet = null;
-    this.recordedChunks = [];
-
-    this.micBtn = null;
-    this.statusEl = null;
-    this.downloadBtn = null;
-    this.downloadRow = null;
-    this.progressRow = null;
-    this.progressFill = null;
-    this.progressText = null;
+    this.shortcuts = new Map();
+    this.actions = new Map();
+    this.recordingCallback = null;
+    this.recordingAction = null;
 
-    // Listen for download progress
-    ipcRenderer.on('stt-download-progress', (event, { progress }) => {
-      this.updateDownloadProgress(progress);
-    });
+    this.loadFromSettings();
+    document.addEventListener('keydown', (e) => this.handleKeyDown(e));
   }
 
-  async init() {
-    this.micBtn = document.getElementById('mic-btn');
-    this.statusEl = document.getElementById('stt-model-status');
-    this.downloadBtn = document.getElementById('stt-download-btn');
-    this.downloadRow = document.getElementById('stt-download-row');
-    this.progressRow = document.getElementById('stt-progress-row');
-    this.progressFill = document.getElementById('stt-progress-fill');
-    this.progressText = document.getElementById('stt-progress-text');
-
-    if (!this.micBtn) return;
+  loadFromSettings() {
+    this.shortcuts.clear();
+    for (const [action, shortcut] of Object.entries(currentSettings.shortcuts)) {
+      this.shortcuts.set(action, shortcut);
+    }
+  }
 
-    // Set up button click handler
-    this.micBtn.addEventListener('click', () => this.toggleRecording());
+  parseShortcut(shortcutStr) {
+    const parts = shortcutStr.split('+');
+    return {
+      ctrl: parts.includes('Ctrl'),
+      shift: parts.includes('Shift'),
+      alt: parts.includes('Alt'),
+      meta: parts.includes('Meta'),
+      key: parts[parts.length - 1],
+    };
+  }
 
-    // Set up download button
-    if (this.downloadBtn) {
-      this.downloadBtn.addEventListener('click', () => this.downloadModel());
+  serializeEvent(e) {
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.altKey) parts.push('Alt');
+
+    let key = e.key;
+    if (key === 'ArrowUp') key = 'Up';
+    else if (key === 'ArrowDown') key = 'Down';
+    else if (key === 'ArrowLeft') key = 'Left';
+    else if (key === 'ArrowRight') key = 'Right';
+    else if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(key)) {
+      return null;
     }
 
-    // Check if model exists and load it
-    await this.checkAndLoadModel();
+    parts.push(key);
+    return parts.join('+');
   }
 
-  async checkAndLoadModel() {
-    try {
-      const modelExists = await ipcRenderer.invoke('stt-check-model');
+  matchesShortcut(e, shortcutStr) {
+    const shortcut = this.parseShortcut(shortcutStr);
+    const ctrl = e.ctrlKey || e.metaKey;
 
-      if (modelExists) {
-        this.updateStatus('LOADING...', 'loading');
-        if (this.downloadRow) this.downloadRow.style.display = 'none';
+    let key = e.key;
+    if (key === 'ArrowUp') key = 'Up';
+    else if (key === 'ArrowDown') key = 'Down';
+    else if (key === 'ArrowLeft') key = 'Left';
+    else if (key === 'ArrowRight') key = 'Right';
+    else if (key.length === 1) key = key.toUpperCase();
 
-        try {
-          await ipcRenderer.invoke('stt-load-model');
-          this.isModelLoaded = true;
-          this.updateStatus('ONLINE', 'loaded');
-          this.micBtn.disabled = false;
-        } catch (err) {
-          this.updateStatus('ERROR', 'error');
-          console.error('Failed to load Whisper model:', err);
-        }
-      } else {
-        this.updateStatus('OFFLINE', '');
-        this.micBtn.disabled = true;
-        if (this.downloadRow) this.downloadRow.style.display = 'flex';
-      }
-    } catch (err) {
-      this.updateStatus('ERROR', 'error');
-      console.error('Error checking model:', err);
-    }
+    return (
+      shortcut.ctrl === ctrl &&
+      shortcut.shift === e.shiftKey &&
+      shortcut.alt === e.altKey &&
+      shortcut.key.toUpperCase() === key.toUpperCase()
+    );
   }
 
-  updateStatus(text, className) {
-    if (this.statusEl) {
-      this.statusEl.textContent = text;
-      this.statusEl.className = 'stt-model-status';
-      if (className) {
-        this.statusEl.classList.add(className);
-      }
+  registerAction(action, callback) {
+    this.actions.set(action, callback);
+  }
+
+  matchesAction(e, action) {
+    const shortcutStr = this.shortcuts.get(action);
+    return !!shortcutStr && this.matchesShortcut(e, shortcutStr);
+  }
+
+  // Whether the key runs a registered action, so the terminal must not also
+  // send it to the shell
+  matchesAnyAction(e) {
+    for (const action of this.actions.keys()) {
+      if (this.matchesAction(e, action)) return true;
     }
+    return false;
   }
 
-  async downloadModel() {
-    if (!this.downloadBtn) return;
+  handleKeyDown(e) {
+    if (this.recordingCallback) {
+      e.preventDefault();
+      e.stopPropagation();
 
-    this.downloadBtn.disabled = true;
-    this.downloadBtn.textContent = 'DOWNLOADING...';
-    this.updateStatus('DOWNLOADING...', 'loading');
+      const serialized = this.serializeEvent(e);
+      if (serialized) {
+        this.recordingCallback(serialized);
+        this.recordingCallback = null;
+        this.recordingAction = null;
+      }
+      return;
+    }
 
-    if (this.downloadRow) this.downloadRow.style.display = 'none';
-    if (this.progressRow) this.progressRow.style.display = 'flex';
+    for (const [action, shortcutStr] of this.shortcuts) {
+      if (this.matchesShortcut(e, shortcutStr)) {
+        const callback = this.actions.get(action);
+        if (callback) {
+          e.preventDefault();
+          e.stopPropagation();
+          callback();
+          return;
+        }
+      }
+    }
+  }
 
-    try {
-      await ipcRenderer.invoke('stt-download-model');
-      this.updateDownloadProgress(100);
+  startRecording(action, callback) {
+    this.recordingAction = action;
+    this.recordingCallback = callback;
+  }
 
-      // Load the model after download
-      this.updateStatus('LOADING...', 'loading');
-      await ipcRenderer.invoke('stt-load-model');
+  stopRecording() {
+    this.recordingCallback = null;
+    this.recordingAction = null;
+  }
 
-      this.isModelLoaded = true;
-      this.updateStatus('ONLINE', 'loaded');
-      this.micBtn.disabled = false;
+  setShortcut(action, shortcutStr) {
+    this.shortcuts.set(action, shortcutStr);
+    currentSettings.shortcuts[action] = shortcutStr;
+    saveSettings();
+  }
 
-      if (this.progressRow) this.progressRow.style.display = 'none';
-    } catch (err) {
-      this.updateStatus('DOWNLOAD FAILED', 'error');
-      this.downloadBtn.disabled = false;
-      this.downloadBtn.textContent = 'RETRY DOWNLOAD';
-      if (this.downloadRow) this.downloadRow.style.display = 'flex';
-      if (this.progressRow) this.progressRow.style.display = 'none';
-      console.error('Failed to download model:', err);
-    }
+  getShortcut(action) {
+    return this.shortcuts.get(action) || '';
   }
 
-  updateDownloadProgress(progress) {
-    if (this.progressFill) {
-      this.progressFill.style.width = `${progress}%`;
+  detectConflict(shortcutStr, excludeAction) {
+    for (const [action, existing] of this.shortcuts) {
+      if (action !== excludeAction && existing === shortcutStr) {
+        return action;
+      }
     }
-    if (this.progressText) {
-      this.progressText.textContent = `${progress}%`;
+    return null;
+  }
+
+  resetToDefaults() {
+    for (const [action, shortcut] of Object.entries(defaultShortcuts)) {
+      this.shortcuts.set(action, shortcut);
     }
+    currentSettings.shortcuts = { ...defaultShortcuts };
+    saveSettings();
   }
+}
 
-  async toggleRecording() {
-    if (this.isProcessing) return;
+// ========================================
+// KEY SOUND MANAGER
+// ========================================
 
-    if (this.isRecording) {
-      await this.stopRecording();
-    } else {
-      await this.startRecording();
+class KeySoundManager {
+  constructor() {
+    this.audioContext = null;
+    this.enabled = currentSettings.typingSoundEnabled;
+    this.volume = currentSettings.typingSoundVolume / 100;
+    this.lastPlayTime = 0;
+    this.minInterval = 25; // Minimum ms between sounds
+    this.keyIndex = 0; // For cycling through sound variations
+    this.noiseBuffer = null; // Pre-generated noise buffer
+  }
+
+  init() {
+    try {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.createNoiseBuffer();
+    } catch (e) {
+      console.log('Web Audio API not supported');
+      this.enabled = false;
     }
   }
 
-  async startRecording() {
-    if (!this.isModelLoaded) {
-      console.log('Model not loaded');
-      return;
+  // Create a buffer of white noise for realistic key sounds
+  createNoiseBuffer() {
+    const ctx = this.audioContext;
+    const bufferSize = ctx.sampleRate * 0.1; // 100ms of noise
+    this.noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = Math.random() * 2 - 1;
     }
+  }
 
-    try {
-      // Check microphone permission on macOS first
-      console.log('Checking microphone permission...');
-      const micStatus = await ipcRenderer.invoke('stt-check-mic-permission');
-      console.log('Microphone permission status:', micStatus);
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    currentSettings.typingSoundEnabled = enabled;
+    saveSettings();
+  }
 
-      if (micStatus === 'denied') {
-        this.updateStatus('MIC DENIED', 'error');
-        alert('Microphone access denied.\n\nPlease grant microphone permission:\n1. Open System Settings > Privacy & Security > Microphone\n2. Enable access for HackerTerm or Electron');
-        return;
-      }
+  setVolume(volume) {
+    this.volume = volume / 100;
+    currentSettings.typingSoundVolume = volume;
+    saveSettings();
+  }
 
-      console.log('Requesting microphone access...');
+  // Realistic mechanical keyboard sound
+  playKeySound() {
+    if (!this.enabled || !this.audioContext) return;
 
-      // Request microphone permission
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          channelCount: 1,
-          sampleRate: 16000,
-          echoCancellation: true,
-          noiseSuppression: true,
-        }
-      });
+    const now = Date.now();
+    if (now - this.lastPlayTime < this.minInterval) return;
+    this.lastPlayTime = now;
 
-      console.log('Microphone access granted, starting recording...');
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
 
-      // Create audio context for processing
-      this.audioContext = new AudioContext({ sampleRate: 16000 });
-      const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+    const ctx = this.audioContext;
+    const t = ctx.currentTime;
 
-      // Create a script processor to capture audio data
-      const bufferSize = 4096;
-      const processor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
-
-      this.recordedChunks = [];
-
-      processor.onaudioprocess = (e) => {
-        if (this.isRecording) {
-          const inputData = e.inputBuffer.getChannelData(0);
-          // Copy the data since the buffer gets reused
-          this.recordedChunks.push(new Float32Array(inputData));
-        }
-      };
+    // Cycle through different key sounds for natural variation
+    const soundType = this.keyIndex % 4;
+    this.keyIndex++;
 
-      source.connect(processor);
-      processor.connect(this.audioContext.destination);
+    if (soundType === 0) {
+      this.playKeyClick(t, 1.0);
+    } else if (soundType === 1) {
+      this.playKeyClick(t, 0.9);
+    } else if (soundType === 2) {
+      this.playKeyThock(t);
+    } else {
+      this.playKeyClick(t, 1.05);
+    }
+  }
 
-      this.processor = processor;
-      this.source = source;
+  // Realistic key click - the main keystroke sound
+  playKeyClick(t, pitchVariation = 1) {
+    const ctx = this.audioContext;
 
-      this.isRecording = true;
-      this.micBtn.classList.add('recording');
-      this.micBtn.title = 'Click to stop recording';
+    // Create noise source for the initial impact
+    const noiseSource = ctx.createBufferSource();
+    noiseSource.buffer = this.noiseBuffer;
 
-    } catch (err) {
-      console.error('Failed to start recording:', err);
-      this.updateStatus('MIC ERROR', 'error');
+    // Bandpass filter for the "click" character
+    const clickFilter = ctx.createBiquadFilter();
+    clickFilter.type = 'bandpass';
+    clickFilter.frequency.setValueAtTime(1800 * pitchVariation + Math.random() * 200, t);
+    clickFilter.Q.setValueAtTime(1.5, t);
 
-      if (err.name === 'NotAllowedError' || err.name === 'NotFoundError') {
-        alert('Microphone access denied.\n\nPlease grant microphone permission:\n1. Open System Preferences > Privacy & Security > Microphone\n2. Enable access for Electron or Terminal');
-      } else {
-        alert('Microphone error: ' + err.message);
-      }
-    }
-  }
+    // Highpass to remove low rumble
+    const highpass = ctx.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.setValueAtTime(400, t);
 
-  async stopRecording() {
-    if (!this.isRecording) return;
+    // Envelope for the click
+    const clickGain = ctx.createGain();
+    clickGain.gain.setValueAtTime(0, t);
+    clickGain.gain.linearRampToValueAtTime(this.volume * 0.25, t + 0.002);
+    clickGain.gain.exponentialRampToValueAtTime(this.volume * 0.08, t + 0.012);
+    clickGain.gain.exponentialRampToValueAtTime(0.001, t + 0.035);
 
-    this.isRecording = false;
-    this.micBtn.classList.remove('recording');
-    this.micBtn.classList.add('processing');
-    this.isProcessing = true;
-    this.micBtn.title = 'Processing...';
+    noiseSource.connect(clickFilter);
+    clickFilter.connect(highpass);
+    highpass.connect(clickGain);
+    clickGain.connect(ctx.destination);
 
-    // Stop the media stream
-    if (this.processor) {
-      this.processor.disconnect();
-      this.processor = null;
-    }
-    if (this.source) {
-      this.source.disconnect();
-      this.source = null;
-    }
-    if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach(track => track.stop());
-      this.mediaStream = null;
-    }
-    if (this.audioContext) {
-      await this.audioContext.close();
-      this.audioContext = null;
-    }
+    noiseSource.start(t);
+    noiseSource.stop(t + 0.04);
 
-    // Combine all recorded chunks
-    const totalLength = this.recordedChunks.reduce((acc, chunk) => acc + chunk.length, 0);
-    const audioData = new Float32Array(totalLength);
-    let offset = 0;
-    for (const chunk of this.recordedChunks) {
-      audioData.set(chunk, offset);
-      offset += chunk.length;
-    }
-    this.recordedChunks = [];
+    // Add subtle low-frequency thump for body
+    const thumpOsc = ctx.createOscillator();
+    thumpOsc.type = 'sine';
+    thumpOsc.frequency.setValueAtTime(120 + Math.random() * 30, t);
+    thumpOsc.frequency.exponentialRampToValueAtTime(60, t + 0.02);
 
-    // Only transcribe if we have audio data
-    if (audioData.length > 0) {
-      try {
-        const result = await ipcRenderer.invoke('stt-transcribe', Array.from(audioData));
+    const thumpGain = ctx.createGain();
+    thumpGain.gain.setValueAtTime(0, t);
+    thumpGain.gain.linearRampToValueAtTime(this.volume * 0.08, t + 0.001);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, t + 0.025);
 
-        // Send transcribed text to focused terminal
-        if (result && result.trim()) {
-          this.sendToTerminal(this.normalizeTranscription(result.trim()));
-        }
-      } catch (err) {
-        console.error('Transcription failed:', err);
-      }
-    }
+    thumpOsc.connect(thumpGain);
+    thumpGain.connect(ctx.destination);
 
-    this.micBtn.classList.remove('processing');
-    this.isProcessing = false;
-    this.micBtn.title = 'Speech-to-Text (Ctrl+Shift+S)';
+    thumpOsc.start(t);
+    thumpOsc.stop(t + 0.03);
   }
 
-  normalizeTranscription(text) {
-    const replacements = [
-      [/\bcolumn sign\b/gi, ':'],
-      [/\bcolon sign\b/gi, ':'],
-      [/\bcolon\b/gi, ':'],
-      [/\bcomma sign\b/gi, ','],
-      [/\bcomma\b/gi, ','],
-      [/\bfull stop sign\b/gi, '.'],
-      [/\bfull stop\b/gi, '.'],
-      [/\bperiod sign\b/gi, '.'],
-      [/\bperiod\b/gi, '.'],
-      [/\bdot sign\b/gi, '.'],
-      [/\bdot\b/gi, '.'],
-      [/\bquestion mark sign\b/gi, '?'],
-      [/\bquestion mark\b/gi, '?'],
-      [/\bexclamation mark sign\b/gi, '!'],
-      [/\bexclamation mark\b/gi, '!'],
-      [/\bexclamation point\b/gi, '!'],
-      [/\bplus sign\b/gi, '+'],
-      [/\bminus sign\b/gi, '-'],
-      [/\bdash sign\b/gi, '-'],
-      [/\bhyphen sign\b/gi, '-'],
-      [/\bhyphen\b/gi, '-'],
-      [/\bunderscore sign\b/gi, '_'],
-      [/\bunderscore\b/gi, '_'],
-      [/\bequals sign\b/gi, '='],
-      [/\bequal sign\b/gi, '='],
-      [/\bat sign\b/gi, '@'],
-      [/\bhash sign\b/gi, '#'],
-      [/\bhashtag sign\b/gi, '#'],
-      [/\bhashtag\b/gi, '#'],
-      [/\bdollar sign\b/gi, '$'],
-      [/\bpercent sign\b/gi, '%'],
-      [/\bampersand sign\b/gi, '&'],
-      [/\bampersand\b/gi, '&'],
-      [/\basterisk sign\b/gi, '*'],
-      [/\basterisk\b/gi, '*'],
-      [/\bstar sign\b/gi, '*'],
-      [/\bslash sign\b/gi, '/'],
-      [/\bforward slash\b/gi, '/'],
-      [/\bslash\b/gi, '/'],
-      [/\bbackslash sign\b/gi, '\\'],
-      [/\bbackslash\b/gi, '\\'],
-      [/\bpipe sign\b/gi, '|'],
-      [/\bpipe\b/gi, '|'],
-      [/\btilde sign\b/gi, '~'],
-      [/\btilde\b/gi, '~'],
-      [/\bcaret sign\b/gi, '^'],
-      [/\bcaret\b/gi, '^'],
-      [/\bsemicolon sign\b/gi, ';'],
-      [/\bsemicolon\b/gi, ';'],
-      [/\bopen parenthesis\b/gi, '('],
-      [/\bclose parenthesis\b/gi, ')'],
-      [/\bopen bracket\b/gi, '['],
-      [/\bclose bracket\b/gi, ']'],
-      [/\bopen brace\b/gi, '{'],
-      [/\bclose brace\b/gi, '}'],
-      [/\bopen angle bracket\b/gi, '<'],
-      [/\bclose angle bracket\b/gi, '>'],
-      [/\bless than sign\b/gi, '<'],
-      [/\bless than\b/gi, '<'],
-      [/\bgreater than sign\b/gi, '>'],
-      [/\bgreater than\b/gi, '>'],
-      [/\bdouble quote\b/gi, '"'],
-      [/\bsingle quote\b/gi, "'"],
-      [/\bapostrophe\b/gi, "'"],
-      [/\bnew line\b/gi, '\n'],
-      [/\btab sign\b/gi, '\t'],
-      [/\bspace sign\b/gi, ' '],
-    ];
+  // Deeper "thock" sound - like a well-lubed switch bottoming out
+  playKeyThock(t) {
+    const ctx = this.audioContext;
 
-    let result = text;
-    for (const [pattern, replacement] of replacements) {
-      result = result.replace(pattern, replacement);
-    }
-    // Clean up extra spaces around punctuation
-    result = result.replace(/ +([,:;.?!])/g, '$1');
-    return result;
-  }
+    // Noise for the impact
+    const noiseSource = ctx.createBufferSource();
+    noiseSource.buffer = this.noiseBuffer;
 
-  sendToTerminal(text) {
-    const focusedPane = paneManager.getFocusedPane();
-    if (focusedPane) {
-      ipcRenderer.send('terminal-input', {
-        terminalId: focusedPane.terminalId,
-        data: text
-      });
-    }
-  }
-}
+    // Lower bandpass for deeper thock
+    const thockFilter = ctx.createBiquadFilter();
+    thockFilter.type = 'bandpass';
+    thockFilter.frequency.setValueAtTime(800 + Math.random() * 150, t);
+    thockFilter.Q.setValueAtTime(1.2, t);
 
-// ========================================
-// PANE MANAGER
-// ========================================
+    const thockGain = ctx.createGain();
+    thockGain.gain.setValueAtTime(0, t);
+    thockGain.gain.linearRampToValueAtTime(this.volume * 0.22, t + 0.003);
+    thockGain.gain.exponentialRampToValueAtTime(this.volume * 0.06, t + 0.015);
+    thockGain.gain.exponentialRampToValueAtTime(0.001, t + 0.045);
 
-class PaneManager {
-  constructor(tabManager) {
-    this.tabManager = tabManager;
-    this.panes = new Map();
-    this.paneIdCounter = 0;
-    this.focusedPaneId = null;
+    noiseSource.connect(thockFilter);
+    thockFilter.connect(thockGain);
+    thockGain.connect(ctx.destination);
 
-    ipcRenderer.on('terminal-data', (event, { terminalId, data }) => {
-      for (const pane of this.panes.values()) {
-        if (pane.terminalId === terminalId) {
-          pane.terminal.write(data);
-          break;
-        }
-      }
-    });
+    noiseSource.start(t);
+    noiseSource.stop(t + 0.05);
 
-    ipcRenderer.on('terminal-exit', (event, { terminalId, exitCode }) => {
-      for (const [paneId, pane] of this.panes) {
-        if (pane.terminalId === terminalId) {
-          pane.terminal.write(`\r\n\x1b[33m[Process exited with code ${exitCode}]\x1b[0m\r\n`);
-          setTimeout(() => {
-            if (this.getPaneCountForTab(pane.tabId) > 1) {
-              this.closePane(paneId);
-            }
-          }, 1000);
-          break;
-        }
-      }
-    });
-  }
+    // Deeper body thump
+    const bodyOsc = ctx.createOscillator();
+    bodyOsc.type = 'sine';
+    bodyOsc.frequency.setValueAtTime(90 + Math.random() * 20, t);
+    bodyOsc.frequency.exponentialRampToValueAtTime(45, t + 0.03);
 
-  createTerminalOptions() {
-    const themes = {
-      matrix: {
-        background: '#0a0a0a',
-        foreground: '#00ff88',
-        cursor: '#00ff88',
-        cursorAccent: '#0a0a0a',
-        selectionBackground: '#00ff8855',
-        black: '#0a0a0a',
-        red: '#ff0044',
-        green: '#00ff88',
-        yellow: '#ffaa00',
-        blue: '#00ccff',
-        magenta: '#ff00aa',
-        cyan: '#00ffcc',
-        white: '#ccffcc',
-        brightBlack: '#446655',
-        brightRed: '#ff4477',
-        brightGreen: '#44ffaa',
-        brightYellow: '#ffcc44',
-        brightBlue: '#44ddff',
-        brightMagenta: '#ff44cc',
-        brightCyan: '#44ffee',
-        brightWhite: '#ffffff',
-      },
-      cyan: {
-        background: '#0a0a0a',
-        foreground: '#00ccff',
-        cursor: '#00ccff',
-        cursorAccent: '#0a0a0a',
-        selectionBackground: '#00ccff55',
-        black: '#0a0a0a',
-        red: '#ff0044',
-        green: '#00ff88',
-        yellow: '#ffaa00',
-        blue: '#00ccff',
-        magenta: '#ff00aa',
-        cyan: '#00ffcc',
-        white: '#ccffff',
-        brightBlack: '#446666',
-        brightRed: '#ff4477',
-        brightGreen: '#44ffaa',
-        brightYellow: '#ffcc44',
-        brightBlue: '#44ddff',
-        brightMagenta: '#ff44cc',
-        brightCyan: '#44ffee',
-        brightWhite: '#ffffff',
-      },
-      amber: {
-        background: '#0a0a0a',
-        foreground: '#ffaa00',
-        cursor: '#ffaa00',
-        cursorAccent: '#0a0a0a',
-        selectionBackground: '#ffaa0055',
-        black: '#0a0a0a',
-        red: '#ff5500',
-        green: '#aaff00',
-        yellow: '#ffaa00',
-        blue: '#00aaff',
-        magenta: '#ff5500',
-        cyan: '#00ffaa',
-        white: '#ffeecc',
-        brightBlack: '#665544',
-        brightRed: '#ff7744',
-        brightGreen: '#ccff44',
-        brightYellow: '#ffcc44',
-        brightBlue: '#44ccff',
-        brightMagenta: '#ff7744',
-        brightCyan: '#44ffcc',
-        brightWhite: '#ffffff',
-      },
-      red: {
-        background: '#0a0a0a',
-        foreground: '#ff0044',
-        cursor: '#ff0044',
-        cursorAccent: '#0a0a0a',
-        selectionBackground: '#ff004455',
-        black: '#0a0a0a',
-        red: '#ff0044',
-        green: '#00ff44',
-        yellow: '#ff4400',
-        blue: '#0044ff',
-        magenta: '#ff0088',
-        cyan: '#00ffff',
-        white: '#ffcccc',
-        brightBlack: '#664444',
-        brightRed: '#ff4477',
-        brightGreen: '#44ff77',
-        brightYellow: '#ff7744',
-        brightBlue: '#4477ff',
-        brightMagenta: '#ff44aa',
-        brightCyan: '#44ffff',
-        brightWhite: '#ffffff',
-      }
-    };
+    const bodyGain = ctx.createGain();
+    bodyGain.gain.setValueAtTime(0, t);
+    bodyGain.gain.linearRampToValueAtTime(this.volume * 0.1, t + 0.002);
+    bodyGain.gain.exponentialRampToValueAtTime(0.001, t + 0.035);
 
-    const theme = themes[currentSettings.theme] || themes.matrix;
+    bodyOsc.connect(bodyGain);
+    bodyGain.connect(ctx.destination);
 
-    return {
-      fontFamily: '"Share Tech Mono", "IBM Plex Mono", "Consolas", monospace',
-      fontSize: currentSettings.fontSize,
-      fontWeight: '500',
-      lineHeight: 1.25,
-      letterSpacing: 0.5,
-      cursorStyle: 'block',
-      cursorBlink: true,
-      theme: theme,
-      allowTransparency: true,
-      scrollback: 5000,
-      tabStopWidth: 4,
-      macOptionIsMeta: true,
-      macOptionClickForcesSelection: false,
-      altSendsMeta: true,
-      wordSeparator: ' \t\n()[]{}\\\'",`|&;<>=$~!@#%^*+?:',
-    };
+    bodyOsc.start(t);
+    bodyOsc.stop(t + 0.04);
   }
 
-  async createPane(tabId, container, cwd = null) {
-    const paneId = ++this.paneIdCounter;
+  // Special key sound - deeper for Enter, Backspace, Delete (like space bar)
+  playSpecialKeySound() {
+    if (!this.enabled || !this.audioContext) return;
 
-    const terminal = new Terminal(this.createTerminalOptions());
-    const fitAddon = new FitAddon();
-    terminal.loadAddon(fitAddon);
+    const now = Date.now();
+    if (now - this.lastPlayTime < this.minInterval) return;
+    this.lastPlayTime = now;
 
-    const terminalId = await ipcRenderer.invoke('terminal-create', cwd);
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
 
-    const paneElement = document.createElement('div');
-    paneElement.className = 'pane';
-    paneElement.dataset.paneId = paneId;
+    const ctx = this.audioContext;
+    const t = ctx.currentTime;
 
-    // Pane close button (visible only when multiple panes exist)
-    const paneCloseBtn = document.createElement('div');
-    paneCloseBtn.className = 'pane-close-btn';
-    paneCloseBtn.innerHTML = '&times;';
-    paneCloseBtn.title = 'Close pane';
-    paneCloseBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.closePane(paneId);
-    });
-    paneElement.appendChild(paneCloseBtn);
+    // Noise for the impact - longer and deeper
+    const noiseSource = ctx.createBufferSource();
+    noiseSource.buffer = this.noiseBuffer;
 
-    const terminalWrapper = document.createElement('div');
-    terminalWrapper.className = 'terminal-wrapper';
-    paneElement.appendChild(terminalWrapper);
+    // Lower frequency for bigger key feel
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.setValueAtTime(600 + Math.random() * 100, t);
+    filter.Q.setValueAtTime(0.8, t);
 
-    container.appendChild(paneElement);
-    terminal.open(terminalWrapper);
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(this.volume * 0.28, t + 0.004);
+    gain.gain.exponentialRampToValueAtTime(this.volume * 0.08, t + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.06);
 
-    // Shift+Arrow selection state (per-pane)
-    let selAnchorX = null, selAnchorY = null;
-    let selCurrentX = null, selCurrentY = null;
+    noiseSource.connect(filter);
+    filter.connect(gain);
+    gain.connect(ctx.destination);
 
-    function getLineText(viewportRow) {
-      const line = terminal.buffer.active.getLine(terminal.buffer.active.baseY + viewportRow);
-      return line ? line.translateToString() : '';
-    }
+    noiseSource.start(t);
+    noiseSource.stop(t + 0.07);
 
-    function getLineLength(viewportRow) {
-      return getLineText(viewportRow).trimEnd().length;
-    }
+    // Deeper body resonance
+    const bodyOsc = ctx.createOscillator();
+    bodyOsc.type = 'sine';
+    bodyOsc.frequency.setValueAtTime(70, t);
+    bodyOsc.frequency.exponentialRampToValueAtTime(35, t + 0.04);
 
-    function wordBoundaryLeft(text, pos) {
-      let i = pos - 1;
-      while (i > 0 && /\s/.test(text[i])) i--;       // skip whitespace
-      while (i > 0 && /\S/.test(text[i - 1])) i--;    // skip word chars
-      return Math.max(0, i);
-    }
+    const bodyGain = ctx.createGain();
+    bodyGain.gain.setValueAtTime(0, t);
+    bodyGain.gain.linearRampToValueAtTime(this.volume * 0.12, t + 0.003);
+    bodyGain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
 
-    function wordBoundaryRight(text, pos) {
-      let i = pos;
-      const len = text.trimEnd().length;
-      while (i < len && /\S/.test(text[i])) i++;       // skip word chars
-      while (i < len && /\s/.test(text[i])) i++;        // skip whitespace
-      return i;
-    }
+    bodyOsc.connect(bodyGain);
+    bodyGain.connect(ctx.destination);
 
-    function applyShiftArrowSelection() {
-      const minX = Math.min(selAnchorX, selCurrentX);
-      const maxX = Math.max(selAnchorX, selCurrentX);
-      const length = maxX - minX;
-      if (length <= 0) { terminal.clearSelection(); return; }
-      const absRow = terminal.buffer.active.baseY + selAnchorY;
-      terminal.select(minX, absRow, length);
-    }
+    bodyOsc.start(t);
+    bodyOsc.stop(t + 0.06);
+  }
+}
 
-    function clearShiftArrowSelection() {
-      selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
-      terminal.clearSelection();
-    }
+// ========================================
+// SPEECH-TO-TEXT MANAGER
+// ========================================
 
-    // Browse mode state (per-pane)
-    let browseActive = false;
-    let browseX = 0, browseY = 0;
-    let browseAnchorX = null, browseAnchorY = null;
-    let browseCursorEl = null;
+class SpeechToTextManager {
+  constructor() {
+    this.isRecording = false;
+    this.isProcessing = false;
+    this.isModelLoaded = false;
+    this.mediaStream = null;
+    this.audioContext = null;
+    this.audioWorklet = null;
+    this.recordedChunks = [];
 
-    function getCellDimensions() {
-      const screen = terminalWrapper.querySelector('.xterm-screen');
-      if (!screen) return { width: 9, height: 17 };
-      const rect = screen.getBoundingClientRect();
-      return {
-        width: rect.width / terminal.cols,
-        height: rect.height / terminal.rows,
-      };
-    }
+    this.micBtn = null;
+    this.statusEl = null;
+    this.downloadBtn = null;
+    this.downloadRow = null;
+    this.progressRow = null;
+    this.progressFill = null;
+    this.progressText = null;
 
-    function createBrowseCursor() {
-      if (browseCursorEl) return;
-      const screen = terminalWrapper.querySelector('.xterm-screen');
-      if (!screen) return;
-      browseCursorEl = document.createElement('div');
-      browseCursorEl.className = 'browse-cursor';
-      const cell = getCellDimensions();
-      browseCursorEl.style.height = `${cell.height}px`;
-      screen.style.position = 'relative';
-      screen.appendChild(browseCursorEl);
-    }
+    // Listen for download progress
+    ipcRenderer.on('stt-download-progress', (event, { progress }) => {
+      this.updateDownloadProgress(progress);
+    });
+  }
 
-    function updateBrowseCursorPosition() {
-      if (!browseCursorEl) return;
-      const cell = getCellDimensions();
-      browseCursorEl.style.left = `${browseX * cell.width}px`;
-      browseCursorEl.style.top = `${browseY * cell.height}px`;
-      browseCursorEl.style.height = `${cell.height}px`;
-    }
+  async init() {
+    this.micBtn = document.getElementById('mic-btn');
+    this.statusEl = document.getElementById('stt-model-status');
+    this.downloadBtn = document.getElementById('stt-download-btn');
+    this.downloadRow = document.getElementById('stt-download-row');
+    this.progressRow = document.getElementById('stt-progress-row');
+    this.progressFill = document.getElementById('stt-progress-fill');
+    this.progressText = document.getElementById('stt-progress-text');
 
-    function removeBrowseCursor() {
-      if (browseCursorEl) {
-        browseCursorEl.remove();
-        browseCursorEl = null;
-      }
+    if (!this.micBtn) return;
+
+    // Set up button click handler
+    this.micBtn.addEventListener('click', () => this.toggleRecording());
+
+    // Set up download button
+    if (this.downloadBtn) {
+      this.downloadBtn.addEventListener('click', () => this.downloadModel());
     }
 
-    function applyBrowseSelection() {
-      if (browseAnchorX === null) return;
-      let startX = browseAnchorX, startY = browseAnchorY;
-      let endX = browseX, endY = browseY;
-      // Normalize so start <= end
-      if (startY > endY || (startY === endY && startX > endX)) {
-        [startX, startY, endX, endY] = [endX, endY, startX, startY];
-      }
-      const cols = terminal.cols;
-      let length;
-      if (startY === endY) {
-        length = endX - startX;
+    // Check if model exists and load it
+    await this.checkAndLoadModel();
+  }
+
+  async checkAndLoadModel() {
+    try {
+      const modelExists = await ipcRenderer.invoke('stt-check-model');
+
+      if (modelExists) {
+        this.updateStatus('LOADING...', 'loading');
+        if (this.downloadRow) this.downloadRow.style.display = 'none';
+
+        try {
+          await ipcRenderer.invoke('stt-load-model');
+          this.isModelLoaded = true;
+          this.updateStatus('ONLINE', 'loaded');
+          this.micBtn.disabled = false;
+        } catch (err) {
+          this.updateStatus('ERROR', 'error');
+          console.error('Failed to load Whisper model:', err);
+        }
       } else {
-        length = (cols - startX) + ((endY - startY - 1) * cols) + endX;
+        this.updateStatus('OFFLINE', '');
+        this.micBtn.disabled = true;
+        if (this.downloadRow) this.downloadRow.style.display = 'flex';
       }
-      if (length <= 0) { terminal.clearSelection(); return; }
-      const absRow = terminal.buffer.active.baseY + startY;
-      terminal.select(startX, absRow, length);
+    } catch (err) {
+      this.updateStatus('ERROR', 'error');
+      console.error('Error checking model:', err);
     }
+  }
 
-    function enterBrowseMode(direction) {
-      browseActive = true;
-      browseX = terminal.buffer.active.cursorX;
-      browseY = terminal.buffer.active.cursorY;
-      browseAnchorX = null;
-      browseAnchorY = null;
-      // Move one row in the entry direction
-      if (direction === 'up') {
-        browseY = Math.max(0, browseY - 1);
-      } else {
-        browseY = Math.min(terminal.rows - 1, browseY + 1);
+  updateStatus(text, className) {
+    if (this.statusEl) {
+      this.statusEl.textContent = text;
+      this.statusEl.className = 'stt-model-status';
+      if (className) {
+        this.statusEl.classList.add(className);
       }
-      createBrowseCursor();
-      updateBrowseCursorPosition();
-    }
-
-    function exitBrowseMode() {
-      browseActive = false;
-      browseX = 0;
-      browseY = 0;
-      browseAnchorX = null;
-      browseAnchorY = null;
-      removeBrowseCursor();
-      terminal.clearSelection();
     }
+  }
 
-    // Custom key handler for word navigation, clipboard history, and Shift+Arrow selection
-    terminal.attachCustomKeyEventHandler((e) => {
-      const isMac = process.platform === 'darwin';
+  async downloadModel() {
+    if (!this.downloadBtn) return;
 
-      // --- Browse mode entry: Shift+Up/Down (no Alt/Ctrl/Meta, not already browsing) ---
-      if (e.type === 'keydown' && !browseActive && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey
-          && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
-        enterBrowseMode(e.key === 'ArrowUp' ? 'up' : 'down');
-        return false;
-      }
+    this.downloadBtn.disabled = true;
+    this.downloadBtn.textContent = 'DOWNLOADING...';
+    this.updateStatus('DOWNLOADING...', 'loading');
 
-      // --- Browse mode active block ---
-      if (browseActive) {
-        if (e.type === 'keyup') return false; // swallow all keyups while browsing
+    if (this.downloadRow) this.downloadRow.style.display = 'none';
+    if (this.progressRow) this.progressRow.style.display = 'flex';
 
-        if (e.type === 'keydown') {
-          const cols = terminal.cols;
+    try {
+      await ipcRenderer.invoke('stt-download-model');
+      this.updateDownloadProgress(100);
 
-          // Escape or Enter → exit
-          if (e.key === 'Escape' || e.key === 'Enter') {
-            exitBrowseMode();
-            return false;
-          }
+      // Load the model after download
+      this.updateStatus('LOADING...', 'loading');
+      await ipcRenderer.invoke('stt-load-model');
 
-          // Ctrl+C / Cmd+C → copy + exit
-          if ((e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey)) {
-            if (terminal.hasSelection()) {
-              const sel = terminal.getSelection();
-              if (sel) {
-                clipboard.writeText(sel);
-                if (clipboardHistory) clipboardHistory.add(sel);
-              }
-            }
-            exitBrowseMode();
-            return false;
-          }
+      this.isModelLoaded = true;
+      this.updateStatus('ONLINE', 'loaded');
+      this.micBtn.disabled = false;
 
-          // Plain arrows → move browse cursor, clear selection
-          if (!e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
-            if (e.key === 'ArrowUp') {
-              browseY = Math.max(0, browseY - 1);
-              browseAnchorX = browseAnchorY = null;
-              terminal.clearSelection();
-              updateBrowseCursorPosition();
-              return false;
-            }
-            if (e.key === 'ArrowDown') {
-              browseY = Math.min(terminal.rows - 1, browseY + 1);
-              browseAnchorX = browseAnchorY = null;
-              terminal.clearSelection();
-              updateBrowseCursorPosition();
-              return false;
-            }
-            if (e.key === 'ArrowLeft') {
-              browseX = Math.max(0, browseX - 1);
-              browseAnchorX = browseAnchorY = null;
-              terminal.clearSelection();
-              updateBrowseCursorPosition();
-              return false;
-            }
-            if (e.key === 'ArrowRight') {
-              browseX = Math.min(cols - 1, browseX + 1);
-              browseAnchorX = browseAnchorY = null;
-              terminal.clearSelection();
-              updateBrowseCursorPosition();
-              return false;
-            }
-          }
+      if (this.progressRow) this.progressRow.style.display = 'none';
+    } catch (err) {
+      this.updateStatus('DOWNLOAD FAILED', 'error');
+      this.downloadBtn.disabled = false;
+      this.downloadBtn.textContent = 'RETRY DOWNLOAD';
+      if (this.downloadRow) this.downloadRow.style.display = 'flex';
+      if (this.progressRow) this.progressRow.style.display = 'none';
+      console.error('Failed to download model:', err);
+    }
+  }
 
-          // Shift+arrows → move + extend selection
-          if (e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
-            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
-            if (e.key === 'ArrowUp') { browseY = Math.max(0, browseY - 1); }
-            else if (e.key === 'ArrowDown') { browseY = Math.min(terminal.rows - 1, browseY + 1); }
-            else if (e.key === 'ArrowLeft') { browseX = Math.max(0, browseX - 1); }
-            else if (e.key === 'ArrowRight') { browseX = Math.min(cols - 1, browseX + 1); }
-            applyBrowseSelection();
-            updateBrowseCursorPosition();
-            return false;
-          }
+  updateDownloadProgress(progress) {
+    if (this.progressFill) {
+      this.progressFill.style.width = `${progress}%`;
+    }
+    if (this.progressText) {
+      this.progressText.textContent = `${progress}%`;
+    }
+  }
 
-          // Shift+Alt+Arrow → word-jump selection
-          if (e.shiftKey && e.altKey && !e.ctrlKey && !e.metaKey) {
-            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
-            if (e.key === 'ArrowLeft') {
-              browseX = wordBoundaryLeft(getLineText(browseY), browseX);
-            } else if (e.key === 'ArrowRight') {
-              browseX = wordBoundaryRight(getLineText(browseY), browseX);
-            }
-            applyBrowseSelection();
-            updateBrowseCursorPosition();
-            return false;
-          }
+  async toggleRecording() {
+    if (this.isProcessing) return;
 
-          // Shift+Cmd+Arrow (mac) or Shift+Home/End → line selection
-          if (isMac && e.shiftKey && e.metaKey) {
-            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
-            if (e.key === 'ArrowLeft') browseX = 0;
-            else if (e.key === 'ArrowRight') browseX = getLineLength(browseY);
-            applyBrowseSelection();
-            updateBrowseCursorPosition();
-            return false;
-          }
-          if (!isMac && e.shiftKey && (e.key === 'Home' || e.key === 'End')) {
-            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
-            if (e.key === 'Home') browseX = 0;
-            else browseX = getLineLength(browseY);
-            applyBrowseSelection();
-            updateBrowseCursorPosition();
-            return false;
-          }
+    if (this.isRecording) {
+      await this.stopRecording();
+    } else {
+      await this.startRecording();
+    }
+  }
 
-          // Any other key → exit browse mode, let key pass through
-          const isModifierOnly = ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
-          if (!isModifierOnly) {
-            exitBrowseMode();
-            return true;
-          }
-          return false;
-        }
-        return false;
-      }
+  async startRecording() {
+    if (!this.isModelLoaded) {
+      console.log('Model not loaded');
+      return;
+    }
 
-      // Intercept Ctrl+C/Cmd+C to copy selection (Shift+Arrow or mouse)
-      if (e.type === 'keydown' && (e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey)) {
-        if (terminal.hasSelection()) {
-          const selection = terminal.getSelection();
-          if (selection) {
-            clipboard.writeText(selection);
-            if (clipboardHistory) clipboardHistory.add(selection);
-          }
-          if (selAnchorX !== null) {
-            selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
-          }
-          terminal.clearSelection();
-          return false;
-        }
-        // No selection - let Ctrl+C pass through as SIGINT
-      }
+    try {
+      // Check microphone permission on macOS first
+      console.log('Checking microphone permission...');
+      const micStatus = await ipcRenderer.invoke('stt-check-mic-permission');
+      console.log('Microphone permission status:', micStatus);
 
-      // Intercept Ctrl+V/Cmd+V to let clipboard history popup handle it
-      if (e.type === 'keydown' && (e.key === 'v' || e.key === 'V') && (e.ctrlKey || e.metaKey)) {
-        return false; // Prevent xterm from handling paste, let document listener handle it
+      if (micStatus === 'denied') {
+        this.updateStatus('MIC DENIED', 'error');
+        alert('Microphone access denied.\n\nPlease grant microphone permission:\n1. Open System Settings > Privacy & Security > Microphone\n2. Enable access for HackerTerm or Electron');
+        return;
       }
 
-      // Option+Left (macOS) or Ctrl+Left (others) -> word left
-      if (e.type === 'keydown' && e.key === 'ArrowLeft' && !e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
-        ipcRenderer.send('terminal-input', { terminalId, data: '\x1bb' });
-        return false;
-      }
-      // Option+Right (macOS) or Ctrl+Right (others) -> word right
-      if (e.type === 'keydown' && e.key === 'ArrowRight' && !e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
-        ipcRenderer.send('terminal-input', { terminalId, data: '\x1bf' });
-        return false;
-      }
-      // Option+Backspace (macOS) or Ctrl+Backspace (others) -> delete word
-      if (e.type === 'keydown' && e.key === 'Backspace' && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
-        ipcRenderer.send('terminal-input', { terminalId, data: '\x17' });
-        return false;
-      }
+      console.log('Requesting microphone access...');
 
-      // Shift+Option+Left (macOS) or Shift+Ctrl+Left (others) — select word left
-      if (e.type === 'keydown' && e.key === 'ArrowLeft' && e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
+      // Request microphone permission
+      this.mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          channelCount: 1,
+          sampleRate: 16000,
+          echoCancellation: true,
+          noiseSuppression: true,
         }
-        selCurrentX = wordBoundaryLeft(getLineText(selAnchorY), selCurrentX);
-        applyShiftArrowSelection();
-        return false;
-      }
+      });
 
-      // Shift+Option+Right (macOS) or Shift+Ctrl+Right (others) — select word right
-      if (e.type === 'keydown' && e.key === 'ArrowRight' && e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
+      console.log('Microphone access granted, starting recording...');
+
+      // Create audio context for processing
+      this.audioContext = new AudioContext({ sampleRate: 16000 });
+      const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+
+      // Create a script processor to capture audio data
+      const bufferSize = 4096;
+      const processor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
+
+      this.recordedChunks = [];
+
+      processor.onaudioprocess = (e) => {
+        if (this.isRecording) {
+          const inputData = e.inputBuffer.getChannelData(0);
+          // Copy the data since the buffer gets reused
+          this.recordedChunks.push(new Float32Array(inputData));
         }
-        selCurrentX = wordBoundaryRight(getLineText(selAnchorY), selCurrentX);
-        applyShiftArrowSelection();
-        return false;
+      };
+
+      source.connect(processor);
+      processor.connect(this.audioContext.destination);
+
+      this.processor = processor;
+      this.source = source;
+
+      this.isRecording = true;
+      this.micBtn.classList.add('recording');
+      this.micBtn.title = 'Click to stop recording';
+
+    } catch (err) {
+      console.error('Failed to start recording:', err);
+      this.updateStatus('MIC ERROR', 'error');
+
+      if (err.name === 'NotAllowedError' || err.name === 'NotFoundError') {
+        alert('Microphone access denied.\n\nPlease grant microphone permission:\n1. Open System Preferences > Privacy & Security > Microphone\n2. Enable access for Electron or Terminal');
+      } else {
+        alert('Microphone error: ' + err.message);
       }
+    }
+  }
 
-      // Shift+Cmd+Left (macOS) or Shift+Home (others) — select to start of line
-      if (e.type === 'keydown' && ((isMac && e.key === 'ArrowLeft' && e.shiftKey && e.metaKey) || (!isMac && e.key === 'Home' && e.shiftKey))) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
+  async stopRecording() {
+    if (!this.isRecording) return;
+
+    this.isRecording = false;
+    this.micBtn.classList.remove('recording');
+    this.micBtn.classList.add('processing');
+    this.isProcessing = true;
+    this.micBtn.title = 'Processing...';
+
+    // Stop the media stream
+    if (this.processor) {
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream = null;
+    }
+    if (this.audioContext) {
+      await this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    // Combine all recorded chunks
+    const totalLength = this.recordedChunks.reduce((acc, chunk) => acc + chunk.length, 0);
+    const audioData = new Float32Array(totalLength);
+    let offset = 0;
+    for (const chunk of this.recordedChunks) {
+      audioData.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this.recordedChunks = [];
+
+    // Only transcribe if we have audio data
+    if (audioData.length > 0) {
+      try {
+        const result = await ipcRenderer.invoke('stt-transcribe', Array.from(audioData));
+
+        // Send transcribed text to focused terminal
+        if (result && result.trim()) {
+          this.sendToTerminal(this.normalizeTranscription(result.trim()));
         }
-        selCurrentX = 0;
-        applyShiftArrowSelection();
-        return false;
+      } catch (err) {
+        console.error('Transcription failed:', err);
       }
+    }
 
-      // Shift+Cmd+Right (macOS) or Shift+End (others) — select to end of line
-      if (e.type === 'keydown' && ((isMac && e.key === 'ArrowRight' && e.shiftKey && e.metaKey) || (!isMac && e.key === 'End' && e.shiftKey))) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
+    this.micBtn.classList.remove('processing');
+    this.isProcessing = false;
+    this.micBtn.title = 'Speech-to-Text (Ctrl+Shift+S)';
+  }
+
+  normalizeTranscription(text) {
+    const replacements = [
+      [/\bcolumn sign\b/gi, ':'],
+      [/\bcolon sign\b/gi, ':'],
+      [/\bcolon\b/gi, ':'],
+      [/\bcomma sign\b/gi, ','],
+      [/\bcomma\b/gi, ','],
+      [/\bfull stop sign\b/gi, '.'],
+      [/\bfull stop\b/gi, '.'],
+      [/\bperiod sign\b/gi, '.'],
+      [/\bperiod\b/gi, '.'],
+      [/\bdot sign\b/gi, '.'],
+      [/\bdot\b/gi, '.'],
+      [/\bquestion mark sign\b/gi, '?'],
+      [/\bquestion mark\b/gi, '?'],
+      [/\bexclamation mark sign\b/gi, '!'],
+      [/\bexclamation mark\b/gi, '!'],
+      [/\bexclamation point\b/gi, '!'],
+      [/\bplus sign\b/gi, '+'],
+      [/\bminus sign\b/gi, '-'],
+      [/\bdash sign\b/gi, '-'],
+      [/\bhyphen sign\b/gi, '-'],
+      [/\bhyphen\b/gi, '-'],
+      [/\bunderscore sign\b/gi, '_'],
+      [/\bunderscore\b/gi, '_'],
+      [/\bequals sign\b/gi, '='],
+      [/\bequal sign\b/gi, '='],
+      [/\bat sign\b/gi, '@'],
+      [/\bhash sign\b/gi, '#'],
+      [/\bhashtag sign\b/gi, '#'],
+      [/\bhashtag\b/gi, '#'],
+      [/\bdollar sign\b/gi, '$'],
+      [/\bpercent sign\b/gi, '%'],
+      [/\bampersand sign\b/gi, '&'],
+      [/\bampersand\b/gi, '&'],
+      [/\basterisk sign\b/gi, '*'],
+      [/\basterisk\b/gi, '*'],
+      [/\bstar sign\b/gi, '*'],
+      [/\bslash sign\b/gi, '/'],
+      [/\bforward slash\b/gi, '/'],
+      [/\bslash\b/gi, '/'],
+      [/\bbackslash sign\b/gi, '\\'],
+      [/\bbackslash\b/gi, '\\'],
+      [/\bpipe sign\b/gi, '|'],
+      [/\bpipe\b/gi, '|'],
+      [/\btilde sign\b/gi, '~'],
+      [/\btilde\b/gi, '~'],
+      [/\bcaret sign\b/gi, '^'],
+      [/\bcaret\b/gi, '^'],
+      [/\bsemicolon sign\b/gi, ';'],
+      [/\bsemicolon\b/gi, ';'],
+      [/\bopen parenthesis\b/gi, '('],
+      [/\bclose parenthesis\b/gi, ')'],
+      [/\bopen bracket\b/gi, '['],
+      [/\bclose bracket\b/gi, ']'],
+      [/\bopen brace\b/gi, '{'],
+      [/\bclose brace\b/gi, '}'],
+      [/\bopen angle bracket\b/gi, '<'],
+      [/\bclose angle bracket\b/gi, '>'],
+      [/\bless than sign\b/gi, '<'],
+      [/\bless than\b/gi, '<'],
+      [/\bgreater than sign\b/gi, '>'],
+      [/\bgreater than\b/gi, '>'],
+      [/\bdouble quote\b/gi, '"'],
+      [/\bsingle quote\b/gi, "'"],
+      [/\bapostrophe\b/gi, "'"],
+      [/\bnew line\b/gi, '\n'],
+      [/\btab sign\b/gi, '\t'],
+      [/\bspace sign\b/gi, ' '],
+    ];
+
+    let result = text;
+    for (const [pattern, replacement] of replacements) {
+      result = result.replace(pattern, replacement);
+    }
+    // Clean up extra spaces around punctuation
+    result = result.replace(/ +([,:;.?!])/g, '$1');
+    return result;
+  }
+
+  sendToTerminal(text) {
+    const focusedPane = paneManager.getFocusedPane();
+    if (focusedPane) {
+      paneManager.sendInput(focusedPane.paneId, text);
+    }
+  }
+}
+
+// ========================================
+// PANE MANAGER
+// ========================================
+
+class PaneManager {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.panes = new Map();
+    this.paneIdCounter = 0;
+    this.focusedPaneId = null;
+    // Input typed in one pane also goes to: 'off' none, 'tab' the rest of its
+    // tab, 'all' every pane, 'selected' the other panes in paneIds
+    this.broadcast = { mode: 'off', paneIds: new Set() };
+    // tabId -> the pane filling that tab; its siblings stay laid out underneath
+    this.zoomedPanes = new Map();
+
+    ipcRenderer.on('terminal-data', (event, { terminalId, data }) => {
+      for (const pane of this.panes.values()) {
+        if (pane.terminalId === terminalId) {
+          pane.terminal.write(data);
+          if (pane.recorder) pane.recorder.output(data);
+          if (this.tabManager) this.tabManager.markActivity(pane.tabId);
+          this.scheduleProcessTitle(pane.paneId);
+          threatBus.emit('pane-output', { paneId: pane.paneId, data });
+          break;
         }
-        selCurrentX = getLineLength(selAnchorY);
-        applyShiftArrowSelection();
-        return false;
       }
+    });
 
-      // Shift+ArrowLeft — select one character to the left
-      if (e.type === 'keydown' && e.key === 'ArrowLeft' && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
+    // Foreground process names feed the title fallback and {process}; looked
+    // up after output in a pane on screen rather than polled
+    this.titleTimers = new Map();
+
+    ipcRenderer.on('terminal-exit', (event, { terminalId, exitCode }) => {
+      for (const [paneId, pane] of this.panes) {
+        if (pane.terminalId === terminalId) {
+          pane.terminal.write(`\r\n\x1b[33m[Process exited with code ${exitCode}]\x1b[0m\r\n`);
+          threatBus.emit('pane-exit', { paneId, exitCode, watched: pane.watched });
+          setTimeout(() => {
+            if (this.getPaneCountForTab(pane.tabId) > 1) {
+              this.closePane(paneId, { force: true });
+            }
+          }, 1000);
+          break;
         }
-        selCurrentX = Math.max(0, selCurrentX - 1);
-        applyShiftArrowSelection();
-        return false;
       }
+    });
+  }
+
+  createTerminalOptions(themeName = null) {
+    const theme = { ...themeRegistry.get(themeName || activeThemeId()).terminal };
+
+    return {
+      fontFamily: terminalFontFamily(currentSettings.fontFamily),
+      fontSize: currentSettings.fontSize,
+      fontWeight: currentSettings.fontWeight,
+      fontWeightBold: currentSettings.fontWeightBold,
+      lineHeight: currentSettings.lineHeight,
+      letterSpacing: currentSettings.letterSpacing,
+      cursorStyle: currentSettings.cursorStyle,
+      cursorBlink: currentSettings.cursorBlink,
+      theme: theme,
+      allowTransparency: true,
+      scrollback: 5000,
+      tabStopWidth: 4,
+      // Decorations (search highlights, prompt marks) are still a proposed API
+      allowProposedApi: true,
+      overviewRuler: { width: 8 },
+      macOptionIsMeta: true,
+      macOptionClickForcesSelection: false,
+      altSendsMeta: true,
+      wordSeparator: ' \t\n()[]{}\\\'",`|&;<>=$~!@#%^*+?:',
+    };
+  }
+
+  // options: { cwd, profileId }
+  // options: { cwd, profileId, adopt } - adopt takes over a running terminal
+  // moved from another window: { terminalId, scrollback, watched, oscTitle }
+  async createPane(tabId, container, options = {}) {
+    const paneId = ++this.paneIdCounter;
+    const profile = getProfile(options.profileId);
+    const adopt = options.adopt || null;
+
+    const terminal = new Terminal(this.createTerminalOptions(this.themeIdForPane(tabId, profile.id)));
+    const fitAddon = new FitAddon();
+    terminal.loadAddon(fitAddon);
+    const searchAddon = new SearchAddon({ highlightLimit: 1000 });
+    terminal.loadAddon(searchAddon);
+    const serializeAddon = new SerializeAddon();
+    terminal.loadAddon(serializeAddon);
+
+    const terminalId = adopt ? adopt.terminalId : await ipcRenderer.invoke('terminal-create', {
+      cwd: options.cwd || null,
+      profile,
+      shellIntegration: currentSettings.shellIntegration && profile.shellIntegration !== false,
+    });
+
+    const paneElement = document.createElement('div');
+    paneElement.className = 'pane';
+    paneElement.dataset.paneId = paneId;
+
+    // Pane close button (visible only when multiple panes exist)
+    const paneCloseBtn = document.createElement('div');
+    paneCloseBtn.className = 'pane-close-btn';
+    paneCloseBtn.innerHTML = '&times;';
+    paneCloseBtn.title = 'Close pane';
+    paneCloseBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.closePane(paneId);
+    });
+    paneElement.appendChild(paneCloseBtn);
+
+    // Pane title (visible only when multiple panes exist)
+    const paneTitle = document.createElement('div');
+    paneTitle.className = 'pane-title';
+    paneElement.appendChild(paneTitle);
+
+    // Recording indicator (visible only while recording)
+    const recordBadge = document.createElement('div');
+    recordBadge.className = 'pane-record-badge';
+    recordBadge.textContent = '● REC';
+    recordBadge.title = 'Recording - click to stop';
+    recordBadge.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.stopRecording(paneId);
+    });
+    paneElement.appendChild(recordBadge);
+
+    const terminalWrapper = document.createElement('div');
+    terminalWrapper.className = 'terminal-wrapper';
+    paneElement.appendChild(terminalWrapper);
+
+    container.appendChild(paneElement);
+    terminal.open(terminalWrapper);
+    const ligaturesAddon = currentSettings.ligatures ? loadLigatures(terminal) : null;
+
+    // Prompt marks, command status and cwd reported by the shell
+    const shellIntegration = new ShellIntegration(terminal);
+    shellIntegration.onCommandFinished(({ exitCode }) => {
+      const pane = this.panes.get(paneId);
+      threatBus.emit('command-finished', { paneId, exitCode, watched: pane ? pane.watched : false });
+      this.refreshProcessTitle(paneId);
+    });
+
+    // Recordings replay at the size the pane had at each moment
+    terminal.onResize(({ cols, rows }) => {
+      const pane = this.panes.get(paneId);
+      if (pane && pane.recorder) pane.recorder.resize(cols, rows);
+    });
+
+    // OSC 0/2 window titles set by the shell or the running program
+    terminal.onTitleChange((title) => {
+      const pane = this.panes.get(paneId);
+      if (!pane) return;
+      pane.oscTitle = title;
+      this.updatePaneTitle(paneId);
+    });
+
+    // Shift+Arrow selection state (per-pane)
+    let selAnchorX = null, selAnchorY = null;
+    let selCurrentX = null, selCurrentY = null;
+
+    function getLineText(viewportRow) {
+      const line = terminal.buffer.active.getLine(terminal.buffer.active.baseY + viewportRow);
+      return line ? line.translateToString() : '';
+    }
+
+    function getLineLength(viewportRow) {
+      return getLineText(viewportRow).trimEnd().length;
+    }
+
+    function wordBoundaryLeft(text, pos) {
+      let i = pos - 1;
+      while (i > 0 && /\s/.test(text[i])) i--;       // skip whitespace
+      while (i > 0 && /\S/.test(text[i - 1])) i--;    // skip word chars
+      return Math.max(0, i);
+    }
+
+    function wordBoundaryRight(text, pos) {
+      let i = pos;
+      const len = text.trimEnd().length;
+      while (i < len && /\S/.test(text[i])) i++;       // skip word chars
+      while (i < len && /\s/.test(text[i])) i++;        // skip whitespace
+      return i;
+    }
+
+    function applyShiftArrowSelection() {
+      const minX = Math.min(selAnchorX, selCurrentX);
+      const maxX = Math.max(selAnchorX, selCurrentX);
+      const length = maxX - minX;
+      if (length <= 0) { terminal.clearSelection(); return; }
+      const absRow = terminal.buffer.active.baseY + selAnchorY;
+      terminal.select(minX, absRow, length);
+    }
+
+    function clearShiftArrowSelection() {
+      selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
+      terminal.clearSelection();
+    }
+
+    // Browse mode state (per-pane)
+    let browseActive = false;
+    let browseX = 0, browseY = 0;
+    let browseAnchorX = null, browseAnchorY = null;
+    let browseCursorEl = null;
+
+    function getCellDimensions() {
+      const screen = terminalWrapper.querySelector('.xterm-screen');
+      if (!screen) return { width: 9, height: 17 };
+      const rect = screen.getBoundingClientRect();
+      return {
+        width: rect.width / terminal.cols,
+        height: rect.height / terminal.rows,
+      };
+    }
+
+    function createBrowseCursor() {
+      if (browseCursorEl) return;
+      const screen = terminalWrapper.querySelector('.xterm-screen');
+      if (!screen) return;
+      browseCursorEl = document.createElement('div');
+      browseCursorEl.className = 'browse-cursor';
+      const cell = getCellDimensions();
+      browseCursorEl.style.height = `${cell.height}px`;
+      screen.style.position = 'relative';
+      screen.appendChild(browseCursorEl);
+    }
+
+    function updateBrowseCursorPosition() {
+      if (!browseCursorEl) return;
+      const cell = getCellDimensions();
+      browseCursorEl.style.left = `${browseX * cell.width}px`;
+      browseCursorEl.style.top = `${browseY * cell.height}px`;
+      browseCursorEl.style.height = `${cell.height}px`;
+    }
+
+    function removeBrowseCursor() {
+      if (browseCursorEl) {
+        browseCursorEl.remove();
+        browseCursorEl = null;
+      }
+    }
+
+    function applyBrowseSelection() {
+      if (browseAnchorX === null) return;
+      let startX = browseAnchorX, startY = browseAnchorY;
+      let endX = browseX, endY = browseY;
+      // Normalize so start <= end
+      if (startY > endY || (startY === endY && startX > endX)) {
+        [startX, startY, endX, endY] = [endX, endY, startX, startY];
+      }
+      const cols = terminal.cols;
+      let length;
+      if (startY === endY) {
+        length = endX - startX;
+      } else {
+        length = (cols - startX) + ((endY - startY - 1) * cols) + endX;
+      }
+      if (length <= 0) { terminal.clearSelection(); return; }
+      const absRow = terminal.buffer.active.baseY + startY;
+      terminal.select(startX, absRow, length);
+    }
+
+    function enterBrowseMode(direction) {
+      browseActive = true;
+      browseX = terminal.buffer.active.cursorX;
+      browseY = terminal.buffer.active.cursorY;
+      browseAnchorX = null;
+      browseAnchorY = null;
+      // Move one row in the entry direction
+      if (direction === 'up') {
+        browseY = Math.max(0, browseY - 1);
+      } else {
+        browseY = Math.min(terminal.rows - 1, browseY + 1);
+      }
+      createBrowseCursor();
+      updateBrowseCursorPosition();
+    }
+
+    function exitBrowseMode() {
+      browseActive = false;
+      browseX = 0;
+      browseY = 0;
+      browseAnchorX = null;
+      browseAnchorY = null;
+      removeBrowseCursor();
+      terminal.clearSelection();
+    }
+
+    // Custom key handler for word navigation, clipboard history, and Shift+Arrow selection
+    terminal.attachCustomKeyEventHandler((e) => {
+      const isMac = process.platform === 'darwin';
+
+      // App shortcuts: leave them to the shortcut manager, even in browse mode
+      if (shortcutManager && shortcutManager.matchesAnyAction(e)) {
+        return false;
+      }
+
+      // --- Browse mode entry: Shift+Up/Down (no Alt/Ctrl/Meta, not already browsing) ---
+      if (e.type === 'keydown' && !browseActive && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey
+          && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+        enterBrowseMode(e.key === 'ArrowUp' ? 'up' : 'down');
+        return false;
+      }
+
+      // --- Browse mode active block ---
+      if (browseActive) {
+        if (e.type === 'keyup') return false; // swallow all keyups while browsing
+
+        if (e.type === 'keydown') {
+          const cols = terminal.cols;
+
+          // Escape or Enter → exit
+          if (e.key === 'Escape' || e.key === 'Enter') {
+            exitBrowseMode();
+            return false;
+          }
+
+          // Ctrl+C / Cmd+C → copy + exit
+          if ((e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey)) {
+            if (terminal.hasSelection()) {
+              const sel = terminal.getSelection();
+              if (sel) {
+                clipboard.writeText(sel);
+                if (clipboardHistory) clipboardHistory.add(sel);
+              }
+            }
+            exitBrowseMode();
+            return false;
+          }
+
+          // Plain arrows → move browse cursor, clear selection
+          if (!e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+            if (e.key === 'ArrowUp') {
+              browseY = Math.max(0, browseY - 1);
+              browseAnchorX = browseAnchorY = null;
+              terminal.clearSelection();
+              updateBrowseCursorPosition();
+              return false;
+            }
+            if (e.key === 'ArrowDown') {
+              browseY = Math.min(terminal.rows - 1, browseY + 1);
+              browseAnchorX = browseAnchorY = null;
+              terminal.clearSelection();
+              updateBrowseCursorPosition();
+              return false;
+            }
+            if (e.key === 'ArrowLeft') {
+              browseX = Math.max(0, browseX - 1);
+              browseAnchorX = browseAnchorY = null;
+              terminal.clearSelection();
+              updateBrowseCursorPosition();
+              return false;
+            }
+            if (e.key === 'ArrowRight') {
+              browseX = Math.min(cols - 1, browseX + 1);
+              browseAnchorX = browseAnchorY = null;
+              terminal.clearSelection();
+              updateBrowseCursorPosition();
+              return false;
+            }
+          }
+
+          // Shift+arrows → move + extend selection
+          if (e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
+            if (e.key === 'ArrowUp') { browseY = Math.max(0, browseY - 1); }
+            else if (e.key === 'ArrowDown') { browseY = Math.min(terminal.rows - 1, browseY + 1); }
+            else if (e.key === 'ArrowLeft') { browseX = Math.max(0, browseX - 1); }
+            else if (e.key === 'ArrowRight') { browseX = Math.min(cols - 1, browseX + 1); }
+            applyBrowseSelection();
+            updateBrowseCursorPosition();
+            return false;
+          }
+
+          // Shift+Alt+Arrow → word-jump selection
+          if (e.shiftKey && e.altKey && !e.ctrlKey && !e.metaKey) {
+            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
+            if (e.key === 'ArrowLeft') {
+              browseX = wordBoundaryLeft(getLineText(browseY), browseX);
+            } else if (e.key === 'ArrowRight') {
+              browseX = wordBoundaryRight(getLineText(browseY), browseX);
+            }
+            applyBrowseSelection();
+            updateBrowseCursorPosition();
+            return false;
+          }
+
+          // Shift+Cmd+Arrow (mac) or Shift+Home/End → line selection
+          if (isMac && e.shiftKey && e.metaKey) {
+            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
+            if (e.key === 'ArrowLeft') browseX = 0;
+            else if (e.key === 'ArrowRight') browseX = getLineLength(browseY);
+            applyBrowseSelection();
+            updateBrowseCursorPosition();
+            return false;
+          }
+          if (!isMac && e.shiftKey && (e.key === 'Home' || e.key === 'End')) {
+            if (browseAnchorX === null) { browseAnchorX = browseX; browseAnchorY = browseY; }
+            if (e.key === 'Home') browseX = 0;
+            else browseX = getLineLength(browseY);
+            applyBrowseSelection();
+            updateBrowseCursorPosition();
+            return false;
+          }
+
+          // Any other key → exit browse mode, let key pass through
+          const isModifierOnly = ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
+          if (!isModifierOnly) {
+            exitBrowseMode();
+            return true;
+          }
+          return false;
+        }
+        return false;
+      }
+
+      // Intercept Ctrl+C/Cmd+C to copy selection (Shift+Arrow or mouse)
+      if (e.type === 'keydown' && (e.key === 'c' || e.key === 'C') && (e.ctrlKey || e.metaKey)) {
+        if (terminal.hasSelection()) {
+          const selection = terminal.getSelection();
+          if (selection) {
+            clipboard.writeText(selection);
+            if (clipboardHistory) clipboardHistory.add(selection);
+          }
+          if (selAnchorX !== null) {
+            selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
+          }
+          terminal.clearSelection();
+          return false;
+        }
+        // No selection - let Ctrl+C pass through as SIGINT
+      }
+
+      // Intercept Ctrl+V/Cmd+V to let clipboard history popup handle it
+      if (e.type === 'keydown' && (e.key === 'v' || e.key === 'V') && (e.ctrlKey || e.metaKey)) {
+        return false; // Prevent xterm from handling paste, let document listener handle it
+      }
+
+      // Option+Left (macOS) or Ctrl+Left (others) -> word left
+      if (e.type === 'keydown' && e.key === 'ArrowLeft' && !e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
+        this.sendInput(paneId, '\x1bb');
+        return false;
+      }
+      // Option+Right (macOS) or Ctrl+Right (others) -> word right
+      if (e.type === 'keydown' && e.key === 'ArrowRight' && !e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
+        this.sendInput(paneId, '\x1bf');
+        return false;
+      }
+      // Option+Backspace (macOS) or Ctrl+Backspace (others) -> delete word
+      if (e.type === 'keydown' && e.key === 'Backspace' && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
+        this.sendInput(paneId, '\x17');
+        return false;
+      }
+
+      // Shift+Option+Left (macOS) or Shift+Ctrl+Left (others) — select word left
+      if (e.type === 'keydown' && e.key === 'ArrowLeft' && e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = wordBoundaryLeft(getLineText(selAnchorY), selCurrentX);
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Shift+Option+Right (macOS) or Shift+Ctrl+Right (others) — select word right
+      if (e.type === 'keydown' && e.key === 'ArrowRight' && e.shiftKey && ((isMac && e.altKey) || (!isMac && e.ctrlKey))) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = wordBoundaryRight(getLineText(selAnchorY), selCurrentX);
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Shift+Cmd+Left (macOS) or Shift+Home (others) — select to start of line
+      if (e.type === 'keydown' && ((isMac && e.key === 'ArrowLeft' && e.shiftKey && e.metaKey) || (!isMac && e.key === 'Home' && e.shiftKey))) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = 0;
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Shift+Cmd+Right (macOS) or Shift+End (others) — select to end of line
+      if (e.type === 'keydown' && ((isMac && e.key === 'ArrowRight' && e.shiftKey && e.metaKey) || (!isMac && e.key === 'End' && e.shiftKey))) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = getLineLength(selAnchorY);
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Shift+ArrowLeft — select one character to the left
+      if (e.type === 'keydown' && e.key === 'ArrowLeft' && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = Math.max(0, selCurrentX - 1);
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Shift+ArrowRight — select one character to the right
+      if (e.type === 'keydown' && e.key === 'ArrowRight' && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+        if (selAnchorX === null) {
+          selAnchorX = terminal.buffer.active.cursorX;
+          selAnchorY = terminal.buffer.active.cursorY;
+          selCurrentX = selAnchorX;
+          selCurrentY = selAnchorY;
+        }
+        selCurrentX = Math.min(getLineLength(selAnchorY), selCurrentX + 1);
+        applyShiftArrowSelection();
+        return false;
+      }
+
+      // Block keyup for Shift+Arrow/Home/End to prevent secondary handling
+      if (e.type === 'keyup' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') && e.shiftKey) {
+        return false;
+      }
+
+      // Clear Shift+Arrow selection on any other keydown (but not modifier-only keys)
+      const isModifierOnly = ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
+      if (e.type === 'keydown' && selAnchorX !== null && !isModifierOnly) {
+        clearShiftArrowSelection();
+      }
+
+      return true;
+    });
+
+    // Context menu handler
+    terminalWrapper.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevent document listener from hiding the menu
+      if (contextMenu) {
+        contextMenu.show(e.clientX, e.clientY, terminal, terminalId, paneId);
+      }
+    });
+
+    // Register link provider for URL detection with underline + click-to-open
+    terminal.registerLinkProvider({
+      provideLinks: (bufferLineNumber, callback) => {
+        const line = terminal.buffer.active.getLine(bufferLineNumber - 1);
+        if (!line) { callback(undefined); return; }
+
+        const lineText = line.translateToString();
+        const urlRegex = /https?:\/\/[^\s<>"')\]}>]+/g;
+        const links = [];
+        let match;
+
+        while ((match = urlRegex.exec(lineText)) !== null) {
+          let url = match[0];
+          // Strip trailing sentence punctuation that's not part of the URL
+          url = url.replace(/[.,;:!]+$/, '');
+
+          links.push({
+            range: {
+              start: { x: match.index + 1, y: bufferLineNumber },
+              end: { x: match.index + url.length, y: bufferLineNumber }
+            },
+            text: url,
+            decorations: { pointerCursor: true, underline: true },
+            activate: (_event, text) => { shell.openExternal(text); }
+          });
+        }
+
+        callback(links.length > 0 ? links : undefined);
+      }
+    });
+
+    this.panes.set(paneId, {
+      paneId,
+      tabId,
+      terminalId,
+      profileId: profile.id,
+      watched: false,
+      terminal,
+      fitAddon,
+      searchAddon,
+      serializeAddon,
+      ligaturesAddon,
+      searchBar: null,
+      shellIntegration,
+      element: paneElement,
+      oscTitle: adopt ? adopt.oscTitle || '' : '',
+      processName: null,
+      processCwd: null,
+      title: '',
+      recorder: null,
+    });
+    this.applyDecorationColors(this.panes.get(paneId));
+
+    // Replay the moved pane's screen, then let the main process send output
+    // it held during the move
+    if (adopt) {
+      if (adopt.scrollback) terminal.write(adopt.scrollback);
+      if (adopt.watched) this.toggleWatched(paneId);
+      await ipcRenderer.invoke('terminal-attach', terminalId);
+    }
+
+    // Update pane close button visibility for all panes in this tab
+    this.updatePaneCloseButtons(tabId);
+    this.updateBroadcastMarkers();
+    this.refreshProcessTitle(paneId);
+
+    // Only what the user types or pastes is broadcast. Replies xterm makes
+    // itself (device attributes, cursor position, mouse and focus reports)
+    // go to this pane's shell alone. Typed input arrives while these events
+    // are dispatched, or from timers xterm sets during them (IME composition),
+    // so the flag is cleared after those timers.
+    let typing = false;
+    ['keydown', 'keypress', 'input', 'paste', 'compositionend'].forEach((type) => {
+      terminalWrapper.addEventListener(type, () => {
+        typing = true;
+        setTimeout(() => setTimeout(() => { typing = false; }));
+      }, true);
+    });
+
+    // Browse mode keys never reach onData, so they stay local to this pane;
+    // the key that ends browse mode is typed (and broadcast) like any other
+    terminal.onData((data) => {
+      if (!typing) {
+        ipcRenderer.send('terminal-input', { terminalId, data });
+        return;
+      }
+      this.sendInput(paneId, data);
+
+      // Play typing sound
+      if (keySoundManager) {
+        // Check for special keys (enter, backspace, etc.)
+        if (data === '\r' || data === '\x7f' || data === '\x1b') {
+          keySoundManager.playSpecialKeySound();
+        } else if (data.length === 1 && data.charCodeAt(0) >= 32) {
+          // Regular printable character
+          keySoundManager.playKeySound();
+        }
+      }
+
+      // Trigger waveform spike on input
+      if (waveformRenderer) {
+        waveformRenderer.triggerSpike(0.5);
+      }
+    });
+
+    paneElement.addEventListener('click', () => {
+      this.focusPane(paneId);
+    });
+
+    // Clear Shift+Arrow selection state on mouse interaction
+    terminalWrapper.addEventListener('mousedown', () => {
+      selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
+    });
+
+    // Exit browse mode on terminal blur
+    terminal.textarea.addEventListener('blur', () => {
+      if (browseActive) exitBrowseMode();
+    });
+
+    setTimeout(() => {
+      fitAddon.fit();
+      ipcRenderer.send('terminal-resize', {
+        terminalId,
+        cols: terminal.cols,
+        rows: terminal.rows,
+      });
+    }, 50);
+
+    this.focusPane(paneId);
+
+    return paneId;
+  }
+
+  // options: { profileId, cwd } - an explicit cwd skips the lookup on the split pane
+  async splitPane(paneId, direction, options = {}) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return null;
+
+    // The new pane must be visible, so show the whole layout again
+    this.unzoom(pane.tabId);
+
+    // New pane keeps the split pane's profile unless another one was picked
+    const profile = getProfile(options.profileId || pane.profileId);
+
+    // Get cwd from the pane being split (a profile's own cwd takes precedence)
+    let currentCwd = options.cwd || null;
+    if (!currentCwd && !profile.cwd && !options.adopt) {
+      currentCwd = await this.getPaneCwd(paneId);
+    }
+
+    const parentElement = pane.element.parentElement;
+    const isHorizontal = direction === 'vertical';
+
+    const { splitContainer, divider } = this.createSplitContainer(isHorizontal);
+
+    // The split container takes over the pane's share of its parent
+    splitContainer.style.flex = pane.element.style.flex;
+    pane.element.style.flex = '';
+
+    parentElement.insertBefore(splitContainer, pane.element);
+    splitContainer.appendChild(pane.element);
+    splitContainer.appendChild(divider);
+
+    const newPaneId = await this.createPane(pane.tabId, splitContainer, {
+      cwd: currentCwd,
+      profileId: profile.id,
+      adopt: options.adopt,
+    });
+
+    this.refitAllPanesInTab(pane.tabId);
+
+    return newPaneId;
+  }
+
+  createSplitContainer(isHorizontal) {
+    const splitContainer = document.createElement('div');
+    splitContainer.className = isHorizontal ? 'split-horizontal' : 'split-vertical';
+
+    const divider = document.createElement('div');
+    divider.className = `split-divider ${isHorizontal ? 'horizontal' : 'vertical'}`;
+    this.setupDividerDrag(divider, splitContainer, isHorizontal);
+
+    return { splitContainer, divider };
+  }
+
+  getSplitChildren(container) {
+    return Array.from(container.children).filter(
+      c => !c.classList.contains('split-divider')
+    );
+  }
+
+  // Ratio of the first child, read from flex-grow so hidden tabs report correctly
+  getSplitRatio(container) {
+    const children = this.getSplitChildren(container);
+    if (children.length < 2) return 0.5;
+    const grows = children.map(c => parseFloat(c.style.flexGrow) || 1);
+    return grows[0] / (grows[0] + grows[1]);
+  }
+
+  setSplitRatio(container, ratio) {
+    const children = this.getSplitChildren(container);
+    if (children.length < 2) return;
+    const clamped = Math.max(0.05, Math.min(0.95, ratio));
+    children[0].style.flex = `${clamped} 1 0px`;
+    children[1].style.flex = `${1 - clamped} 1 0px`;
+  }
+
+  setupDividerDrag(divider, container, isHorizontal) {
+    let isDragging = false;
+    let startPos = 0;
+    let startSizes = [];
+
+    divider.addEventListener('mousedown', (e) => {
+      isDragging = true;
+      divider.classList.add('dragging');
+      startPos = isHorizontal ? e.clientX : e.clientY;
+
+      const children = Array.from(container.children).filter(
+        c => !c.classList.contains('split-divider')
+      );
+      startSizes = children.map(c =>
+        isHorizontal ? c.offsetWidth : c.offsetHeight
+      );
+
+      document.addEventListener('mousemove', onMouseMove);
+      document.addEventListener('mouseup', onMouseUp);
+    });
+
+    const onMouseMove = (e) => {
+      if (!isDragging) return;
+
+      const currentPos = isHorizontal ? e.clientX : e.clientY;
+      const delta = currentPos - startPos;
+
+      const children = Array.from(container.children).filter(
+        c => !c.classList.contains('split-divider')
+      );
+
+      if (children.length >= 2) {
+        const totalSize = startSizes[0] + startSizes[1];
+        const newSize1 = Math.max(100, Math.min(totalSize - 100, startSizes[0] + delta));
+        const newSize2 = totalSize - newSize1;
+
+        children[0].style.flex = `0 0 ${newSize1}px`;
+        children[1].style.flex = `0 0 ${newSize2}px`;
+
+        this.panes.forEach(pane => {
+          if (children[0].contains(pane.element) || children[1].contains(pane.element)) {
+            pane.fitAddon.fit();
+            ipcRenderer.send('terminal-resize', {
+              terminalId: pane.terminalId,
+              cols: pane.terminal.cols,
+              rows: pane.terminal.rows,
+            });
+          }
+        });
+      }
+    };
+
+    const onMouseUp = () => {
+      isDragging = false;
+      divider.classList.remove('dragging');
+
+      // Keep the dragged proportions as flex ratios so they survive window resizes
+      const children = this.getSplitChildren(container);
+      if (children.length >= 2) {
+        const sizes = children.map(c => isHorizontal ? c.offsetWidth : c.offsetHeight);
+        const total = sizes[0] + sizes[1];
+        this.setSplitRatio(container, total > 0 ? sizes[0] / total : 0.5);
+      }
+
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    };
+  }
+
+  // ---- Keyboard layout ----
+
+  // Move one edge of the pane in `direction` by `step` of its split: the
+  // right/bottom edge when the pane has one there, otherwise the left/top edge
+  // (tmux resize-pane semantics)
+  resizePane(paneId, direction, step = 0.05) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+    this.unzoom(pane.tabId);
+
+    const splitClass = direction === 'left' || direction === 'right' ? 'split-horizontal' : 'split-vertical';
+    let trailing = null;
+    let leading = null;
+    let child = pane.element;
+    let container = child.parentElement;
+    while (container && (container.classList.contains('split-horizontal') || container.classList.contains('split-vertical'))) {
+      if (container.classList.contains(splitClass)) {
+        const isFirst = this.getSplitChildren(container)[0] === child;
+        if (isFirst && !trailing) trailing = container;
+        if (!isFirst && !leading) leading = container;
+      }
+      child = container;
+      container = container.parentElement;
+    }
+
+    const target = trailing || leading;
+    if (!target) return;
+
+    const delta = direction === 'right' || direction === 'down' ? step : -step;
+    this.setSplitRatio(target, this.getSplitRatio(target) + delta);
+    this.refitAllPanesInTab(pane.tabId);
+  }
+
+  // Trade places with the neighbour focusDirection() would move to; each slot
+  // keeps its size and the moved pane keeps focus
+  swapPane(paneId, direction) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+    this.unzoom(pane.tabId);
+
+    const other = this.panes.get(this.findPaneInDirection(paneId, direction));
+    if (!other) return;
+
+    const a = pane.element;
+    const b = other.element;
+    const marker = document.createElement('div');
+    a.parentElement.insertBefore(marker, a);
+    b.parentElement.insertBefore(a, b);
+    marker.parentElement.insertBefore(b, marker);
+    marker.remove();
+    [a.style.flex, b.style.flex] = [b.style.flex, a.style.flex];
+
+    this.focusPane(paneId);
+    this.refitAllPanesInTab(pane.tabId);
+  }
+
+  // Rebuild a tab's split tree from its existing panes, like tmux's
+  // select-layout: 'even-horizontal' (side by side), 'even-vertical'
+  // (stacked), 'main-left' (focused pane left, the rest stacked right), 'tiled'
+  applyLayoutPreset(tabId, preset) {
+    const tab = this.tabManager && this.tabManager.tabs.get(tabId);
+    if (!tab) return;
+    this.unzoom(tabId);
+
+    const elements = Array.from(tab.contentElement.querySelectorAll('.pane'))
+      .filter(el => this.panes.has(parseInt(el.dataset.paneId)));
+    if (elements.length < 2) return;
+
+    let root;
+    switch (preset) {
+      case 'even-horizontal':
+        root = this.buildEvenSplit(elements, true);
+        break;
+      case 'even-vertical':
+        root = this.buildEvenSplit(elements, false);
+        break;
+      case 'main-left': {
+        const focused = this.panes.get(this.focusedPaneId);
+        const main = focused && focused.tabId === tabId ? focused.element : elements[0];
+        const rest = elements.filter(el => el !== main);
+        root = this.buildSplit(main, this.buildEvenSplit(rest, false), true, 0.6);
+        break;
+      }
+      case 'tiled': {
+        const columns = Math.ceil(Math.sqrt(elements.length));
+        const rows = [];
+        for (let i = 0; i < elements.length; i += columns) {
+          rows.push(this.buildEvenSplit(elements.slice(i, i + columns), true));
+        }
+        root = this.buildEvenSplit(rows, false);
+        break;
+      }
+      default:
+        return;
+    }
+
+    root.style.flex = '';
+    tab.contentElement.replaceChildren(root);
+
+    const focused = this.panes.get(this.focusedPaneId);
+    if (focused && focused.tabId === tabId) this.focusPane(focused.paneId);
+    this.refitAllPanesInTab(tabId);
+  }
+
+  // Binary splits giving every element an equal share
+  buildEvenSplit(elements, isHorizontal) {
+    if (elements.length === 1) return elements[0];
+    const rest = this.buildEvenSplit(elements.slice(1), isHorizontal);
+    return this.buildSplit(elements[0], rest, isHorizontal, 1 / elements.length);
+  }
+
+  buildSplit(first, second, isHorizontal, ratio) {
+    const { splitContainer, divider } = this.createSplitContainer(isHorizontal);
+    splitContainer.append(first, divider, second);
+    this.setSplitRatio(splitContainer, ratio);
+    return splitContainer;
+  }
+
+  // Closes after confirming if a process is still running; force skips the
+  // check for panes whose process already exited
+  async closePane(paneId, { force = false } = {}) {
+    if (!force && !await confirmCloseProcesses([paneId], 'CLOSE PANE?')) return;
+
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+
+    ipcRenderer.send('terminal-destroy', pane.terminalId);
+
+    if (this.zoomedPanes.get(pane.tabId) === paneId) this.unzoom(pane.tabId);
+    this.stopRecording(paneId);
+
+    const parent = pane.element.parentElement;
+    const grandparent = parent.parentElement;
+
+    pane.element.remove();
+    pane.terminal.dispose();
+    this.panes.delete(paneId);
+    this.broadcast.paneIds.delete(paneId);
+
+    if (parent.classList.contains('split-horizontal') || parent.classList.contains('split-vertical')) {
+      const remaining = Array.from(parent.children).filter(
+        c => !c.classList.contains('split-divider')
+      );
+
+      Array.from(parent.querySelectorAll('.split-divider')).forEach(d => d.remove());
+
+      if (remaining.length === 1) {
+        remaining[0].style.flex = parent.style.flex;
+        grandparent.insertBefore(remaining[0], parent);
+        parent.remove();
+      } else if (remaining.length === 0) {
+        parent.remove();
+      }
+    }
+
+    if (this.focusedPaneId === paneId) {
+      const tabPanes = this.getPanesForTab(pane.tabId);
+      if (tabPanes.length > 0) {
+        this.focusPane(tabPanes[0].paneId);
+      } else {
+        this.focusedPaneId = null;
+      }
+    }
+
+    this.refitAllPanesInTab(pane.tabId);
+
+    // Update close button visibility
+    this.updatePaneCloseButtons(pane.tabId);
+    this.updateBroadcastMarkers();
+  }
+
+  updatePaneCloseButtons(tabId) {
+    const tabPanes = this.getPanesForTab(tabId);
+    const showClose = tabPanes.length > 1;
+    tabPanes.forEach(p => {
+      const btn = p.element.querySelector('.pane-close-btn');
+      if (btn) btn.style.display = showClose ? 'flex' : 'none';
+      p.element.classList.toggle('titled', showClose);
+    });
+  }
+
+  focusPane(paneId) {
+    this.panes.forEach(p => {
+      p.element.classList.remove('focused');
+    });
+
+    const pane = this.panes.get(paneId);
+    if (pane) {
+      // Moving to a pane hidden behind a zoomed one brings the layout back
+      const zoomedId = this.zoomedPanes.get(pane.tabId);
+      if (zoomedId !== undefined && zoomedId !== paneId) this.unzoom(pane.tabId);
+      pane.element.classList.add('focused');
+      pane.terminal.focus();
+      this.focusedPaneId = paneId;
+      if (this.tabManager) this.tabManager.setActivePane(pane.tabId, paneId);
+    }
+  }
+
+  // ---- Titles ----
+
+  // Panes in the active tab not hidden behind a zoomed one, and the focused pane
+  isPaneOnScreen(pane) {
+    if (pane.paneId === this.focusedPaneId) return true;
+    const activeTabId = this.tabManager ? this.tabManager.getActiveTabId() : null;
+    return pane.tabId === activeTabId && !this.isHiddenByZoom(pane);
+  }
+
+  // One lookup a second after a burst of output; panes off screen catch up
+  // when their tab is shown, and nothing runs while the window is hidden
+  scheduleProcessTitle(paneId) {
+    if (document.hidden || this.titleTimers.has(paneId)) return;
+    const pane = this.panes.get(paneId);
+    if (!pane || !this.isPaneOnScreen(pane)) return;
+    this.titleTimers.set(paneId, setTimeout(() => {
+      this.titleTimers.delete(paneId);
+      this.refreshProcessTitle(paneId);
+    }, 1000));
+  }
+
+  // On tab switches and when the window is shown again
+  async refreshProcessTitles() {
+    const onScreen = Array.from(this.panes.values()).filter(pane => this.isPaneOnScreen(pane));
+    await Promise.all(onScreen.map(pane => this.refreshProcessTitle(pane.paneId)));
+  }
+
+  async refreshProcessTitle(paneId) {
+    const info = await this.getPaneProcess(paneId).catch(() => null);
+    const pane = this.panes.get(paneId);
+    if (!pane || !info) return;
+    if (info.name === pane.processName && info.cwd === pane.processCwd) return;
+    pane.processName = info.name;
+    pane.processCwd = info.cwd;
+    this.updatePaneTitle(paneId);
+  }
+
+  // Placeholder values for the title template
+  getTitleValues(pane) {
+    const home = os.homedir();
+    const fullCwd = pane.shellIntegration.cwd || pane.processCwd || '';
+    const shortCwd = fullCwd.startsWith(home) ? `~${fullCwd.slice(home.length)}` : fullCwd;
+    const cwd = shortCwd === '~' || shortCwd === '/' ? shortCwd : path.basename(shortCwd);
+    const processName = pane.processName || '';
+    const fallback = [processName, cwd].filter(Boolean).join(' · ');
+
+    return {
+      title: pane.oscTitle || fallback,
+      process: processName,
+      cwd,
+      path: shortCwd,
+      host: pane.shellIntegration.host || os.hostname().split('.')[0],
+      profile: getProfile(pane.profileId).name,
+    };
+  }
+
+  // "{process} in {cwd}" -> "vim in src"; unknown placeholders are left as typed
+  static renderTitle(template, values) {
+    return template
+      .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+      .replace(/^[\s:·|@-]+|[\s:·|@-]+$/g, '')
+      .trim();
+  }
+
+  updatePaneTitle(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+
+    const template = currentSettings.titleTemplate || '{title}';
+    const title = PaneManager.renderTitle(template, this.getTitleValues(pane));
+    pane.title = title;
+
+    const titleEl = pane.element.querySelector('.pane-title');
+    if (titleEl) {
+      titleEl.textContent = title;
+      titleEl.title = title;
+    }
+
+    if (this.tabManager) this.tabManager.updateTabTitle(pane.tabId);
+  }
+
+  updateAllPaneTitles() {
+    this.panes.forEach((pane, paneId) => this.updatePaneTitle(paneId));
+  }
+
+  focusDirection(direction) {
+    if (!this.focusedPaneId) return;
+
+    const target = this.findPaneInDirection(this.focusedPaneId, direction);
+    if (target) {
+      this.focusPane(target);
+    }
+  }
+
+  // Nearest pane whose center lies in `direction` from the given pane's
+  findPaneInDirection(paneId, direction) {
+    const currentPane = this.panes.get(paneId);
+    if (!currentPane) return null;
+
+    const tabPanes = this.getPanesForTab(currentPane.tabId);
+    if (tabPanes.length <= 1) return null;
+
+    const panePositions = tabPanes.map(p => {
+      const rect = p.element.getBoundingClientRect();
+      return {
+        paneId: p.paneId,
+        x: rect.left + rect.width / 2,
+        y: rect.top + rect.height / 2,
+      };
+    });
+
+    const current = panePositions.find(p => p.paneId === paneId);
+    if (!current) return null;
+
+    let bestCandidate = null;
+    let bestScore = Infinity;
+
+    for (const p of panePositions) {
+      if (p.paneId === paneId) continue;
+
+      const dx = p.x - current.x;
+      const dy = p.y - current.y;
+      let isValidDirection = false;
+      let distance = 0;
+
+      switch (direction) {
+        case 'up':
+          isValidDirection = dy < -10;
+          distance = Math.abs(dy) + Math.abs(dx) * 0.5;
+          break;
+        case 'down':
+          isValidDirection = dy > 10;
+          distance = Math.abs(dy) + Math.abs(dx) * 0.5;
+          break;
+        case 'left':
+          isValidDirection = dx < -10;
+          distance = Math.abs(dx) + Math.abs(dy) * 0.5;
+          break;
+        case 'right':
+          isValidDirection = dx > 10;
+          distance = Math.abs(dx) + Math.abs(dy) * 0.5;
+          break;
+      }
+
+      if (isValidDirection && distance < bestScore) {
+        bestScore = distance;
+        bestCandidate = p.paneId;
+      }
+    }
+
+    return bestCandidate;
+  }
+
+  focusNextPane() {
+    if (!this.focusedPaneId) return;
+
+    const currentPane = this.panes.get(this.focusedPaneId);
+    if (!currentPane) return;
+
+    const tabPanes = this.getPanesForTab(currentPane.tabId);
+    if (tabPanes.length <= 1) return;
+
+    const currentIndex = tabPanes.findIndex(p => p.paneId === this.focusedPaneId);
+    const nextIndex = (currentIndex + 1) % tabPanes.length;
+    this.focusPane(tabPanes[nextIndex].paneId);
+  }
+
+  getPanesForTab(tabId) {
+    return Array.from(this.panes.values()).filter(p => p.tabId === tabId);
+  }
+
+  getPaneCountForTab(tabId) {
+    return this.getPanesForTab(tabId).length;
+  }
+
+  // Panes hidden behind a zoomed pane keep their PTY size until unzoom
+  refitAllPanesInTab(tabId) {
+    setTimeout(() => {
+      this.getPanesForTab(tabId).filter(p => !this.isHiddenByZoom(p)).forEach(pane => {
+        pane.fitAddon.fit();
+        ipcRenderer.send('terminal-resize', {
+          terminalId: pane.terminalId,
+          cols: pane.terminal.cols,
+          rows: pane.terminal.rows,
+        });
+      });
+    }, 50);
+  }
+
+  refitAllPanes() {
+    this.panes.forEach(pane => {
+      if (this.isHiddenByZoom(pane)) return;
+      pane.fitAddon.fit();
+      ipcRenderer.send('terminal-resize', {
+        terminalId: pane.terminalId,
+        cols: pane.terminal.cols,
+        rows: pane.terminal.rows,
+      });
+    });
+  }
+
+  // keepTerminals leaves the shells running for a tab moving to another window
+  destroyAllPanesInTab(tabId, { keepTerminals = false } = {}) {
+    this.zoomedPanes.delete(tabId);
+    const tabPanes = this.getPanesForTab(tabId);
+    tabPanes.forEach(pane => {
+      if (!keepTerminals) ipcRenderer.send('terminal-destroy', pane.terminalId);
+      this.stopRecording(pane.paneId);
+      pane.terminal.dispose();
+      pane.element.remove();
+      this.panes.delete(pane.paneId);
+      this.broadcast.paneIds.delete(pane.paneId);
+    });
+    this.updateBroadcastMarkers();
+  }
+
+  // A tab's override wins over its profile's theme, which wins over the active theme
+  themeIdForPane(tabId, profileId) {
+    const tab = this.tabManager && this.tabManager.tabs.get(tabId);
+    return (tab && tab.theme) || getProfile(profileId).theme || activeThemeId();
+  }
+
+  // xterm repaints with a new palette in place; nothing needs refitting.
+  // Command marks and search highlights take the new colors too.
+  applyThemeToTerminals() {
+    this.panes.forEach(pane => {
+      pane.terminal.options.theme = this.createTerminalOptions(this.themeIdForPane(pane.tabId, pane.profileId)).theme;
+      this.applyDecorationColors(pane);
+      if (pane.searchBar) pane.searchBar.refreshDecorations();
+    });
+  }
+
+  // A UI color from the pane's theme as #rrggbb, the only form decorations
+  // accept; color(name, fallback)
+  themeColorsForPane(pane) {
+    const ui = themeRegistry.get(this.themeIdForPane(pane.tabId, pane.profileId)).ui;
+    return (name, fallback) => (ui[name] || fallback).slice(0, 7);
+  }
+
+  applyDecorationColors(pane) {
+    const color = this.themeColorsForPane(pane);
+    pane.shellIntegration.setColors({
+      running: color('text-dim', '#446655'),
+      success: color('primary-color', '#00ff88'),
+      failure: color('alert-color', '#ff0044'),
+    });
+  }
+
+  // Font, cursor and theme settings apply to running terminals. The font is
+  // loaded first so xterm measures the real glyphs, not a fallback; panes in
+  // background tabs or behind a zoom are refit when they're shown.
+  async updateAllTerminalSettings() {
+    await loadTerminalFont();
+
+    this.panes.forEach(pane => {
+      const newOptions = this.createTerminalOptions(this.themeIdForPane(pane.tabId, pane.profileId));
+      liveTerminalOptions.forEach((key) => {
+        pane.terminal.options[key] = newOptions[key];
+      });
+      if (currentSettings.ligatures && !pane.ligaturesAddon) {
+        pane.ligaturesAddon = loadLigatures(pane.terminal);
+      } else if (!currentSettings.ligatures && pane.ligaturesAddon) {
+        pane.ligaturesAddon.dispose();
+        pane.ligaturesAddon = null;
+      }
+    });
+    if (this.tabManager) {
+      this.tabManager.tabs.forEach((tab) => {
+        if (!tab.player) return;
+        const newOptions = this.createTerminalOptions(tab.theme);
+        liveTerminalOptions.filter(key => key !== 'cursorBlink').forEach((key) => {
+          tab.player.terminal.options[key] = newOptions[key];
+        });
+      });
+    }
+
+    // The cell size is re-measured as the options change; fit on the next frame
+    requestAnimationFrame(() => {
+      const activeTabId = this.tabManager ? this.tabManager.getActiveTabId() : null;
+      this.panes.forEach(pane => {
+        if (pane.tabId !== activeTabId || this.isHiddenByZoom(pane)) return;
+        this.fitPane(pane);
+      });
+    });
+  }
+
+  // Fit a pane to its element and tell the PTY only if the grid size changed
+  fitPane(pane) {
+    const { cols, rows } = pane.terminal;
+    pane.fitAddon.fit();
+    if (pane.terminal.cols === cols && pane.terminal.rows === rows) return;
+    ipcRenderer.send('terminal-resize', {
+      terminalId: pane.terminalId,
+      cols: pane.terminal.cols,
+      rows: pane.terminal.rows,
+    });
+  }
+
+  getFocusedPane() {
+    return this.panes.get(this.focusedPaneId);
+  }
+
+  // Open (or focus) the pane's find bar
+  toggleSearch(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+    if (!pane.searchBar) pane.searchBar = new SearchBar(pane);
+    pane.searchBar.toggle();
+  }
+
+  // ---- Broadcast input ----
+
+  // Send typed or pasted input from a pane, fanned out by the broadcast mode
+  sendInput(paneId, data) {
+    for (const target of this.getBroadcastTargets(paneId)) {
+      ipcRenderer.send('terminal-input', { terminalId: target.terminalId, data });
+    }
+  }
+
+  getBroadcastTargets(paneId) {
+    const source = this.panes.get(paneId);
+    if (!source) return [];
+
+    switch (this.broadcast.mode) {
+      case 'tab':
+        return this.getPanesForTab(source.tabId);
+      case 'all':
+        return Array.from(this.panes.values());
+      case 'selected':
+        // Typing in a pane outside the selection stays in that pane
+        if (!this.broadcast.paneIds.has(paneId)) return [source];
+        return Array.from(this.broadcast.paneIds)
+          .map(id => this.panes.get(id))
+          .filter(Boolean);
+      default:
+        return [source];
+    }
+  }
+
+  setBroadcastMode(mode) {
+    this.broadcast.mode = ['tab', 'all', 'selected'].includes(mode) ? mode : 'off';
+    if (this.broadcast.mode !== 'selected') this.broadcast.paneIds.clear();
+    this.updateBroadcastMarkers();
+  }
+
+  // Hand-pick panes: the first pick switches to 'selected' mode, removing the
+  // last one turns broadcast off
+  toggleBroadcastPane(paneId) {
+    if (this.broadcast.mode !== 'selected') {
+      this.broadcast.mode = 'selected';
+      this.broadcast.paneIds.clear();
+    }
+    if (this.broadcast.paneIds.has(paneId)) {
+      this.broadcast.paneIds.delete(paneId);
+    } else {
+      this.broadcast.paneIds.add(paneId);
+    }
+    if (this.broadcast.paneIds.size === 0) this.broadcast.mode = 'off';
+    this.updateBroadcastMarkers();
+  }
+
+  isBroadcasting(pane) {
+    switch (this.broadcast.mode) {
+      case 'tab':
+        return this.getPaneCountForTab(pane.tabId) > 1;
+      case 'all':
+        return this.panes.size > 1;
+      case 'selected':
+        return this.broadcast.paneIds.has(pane.paneId) && this.broadcast.paneIds.size > 1;
+      default:
+        return false;
+    }
+  }
+
+  updateBroadcastMarkers() {
+    this.panes.forEach(pane => {
+      pane.element.classList.toggle('broadcast', this.isBroadcasting(pane));
+    });
+    if (this.tabManager) {
+      this.tabManager.tabs.forEach((tab, tabId) => {
+        const broadcasting = this.getPanesForTab(tabId).some(p => this.isBroadcasting(p));
+        tab.element.classList.toggle('broadcast', broadcasting);
+      });
+    }
+  }
+
+  // ---- Zoom ----
+
+  // The zoomed pane is lifted over its tab by CSS; the split tree, flex ratios
+  // and the hidden panes' PTY sizes are left alone so unzoom is exact
+  toggleZoom(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+
+    if (this.zoomedPanes.get(pane.tabId) === paneId) {
+      this.unzoom(pane.tabId);
+      return;
+    }
+    if (this.getPaneCountForTab(pane.tabId) <= 1) return;
+
+    this.unzoom(pane.tabId);
+    this.zoomedPanes.set(pane.tabId, paneId);
+    pane.element.classList.add('zoomed');
+    this.updateZoomMarkers(pane.tabId);
+    this.focusPane(paneId);
+    this.refitAllPanesInTab(pane.tabId);
+  }
+
+  unzoom(tabId) {
+    const paneId = this.zoomedPanes.get(tabId);
+    if (paneId === undefined) return;
+
+    this.zoomedPanes.delete(tabId);
+    const pane = this.panes.get(paneId);
+    if (pane) pane.element.classList.remove('zoomed');
+    this.updateZoomMarkers(tabId);
+    this.refitAllPanesInTab(tabId);
+  }
+
+  isZoomed(paneId) {
+    const pane = this.panes.get(paneId);
+    return !!pane && this.zoomedPanes.get(pane.tabId) === paneId;
+  }
+
+  isHiddenByZoom(pane) {
+    const zoomedId = this.zoomedPanes.get(pane.tabId);
+    return zoomedId !== undefined && zoomedId !== pane.paneId;
+  }
+
+  updateZoomMarkers(tabId) {
+    const tab = this.tabManager && this.tabManager.tabs.get(tabId);
+    if (!tab) return;
+    const zoomed = this.zoomedPanes.has(tabId);
+    tab.contentElement.classList.toggle('has-zoom', zoomed);
+    tab.element.classList.toggle('zoomed', zoomed);
+  }
+
+  // ---- Export ----
+
+  // The pane's scrollback as 'text', 'ansi' or 'html'; lastCommand narrows it
+  // to the output of the last command shell integration marked (null if
+  // none). Every format reads the normal buffer, even while a full-screen
+  // program has the alternate one up.
+  exportPane(paneId, format, { lastCommand = false } = {}) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return null;
+
+    let range;
+    if (lastCommand) {
+      range = pane.shellIntegration.commandOutputRange({ last: true });
+      if (!range) return null;
+    } else {
+      // Everything up to the last non-empty row
+      const buffer = pane.terminal.buffer.normal;
+      let end = buffer.length - 1;
+      while (end > 0 && !buffer.getLine(end).translateToString(true)) end--;
+      range = { start: 0, end };
+    }
+
+    switch (format) {
+      case 'ansi':
+        return pane.serializeAddon.serialize({ range, excludeModes: true, excludeAltBuffer: true });
+      case 'html':
+        return this.exportHtml(pane, range);
+      default:
+        return this.exportText(pane, range);
+    }
+  }
+
+  exportText(pane, range) {
+    const buffer = pane.terminal.buffer.normal;
+    let text = '';
+    for (let y = range.start; y <= range.end; y++) {
+      const line = buffer.getLine(y);
+      if (!line) continue;
+      // Soft-wrapped rows continue the line above; only real line ends lose
+      // their trailing blanks
+      const next = buffer.getLine(y + 1);
+      const continues = y < range.end && next && next.isWrapped;
+      if (y > range.start && !line.isWrapped) text += '\n';
+      text += line.translateToString(!continues);
+    }
+    return `${text}\n`;
+  }
+
+  // Standalone page in the pane's theme palette
+  exportHtml(pane, range) {
+    const options = this.createTerminalOptions(this.themeIdForPane(pane.tabId, pane.profileId));
+    // The addon renders HTML from the active buffer, so give it a view of the
+    // terminal where the normal buffer is the active one
+    const terminal = pane.terminal;
+    const normalView = Object.create(terminal, {
+      buffer: { value: { active: terminal.buffer.normal, normal: terminal.buffer.normal, alternate: terminal.buffer.alternate } },
+    });
+    const serializer = new SerializeAddon();
+    serializer.activate(normalView);
+    const html = serializer.serializeAsHTML({
+      includeGlobalBackground: true,
+      range: { startLine: range.start, endLine: range.end, startCol: 0 },
+    });
+    const fragment = html.match(/<!--StartFragment-->([\s\S]*)<!--EndFragment-->/);
+
+    const titleEl = document.createElement('div');
+    titleEl.textContent = pane.title || 'HackerTerm';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${titleEl.innerHTML}</title>
+<style>
+  body { margin: 0; padding: 16px; background: ${options.theme.background}; color: ${options.theme.foreground}; }
+  pre { margin: 0; font-family: ${options.fontFamily}; font-size: ${options.fontSize}px; line-height: ${options.lineHeight}; }
+</style>
+</head>
+<body>
+${fragment ? fragment[1] : html}
+</body>
+</html>
+`;
+  }
+
+  // ---- Recording ----
+
+  async toggleRecording(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+    if (pane.recorder) await this.stopRecording(paneId);
+    else await this.startRecording(paneId);
+  }
+
+  // Record the pane's output to an asciicast file in recordingsDir, starting
+  // from what is on screen now
+  async startRecording(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane || pane.recorder) return null;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('Z', '');
+    const filePath = path.join(recordingsDir, `${stamp}-pane${paneId}.cast`);
+    const recorder = new AsciicastRecorder(filePath, {
+      cols: pane.terminal.cols,
+      rows: pane.terminal.rows,
+      title: pane.title || undefined,
+      env: { TERM: 'xterm-256color', SHELL: getProfile(pane.profileId).command },
+    });
+
+    try {
+      await fs.promises.mkdir(recordingsDir, { recursive: true });
+      await recorder.start();
+    } catch (e) {
+      if (statusFooter) statusFooter.setStatus({ text: `Recording failed: ${e.message}`, label: 'REC', state: 'fail', duration: 5000 });
+      return null;
+    }
+    if (!this.panes.has(paneId) || pane.recorder) {
+      recorder.stop();
+      return null;
+    }
+
+    // Let queued output reach the buffer so the snapshot and stream line up
+    await new Promise(resolve => pane.terminal.write('', resolve));
+    recorder.output(pane.serializeAddon.serialize({ scrollback: 0 }));
+    pane.recorder = recorder;
+    pane.element.classList.add('recording');
+    if (statusFooter) statusFooter.setStatus({ text: 'Recording pane', label: 'REC', state: 'running', duration: 3000 });
+    return filePath;
+  }
+
+  async stopRecording(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane || !pane.recorder) return null;
+
+    const recorder = pane.recorder;
+    pane.recorder = null;
+    pane.element.classList.remove('recording');
+    await recorder.stop();
+    if (statusFooter) {
+      statusFooter.setStatus({ text: `Saved ${recorder.filePath.replace(os.homedir(), '~')}`, label: 'REC', state: 'ok', duration: 8000 });
+    }
+    return recorder.filePath;
+  }
+
+  // Watched panes feed their exit codes to the threat engine
+  toggleWatched(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return;
+    pane.watched = !pane.watched;
+    pane.element.classList.toggle('watched', pane.watched);
+  }
+
+  async getPaneCwd(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return null;
+    // OSC 7 reports from shell integration, unless they come from another
+    // host (ssh); otherwise ask the main process
+    const reported = pane.shellIntegration.localCwd();
+    if (reported) return reported;
+    return await ipcRenderer.invoke('terminal-get-cwd', pane.terminalId);
+  }
+
+  // Foreground process of a pane: { pid, name, cwd, shellPid, isShell }
+  async getPaneProcess(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return null;
+    return await ipcRenderer.invoke('terminal-get-process', pane.terminalId);
+  }
+
+  // Foreground processes in the given panes that aren't on the ignore list:
+  // [{ paneId, pid, name, location }]
+  async getBusyProcesses(paneIds) {
+    const ignore = new Set((currentSettings.confirmCloseIgnore || []).map(n => n.toLowerCase()));
+    const results = await Promise.all(paneIds.map(async (paneId) => {
+      const info = await this.getPaneProcess(paneId).catch(() => null);
+      if (!info || info.isShell || !info.name) return null;
+      if (ignore.has(info.name.toLowerCase().replace(/\.exe$/, ''))) return null;
+      return { paneId, pid: info.pid, name: info.name, location: this.describePaneLocation(paneId) };
+    }));
+    return results.filter(Boolean);
+  }
+
+  // "TERMINAL 2 · pane 1" - which tab a pane is in, for dialogs
+  describePaneLocation(paneId) {
+    const pane = this.panes.get(paneId);
+    if (!pane) return '';
+    const tab = this.tabManager ? this.tabManager.tabs.get(pane.tabId) : null;
+    const tabTitle = tab ? tab.element.querySelector('.tab-title').textContent : `tab ${pane.tabId}`;
+    const tabPanes = this.getPanesForTab(pane.tabId);
+    if (tabPanes.length < 2) return tabTitle;
+    return `${tabTitle} · pane ${tabPanes.findIndex(p => p.paneId === paneId) + 1}`;
+  }
+
+  async getFocusedPaneCwd() {
+    if (!this.focusedPaneId) return null;
+    return await this.getPaneCwd(this.focusedPaneId);
+  }
+
+  // Serialize a tab's split tree: { type: 'pane', cwd, profileId } or
+  // { type: 'split', direction, ratio, children: [first, second] }
+  // With transfer, pane leaves also carry what createPane needs to adopt the
+  // running terminal in another window
+  async serializeLayout(tabId, { transfer = false } = {}) {
+    const tab = this.tabManager.tabs.get(tabId);
+    if (!tab || !tab.contentElement.firstElementChild) return null;
+    return await this.serializeNode(tab.contentElement.firstElementChild, transfer);
+  }
 
-      // Shift+ArrowRight — select one character to the right
-      if (e.type === 'keydown' && e.key === 'ArrowRight' && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
-        if (selAnchorX === null) {
-          selAnchorX = terminal.buffer.active.cursorX;
-          selAnchorY = terminal.buffer.active.cursorY;
-          selCurrentX = selAnchorX;
-          selCurrentY = selAnchorY;
-        }
-        selCurrentX = Math.min(getLineLength(selAnchorY), selCurrentX + 1);
-        applyShiftArrowSelection();
-        return false;
+  async serializeNode(element, transfer = false) {
+    if (element.classList.contains('pane')) {
+      const pane = this.panes.get(parseInt(element.dataset.paneId));
+      if (!pane) return null;
+      const node = {
+        type: 'pane',
+        cwd: await this.getPaneCwd(pane.paneId),
+        profileId: pane.profileId,
+      };
+      if (transfer) {
+        // Let queued output reach the buffer before taking the snapshot
+        await new Promise(resolve => pane.terminal.write('', resolve));
+        node.adopt = {
+          terminalId: pane.terminalId,
+          scrollback: pane.serializeAddon.serialize(),
+          watched: pane.watched,
+          oscTitle: pane.oscTitle,
+        };
       }
+      return node;
+    }
 
-      // Block keyup for Shift+Arrow/Home/End to prevent secondary handling
-      if (e.type === 'keyup' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') && e.shiftKey) {
-        return false;
-      }
+    const isHorizontal = element.classList.contains('split-horizontal');
+    if (!isHorizontal && !element.classList.contains('split-vertical')) return null;
 
-      // Clear Shift+Arrow selection on any other keydown (but not modifier-only keys)
-      const isModifierOnly = ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
-      if (e.type === 'keydown' && selAnchorX !== null && !isModifierOnly) {
-        clearShiftArrowSelection();
-      }
+    const children = await Promise.all(
+      this.getSplitChildren(element).map(c => this.serializeNode(c, transfer))
+    );
+    if (children.length < 2 || !children[0] || !children[1]) {
+      return children.find(c => c) || null;
+    }
 
-      return true;
+    return {
+      type: 'split',
+      // Same vocabulary as splitPane(): 'vertical' means side by side
+      direction: isHorizontal ? 'vertical' : 'horizontal',
+      ratio: this.getSplitRatio(element),
+      children,
+    };
+  }
+
+  getFirstLeaf(node) {
+    while (node && node.type === 'split') {
+      node = node.children[0];
+    }
+    return node;
+  }
+
+  // Rebuild a serialized split tree starting from an existing pane
+  async restoreLayout(paneId, node) {
+    if (!node || node.type !== 'split') return;
+
+    const [first, second] = node.children;
+    const leaf = this.getFirstLeaf(second) || {};
+    const newPaneId = await this.splitPane(paneId, node.direction, {
+      cwd: leaf.cwd,
+      profileId: leaf.profileId,
+      adopt: leaf.adopt,
     });
+    if (!newPaneId) return;
 
-    // Context menu handler
-    terminalWrapper.addEventListener('contextmenu', (e) => {
+    const container = this.panes.get(newPaneId).element.parentElement;
+
+    await this.restoreLayout(paneId, first);
+    await this.restoreLayout(newPaneId, second);
+
+    this.setSplitRatio(container, node.ratio || 0.5);
+  }
+}
+
+// ========================================
+// TAB MANAGER
+// ========================================
+
+// Set by main.js when it loads the window: windowId, restore ('1' for the
+// first window), adopt (transfer id of a torn-off tab)
+const windowParams = new URLSearchParams(window.location.search);
+const currentWindowId = parseInt(windowParams.get('windowId'), 10) || null;
+
+// Drag data type for tabs, so other windows can accept them
+const tabDragType = 'application/x-hackerterm-tab';
+
+class TabManager {
+  constructor(paneManager) {
+    this.paneManager = paneManager;
+    this.tabs = new Map();
+    this.tabIdCounter = 0;
+    this.activeTabId = null;
+    this.draggedTabId = null;
+
+    this.tabsContainer = document.getElementById('tabs-container');
+    this.paneContainer = document.getElementById('pane-container');
+    this.newTabBtn = document.getElementById('new-tab-btn');
+
+    this.profileBtn = document.getElementById('profile-btn');
+
+    this.newTabBtn.addEventListener('click', () => this.createTab());
+
+    // Profile picker: dropdown button or right-click on the new tab button
+    const openProfilePicker = (e) => {
       e.preventDefault();
-      e.stopPropagation(); // Prevent document listener from hiding the menu
-      if (contextMenu) {
-        contextMenu.show(e.clientX, e.clientY, terminal, terminalId, paneId);
+      e.stopPropagation();
+      const rect = e.currentTarget.getBoundingClientRect();
+      showProfilePicker((profileId) => this.createTab(profileId), rect.left, rect.bottom + 4);
+    };
+    if (this.profileBtn) {
+      this.profileBtn.addEventListener('click', openProfilePicker);
+    }
+    this.newTabBtn.addEventListener('contextmenu', openProfilePicker);
+
+    // Tabs dragged in from another window and dropped past the last tab
+    this.tabsContainer.addEventListener('dragover', (e) => {
+      if (this.draggedTabId === null && e.dataTransfer.types.includes(tabDragType)) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
       }
     });
+    this.tabsContainer.addEventListener('drop', (e) => {
+      if (this.draggedTabId !== null) return;
+      e.preventDefault();
+      this.requestTabFromWindow(e, this.tabs.size);
+    });
+  }
 
-    // Register link provider for URL detection with underline + click-to-open
-    terminal.registerLinkProvider({
-      provideLinks: (bufferLineNumber, callback) => {
-        const line = terminal.buffer.active.getLine(bufferLineNumber - 1);
-        if (!line) { callback(undefined); return; }
+  // options: { cwd, adopt, index } - an explicit cwd skips inheriting from the
+  // focused pane; adopt is passed to createPane; index places the tab
+  async createTab(profileId = null, options = {}) {
+    const profile = getProfile(profileId);
 
-        const lineText = line.translateToString();
-        const urlRegex = /https?:\/\/[^\s<>"')\]}>]+/g;
-        const links = [];
-        let match;
+    // Get cwd from currently focused pane before creating new tab,
+    // unless the profile defines its own starting directory
+    let currentCwd = options.cwd || null;
+    if (!currentCwd && !profile.cwd && !options.adopt) {
+      currentCwd = await this.paneManager.getFocusedPaneCwd();
+    }
 
-        while ((match = urlRegex.exec(lineText)) !== null) {
-          let url = match[0];
-          // Strip trailing sentence punctuation that's not part of the URL
-          url = url.replace(/[.,;:!]+$/, '');
+    const tabId = ++this.tabIdCounter;
+    const title = profile.id === currentSettings.defaultProfile ? 'Terminal' : profile.name;
+    const { contentElement } = this.addTab(tabId, `${title} ${tabId}`, options);
 
-          links.push({
-            range: {
-              start: { x: match.index + 1, y: bufferLineNumber },
-              end: { x: match.index + url.length, y: bufferLineNumber }
-            },
-            text: url,
-            decorations: { pointerCursor: true, underline: true },
-            activate: (_event, text) => { shell.openExternal(text); }
-          });
-        }
+    await this.paneManager.createPane(tabId, contentElement, {
+      cwd: currentCwd,
+      profileId: profile.id,
+      adopt: options.adopt,
+    });
 
-        callback(links.length > 0 ? links : undefined);
+    this.switchTab(tabId);
+
+    return tabId;
+  }
+
+  // Tab strip entry and content area, shared by shell tabs and replay tabs;
+  // options.index places the tab
+  addTab(tabId, title, options = {}) {
+    const tabElement = document.createElement('div');
+    tabElement.className = 'tab';
+    tabElement.dataset.tabId = tabId;
+    tabElement.innerHTML = `
+      <span class="tab-title"></span>
+      <span class="tab-close">&times;</span>
+    `;
+    tabElement.querySelector('.tab-title').textContent = title;
+
+    tabElement.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('tab-close')) {
+        this.switchTab(tabId);
       }
     });
 
-    this.panes.set(paneId, {
-      paneId,
+    tabElement.querySelector('.tab-title').addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this.renameTab(tabId);
+    });
+
+    tabElement.querySelector('.tab-close').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.closeTab(tabId);
+    });
+
+    this.setupTabDragAndDrop(tabElement, tabId);
+
+    const before = options.index !== undefined ? this.tabsContainer.querySelectorAll('.tab')[options.index] : null;
+    this.tabsContainer.insertBefore(tabElement, before || null);
+
+    const contentElement = document.createElement('div');
+    contentElement.className = 'tab-content';
+    contentElement.dataset.tabId = tabId;
+    this.paneContainer.appendChild(contentElement);
+
+    this.tabs.set(tabId, {
       tabId,
-      terminalId,
-      terminal,
-      fitAddon,
-      element: paneElement,
+      element: tabElement,
+      contentElement,
+      defaultTitle: title,
+      pinnedTitle: null,
+      // Theme id overriding the profile and global theme for this tab's panes
+      theme: null,
+      activePaneId: null,
+      // The shell's first prompt isn't activity
+      quietUntil: Date.now() + 2000,
+      // CastPlayer for replay tabs, which have no panes
+      player: null,
     });
 
-    // Update pane close button visibility for all panes in this tab
-    this.updatePaneCloseButtons(tabId);
+    this.rebuildTabOrder();
 
-    terminal.onData((data) => {
-      ipcRenderer.send('terminal-input', { terminalId, data });
+    return this.tabs.get(tabId);
+  }
 
-      // Play typing sound
-      if (keySoundManager) {
-        // Check for special keys (enter, backspace, etc.)
-        if (data === '\r' || data === '\x7f' || data === '\x1b') {
-          keySoundManager.playSpecialKeySound();
-        } else if (data.length === 1 && data.charCodeAt(0) >= 32) {
-          // Regular printable character
-          keySoundManager.playKeySound();
-        }
-      }
+  setupTabDragAndDrop(tabElement, tabId) {
+    tabElement.draggable = true;
 
-      // Trigger waveform spike on input
-      if (waveformRenderer) {
-        waveformRenderer.triggerSpike(0.5);
+    tabElement.addEventListener('dragstart', (e) => {
+      // Prevent drag from close button
+      if (e.target.closest('.tab-close')) {
+        e.preventDefault();
+        return;
       }
+      this.draggedTabId = tabId;
+      tabElement.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData(tabDragType, JSON.stringify({ windowId: currentWindowId, tabId }));
     });
 
-    paneElement.addEventListener('click', () => {
-      this.focusPane(paneId);
+    tabElement.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      const fromOtherWindow = this.draggedTabId === null && e.dataTransfer.types.includes(tabDragType);
+      if (!fromOtherWindow && (this.draggedTabId === null || this.draggedTabId === tabId)) return;
+      e.dataTransfer.dropEffect = 'move';
+
+      const rect = tabElement.getBoundingClientRect();
+      const midX = rect.left + rect.width / 2;
+
+      tabElement.classList.remove('drag-over-left', 'drag-over-right');
+      if (e.clientX < midX) {
+        tabElement.classList.add('drag-over-left');
+      } else {
+        tabElement.classList.add('drag-over-right');
+      }
     });
 
-    // Clear Shift+Arrow selection state on mouse interaction
-    terminalWrapper.addEventListener('mousedown', () => {
-      selAnchorX = selAnchorY = selCurrentX = selCurrentY = null;
+    tabElement.addEventListener('dragleave', () => {
+      tabElement.classList.remove('drag-over-left', 'drag-over-right');
     });
 
-    // Exit browse mode on terminal blur
-    terminal.textarea.addEventListener('blur', () => {
-      if (browseActive) exitBrowseMode();
+    tabElement.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      tabElement.classList.remove('drag-over-left', 'drag-over-right');
+
+      if (this.draggedTabId === null) {
+        const rect = tabElement.getBoundingClientRect();
+        const index = Array.from(this.tabs.keys()).indexOf(tabId);
+        this.requestTabFromWindow(e, e.clientX < rect.left + rect.width / 2 ? index : index + 1);
+        return;
+      }
+      if (this.draggedTabId === tabId) return;
+
+      const draggedTab = this.tabs.get(this.draggedTabId);
+      if (!draggedTab) return;
+
+      const rect = tabElement.getBoundingClientRect();
+      const midX = rect.left + rect.width / 2;
+
+      if (e.clientX < midX) {
+        this.tabsContainer.insertBefore(draggedTab.element, tabElement);
+      } else {
+        this.tabsContainer.insertBefore(draggedTab.element, tabElement.nextSibling);
+      }
+
+      this.rebuildTabOrder();
     });
 
-    setTimeout(() => {
-      fitAddon.fit();
-      ipcRenderer.send('terminal-resize', {
-        terminalId,
-        cols: terminal.cols,
-        rows: terminal.rows,
+    tabElement.addEventListener('dragend', (e) => {
+      this.draggedTabId = null;
+      this.tabsContainer.querySelectorAll('.tab').forEach(t => {
+        t.classList.remove('dragging', 'drag-over-left', 'drag-over-right');
       });
-    }, 50);
 
-    this.focusPane(paneId);
+      // Dropped outside every window: tear the tab off into a new one there
+      const outside = e.screenX < window.screenX || e.screenX > window.screenX + window.outerWidth ||
+        e.screenY < window.screenY || e.screenY > window.screenY + window.outerHeight;
+      if (e.dataTransfer.dropEffect === 'none' && outside) {
+        this.transferTab(tabId, { x: e.screenX - 100, y: e.screenY - 20 });
+      }
+    });
+  }
 
-    return paneId;
+  // A tab from another window was dropped here: ask main to have it sent over
+  requestTabFromWindow(e, index) {
+    let data = null;
+    try {
+      data = JSON.parse(e.dataTransfer.getData(tabDragType));
+    } catch (err) {
+      return;
+    }
+    if (!data || data.windowId === currentWindowId) return;
+    ipcRenderer.send('tab-move-request', { sourceWindowId: data.windowId, tabId: data.tabId, index });
   }
 
-  async splitPane(paneId, direction) {
-    const pane = this.panes.get(paneId);
-    if (!pane) return null;
+  // Move a tab and its running shells to another window. target: { windowId,
+  // index } for an existing window, { x, y } (screen position) for a new one
+  async transferTab(tabId, target = {}) {
+    const tab = this.tabs.get(tabId);
+    // Replay tabs have no shells to carry over
+    if (!tab || tab.transferring || tab.player) return;
+    tab.transferring = true;
+
+    const terminalIds = this.paneManager.getPanesForTab(tabId).map(p => p.terminalId);
+
+    // Hold output in the main process first so nothing lands between the
+    // snapshot and the new window attaching
+    await ipcRenderer.invoke('tab-hold', terminalIds);
+    const layout = await this.paneManager.serializeLayout(tabId, { transfer: true });
+    await ipcRenderer.invoke('tab-transfer', {
+      tab: { layout, title: tab.pinnedTitle, theme: tab.theme, terminalIds },
+      target,
+    });
 
-    // Get cwd from the pane being split
-    const currentCwd = await this.getPaneCwd(paneId);
+    this.removeTab(tabId, { keepTerminals: true });
+    if (this.tabs.size === 0) {
+      ipcRenderer.send('window-close');
+    }
+  }
 
-    const parentElement = pane.element.parentElement;
-    const isHorizontal = direction === 'vertical';
+  // Build a tab from a transfer made by another window's transferTab
+  async adoptTab(transferId) {
+    const transfer = await ipcRenderer.invoke('tab-transfer-take', transferId);
+    if (!transfer || !transfer.layout) return null;
 
-    const splitContainer = document.createElement('div');
-    splitContainer.className = isHorizontal ? 'split-horizontal' : 'split-vertical';
+    const leaf = this.paneManager.getFirstLeaf(transfer.layout);
+    const tabId = await this.createTab(leaf.profileId, {
+      cwd: leaf.cwd,
+      adopt: leaf.adopt,
+      index: transfer.index,
+    });
+    const rootPane = this.paneManager.getPanesForTab(tabId)[0];
+    if (rootPane) {
+      await this.paneManager.restoreLayout(rootPane.paneId, transfer.layout);
+      this.paneManager.focusPane(rootPane.paneId);
+    }
+    this.paneManager.refitAllPanesInTab(tabId);
+    if (transfer.title) this.setPinnedTitle(tabId, transfer.title);
+    if (transfer.theme) this.setTabTheme(tabId, transfer.theme);
 
-    const divider = document.createElement('div');
-    divider.className = `split-divider ${isHorizontal ? 'horizontal' : 'vertical'}`;
-    this.setupDividerDrag(divider, splitContainer, isHorizontal);
+    return tabId;
+  }
+
+  rebuildTabOrder() {
+    const newTabs = new Map();
+    this.tabsContainer.querySelectorAll('.tab').forEach(el => {
+      const id = parseInt(el.dataset.tabId);
+      const tab = this.tabs.get(id);
+      if (tab) newTabs.set(id, tab);
+    });
+    this.tabs = newTabs;
+  }
 
-    parentElement.insertBefore(splitContainer, pane.element);
-    splitContainer.appendChild(pane.element);
-    splitContainer.appendChild(divider);
+  async closeTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
 
-    const newPaneId = await this.createPane(pane.tabId, splitContainer, currentCwd);
+    // The window close path asks about every pane itself
+    if (this.tabs.size <= 1) {
+      ipcRenderer.send('window-close');
+      return;
+    }
 
-    this.refitAllPanesInTab(pane.tabId);
+    const paneIds = this.paneManager.getPanesForTab(tabId).map(p => p.paneId);
+    if (!await confirmCloseProcesses(paneIds, 'CLOSE TAB?')) return;
+    if (!this.tabs.has(tabId)) return;
 
-    return newPaneId;
+    this.removeTab(tabId);
   }
 
-  setupDividerDrag(divider, container, isHorizontal) {
-    let isDragging = false;
-    let startPos = 0;
-    let startSizes = [];
-
-    divider.addEventListener('mousedown', (e) => {
-      isDragging = true;
-      divider.classList.add('dragging');
-      startPos = isHorizontal ? e.clientX : e.clientY;
+  // keepTerminals: the tab's shells live on in another window
+  removeTab(tabId, { keepTerminals = false } = {}) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
 
-      const children = Array.from(container.children).filter(
-        c => !c.classList.contains('split-divider')
-      );
-      startSizes = children.map(c =>
-        isHorizontal ? c.offsetWidth : c.offsetHeight
-      );
+    this.paneManager.destroyAllPanesInTab(tabId, { keepTerminals });
+    if (tab.player) tab.player.dispose();
 
-      document.addEventListener('mousemove', onMouseMove);
-      document.addEventListener('mouseup', onMouseUp);
-    });
+    tab.element.remove();
+    tab.contentElement.remove();
+    this.tabs.delete(tabId);
 
-    const onMouseMove = (e) => {
-      if (!isDragging) return;
+    if (this.activeTabId === tabId) {
+      const remainingTabs = Array.from(this.tabs.keys());
+      if (remainingTabs.length > 0) {
+        this.switchTab(remainingTabs[remainingTabs.length - 1]);
+      }
+    }
+  }
 
-      const currentPos = isHorizontal ? e.clientX : e.clientY;
-      const delta = currentPos - startPos;
+  switchTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
 
-      const children = Array.from(container.children).filter(
-        c => !c.classList.contains('split-divider')
-      );
+    this.tabs.forEach(t => {
+      t.element.classList.remove('active');
+      t.contentElement.classList.remove('active');
+    });
 
-      if (children.length >= 2) {
-        const totalSize = startSizes[0] + startSizes[1];
-        const newSize1 = Math.max(100, Math.min(totalSize - 100, startSizes[0] + delta));
-        const newSize2 = totalSize - newSize1;
+    tab.element.classList.add('active');
+    tab.element.classList.remove('activity');
+    tab.contentElement.classList.add('active');
+    this.activeTabId = tabId;
 
-        children[0].style.flex = `0 0 ${newSize1}px`;
-        children[1].style.flex = `0 0 ${newSize2}px`;
+    // Return to the pane that was focused when we left the tab
+    const tabPanes = this.paneManager.getPanesForTab(tabId);
+    const activePane = tabPanes.find(p => p.paneId === tab.activePaneId) || tabPanes[0];
+    if (activePane) {
+      this.paneManager.focusPane(activePane.paneId);
+    }
+    if (tab.player) {
+      // Pane shortcuts have nothing to act on in a replay tab
+      this.paneManager.panes.forEach(p => p.element.classList.remove('focused'));
+      this.paneManager.focusedPaneId = null;
+      tab.player.focus();
+    }
 
-        this.panes.forEach(pane => {
-          if (children[0].contains(pane.element) || children[1].contains(pane.element)) {
-            pane.fitAddon.fit();
-            ipcRenderer.send('terminal-resize', {
-              terminalId: pane.terminalId,
-              cols: pane.terminal.cols,
-              rows: pane.terminal.rows,
-            });
-          }
-        });
-      }
-    };
+    this.paneManager.refitAllPanesInTab(tabId);
+    this.paneManager.refreshProcessTitles();
 
-    const onMouseUp = () => {
-      isDragging = false;
-      divider.classList.remove('dragging');
+    // The chrome and canvases take on the tab's own theme while it's active
+    refreshTheme({ terminals: false });
+  }
 
-      const children = Array.from(container.children).filter(
-        c => !c.classList.contains('split-divider')
-      );
-      children.forEach(c => {
-        c.style.flex = '1';
-      });
+  nextTab() {
+    const tabIds = Array.from(this.tabs.keys());
+    if (tabIds.length <= 1) return;
 
-      document.removeEventListener('mousemove', onMouseMove);
-      document.removeEventListener('mouseup', onMouseUp);
-    };
+    const currentIndex = tabIds.indexOf(this.activeTabId);
+    const nextIndex = (currentIndex + 1) % tabIds.length;
+    this.switchTab(tabIds[nextIndex]);
   }
 
-  closePane(paneId) {
-    const pane = this.panes.get(paneId);
-    if (!pane) return;
+  prevTab() {
+    const tabIds = Array.from(this.tabs.keys());
+    if (tabIds.length <= 1) return;
 
-    ipcRenderer.send('terminal-destroy', pane.terminalId);
+    const currentIndex = tabIds.indexOf(this.activeTabId);
+    const prevIndex = (currentIndex - 1 + tabIds.length) % tabIds.length;
+    this.switchTab(tabIds[prevIndex]);
+  }
 
-    const parent = pane.element.parentElement;
-    const grandparent = parent.parentElement;
+  getActiveTabId() {
+    return this.activeTabId;
+  }
 
-    pane.element.remove();
-    pane.terminal.dispose();
-    this.panes.delete(paneId);
+  // ---- Titles & activity ----
 
-    if (parent.classList.contains('split-horizontal') || parent.classList.contains('split-vertical')) {
-      const remaining = Array.from(parent.children).filter(
-        c => !c.classList.contains('split-divider')
-      );
+  setActivePane(tabId, paneId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab || tab.activePaneId === paneId) return;
+    tab.activePaneId = paneId;
+    this.updateTabTitle(tabId);
+  }
 
-      Array.from(parent.querySelectorAll('.split-divider')).forEach(d => d.remove());
+  // A pinned title wins; otherwise the tab follows its active pane
+  updateTabTitle(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
 
-      if (remaining.length === 1) {
-        grandparent.insertBefore(remaining[0], parent);
-        parent.remove();
-      } else if (remaining.length === 0) {
-        parent.remove();
-      }
+    let title = tab.pinnedTitle;
+    if (!title) {
+      const pane = this.paneManager.panes.get(tab.activePaneId) || this.paneManager.getPanesForTab(tabId)[0];
+      title = (pane && pane.title) || tab.defaultTitle;
     }
 
-    if (this.focusedPaneId === paneId) {
-      const tabPanes = this.getPanesForTab(pane.tabId);
-      if (tabPanes.length > 0) {
-        this.focusPane(tabPanes[0].paneId);
-      } else {
-        this.focusedPaneId = null;
-      }
+    const titleEl = tab.element.querySelector('.tab-title');
+    if (titleEl && titleEl.textContent !== title) {
+      titleEl.textContent = title;
     }
+    tab.element.title = title;
+    tab.element.classList.toggle('pinned', !!tab.pinnedTitle);
+  }
 
-    this.refitAllPanesInTab(pane.tabId);
-
-    // Update close button visibility
-    this.updatePaneCloseButtons(pane.tabId);
+  // Empty title unpins and goes back to the dynamic one
+  setPinnedTitle(tabId, title) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
+    tab.pinnedTitle = title && title.trim() ? title.trim() : null;
+    this.updateTabTitle(tabId);
   }
 
-  updatePaneCloseButtons(tabId) {
-    const tabPanes = this.getPanesForTab(tabId);
-    const showClose = tabPanes.length > 1;
-    tabPanes.forEach(p => {
-      const btn = p.element.querySelector('.pane-close-btn');
-      if (btn) btn.style.display = showClose ? 'flex' : 'none';
-    });
+  // null goes back to the profile and global theme
+  setTabTheme(tabId, themeId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
+    tab.theme = themeId && themeRegistry.has(themeId) ? themeId : null;
+    tab.element.classList.toggle('themed', !!tab.theme);
+    if (tab.theme) {
+      tab.element.style.setProperty('--tab-theme-color', themeRegistry.get(tab.theme).ui['primary-color']);
+    }
+    refreshTheme();
   }
 
-  focusPane(paneId) {
-    this.panes.forEach(p => {
-      p.element.classList.remove('focused');
-    });
+  renameTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab || tab.element.querySelector('.tab-rename-input')) return;
+
+    const titleEl = tab.element.querySelector('.tab-title');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tab-rename-input';
+    input.value = tab.pinnedTitle || titleEl.textContent;
+    input.placeholder = 'empty = automatic';
+    titleEl.style.display = 'none';
+    tab.element.insertBefore(input, titleEl);
+    tab.element.draggable = false;
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit) this.setPinnedTitle(tabId, input.value);
+      input.remove();
+      titleEl.style.display = '';
+      tab.element.draggable = true;
+      const focused = this.paneManager.getFocusedPane();
+      if (focused) focused.terminal.focus();
+    };
 
-    const pane = this.panes.get(paneId);
-    if (pane) {
-      pane.element.classList.add('focused');
-      pane.terminal.focus();
-      this.focusedPaneId = paneId;
-    }
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
   }
 
-  focusDirection(direction) {
-    if (!this.focusedPaneId) return;
+  // Output in a background tab lights its activity indicator until visited
+  markActivity(tabId) {
+    if (tabId === this.activeTabId) return;
+    const tab = this.tabs.get(tabId);
+    if (tab && Date.now() > tab.quietUntil) tab.element.classList.add('activity');
+  }
 
-    const currentPane = this.panes.get(this.focusedPaneId);
-    if (!currentPane) return;
+  // Open an asciicast recording in a tab of its own
+  async openReplayTab(filePath) {
+    const cast = Asciicast.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const tabId = ++this.tabIdCounter;
+    const tab = this.addTab(tabId, `▶ ${cast.header.title || path.basename(filePath, '.cast')}`);
+    tab.element.classList.add('replay');
+    tab.player = new CastPlayer(tab.contentElement, cast);
+    this.switchTab(tabId);
+    tab.player.play();
+    return tabId;
+  }
 
-    const tabPanes = this.getPanesForTab(currentPane.tabId);
-    if (tabPanes.length <= 1) return;
+  async serializeTab(tabId) {
+    const layout = await this.paneManager.serializeLayout(tabId);
+    if (!layout) return null;
+    const tab = this.tabs.get(tabId);
+    const data = { layout };
+    if (tab && tab.pinnedTitle) data.title = tab.pinnedTitle;
+    if (tab && tab.theme) data.theme = tab.theme;
+    return data;
+  }
 
-    const panePositions = tabPanes.map(p => {
-      const rect = p.element.getBoundingClientRect();
-      return {
-        paneId: p.paneId,
-        x: rect.left + rect.width / 2,
-        y: rect.top + rect.height / 2,
-      };
-    });
+  async restoreTab(tabData) {
+    const leaf = this.paneManager.getFirstLeaf(tabData.layout);
+    if (!leaf) return null;
 
-    const current = panePositions.find(p => p.paneId === this.focusedPaneId);
-    if (!current) return;
+    const tabId = await this.createTab(leaf.profileId, { cwd: leaf.cwd });
+    const rootPane = this.paneManager.getPanesForTab(tabId)[0];
+    if (rootPane) {
+      await this.paneManager.restoreLayout(rootPane.paneId, tabData.layout);
+      this.paneManager.focusPane(rootPane.paneId);
+    }
+    this.paneManager.refitAllPanesInTab(tabId);
+    if (tabData.title) this.setPinnedTitle(tabId, tabData.title);
+    if (tabData.theme) this.setTabTheme(tabId, tabData.theme);
 
-    let bestCandidate = null;
-    let bestScore = Infinity;
+    return tabId;
+  }
+}
 
-    for (const p of panePositions) {
-      if (p.paneId === this.focusedPaneId) continue;
+// ========================================
+// SESSION MANAGER
+// ========================================
 
-      const dx = p.x - current.x;
-      const dy = p.y - current.y;
-      let isValidDirection = false;
-      let distance = 0;
+const sessionPath = path.join(os.homedir(), '.hackerterm-session.json');
 
-      switch (direction) {
-        case 'up':
-          isValidDirection = dy < -10;
-          distance = Math.abs(dy) + Math.abs(dx) * 0.5;
-          break;
-        case 'down':
-          isValidDirection = dy > 10;
-          distance = Math.abs(dy) + Math.abs(dx) * 0.5;
-          break;
-        case 'left':
-          isValidDirection = dx < -10;
-          distance = Math.abs(dx) + Math.abs(dy) * 0.5;
-          break;
-        case 'right':
-          isValidDirection = dx > 10;
-          distance = Math.abs(dx) + Math.abs(dy) * 0.5;
-          break;
-      }
+class SessionManager {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+  }
 
-      if (isValidDirection && distance < bestScore) {
-        bestScore = distance;
-        bestCandidate = p.paneId;
+  // File format: { last: { savedAt, windows: [session] } | null,
+  // layouts: { [name]: session } }. The main process writes last itself when
+  // the app quits with several windows open. Older files kept a single
+  // session in last.
+  readFile() {
+    try {
+      if (fs.existsSync(sessionPath)) {
+        const saved = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+        let last = saved.last || null;
+        if (last && !Array.isArray(last.windows)) last = { savedAt: last.savedAt, windows: [last] };
+        return { last, layouts: saved.layouts || {} };
       }
+    } catch (e) {
+      console.log('Could not load sessions:', e);
     }
+    return { last: null, layouts: {} };
+  }
 
-    if (bestCandidate) {
-      this.focusPane(bestCandidate);
+  writeFile(data) {
+    try {
+      fs.writeFileSync(sessionPath, JSON.stringify(data, null, 2));
+    } catch (e) {
+      console.log('Could not save sessions:', e);
     }
   }
 
-  focusNextPane() {
-    if (!this.focusedPaneId) return;
-
-    const currentPane = this.panes.get(this.focusedPaneId);
-    if (!currentPane) return;
+  async serialize() {
+    const tabIds = Array.from(this.tabManager.tabs.keys());
+    const tabs = [];
+    let activeIndex = 0;
 
-    const tabPanes = this.getPanesForTab(currentPane.tabId);
-    if (tabPanes.length <= 1) return;
+    for (const tabId of tabIds) {
+      const tab = await this.tabManager.serializeTab(tabId);
+      if (!tab) continue;
+      if (tabId === this.tabManager.getActiveTabId()) activeIndex = tabs.length;
+      tabs.push(tab);
+    }
 
-    const currentIndex = tabPanes.findIndex(p => p.paneId === this.focusedPaneId);
-    const nextIndex = (currentIndex + 1) % tabPanes.length;
-    this.focusPane(tabPanes[nextIndex].paneId);
+    return { savedAt: new Date().toISOString(), activeIndex, tabs };
   }
 
-  getPanesForTab(tabId) {
-    return Array.from(this.panes.values()).filter(p => p.tabId === tabId);
-  }
+  async restore(session) {
+    if (!session || !Array.isArray(session.tabs) || session.tabs.length === 0) return false;
 
-  getPaneCountForTab(tabId) {
-    return this.getPanesForTab(tabId).length;
-  }
+    const restoredIds = [];
+    for (const tab of session.tabs) {
+      const tabId = await this.tabManager.restoreTab(tab);
+      if (tabId) restoredIds.push(tabId);
+    }
 
-  refitAllPanesInTab(tabId) {
-    setTimeout(() => {
-      this.getPanesForTab(tabId).forEach(pane => {
-        pane.fitAddon.fit();
-        ipcRenderer.send('terminal-resize', {
-          terminalId: pane.terminalId,
-          cols: pane.terminal.cols,
-          rows: pane.terminal.rows,
-        });
-      });
-    }, 50);
+    const activeId = restoredIds[session.activeIndex] || restoredIds[0];
+    if (activeId) this.tabManager.switchTab(activeId);
+
+    return restoredIds.length > 0;
   }
 
-  refitAllPanes() {
-    this.panes.forEach(pane => {
-      pane.fitAddon.fit();
-      ipcRenderer.send('terminal-resize', {
-        terminalId: pane.terminalId,
-        cols: pane.terminal.cols,
-        rows: pane.terminal.rows,
-      });
-    });
+  // Only this window's tabs; quitting the app saves every window's
+  async saveLast() {
+    const data = this.readFile();
+    const session = await this.serialize();
+    data.last = { savedAt: session.savedAt, windows: [session] };
+    this.writeFile(data);
   }
 
-  destroyAllPanesInTab(tabId) {
-    const tabPanes = this.getPanesForTab(tabId);
-    tabPanes.forEach(pane => {
-      ipcRenderer.send('terminal-destroy', pane.terminalId);
-      pane.terminal.dispose();
-      pane.element.remove();
-      this.panes.delete(pane.paneId);
-    });
+  // The saved window at index; the first one also opens the others
+  async restoreLast(index = 0) {
+    const last = this.readFile().last;
+    const windows = last ? last.windows : [];
+    if (index === 0) {
+      for (let i = 1; i < windows.length; i++) ipcRenderer.send('window-new', { restore: i });
+    }
+    return await this.restore(windows[index]);
   }
 
-  updateAllTerminalSettings() {
-    const newOptions = this.createTerminalOptions();
-    this.panes.forEach(pane => {
-      pane.terminal.options.fontSize = newOptions.fontSize;
-      pane.terminal.options.theme = newOptions.theme;
-      pane.fitAddon.fit();
-      ipcRenderer.send('terminal-resize', {
-        terminalId: pane.terminalId,
-        cols: pane.terminal.cols,
-        rows: pane.terminal.rows,
-      });
-    });
+  async saveLayout(name) {
+    if (!name) return;
+    const data = this.readFile();
+    data.layouts[name] = await this.serialize();
+    this.writeFile(data);
   }
 
-  getFocusedPane() {
-    return this.panes.get(this.focusedPaneId);
+  // Named layouts open alongside the current tabs
+  async loadLayout(name) {
+    return await this.restore(this.readFile().layouts[name]);
   }
 
-  async getPaneCwd(paneId) {
-    const pane = this.panes.get(paneId);
-    if (!pane) return null;
-    return await ipcRenderer.invoke('terminal-get-cwd', pane.terminalId);
+  deleteLayout(name) {
+    const data = this.readFile();
+    delete data.layouts[name];
+    this.writeFile(data);
   }
 
-  async getFocusedPaneCwd() {
-    if (!this.focusedPaneId) return null;
-    return await this.getPaneCwd(this.focusedPaneId);
+  getLayoutNames() {
+    return Object.keys(this.readFile().layouts).sort();
   }
 }
 
-// ========================================
-// TAB MANAGER
-// ========================================
-
-class TabManager {
-  constructor(paneManager) {
-    this.paneManager = paneManager;
-    this.tabs = new Map();
-    this.tabIdCounter = 0;
-    this.activeTabId = null;
-    this.draggedTabId = null;
+let sessionManager = null;
 
-    this.tabsContainer = document.getElementById('tabs-container');
-    this.paneContainer = document.getElementById('pane-container');
-    this.newTabBtn = document.getElementById('new-tab-btn');
+// Show the named layout picker and open the chosen layout
+function showLayoutPicker() {
+  if (!listPicker || !sessionManager) return;
 
-    this.newTabBtn.addEventListener('click', () => this.createTab());
-  }
+  const layouts = sessionManager.readFile().layouts;
+  const items = Object.keys(layouts).sort().map(name => ({
+    id: name,
+    label: name,
+    detail: `${layouts[name].tabs.length} tab${layouts[name].tabs.length === 1 ? '' : 's'}`,
+  }));
 
-  async createTab() {
-    // Get cwd from currently focused pane before creating new tab
-    const currentCwd = await this.paneManager.getFocusedPaneCwd();
+  listPicker.show({
+    title: 'LOAD LAYOUT',
+    items,
+    onSelect: (name) => sessionManager.loadLayout(name),
+  });
+}
 
-    const tabId = ++this.tabIdCounter;
+// ========================================
+// SESSION REPLAY
+// ========================================
 
-    const tabElement = document.createElement('div');
-    tabElement.className = 'tab';
-    tabElement.dataset.tabId = tabId;
-    tabElement.innerHTML = `
-      <span class="tab-title">Terminal ${tabId}</span>
-      <span class="tab-close">&times;</span>
+// Where Record Pane writes its .cast files
+const recordingsDir = path.join(os.homedir(), 'hackerterm-recordings');
+
+// Plays an asciicast recording into a read-only terminal at the recorded
+// size. Space plays/pauses, Left/Right seek 5s.
+class CastPlayer {
+  constructor(container, cast) {
+    this.header = cast.header;
+    this.events = cast.events;
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+    this.position = 0;
+    this.nextIndex = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.effects = false;
+    this.frameId = null;
+    this.lastTick = 0;
+    this.lastGlitch = 0;
+
+    this.element = document.createElement('div');
+    this.element.className = 'cast-player';
+    this.element.innerHTML = `
+      <div class="cast-player-screen"></div>
+      <div class="cast-player-controls">
+        <button class="cast-player-btn" title="Play/Pause (Space)">▶</button>
+        <span class="cast-player-time"></span>
+        <input type="range" class="cast-player-seek" min="0" step="0.01" value="0">
+        <select class="cast-player-speed" title="Speed">
+          <option value="0.5">0.5×</option>
+          <option value="1" selected>1×</option>
+          <option value="2">2×</option>
+          <option value="4">4×</option>
+          <option value="8">8×</option>
+        </select>
+        <label class="cast-player-fx" title="Drive the waveform and glitch effects from the replay">
+          <input type="checkbox"> FX
+        </label>
+      </div>
     `;
+    container.appendChild(this.element);
+
+    this.playBtn = this.element.querySelector('.cast-player-btn');
+    this.timeEl = this.element.querySelector('.cast-player-time');
+    this.seekInput = this.element.querySelector('.cast-player-seek');
+    this.speedSelect = this.element.querySelector('.cast-player-speed');
+    this.fxToggle = this.element.querySelector('.cast-player-fx input');
+    this.seekInput.max = this.duration;
+
+    this.terminal = new Terminal({
+      ...paneManager.createTerminalOptions(),
+      cols: this.header.width || 80,
+      rows: this.header.height || 24,
+      cursorBlink: false,
+      disableStdin: true,
+    });
+    this.terminal.open(this.element.querySelector('.cast-player-screen'));
 
-    tabElement.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('tab-close')) {
-        this.switchTab(tabId);
+    this.terminal.attachCustomKeyEventHandler((e) => {
+      if (e.type !== 'keydown') return true;
+      switch (e.key) {
+        case ' ':
+          this.toggle();
+          return false;
+        case 'ArrowLeft':
+          this.seek(this.position - 5);
+          return false;
+        case 'ArrowRight':
+          this.seek(this.position + 5);
+          return false;
+        default:
+          return true;
       }
     });
 
-    tabElement.querySelector('.tab-close').addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.closeTab(tabId);
+    this.playBtn.addEventListener('click', () => this.toggle());
+    this.seekInput.addEventListener('input', () => this.seek(parseFloat(this.seekInput.value)));
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = parseFloat(this.speedSelect.value) || 1;
+      this.focus();
+    });
+    this.fxToggle.addEventListener('change', () => {
+      this.effects = this.fxToggle.checked;
+      this.focus();
     });
 
-    this.setupTabDragAndDrop(tabElement, tabId);
+    this.updateControls();
+  }
 
-    this.tabsContainer.appendChild(tabElement);
+  focus() {
+    this.terminal.focus();
+  }
 
-    const contentElement = document.createElement('div');
-    contentElement.className = 'tab-content';
-    contentElement.dataset.tabId = tabId;
-    this.paneContainer.appendChild(contentElement);
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
 
-    this.tabs.set(tabId, {
-      tabId,
-      element: tabElement,
-      contentElement,
-    });
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.duration) this.seek(0);
+    this.playing = true;
+    this.lastTick = performance.now();
+    this.frameId = requestAnimationFrame(now => this.tick(now));
+    this.updateControls();
+  }
 
-    await this.paneManager.createPane(tabId, contentElement, currentCwd);
+  pause() {
+    this.playing = false;
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.updateControls();
+  }
 
-    this.switchTab(tabId);
+  tick(now) {
+    const elapsed = ((now - this.lastTick) / 1000) * this.speed;
+    this.lastTick = now;
+    this.advanceTo(Math.min(this.duration, this.position + elapsed));
 
-    return tabId;
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this.frameId = requestAnimationFrame(t => this.tick(t));
   }
 
-  setupTabDragAndDrop(tabElement, tabId) {
-    tabElement.draggable = true;
+  // Going back replays from the start; effects stay quiet while seeking
+  seek(time) {
+    const target = Math.max(0, Math.min(this.duration, time || 0));
+    if (target < this.position) {
+      this.terminal.reset();
+      this.terminal.resize(this.header.width || 80, this.header.height || 24);
+      this.nextIndex = 0;
+    }
+    const effects = this.effects;
+    this.effects = false;
+    this.advanceTo(target);
+    this.effects = effects;
+  }
 
-    tabElement.addEventListener('dragstart', (e) => {
-      // Prevent drag from close button
-      if (e.target.closest('.tab-close')) {
-        e.preventDefault();
-        return;
+  // Apply every event up to `time`; output between resizes is one write
+  advanceTo(time) {
+    let output = '';
+    while (this.nextIndex < this.events.length && this.events[this.nextIndex].time <= time) {
+      const event = this.events[this.nextIndex++];
+      if (event.code === 'o') {
+        output += event.data;
+      } else if (event.code === 'r') {
+        const size = Asciicast.parseSize(event.data);
+        if (!size) continue;
+        if (output) this.terminal.write(output);
+        output = '';
+        this.terminal.resize(size.cols, size.rows);
       }
-      this.draggedTabId = tabId;
-      tabElement.classList.add('dragging');
-      e.dataTransfer.effectAllowed = 'move';
-    });
+    }
 
-    tabElement.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      if (this.draggedTabId === null || this.draggedTabId === tabId) return;
-      e.dataTransfer.dropEffect = 'move';
+    if (output) {
+      this.terminal.write(output);
+      this.triggerEffects(output);
+    }
+    this.position = time;
+    this.updateControls();
+  }
 
-      const rect = tabElement.getBoundingClientRect();
-      const midX = rect.left + rect.width / 2;
+  triggerEffects(output) {
+    if (!this.effects) return;
+    if (waveformRenderer) {
+      waveformRenderer.triggerSpike(Math.min(1, 0.2 + output.length / 500));
+    }
+    // Screen clears and large bursts glitch, at most once a second
+    const now = Date.now();
+    if (glitchManager && now - this.lastGlitch > 1000 && (output.length > 2000 || output.includes('\x1b[2J'))) {
+      this.lastGlitch = now;
+      glitchManager.triggerRandomGlitch();
+    }
+  }
 
-      tabElement.classList.remove('drag-over-left', 'drag-over-right');
-      if (e.clientX < midX) {
-        tabElement.classList.add('drag-over-left');
-      } else {
-        tabElement.classList.add('drag-over-right');
-      }
-    });
+  updateControls() {
+    this.playBtn.textContent = this.playing ? '❚❚' : '▶';
+    this.timeEl.textContent = `${CastPlayer.formatTime(this.position)} / ${CastPlayer.formatTime(this.duration)}`;
+    if (document.activeElement !== this.seekInput) {
+      this.seekInput.value = this.position;
+    }
+  }
 
-    tabElement.addEventListener('dragleave', () => {
-      tabElement.classList.remove('drag-over-left', 'drag-over-right');
-    });
+  static formatTime(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+  }
 
-    tabElement.addEventListener('drop', (e) => {
-      e.preventDefault();
-      tabElement.classList.remove('drag-over-left', 'drag-over-right');
+  dispose() {
+    this.pause();
+    this.terminal.dispose();
+    this.element.remove();
+  }
+}
 
-      if (this.draggedTabId === null || this.draggedTabId === tabId) return;
+// Pick a .cast file and open it in a replay tab
+async function openRecording() {
+  if (!tabManager) return;
 
-      const draggedTab = this.tabs.get(this.draggedTabId);
-      if (!draggedTab) return;
+  const filePath = await ipcRenderer.invoke('dialog-open-file', {
+    title: 'Replay Recording',
+    defaultPath: fs.existsSync(recordingsDir) ? recordingsDir : os.homedir(),
+    filters: [{ name: 'asciicast', extensions: ['cast'] }, { name: 'All Files', extensions: ['*'] }],
+  });
+  if (!filePath) return;
 
-      const rect = tabElement.getBoundingClientRect();
-      const midX = rect.left + rect.width / 2;
+  try {
+    await tabManager.openReplayTab(filePath);
+  } catch (e) {
+    if (statusFooter) statusFooter.setStatus({ text: `Cannot replay: ${e.message}`, label: 'REPLAY', state: 'fail', duration: 5000 });
+  }
+}
 
-      if (e.clientX < midX) {
-        this.tabsContainer.insertBefore(draggedTab.element, tabElement);
-      } else {
-        this.tabsContainer.insertBefore(draggedTab.element, tabElement.nextSibling);
+// ========================================
+// THREAT ENGINE
+// ========================================
+
+// Shared bus for threat signals. Events:
+//   'metrics'     { cpu, mem }                    - percent, from StatusFooter.updateMetrics
+//   'pane-output' { paneId, data }
+//   'pane-exit'   { paneId, exitCode, watched }       - shell process exited
+//   'command-finished' { paneId, exitCode, watched }  - via shell integration
+//   'signal'      { ruleId, level, message }      - a rule became active
+//   'level'       { level, previous }             - overall threat level changed
+const threatBus = new EventEmitter();
+
+const threatLevels = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Strip CSI and OSC sequences before matching terminal output
+const ansiPattern = /\x1b\[[0-9;?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+class ThreatEngine {
+  constructor(bus) {
+    this.bus = bus;
+    this.rules = [];
+    this.tailers = new Map();      // rule id -> FileTailer
+    this.active = new Map();       // rule id -> { level, expires }
+    this.level = 'LOW';
+    this.simulation = false;
+    this.tickIntervalId = null;
+    this.simulationTimeoutId = null;
+    this.polling = false;
+
+    this.bus.on('metrics', (metrics) => this.checkMetrics(metrics));
+    this.bus.on('pane-output', (event) => this.checkOutput(event));
+    this.bus.on('pane-exit', (event) => this.checkExit(event));
+    this.bus.on('command-finished', (event) => this.checkExit(event));
+  }
+
+  setRules(rules) {
+    this.rules = [];
+    this.tailers.clear();
+
+    for (const rule of rules || []) {
+      if (!rule || !rule.id || !rule.type) continue;
+
+      let regex = null;
+      if (rule.pattern) {
+        try {
+          regex = new RegExp(rule.pattern, rule.flags || 'i');
+        } catch (e) {
+          console.warn(`Threat rule ${rule.id}: invalid pattern`, e.message);
+          continue;
+        }
       }
 
-      this.rebuildTabOrder();
-    });
+      this.rules.push({ ...rule, regex });
+      if (rule.type === 'log' && rule.file) {
+        this.tailers.set(rule.id, new FileTailer(rule.file, { backlogBytes: 0 }));
+      }
+    }
 
-    tabElement.addEventListener('dragend', () => {
-      this.draggedTabId = null;
-      this.tabsContainer.querySelectorAll('.tab').forEach(t => {
-        t.classList.remove('dragging', 'drag-over-left', 'drag-over-right');
-      });
-    });
+    // Drop signals from rules that no longer exist (simulation and control
+    // API signals aren't rules)
+    const ids = new Set([...this.rules.map(r => r.id), 'simulation', 'control']);
+    for (const id of this.active.keys()) {
+      if (!ids.has(id)) this.active.delete(id);
+    }
+    this.updateLevel();
   }
 
-  rebuildTabOrder() {
-    const newTabs = new Map();
-    this.tabsContainer.querySelectorAll('.tab').forEach(el => {
-      const id = parseInt(el.dataset.tabId);
-      const tab = this.tabs.get(id);
-      if (tab) newTabs.set(id, tab);
-    });
-    this.tabs = newTabs;
+  rulesOfType(type) {
+    return this.rules.filter(rule => rule.type === type);
   }
 
-  closeTab(tabId) {
-    const tab = this.tabs.get(tabId);
-    if (!tab) return;
+  start() {
+    if (this.tickIntervalId) return;
+    this.tickIntervalId = setInterval(() => {
+      this.updateLevel();
+      this.pollLogs();
+    }, 1000);
+    if (this.simulation) this.scheduleSimulatedSpike();
+  }
 
-    if (this.tabs.size <= 1) {
-      ipcRenderer.send('window-close');
-      return;
+  stop() {
+    if (this.tickIntervalId) {
+      clearInterval(this.tickIntervalId);
+      this.tickIntervalId = null;
+    }
+    if (this.simulationTimeoutId) {
+      clearTimeout(this.simulationTimeoutId);
+      this.simulationTimeoutId = null;
     }
+  }
 
-    this.paneManager.destroyAllPanesInTab(tabId);
+  raise(rule, message) {
+    const level = threatLevels.includes(rule.level) ? rule.level : 'MEDIUM';
+    const wasActive = this.active.has(rule.id);
 
-    tab.element.remove();
-    tab.contentElement.remove();
-    this.tabs.delete(tabId);
+    this.active.set(rule.id, { level, expires: Date.now() + (rule.duration || 30000) });
 
-    if (this.activeTabId === tabId) {
-      const remainingTabs = Array.from(this.tabs.keys());
-      if (remainingTabs.length > 0) {
-        this.switchTab(remainingTabs[remainingTabs.length - 1]);
+    // Repeats only extend an active signal, so a noisy rule can't flood listeners
+    if (!wasActive) {
+      this.bus.emit('signal', { ruleId: rule.id, level, message });
+    }
+    this.updateLevel();
+  }
+
+  clear(ruleId) {
+    if (this.active.delete(ruleId)) this.updateLevel();
+  }
+
+  updateLevel() {
+    const now = Date.now();
+    let level = 'LOW';
+
+    for (const [id, signal] of this.active) {
+      if (signal.expires <= now) {
+        this.active.delete(id);
+      } else if (threatLevels.indexOf(signal.level) > threatLevels.indexOf(level)) {
+        level = signal.level;
       }
     }
+
+    if (level !== this.level) {
+      const previous = this.level;
+      this.level = level;
+      this.bus.emit('level', { level, previous });
+    }
   }
 
-  switchTab(tabId) {
-    const tab = this.tabs.get(tabId);
-    if (!tab) return;
+  checkMetrics(metrics) {
+    for (const rule of this.rulesOfType('metric')) {
+      const value = metrics[rule.metric];
+      if (typeof value !== 'number') continue;
 
-    this.tabs.forEach(t => {
-      t.element.classList.remove('active');
-      t.contentElement.classList.remove('active');
-    });
+      if (value > rule.above) {
+        this.raise(rule, `${rule.metric.toUpperCase()} at ${value}% (limit ${rule.above}%)`);
+      } else {
+        this.clear(rule.id);
+      }
+    }
+  }
 
-    tab.element.classList.add('active');
-    tab.contentElement.classList.add('active');
-    this.activeTabId = tabId;
+  checkOutput({ paneId, data }) {
+    const rules = this.rulesOfType('output');
+    if (rules.length === 0) return;
 
-    const tabPanes = this.paneManager.getPanesForTab(tabId);
-    if (tabPanes.length > 0) {
-      this.paneManager.focusPane(tabPanes[0].paneId);
+    const text = data.replace(ansiPattern, '');
+    for (const rule of rules) {
+      const match = rule.regex && text.match(rule.regex);
+      if (match) this.raise(rule, `Pane ${paneId}: ${match[0]}`);
     }
+  }
 
-    this.paneManager.refitAllPanesInTab(tabId);
+  checkExit({ paneId, exitCode, watched }) {
+    if (!exitCode) return;
+
+    for (const rule of this.rulesOfType('exit')) {
+      if (watched || rule.allPanes) {
+        this.raise(rule, `Pane ${paneId}: exit code ${exitCode}`);
+      }
+    }
   }
 
-  nextTab() {
-    const tabIds = Array.from(this.tabs.keys());
-    if (tabIds.length <= 1) return;
+  async pollLogs() {
+    if (this.polling || this.tailers.size === 0) return;
+    this.polling = true;
 
-    const currentIndex = tabIds.indexOf(this.activeTabId);
-    const nextIndex = (currentIndex + 1) % tabIds.length;
-    this.switchTab(tabIds[nextIndex]);
+    try {
+      for (const [ruleId, tailer] of this.tailers) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        let lines;
+        try {
+          lines = await tailer.readNewLines();
+        } catch (e) {
+          // Missing or unreadable log; try again next tick
+          continue;
+        }
+
+        const hit = lines.find(line => !rule.regex || rule.regex.test(line));
+        if (hit) this.raise(rule, hit.trim().slice(0, 160));
+      }
+    } finally {
+      this.polling = false;
+    }
   }
 
-  prevTab() {
-    const tabIds = Array.from(this.tabs.keys());
-    if (tabIds.length <= 1) return;
+  // Random spikes (the original behaviour), kept as an opt-in signal source
+  setSimulation(enabled) {
+    this.simulation = enabled;
+    if (this.simulationTimeoutId) {
+      clearTimeout(this.simulationTimeoutId);
+      this.simulationTimeoutId = null;
+    }
+    if (enabled && this.tickIntervalId) this.scheduleSimulatedSpike();
+  }
 
-    const currentIndex = tabIds.indexOf(this.activeTabId);
-    const prevIndex = (currentIndex - 1 + tabIds.length) % tabIds.length;
-    this.switchTab(tabIds[prevIndex]);
+  scheduleSimulatedSpike() {
+    const delay = 15000 + Math.random() * 30000; // 15-45 seconds
+
+    this.simulationTimeoutId = setTimeout(() => {
+      this.triggerSimulatedSpike();
+      this.scheduleSimulatedSpike();
+    }, delay);
   }
 
-  getActiveTabId() {
-    return this.activeTabId;
+  triggerSimulatedSpike(message = 'Simulated threat spike') {
+    if (!this.simulation) return;
+
+    // 70% chance MEDIUM, 30% chance HIGH; HIGH lasts shorter
+    const isHigh = Math.random() < 0.3;
+    this.raise({
+      id: 'simulation',
+      level: isHigh ? 'HIGH' : 'MEDIUM',
+      duration: isHigh ? 3000 : 5000,
+    }, message);
   }
 }
 
+let threatEngine = null;
+
 // ========================================
 // GLITCH MANAGER
 // ========================================
@@ -2645,6 +5121,16 @@ class GlitchManager {
     doFlicker();
   }
 
+  // Glitch in response to a threat signal; HIGH adds a static burst
+  triggerThreatGlitch(level) {
+    if (!this.enabled) return;
+
+    this.triggerRandomGlitch();
+    if (level === 'HIGH') {
+      setTimeout(() => this.staticBurst(150), 250);
+    }
+  }
+
   setEnabled(enabled) {
     this.enabled = enabled;
     currentSettings.glitchEnabled = enabled;
@@ -2682,6 +5168,10 @@ class StatusFooter {
     this.threatEl = document.getElementById('threat-value');
     this.nodeEl = document.getElementById('node-value');
     this.sessionEl = document.getElementById('session-value');
+    this.statusSection = document.getElementById('footer-status');
+    this.statusLabelEl = document.getElementById('footer-status-label');
+    this.statusValueEl = document.getElementById('footer-status-value');
+    this.statusTimeoutId = null;
 
     // State
     this.startTime = Date.now();
@@ -2705,7 +5195,6 @@ class StatusFooter {
     this.metricsIntervalId = null;
     this.uptimeIntervalId = null;
     this.encryptIntervalId = null;
-    this.threatIntervalId = null;
     this.nodeIntervalId = null;
 
     this.start();
@@ -2731,9 +5220,6 @@ class StatusFooter {
     // Rotate encryption every 8-15 seconds
     this.scheduleEncryptionRotation();
 
-    // Random threat spikes every 15-45 seconds
-    this.scheduleThreatSpike();
-
     // Update node ID occasionally (every 30-60 seconds)
     this.nodeIntervalId = setInterval(() => {
       if (Math.random() < 0.3) {
@@ -2746,7 +5232,6 @@ class StatusFooter {
     if (this.metricsIntervalId) clearInterval(this.metricsIntervalId);
     if (this.uptimeIntervalId) clearInterval(this.uptimeIntervalId);
     if (this.encryptIntervalId) clearTimeout(this.encryptIntervalId);
-    if (this.threatIntervalId) clearTimeout(this.threatIntervalId);
     if (this.nodeIntervalId) clearInterval(this.nodeIntervalId);
   }
 
@@ -2759,6 +5244,8 @@ class StatusFooter {
     const usedMem = totalMem - freeMem;
     const usedMemGB = (usedMem / (1024 * 1024 * 1024)).toFixed(1);
     this.memEl.textContent = usedMemGB;
+    const memPercent = Math.round(usedMem / totalMem * 100);
+    let cpuPercent = null;
 
     // Real CPU usage (calculated from cpu times)
     const cpus = os.cpus();
@@ -2773,12 +5260,15 @@ class StatusFooter {
       const totalDiff = currentCpuInfo.total - this.previousCpuInfo.total;
       const cpuUsage = totalDiff > 0 ? Math.round(100 - (idleDiff / totalDiff * 100)) : 0;
       this.cpuEl.textContent = cpuUsage;
+      cpuPercent = cpuUsage;
     } else {
       // First call, show 0 until we have a delta
       this.cpuEl.textContent = '0';
     }
 
     this.previousCpuInfo = currentCpuInfo;
+
+    threatBus.emit('metrics', { cpu: cpuPercent, mem: memPercent });
   }
 
   updateUptime() {
@@ -2820,31 +5310,6 @@ class StatusFooter {
     }
   }
 
-  scheduleThreatSpike() {
-    const delay = 15000 + Math.random() * 30000; // 15-45 seconds
-
-    this.threatIntervalId = setTimeout(() => {
-      this.triggerThreatSpike();
-      this.scheduleThreatSpike();
-    }, delay);
-  }
-
-  triggerThreatSpike() {
-    if (!this.threatEl) return;
-
-    // Determine spike level: 70% chance MEDIUM, 30% chance HIGH
-    const isHigh = Math.random() < 0.3;
-    const newLevel = isHigh ? 'HIGH' : 'MEDIUM';
-    const duration = isHigh ? 3000 : 5000; // HIGH lasts shorter
-
-    this.setThreatLevel(newLevel);
-
-    // Return to LOW after duration
-    setTimeout(() => {
-      this.setThreatLevel('LOW');
-    }, duration);
-  }
-
   setThreatLevel(level) {
     if (!this.threatEl) return;
 
@@ -2868,6 +5333,29 @@ class StatusFooter {
     }
   }
 
+  // External status slot, e.g. "BUILD: passing" pushed from CI.
+  // state: 'ok' | 'running' | 'fail' | null; duration in ms clears it after
+  setStatus({ text, label = 'STATUS', state = null, duration = 0 }) {
+    if (!this.statusSection) return;
+
+    this.statusLabelEl.textContent = `${label.toUpperCase()}:`;
+    this.statusValueEl.textContent = text;
+    this.statusValueEl.className = state ? `status-${state}` : '';
+    this.statusSection.hidden = false;
+    this.statusSection.previousElementSibling.hidden = false;
+
+    if (this.statusTimeoutId) clearTimeout(this.statusTimeoutId);
+    this.statusTimeoutId = duration > 0 ? setTimeout(() => this.clearStatus(), duration) : null;
+  }
+
+  clearStatus() {
+    if (!this.statusSection) return;
+    if (this.statusTimeoutId) clearTimeout(this.statusTimeoutId);
+    this.statusTimeoutId = null;
+    this.statusSection.hidden = true;
+    this.statusSection.previousElementSibling.hidden = true;
+  }
+
   updateNodeId() {
     if (!this.nodeEl) return;
 
@@ -2892,19 +5380,102 @@ let waveformRenderer;
 let statusFooter;
 let cityMapRenderer;
 let speechToTextManager;
+let connectionMapper;
+let satelliteTracker;
 
 // ========================================
 // CLOCK UPDATE
 // ========================================
 
+// World clocks from the settings, shown in the header and on the globe
+let worldClocks = [];
+let clockCycleIndex = 0;
+let clockCycleChangedAt = 0;
+const clockCycleInterval = 5000;
+const clockFormats = new Map();
+
+// Entries with an unknown time zone are dropped; a missing label is the
+// zone's city ("America/New_York" is NEW YORK)
+function resolveWorldClocks(clocks) {
+  return (Array.isArray(clocks) ? clocks : [])
+    .filter(clock => clock && isValidTimeZone(clock.timeZone))
+    .map(clock => ({
+      ...clock,
+      label: String(clock.label || clock.timeZone.split('/').pop().replace(/_/g, ' ')).toUpperCase(),
+    }));
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function applyWorldClocks() {
+  worldClocks = resolveWorldClocks(currentSettings.worldClocks);
+  clockCycleIndex = 0;
+  clockCycleChangedAt = Date.now();
+  if (globeRenderer) globeRenderer.setWorldClocks(worldClocks);
+  updateClock();
+}
+
+// HH:MM:SS (or HH:MM) in timeZone; local time when it's undefined
+function formatClockTime(date, timeZone, seconds = true) {
+  const key = `${timeZone || ''}|${seconds}`;
+  let format = clockFormats.get(key);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: seconds ? '2-digit' : undefined,
+      hourCycle: 'h23',
+    });
+    clockFormats.set(key, format);
+  }
+  return format.format(date);
+}
+
+// Clicking the clock in cycle mode skips to the next zone
+function advanceClock() {
+  clockCycleIndex = (clockCycleIndex + 1) % (worldClocks.length + 1);
+  clockCycleChangedAt = Date.now();
+  updateClock();
+}
+
 function updateClock() {
   const clockEl = document.getElementById('clock');
   if (clockEl) {
     const now = new Date();
-    const h = now.getHours().toString().padStart(2, '0');
-    const m = now.getMinutes().toString().padStart(2, '0');
-    const s = now.getSeconds().toString().padStart(2, '0');
-    clockEl.textContent = `${h}:${m}:${s}`;
+    const mode = worldClocks.length > 0 ? currentSettings.clockMode : 'local';
+
+    if (mode === 'cycle') {
+      if (now - clockCycleChangedAt >= clockCycleInterval) {
+        clockCycleIndex = (clockCycleIndex + 1) % (worldClocks.length + 1);
+        clockCycleChangedAt = now.getTime();
+      }
+      const clock = worldClocks[clockCycleIndex - 1];
+      clockEl.textContent = clock
+        ? `${clock.label} ${formatClockTime(now, clock.timeZone)}`
+        : `LOCAL ${formatClockTime(now)}`;
+    } else if (mode === 'list') {
+      clockEl.textContent = [
+        formatClockTime(now),
+        ...worldClocks.map(clock => `${clock.label} ${formatClockTime(now, clock.timeZone, false)}`),
+      ].join('  ');
+    } else {
+      clockEl.textContent = formatClockTime(now);
+    }
+
+    clockEl.classList.toggle('clock-zones', mode !== 'local');
+    clockEl.classList.toggle('clock-cycle', mode === 'cycle');
+    clockEl.title = worldClocks
+      .map(clock => `${clock.label}  ${formatClockTime(now, clock.timeZone, false)}  ${clock.timeZone}`)
+      .join('\n');
   }
 }
 
@@ -2912,24 +5483,93 @@ function updateClock() {
 // THEME APPLICATION
 // ========================================
 
-function applyTheme(themeName) {
-  document.body.className = document.body.className
-    .replace(/theme-\w+/g, '')
-    .trim();
-  document.body.classList.add(`theme-${themeName}`);
-
-  // Update CSS variables
-  const themes = {
-    matrix: { primary: '#00ff88', secondary: '#00ccff' },
-    cyan: { primary: '#00ccff', secondary: '#00ff88' },
-    amber: { primary: '#ffaa00', secondary: '#ff5500' },
-    red: { primary: '#ff0044', secondary: '#ff5500' }
+// Built-in themes ship in themes/; the user's directory adds to or replaces them
+const userThemesDir = path.join(os.homedir(), '.hackerterm-themes');
+const themeRegistry = new ThemeRegistry([
+  { dir: path.join(__dirname, 'themes'), source: 'built-in' },
+  { dir: userThemesDir, source: 'user' },
+]);
+themeRegistry.load();
+
+// Theme section -> CSS variable read by that renderer's updateColors()
+const rendererThemeVars = {
+  globe: { primary: '--globe-primary', secondary: '--globe-secondary' },
+  cityMap: { primary: '--citymap-primary', primaryDim: '--citymap-primary-dim', alert: '--citymap-alert' },
+  waveform: { primary: '--waveform-primary' },
+};
+
+// Variables set by the previous theme, so one theme's extras don't leak into the next
+let appliedThemeVars = [];
+let appliedThemeId = null;
+let scheduledThemeId = null;
+
+// The global theme right now: the scheduled one during its hours, else the chosen one
+function activeThemeId() {
+  const schedule = currentSettings.themeSchedule;
+  if (schedule && schedule.enabled && themeRegistry.has(schedule.theme) && isInThemeSchedule(schedule, new Date())) {
+    return schedule.theme;
+  }
+  return currentSettings.theme;
+}
+
+// from and to are "HH:MM"
+function isInThemeSchedule({ from, to }, date) {
+  const toMinutes = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
   };
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  if (isNaN(start) || isNaN(end) || start === end) return false;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Apply the current themes everywhere: the chrome and canvases follow the
+// active tab's override, else the global theme; every terminal and replay
+// gets its own. { terminals: false } when only the active tab changed.
+function refreshTheme({ terminals = true } = {}) {
+  const activeTab = tabManager ? tabManager.tabs.get(tabManager.getActiveTabId()) : null;
+  const chromeThemeId = themeRegistry.get((activeTab && activeTab.theme) || activeThemeId()).id;
+  if (terminals || chromeThemeId !== appliedThemeId) applyTheme(chromeThemeId);
+  scheduledThemeId = activeThemeId();
+
+  if (!terminals || !paneManager || !tabManager) return;
+  paneManager.applyThemeToTerminals();
+  tabManager.tabs.forEach((tab) => {
+    if (tab.player) tab.player.terminal.options.theme = paneManager.createTerminalOptions(tab.theme).theme;
+  });
+}
 
-  const theme = themes[themeName] || themes.matrix;
-  document.documentElement.style.setProperty('--primary-color', theme.primary);
-  document.documentElement.style.setProperty('--primary-glow', theme.primary);
-  document.documentElement.style.setProperty('--secondary-color', theme.secondary);
+// The schedule is checked every minute so its boundaries switch themes on their own
+function startThemeSchedule() {
+  setInterval(() => {
+    if (activeThemeId() !== scheduledThemeId) refreshTheme();
+  }, 60000);
+}
+
+function applyTheme(themeName) {
+  const theme = themeRegistry.get(themeName);
+  if (!theme) return;
+  appliedThemeId = theme.id;
+
+  const vars = {};
+  for (const [name, value] of Object.entries(theme.ui)) {
+    vars[`--${name}`] = value;
+  }
+  for (const [section, names] of Object.entries(rendererThemeVars)) {
+    for (const [key, name] of Object.entries(names)) {
+      if (theme[section][key]) vars[name] = theme[section][key];
+    }
+  }
+
+  const rootStyle = document.documentElement.style;
+  appliedThemeVars.forEach(name => rootStyle.removeProperty(name));
+  for (const [name, value] of Object.entries(vars)) {
+    rootStyle.setProperty(name, value);
+  }
+  appliedThemeVars = Object.keys(vars);
 
   // Update globe colors if available
   if (globeRenderer) {
@@ -2947,6 +5587,94 @@ function applyTheme(themeName) {
   }
 }
 
+// ========================================
+// TERMINAL FONTS
+// ========================================
+
+// Options updateAllTerminalSettings copies onto running terminals
+const liveTerminalOptions = [
+  'fontFamily', 'fontSize', 'fontWeight', 'fontWeightBold',
+  'lineHeight', 'letterSpacing', 'cursorStyle', 'cursorBlink', 'theme',
+];
+
+// Web fonts from styles.css, always offered and always in the fallback stack
+const bundledTerminalFonts = ['Share Tech Mono', 'IBM Plex Mono'];
+const terminalFontFallback = '"Share Tech Mono", "IBM Plex Mono", "Consolas", monospace';
+
+// Checked when the Local Font Access API is unavailable or denied
+const knownMonospaceFonts = [
+  'Cascadia Code', 'Cascadia Mono', 'Consolas', 'Courier New', 'DejaVu Sans Mono',
+  'Droid Sans Mono', 'Fira Code', 'Fira Mono', 'Hack', 'Inconsolata', 'Iosevka',
+  'JetBrains Mono', 'Liberation Mono', 'Menlo', 'Monaco', 'Noto Sans Mono',
+  'Roboto Mono', 'SF Mono', 'Source Code Pro', 'Ubuntu Mono', 'Victor Mono',
+];
+
+function terminalFontFamily(family) {
+  const name = String(family || '').replace(/["\\]/g, '').trim();
+  return name ? `"${name}", ${terminalFontFallback}` : terminalFontFallback;
+}
+
+// A family that is installed and monospace draws "i" and "W" at the same
+// width; a missing one falls back to the proportional serif and doesn't
+function isMonospaceFont(family) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = `16px "${family}", serif`;
+  const narrow = ctx.measureText('iiiiiiiiii').width;
+  const wide = ctx.measureText('WWWWWWWWWW').width;
+  return narrow > 0 && Math.abs(narrow - wide) < 0.5;
+}
+
+let monospaceFontsPromise = null;
+
+// Installed monospace families, sorted, with the bundled fonts first. Font
+// access needs a user gesture, so the first call should come from one.
+function listMonospaceFonts() {
+  if (!monospaceFontsPromise) {
+    monospaceFontsPromise = (async () => {
+      let families = [];
+      if (typeof window.queryLocalFonts === 'function') {
+        try {
+          families = (await window.queryLocalFonts()).map(font => font.family);
+        } catch (e) {
+          // Permission denied or no user gesture
+        }
+      }
+      if (families.length === 0) families = knownMonospaceFonts;
+
+      const installed = Array.from(new Set(families))
+        .filter(family => !bundledTerminalFonts.includes(family) && isMonospaceFont(family))
+        .sort((a, b) => a.localeCompare(b));
+      return [...bundledTerminalFonts, ...installed];
+    })();
+  }
+  return monospaceFontsPromise;
+}
+
+// Resolves once the chosen font (regular and bold) is ready to measure
+async function loadTerminalFont() {
+  const family = terminalFontFamily(currentSettings.fontFamily);
+  const size = `${currentSettings.fontSize}px`;
+  try {
+    await Promise.all([
+      document.fonts.load(`${currentSettings.fontWeight} ${size} ${family}`),
+      document.fonts.load(`${currentSettings.fontWeightBold} ${size} ${family}`),
+    ]);
+  } catch (e) {
+    // Bad font string; xterm falls back on its own
+  }
+}
+
+function loadLigatures(terminal) {
+  const addon = new LigaturesAddon();
+  try {
+    terminal.loadAddon(addon);
+    return addon;
+  } catch (e) {
+    console.warn('Ligatures unavailable:', e.message);
+    return null;
+  }
+}
+
 // ========================================
 // EFFECTS CONTROL
 // ========================================
@@ -3024,8 +5752,25 @@ function initSettingsPanel() {
   const settingsClose = document.getElementById('settings-close');
 
   const themeSelect = document.getElementById('theme-select');
+  const themeImport = document.getElementById('theme-import');
+  const themeScheduleToggle = document.getElementById('theme-schedule-toggle');
+  const themeScheduleSelect = document.getElementById('theme-schedule-select');
+  const themeScheduleFrom = document.getElementById('theme-schedule-from');
+  const themeScheduleTo = document.getElementById('theme-schedule-to');
+  const defaultProfileSelect = document.getElementById('default-profile-select');
+  const shellIntegrationToggle = document.getElementById('shell-integration-toggle');
   const fontSizeSlider = document.getElementById('font-size-slider');
   const fontSizeValue = document.getElementById('font-size-value');
+  const fontFamilySelect = document.getElementById('font-family-select');
+  const fontWeightSelect = document.getElementById('font-weight-select');
+  const fontWeightBoldSelect = document.getElementById('font-weight-bold-select');
+  const lineHeightSlider = document.getElementById('line-height-slider');
+  const lineHeightValue = document.getElementById('line-height-value');
+  const letterSpacingSlider = document.getElementById('letter-spacing-slider');
+  const letterSpacingValue = document.getElementById('letter-spacing-value');
+  const cursorStyleSelect = document.getElementById('cursor-style-select');
+  const cursorBlinkToggle = document.getElementById('cursor-blink-toggle');
+  const ligaturesToggle = document.getElementById('ligatures-toggle');
   const typingSoundToggle = document.getElementById('typing-sound-toggle');
   const typingSoundVolume = document.getElementById('typing-sound-volume');
   const typingSoundValue = document.getElementById('typing-sound-value');
@@ -3036,6 +5781,30 @@ function initSettingsPanel() {
   const glitchIntensitySlider = document.getElementById('glitch-intensity');
   const glitchValue = document.getElementById('glitch-value');
   const dataPanelToggle = document.getElementById('data-panel-toggle');
+  const restoreSessionToggle = document.getElementById('restore-session-toggle');
+  const titleTemplateInput = document.getElementById('title-template-input');
+  const confirmCloseToggle = document.getElementById('confirm-close-toggle');
+  const confirmCloseIgnoreInput = document.getElementById('confirm-close-ignore-input');
+  const layoutNameInput = document.getElementById('layout-name-input');
+  const layoutSaveBtn = document.getElementById('layout-save-btn');
+  const layoutSelect = document.getElementById('layout-select');
+  const layoutLoadBtn = document.getElementById('layout-load-btn');
+  const layoutDeleteBtn = document.getElementById('layout-delete-btn');
+  const telemetryToggles = document.querySelectorAll('.telemetry-source-toggle');
+  const telemetryLogChoose = document.getElementById('telemetry-log-choose');
+  const threatSimulationToggle = document.getElementById('threat-simulation-toggle');
+  const globeEndpointsToggle = document.getElementById('globe-endpoints-toggle');
+  const geoIpChoose = document.getElementById('geoip-choose');
+  const tleChoose = document.getElementById('tle-choose');
+  const tleClear = document.getElementById('tle-clear');
+  const tleFilterInput = document.getElementById('tle-filter-input');
+  const homeLatInput = document.getElementById('home-lat-input');
+  const homeLonInput = document.getElementById('home-lon-input');
+  const globeLayerAdd = document.getElementById('globe-layer-add');
+  const globeCoastlinesToggle = document.getElementById('globe-coastlines-toggle');
+  const globeBordersToggle = document.getElementById('globe-borders-toggle');
+  const clockModeSelect = document.getElementById('clock-mode-select');
+  const worldClocksInput = document.getElementById('world-clocks-input');
 
   // Toggle settings panel
   settingsBtn.addEventListener('click', (e) => {
@@ -3062,78 +5831,376 @@ function initSettingsPanel() {
     e.stopPropagation();
   });
 
-  // Theme select
-  themeSelect.addEventListener('change', () => {
-    currentSettings.theme = themeSelect.value;
+  // Theme select
+  themeSelect.addEventListener('change', () => {
+    currentSettings.theme = themeSelect.value;
+    saveSettings();
+    refreshTheme();
+  });
+
+  // Scheduled theme: any change takes effect immediately if we're inside the hours
+  themeScheduleToggle.addEventListener('change', () => {
+    currentSettings.themeSchedule.enabled = themeScheduleToggle.checked;
+    saveSettings();
+    refreshTheme();
+  });
+
+  themeScheduleSelect.addEventListener('change', () => {
+    currentSettings.themeSchedule.theme = themeScheduleSelect.value;
+    saveSettings();
+    refreshTheme();
+  });
+
+  [themeScheduleFrom, themeScheduleTo].forEach(input => {
+    input.addEventListener('change', () => {
+      if (!themeScheduleFrom.value || !themeScheduleTo.value) {
+        syncSettingsUI();
+        return;
+      }
+      currentSettings.themeSchedule.from = themeScheduleFrom.value;
+      currentSettings.themeSchedule.to = themeScheduleTo.value;
+      saveSettings();
+      refreshTheme();
+    });
+  });
+
+  // Import copies the scheme into the user's theme directory and switches to it
+  themeImport.addEventListener('click', async () => {
+    const filePath = await ipcRenderer.invoke('dialog-open-file', {
+      title: 'Import a color scheme',
+      defaultPath: os.homedir(),
+      filters: [
+        { name: 'Color schemes', extensions: ['json', 'itermcolors', 'yaml', 'yml'] },
+        { name: 'All files', extensions: ['*'] },
+      ],
+    });
+    if (!filePath) return;
+
+    let ids;
+    let replaced;
+    try {
+      ({ ids, replaced } = await themeRegistry.import(filePath, userThemesDir));
+    } catch (e) {
+      document.getElementById('theme-import-status').textContent = `Import failed: ${e.message}`;
+      return;
+    }
+
+    currentSettings.theme = ids[0];
+    saveSettings();
+    refreshTheme();
+    syncSettingsUI();
+    const imported = ids.length === 1 ? `Imported ${themeRegistry.get(ids[0]).name}` : `Imported ${ids.length} themes`;
+    document.getElementById('theme-import-status').textContent = replaced.length > 0
+      ? `${imported}, replacing ${replaced.map(id => themeRegistry.get(id).name).join(', ')}`
+      : imported;
+  });
+
+  // Default shell profile
+  defaultProfileSelect.addEventListener('change', () => {
+    currentSettings.defaultProfile = defaultProfileSelect.value;
+    saveSettings();
+  });
+
+  // Shell integration (applies to new panes)
+  shellIntegrationToggle.addEventListener('change', () => {
+    currentSettings.shellIntegration = shellIntegrationToggle.checked;
+    saveSettings();
+  });
+
+  titleTemplateInput.addEventListener('change', () => {
+    currentSettings.titleTemplate = titleTemplateInput.value.trim() || defaultSettings.titleTemplate;
+    saveSettings();
+    paneManager.updateAllPaneTitles();
+  });
+
+  confirmCloseToggle.addEventListener('change', () => {
+    currentSettings.confirmClose = confirmCloseToggle.checked;
+    saveSettings();
+  });
+
+  confirmCloseIgnoreInput.addEventListener('change', () => {
+    currentSettings.confirmCloseIgnore = confirmCloseIgnoreInput.value
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    saveSettings();
+  });
+
+  // Font size
+  fontSizeSlider.addEventListener('input', () => {
+    const size = parseInt(fontSizeSlider.value);
+    fontSizeValue.textContent = `${size}px`;
+    currentSettings.fontSize = size;
+    saveSettings();
+    paneManager.updateAllTerminalSettings();
+  });
+
+  // Font family, weights, spacing and cursor all go through updateAllTerminalSettings
+  const fontControls = [
+    [fontFamilySelect, 'change', 'fontFamily', el => el.value],
+    [fontWeightSelect, 'change', 'fontWeight', el => parseInt(el.value)],
+    [fontWeightBoldSelect, 'change', 'fontWeightBold', el => parseInt(el.value)],
+    [lineHeightSlider, 'input', 'lineHeight', el => parseFloat(el.value)],
+    [letterSpacingSlider, 'input', 'letterSpacing', el => parseFloat(el.value)],
+    [cursorStyleSelect, 'change', 'cursorStyle', el => el.value],
+    [cursorBlinkToggle, 'change', 'cursorBlink', el => el.checked],
+    [ligaturesToggle, 'change', 'ligatures', el => el.checked],
+  ];
+  fontControls.forEach(([element, event, key, read]) => {
+    element.addEventListener(event, () => {
+      currentSettings[key] = read(element);
+      lineHeightValue.textContent = currentSettings.lineHeight.toFixed(2);
+      letterSpacingValue.textContent = `${currentSettings.letterSpacing}px`;
+      saveSettings();
+      paneManager.updateAllTerminalSettings();
+    });
+  });
+
+  // Typing sound toggle
+  typingSoundToggle.addEventListener('change', () => {
+    if (keySoundManager) {
+      keySoundManager.setEnabled(typingSoundToggle.checked);
+    }
+  });
+
+  // Typing sound volume
+  typingSoundVolume.addEventListener('input', () => {
+    const volume = parseInt(typingSoundVolume.value);
+    typingSoundValue.textContent = `${volume}%`;
+    if (keySoundManager) {
+      keySoundManager.setVolume(volume);
+      // Play a test sound so user can hear the volume
+      keySoundManager.playKeySound();
+    }
+  });
+
+  // Effects toggle
+  effectsToggle.addEventListener('change', () => {
+    currentSettings.effectsEnabled = effectsToggle.checked;
+    saveSettings();
+    updateEffects(effectsToggle.checked, currentSettings.effectsIntensity);
+  });
+
+  // Effects intensity
+  effectsIntensity.addEventListener('input', () => {
+    const intensity = parseInt(effectsIntensity.value);
+    effectsValue.textContent = `${intensity}%`;
+    currentSettings.effectsIntensity = intensity;
+    saveSettings();
+    updateEffects(currentSettings.effectsEnabled, intensity);
+  });
+
+  // Glitch toggle
+  glitchToggle.addEventListener('change', () => {
+    if (glitchManager) {
+      glitchManager.setEnabled(glitchToggle.checked);
+    }
+  });
+
+  // Glitch intensity
+  glitchIntensitySlider.addEventListener('input', () => {
+    const intensity = parseInt(glitchIntensitySlider.value);
+    glitchValue.textContent = `${intensity}%`;
+    if (glitchManager) {
+      glitchManager.setIntensity(intensity);
+    }
+  });
+
+  // Data panel toggle
+  dataPanelToggle.addEventListener('change', () => {
+    currentSettings.dataPanelVisible = dataPanelToggle.checked;
+    saveSettings();
+    toggleDataPanel(dataPanelToggle.checked);
+  });
+
+  // Data stream sources
+  telemetryToggles.forEach(toggle => {
+    toggle.addEventListener('change', () => {
+      const enabled = new Set(currentSettings.telemetrySources || []);
+      if (toggle.checked) {
+        enabled.add(toggle.dataset.source);
+      } else {
+        enabled.delete(toggle.dataset.source);
+      }
+      currentSettings.telemetrySources = Array.from(enabled);
+      saveSettings();
+      applyTelemetrySources();
+    });
+  });
+
+  telemetryLogChoose.addEventListener('click', async () => {
+    const filePath = await ipcRenderer.invoke('dialog-open-file', {
+      title: 'Choose a log file to tail',
+      defaultPath: currentSettings.telemetryLogFile || '/var/log',
+    });
+    if (!filePath) return;
+
+    currentSettings.telemetryLogFile = filePath;
+    if (!currentSettings.telemetrySources.includes('logfile')) {
+      currentSettings.telemetrySources = [...currentSettings.telemetrySources, 'logfile'];
+    }
+    saveSettings();
+    syncSettingsUI();
+    applyTelemetrySources();
+  });
+
+  // Simulated threat spikes
+  threatSimulationToggle.addEventListener('change', () => {
+    currentSettings.threatSimulation = threatSimulationToggle.checked;
+    saveSettings();
+    if (threatEngine) threatEngine.setSimulation(threatSimulationToggle.checked);
+    if (globeRenderer) globeRenderer.setAutoTargetLock(threatSimulationToggle.checked);
+  });
+
+  // Globe connections
+  globeEndpointsToggle.addEventListener('change', () => {
+    currentSettings.globeEndpoints = globeEndpointsToggle.checked;
+    saveSettings();
+    applyConnectionMapperSettings();
+  });
+
+  geoIpChoose.addEventListener('click', async () => {
+    const filePath = await ipcRenderer.invoke('dialog-open-file', {
+      title: 'Choose a GeoIP city database (.mmdb)',
+      defaultPath: currentSettings.geoIpDatabase || os.homedir(),
+    });
+    if (!filePath) return;
+
+    currentSettings.geoIpDatabase = filePath;
+    saveSettings();
+    const loaded = await applyConnectionMapperSettings();
+    syncSettingsUI();
+    if (!loaded) {
+      document.getElementById('geoip-path').textContent = 'Not a valid .mmdb file';
+    }
+  });
+
+  [homeLatInput, homeLonInput].forEach(input => {
+    input.addEventListener('change', () => {
+      const lat = parseFloat(homeLatInput.value);
+      const lon = parseFloat(homeLonInput.value);
+      if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        syncSettingsUI();
+        return;
+      }
+      currentSettings.homeLat = lat;
+      currentSettings.homeLon = lon;
+      saveSettings();
+      if (connectionMapper && currentSettings.globeEndpoints) connectionMapper.update();
+      // Home is also where satellite passes are predicted for
+      if (satelliteTracker) {
+        satelliteTracker.setObserver(lat, lon);
+        updateSatelliteDisplay();
+      }
+    });
+  });
+
+  // Satellites from a TLE file
+  tleChoose.addEventListener('click', async () => {
+    const filePath = await ipcRenderer.invoke('dialog-open-file', {
+      title: 'Choose a TLE file',
+      defaultPath: currentSettings.satelliteTleFile || os.homedir(),
+      filters: [
+        { name: 'Two-line elements', extensions: ['tle', 'txt'] },
+        { name: 'All files', extensions: ['*'] },
+      ],
+    });
+    if (!filePath) return;
+
+    currentSettings.satelliteTleFile = filePath;
+    saveSettings();
+    const loaded = await applySatelliteSettings();
+    syncSettingsUI();
+    if (!loaded) {
+      document.getElementById('tle-path').textContent = 'No matching satellites in that file';
+    }
+  });
+
+  tleClear.addEventListener('click', () => {
+    currentSettings.satelliteTleFile = '';
+    saveSettings();
+    applySatelliteSettings();
+    syncSettingsUI();
+  });
+
+  tleFilterInput.addEventListener('change', async () => {
+    currentSettings.satelliteFilter = tleFilterInput.value.trim();
+    saveSettings();
+    const loaded = await applySatelliteSettings();
+    if (!loaded) {
+      document.getElementById('tle-path').textContent = 'No matching satellites in that file';
+    }
+  });
+
+  globeLayerAdd.addEventListener('click', () => addGlobeLayer());
+
+  globeCoastlinesToggle.addEventListener('change', () => {
+    currentSettings.globeCoastlines = globeCoastlinesToggle.checked;
+    saveSettings();
+    applyCoastlineSettings();
+  });
+
+  globeBordersToggle.addEventListener('change', () => {
+    currentSettings.globeBorders = globeBordersToggle.checked;
     saveSettings();
-    applyTheme(themeSelect.value);
-    paneManager.updateAllTerminalSettings();
+    applyCoastlineSettings();
   });
 
-  // Font size
-  fontSizeSlider.addEventListener('input', () => {
-    const size = parseInt(fontSizeSlider.value);
-    fontSizeValue.textContent = `${size}px`;
-    currentSettings.fontSize = size;
+  // Header clock
+  clockModeSelect.addEventListener('change', () => {
+    currentSettings.clockMode = clockModeSelect.value;
     saveSettings();
-    paneManager.updateAllTerminalSettings();
+    applyWorldClocks();
   });
 
-  // Typing sound toggle
-  typingSoundToggle.addEventListener('change', () => {
-    if (keySoundManager) {
-      keySoundManager.setEnabled(typingSoundToggle.checked);
+  // World clocks, edited as a list of zones; an entry already in the settings
+  // keeps its label and coordinates
+  worldClocksInput.addEventListener('change', () => {
+    const status = document.getElementById('world-clocks-status');
+    const zones = worldClocksInput.value.split(',').map(z => z.trim()).filter(Boolean);
+    const unknown = zones.filter(zone => !isValidTimeZone(zone));
+    if (unknown.length > 0) {
+      status.textContent = `Unknown time zone: ${unknown.join(', ')}`;
+      return;
     }
-  });
 
-  // Typing sound volume
-  typingSoundVolume.addEventListener('input', () => {
-    const volume = parseInt(typingSoundVolume.value);
-    typingSoundValue.textContent = `${volume}%`;
-    if (keySoundManager) {
-      keySoundManager.setVolume(volume);
-      // Play a test sound so user can hear the volume
-      keySoundManager.playKeySound();
-    }
+    const existing = Array.isArray(currentSettings.worldClocks) ? currentSettings.worldClocks : [];
+    currentSettings.worldClocks = zones.map(timeZone =>
+      existing.find(clock => clock && clock.timeZone === timeZone) || { timeZone });
+    saveSettings();
+    applyWorldClocks();
+    syncSettingsUI();
   });
 
-  // Effects toggle
-  effectsToggle.addEventListener('change', () => {
-    currentSettings.effectsEnabled = effectsToggle.checked;
+  // Session restore toggle
+  restoreSessionToggle.addEventListener('change', () => {
+    currentSettings.restoreSession = restoreSessionToggle.checked;
     saveSettings();
-    updateEffects(effectsToggle.checked, currentSettings.effectsIntensity);
   });
 
-  // Effects intensity
-  effectsIntensity.addEventListener('input', () => {
-    const intensity = parseInt(effectsIntensity.value);
-    effectsValue.textContent = `${intensity}%`;
-    currentSettings.effectsIntensity = intensity;
-    saveSettings();
-    updateEffects(currentSettings.effectsEnabled, intensity);
+  // Named layouts
+  layoutSaveBtn.addEventListener('click', async () => {
+    const name = layoutNameInput.value.trim();
+    if (!name) return;
+    await sessionManager.saveLayout(name);
+    layoutNameInput.value = '';
+    renderLayoutOptions(name);
   });
 
-  // Glitch toggle
-  glitchToggle.addEventListener('change', () => {
-    if (glitchManager) {
-      glitchManager.setEnabled(glitchToggle.checked);
-    }
+  layoutNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') layoutSaveBtn.click();
   });
 
-  // Glitch intensity
-  glitchIntensitySlider.addEventListener('input', () => {
-    const intensity = parseInt(glitchIntensitySlider.value);
-    glitchValue.textContent = `${intensity}%`;
-    if (glitchManager) {
-      glitchManager.setIntensity(intensity);
-    }
+  layoutLoadBtn.addEventListener('click', () => {
+    if (!layoutSelect.value) return;
+    settingsPanel.classList.remove('open');
+    sessionManager.loadLayout(layoutSelect.value);
   });
 
-  // Data panel toggle
-  dataPanelToggle.addEventListener('change', () => {
-    currentSettings.dataPanelVisible = dataPanelToggle.checked;
-    saveSettings();
-    toggleDataPanel(dataPanelToggle.checked);
+  layoutDeleteBtn.addEventListener('click', () => {
+    if (!layoutSelect.value) return;
+    sessionManager.deleteLayout(layoutSelect.value);
+    renderLayoutOptions();
   });
 
   // Initialize shortcuts UI
@@ -3207,8 +6274,62 @@ function initShortcutsUI() {
   });
 }
 
+function renderLayoutOptions(selected = null) {
+  const layoutSelect = document.getElementById('layout-select');
+  if (!layoutSelect || !sessionManager) return;
+
+  layoutSelect.innerHTML = '';
+  for (const name of sessionManager.getLayoutNames()) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    layoutSelect.appendChild(option);
+  }
+  if (selected) layoutSelect.value = selected;
+}
+
+// The family list comes from an async font query and fills in when it's ready
+function syncFontSettingsUI() {
+  const fontFamilySelect = document.getElementById('font-family-select');
+  const fontWeightSelect = document.getElementById('font-weight-select');
+  const fontWeightBoldSelect = document.getElementById('font-weight-bold-select');
+  const addOption = (select, value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+
+  [fontWeightSelect, fontWeightBoldSelect].forEach((select) => {
+    if (select.options.length > 0) return;
+    for (let weight = 100; weight <= 900; weight += 100) {
+      addOption(select, String(weight), String(weight));
+    }
+  });
+  fontWeightSelect.value = String(currentSettings.fontWeight);
+  fontWeightBoldSelect.value = String(currentSettings.fontWeightBold);
+  document.getElementById('line-height-slider').value = currentSettings.lineHeight;
+  document.getElementById('line-height-value').textContent = Number(currentSettings.lineHeight).toFixed(2);
+  document.getElementById('letter-spacing-slider').value = currentSettings.letterSpacing;
+  document.getElementById('letter-spacing-value').textContent = `${currentSettings.letterSpacing}px`;
+  document.getElementById('cursor-style-select').value = currentSettings.cursorStyle;
+  document.getElementById('cursor-blink-toggle').checked = currentSettings.cursorBlink;
+  document.getElementById('ligatures-toggle').checked = currentSettings.ligatures;
+
+  listMonospaceFonts().then((families) => {
+    const current = currentSettings.fontFamily;
+    fontFamilySelect.innerHTML = '';
+    addOption(fontFamilySelect, '', 'Default');
+    families.forEach(family => addOption(fontFamilySelect, family, family));
+    // A family typed into the settings file that wasn't detected stays selected
+    if (current && !families.includes(current)) addOption(fontFamilySelect, current, current);
+    fontFamilySelect.value = current;
+  });
+}
+
 function syncSettingsUI() {
   const themeSelect = document.getElementById('theme-select');
+  const defaultProfileSelect = document.getElementById('default-profile-select');
   const fontSizeSlider = document.getElementById('font-size-slider');
   const fontSizeValue = document.getElementById('font-size-value');
   const typingSoundToggle = document.getElementById('typing-sound-toggle');
@@ -3222,9 +6343,41 @@ function syncSettingsUI() {
   const glitchValue = document.getElementById('glitch-value');
   const dataPanelToggle = document.getElementById('data-panel-toggle');
 
-  themeSelect.value = currentSettings.theme;
+  const themeScheduleToggle = document.getElementById('theme-schedule-toggle');
+  const themeScheduleSelect = document.getElementById('theme-schedule-select');
+  const schedule = currentSettings.themeSchedule;
+
+  [themeSelect, themeScheduleSelect].forEach((select) => {
+    select.innerHTML = '';
+    for (const theme of themeRegistry.list()) {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = theme.source === 'user' ? `${theme.name} (user)` : theme.name;
+      select.appendChild(option);
+    }
+  });
+  themeSelect.value = themeRegistry.get(currentSettings.theme).id;
+  themeScheduleToggle.checked = schedule.enabled;
+  themeScheduleSelect.value = themeRegistry.get(schedule.theme).id;
+  document.getElementById('theme-schedule-from').value = schedule.from;
+  document.getElementById('theme-schedule-to').value = schedule.to;
+
+  defaultProfileSelect.innerHTML = '';
+  for (const [id, profile] of Object.entries(currentSettings.profiles || {})) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = profile.name || id;
+    defaultProfileSelect.appendChild(option);
+  }
+  defaultProfileSelect.value = getProfile(currentSettings.defaultProfile).id;
+  document.getElementById('shell-integration-toggle').checked = currentSettings.shellIntegration;
+  document.getElementById('title-template-input').value = currentSettings.titleTemplate;
+  document.getElementById('confirm-close-toggle').checked = currentSettings.confirmClose;
+  document.getElementById('confirm-close-ignore-input').value = (currentSettings.confirmCloseIgnore || []).join(', ');
+
   fontSizeSlider.value = currentSettings.fontSize;
   fontSizeValue.textContent = `${currentSettings.fontSize}px`;
+  syncFontSettingsUI();
   typingSoundToggle.checked = currentSettings.typingSoundEnabled;
   typingSoundVolume.value = currentSettings.typingSoundVolume;
   typingSoundValue.textContent = `${currentSettings.typingSoundVolume}%`;
@@ -3235,14 +6388,377 @@ function syncSettingsUI() {
   glitchIntensitySlider.value = currentSettings.glitchIntensity || 50;
   glitchValue.textContent = `${currentSettings.glitchIntensity || 50}%`;
   dataPanelToggle.checked = currentSettings.dataPanelVisible;
+  document.querySelectorAll('.telemetry-source-toggle').forEach(toggle => {
+    toggle.checked = (currentSettings.telemetrySources || []).includes(toggle.dataset.source);
+  });
+  document.getElementById('telemetry-log-path').textContent =
+    currentSettings.telemetryLogFile || 'No file selected';
+  document.getElementById('threat-simulation-toggle').checked = currentSettings.threatSimulation;
+  document.getElementById('globe-endpoints-toggle').checked = currentSettings.globeEndpoints;
+  document.getElementById('globe-coastlines-toggle').checked = currentSettings.globeCoastlines;
+  document.getElementById('globe-borders-toggle').checked = currentSettings.globeBorders;
+  document.getElementById('geoip-path').textContent =
+    currentSettings.geoIpDatabase || 'No database (all endpoints at home)';
+  document.getElementById('home-lat-input').value = currentSettings.homeLat;
+  document.getElementById('home-lon-input').value = currentSettings.homeLon;
+  document.getElementById('tle-path').textContent =
+    currentSettings.satelliteTleFile || 'No TLE file (simulated satellites)';
+  document.getElementById('tle-filter-input').value = currentSettings.satelliteFilter;
+  document.getElementById('clock-mode-select').value = currentSettings.clockMode;
+  document.getElementById('world-clocks-input').value = worldClocks.map(clock => clock.timeZone).join(', ');
+  document.getElementById('world-clocks-status').textContent =
+    'Labels and coordinates can be set in ~/.hackerterm-settings.json';
+  document.getElementById('restore-session-toggle').checked = currentSettings.restoreSession;
+  renderLayoutOptions();
 
   initShortcutsUI();
 }
 
+// ========================================
+// DATA STREAM SOURCES
+// ========================================
+
+function buildTelemetrySources() {
+  return (currentSettings.telemetrySources || []).map(id =>
+    createTelemetrySource(id, dataStreamManager, { filePath: currentSettings.telemetryLogFile })
+  );
+}
+
+function applyTelemetrySources() {
+  if (!dataStreamManager) return;
+  dataStreamManager.setSources(buildTelemetrySources());
+}
+
+// ========================================
+// GLOBE CONNECTION ENDPOINTS
+// ========================================
+
+class ConnectionMapper {
+  constructor(globe) {
+    this.globe = globe;
+    this.sockets = new SocketSource();
+    this.geoIp = new GeoIpResolver();
+    this.owners = new Map(); // socket inode -> { pid, name } or null
+    this.updateInterval = 3000;
+    this.intervalId = null;
+    this.updating = false;
+  }
+
+  // Returns false when the file could not be read as an MMDB database
+  async setDatabase(databasePath) {
+    if (!databasePath) {
+      this.geoIp.unload();
+      return true;
+    }
+    if (databasePath === this.geoIp.databasePath) return true;
+
+    try {
+      await this.geoIp.load(databasePath);
+      return true;
+    } catch (e) {
+      console.error('Failed to load GeoIP database:', e);
+      this.geoIp.unload();
+      return false;
+    }
+  }
+
+  getHome() {
+    return {
+      lat: Number(currentSettings.homeLat) || 0,
+      lon: Number(currentSettings.homeLon) || 0
+    };
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.update();
+    this.intervalId = setInterval(() => this.update(), this.updateInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  disable() {
+    this.stop();
+    this.globe.clearEndpoints();
+  }
+
+  async update() {
+    if (this.updating) return;
+    this.updating = true;
+
+    try {
+      await this.sockets.poll();
+
+      const connections = this.sockets.getConnections().filter(c =>
+        (c.proto === 'UDP' || c.state === 'ESTABLISHED') &&
+        c.remote.ip !== '127.0.0.1' && c.remote.ip !== '::1'
+      );
+
+      // Look up owning processes only for sockets we haven't seen
+      const unknown = connections.map(c => c.inode).filter(inode => !this.owners.has(inode));
+      if (unknown.length > 0) {
+        const found = new Map(await ipcRenderer.invoke('socket-owners', unknown));
+        unknown.forEach(inode => this.owners.set(inode, found.get(inode) || null));
+      }
+
+      const live = new Set(connections.map(c => c.inode));
+      for (const inode of this.owners.keys()) {
+        if (!live.has(inode)) this.owners.delete(inode);
+      }
+
+      // One arc per remote address
+      const home = this.getHome();
+      const byRemote = new Map();
+      for (const conn of connections) {
+        let entry = byRemote.get(conn.remote.ip);
+        if (!entry) {
+          entry = {
+            location: this.geoIp.resolve(conn.remote.ip),
+            ports: new Set(),
+            processes: new Set()
+          };
+          byRemote.set(conn.remote.ip, entry);
+        }
+        entry.ports.add(conn.remote.port);
+        const owner = this.owners.get(conn.inode);
+        if (owner) entry.processes.add(`${owner.name} (${owner.pid})`);
+      }
+
+      const endpoints = [];
+      for (const [ip, entry] of byRemote) {
+        const target = entry.location || home;
+        const place = entry.location
+          ? [entry.location.city, entry.location.country].filter(Boolean).join(', ')
+          : 'HOME';
+
+        endpoints.push({
+          id: ip,
+          startLon: home.lon,
+          startLat: home.lat,
+          endLon: target.lon,
+          endLat: target.lat,
+          label: `${ip}:${Array.from(entry.ports).join(',')}`,
+          detail: [
+            entry.processes.size > 0 ? Array.from(entry.processes).join(', ') : 'unknown process',
+            place
+          ].join('\n')
+        });
+      }
+
+      this.globe.setEndpoints(endpoints);
+    } catch (e) {
+      console.error('Failed to update globe connections:', e);
+    } finally {
+      this.updating = false;
+    }
+  }
+}
+
+async function applyConnectionMapperSettings() {
+  if (!connectionMapper) return true;
+
+  const loaded = await connectionMapper.setDatabase(currentSettings.geoIpDatabase);
+  if (currentSettings.globeEndpoints) {
+    connectionMapper.start();
+  } else {
+    connectionMapper.disable();
+  }
+  return loaded;
+}
+
+// ========================================
+// GLOBE OVERLAYS
+// ========================================
+
+// Loaded on first use; each level of detail is read when the globe needs it
+let coastlineData = null;
+
+function applyCoastlineSettings() {
+  if (!globeRenderer) return;
+  if (currentSettings.globeCoastlines && !coastlineData) coastlineData = new CoastlineData();
+  globeRenderer.setCoastlines(currentSettings.globeCoastlines ? coastlineData : null);
+  globeRenderer.setBordersVisible(currentSettings.globeBorders);
+}
+
+// One GeoJsonLayer per currentSettings.globeLayers entry, in the same order.
+// A layer whose file failed to load stays in the list, empty, with its error.
+let globeLayers = [];
+
+const globeLayerColors = ['#ffaa00', '#00ccff', '#ff3366', '#aa66ff', '#66ff66'];
+
+async function loadGlobeLayer(entry) {
+  const layer = new GeoJsonLayer(entry);
+  try {
+    await layer.load();
+  } catch (e) {
+    console.error(`Failed to load GeoJSON layer ${entry.file}:`, e);
+    layer.error = e.message;
+  }
+  return layer;
+}
+
+async function applyGlobeLayers() {
+  const entries = Array.isArray(currentSettings.globeLayers) ? currentSettings.globeLayers : [];
+  globeLayers = await Promise.all(entries.map(loadGlobeLayer));
+  if (globeRenderer) globeRenderer.setOverlays(globeLayers);
+  renderGlobeLayerRows();
+}
+
+// Settings rows per layer: color, name, visibility toggle and remove button,
+// then the label property and marker pulse toggle
+function renderGlobeLayerRows() {
+  const list = document.getElementById('globe-layers-list');
+  if (!list) return;
+  list.innerHTML = '';
+
+  globeLayers.forEach((layer, index) => {
+    const entry = currentSettings.globeLayers[index];
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'settings-color';
+    color.value = layer.color;
+    color.addEventListener('change', () => {
+      layer.color = color.value;
+      entry.color = color.value;
+      saveSettings();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'settings-hint settings-path';
+    name.textContent = layer.error ? `${layer.name}: ${layer.error}` : `${layer.name}: ${layer.features.length} features`;
+    name.title = layer.file;
+
+    const toggle = document.createElement('label');
+    toggle.className = 'toggle-switch';
+    toggle.innerHTML = '<input type="checkbox"><span class="toggle-slider"></span>';
+    const checkbox = toggle.querySelector('input');
+    checkbox.checked = layer.visible;
+    checkbox.addEventListener('change', () => {
+      layer.visible = checkbox.checked;
+      entry.visible = checkbox.checked;
+      saveSettings();
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'settings-action-btn';
+    remove.textContent = 'DEL';
+    remove.addEventListener('click', () => {
+      currentSettings.globeLayers.splice(index, 1);
+      globeLayers.splice(index, 1);
+      saveSettings();
+      if (globeRenderer) globeRenderer.setOverlays(globeLayers);
+      renderGlobeLayerRows();
+    });
+
+    // Labels are picked when the file is parsed, so a new property reloads it
+    const options = document.createElement('div');
+    options.className = 'settings-row';
+
+    const labelProperty = document.createElement('input');
+    labelProperty.type = 'text';
+    labelProperty.className = 'settings-input';
+    labelProperty.placeholder = 'label property: name, title, label';
+    labelProperty.value = layer.labelProperty;
+    labelProperty.addEventListener('change', async () => {
+      entry.labelProperty = labelProperty.value.trim();
+      saveSettings();
+      const reloaded = await loadGlobeLayer(entry);
+      // Removed while it reloaded
+      if (currentSettings.globeLayers[index] !== entry) return;
+      globeLayers[index] = reloaded;
+      if (globeRenderer) globeRenderer.setOverlays(globeLayers);
+      renderGlobeLayerRows();
+    });
+
+    const pulseLabel = document.createElement('label');
+    pulseLabel.textContent = 'Pulse';
+
+    const pulse = document.createElement('label');
+    pulse.className = 'toggle-switch';
+    pulse.title = 'Pulse markers without a pulse property of their own';
+    pulse.innerHTML = '<input type="checkbox"><span class="toggle-slider"></span>';
+    const pulseCheckbox = pulse.querySelector('input');
+    pulseCheckbox.checked = layer.pulse;
+    pulseCheckbox.addEventListener('change', () => {
+      layer.pulse = pulseCheckbox.checked;
+      entry.pulse = pulseCheckbox.checked;
+      saveSettings();
+    });
+
+    row.append(color, name, toggle, remove);
+    options.append(labelProperty, pulseLabel, pulse);
+    list.append(row, options);
+  });
+}
+
+async function addGlobeLayer() {
+  const status = document.getElementById('globe-layer-status');
+  const filePath = await ipcRenderer.invoke('dialog-open-file', {
+    title: 'Choose a GeoJSON file',
+    defaultPath: os.homedir(),
+    filters: [
+      { name: 'GeoJSON', extensions: ['geojson', 'json'] },
+      { name: 'All files', extensions: ['*'] },
+    ],
+  });
+  if (!filePath) return;
+
+  if (!Array.isArray(currentSettings.globeLayers)) currentSettings.globeLayers = [];
+  const entry = {
+    file: filePath,
+    color: globeLayerColors[currentSettings.globeLayers.length % globeLayerColors.length],
+    visible: true,
+  };
+  const layer = await loadGlobeLayer(entry);
+  if (layer.error) {
+    status.textContent = `Could not load ${GeoJsonLayer.baseName(filePath)}: ${layer.error}`;
+    return;
+  }
+
+  currentSettings.globeLayers.push(entry);
+  globeLayers.push(layer);
+  saveSettings();
+  if (globeRenderer) globeRenderer.setOverlays(globeLayers);
+  status.textContent = `Added ${layer.name}: ${layer.features.length} features`;
+  renderGlobeLayerRows();
+}
+
 // ========================================
 // SATELLITE LIST UPDATE
 // ========================================
 
+// Returns false when the TLE file couldn't be read or matched no satellites;
+// the globe then keeps its simulated ones
+async function applySatelliteSettings() {
+  if (!satelliteTracker) return true;
+
+  satelliteTracker.setObserver(Number(currentSettings.homeLat) || 0, Number(currentSettings.homeLon) || 0);
+  let loaded = true;
+  if (currentSettings.satelliteTleFile) {
+    try {
+      await satelliteTracker.load(currentSettings.satelliteTleFile, { filter: currentSettings.satelliteFilter });
+    } catch (e) {
+      console.error('Failed to load TLE file:', e);
+      satelliteTracker.unload();
+      loaded = false;
+    }
+  } else {
+    satelliteTracker.unload();
+  }
+
+  globeRenderer.setSatelliteTracker(satelliteTracker);
+  updateSatelliteDisplay();
+  return loaded;
+}
+
 function updateSatelliteDisplay() {
   if (globeRenderer && dataStreamManager) {
     const satellites = globeRenderer.getSatellites();
@@ -3255,13 +6771,188 @@ function updateSatelliteDisplay() {
   }
 }
 
+// ========================================
+// CONTROL API
+// ========================================
+
+// Requests from bin/hackerterm, relayed by the main process (terminal.send and
+// ping are answered there). Each handler returns a JSON-serializable result.
+
+function findControlPane(params) {
+  let pane = null;
+  if (params.paneId !== undefined) {
+    pane = paneManager.panes.get(Number(params.paneId));
+  } else if (params.terminalId !== undefined) {
+    pane = Array.from(paneManager.panes.values()).find(p => p.terminalId === Number(params.terminalId));
+  } else {
+    pane = paneManager.getFocusedPane();
+  }
+  if (!pane) throw new Error('No such pane');
+  return pane;
+}
+
+function describeControlPane(pane) {
+  return { paneId: pane.paneId, tabId: pane.tabId, terminalId: pane.terminalId };
+}
+
+// Run a command in a freshly created pane once its shell is up
+// The PTY holds the line until the shell is ready to read it
+function runControlCommand(pane, command) {
+  if (!command) return;
+  ipcRenderer.send('terminal-input', { terminalId: pane.terminalId, data: `${command}\r` });
+}
+
+const controlHandlers = {
+  'tab.new': async (params) => {
+    if (params.profile && !currentSettings.profiles[params.profile]) {
+      throw new Error(`Unknown profile ${params.profile}`);
+    }
+    const tabId = await tabManager.createTab(params.profile || null, { cwd: params.cwd || null });
+    const pane = paneManager.getPanesForTab(tabId)[0];
+    runControlCommand(pane, params.command);
+    return describeControlPane(pane);
+  },
+
+  'pane.split': async (params) => {
+    const target = findControlPane(params);
+    const direction = params.direction === 'horizontal' ? 'horizontal' : 'vertical';
+    if (params.profile && !currentSettings.profiles[params.profile]) {
+      throw new Error(`Unknown profile ${params.profile}`);
+    }
+    const paneId = await paneManager.splitPane(target.paneId, direction, {
+      cwd: params.cwd || null,
+      profileId: params.profile || null,
+    });
+    const pane = paneManager.panes.get(paneId);
+    if (!pane) throw new Error('Split failed');
+    runControlCommand(pane, params.command);
+    return describeControlPane(pane);
+  },
+
+  'pane.list': async () => {
+    const panes = Array.from(paneManager.panes.values());
+    return Promise.all(panes.map(async (pane) => ({
+      ...describeControlPane(pane),
+      title: pane.title,
+      process: pane.processName,
+      cwd: await paneManager.getPaneCwd(pane.paneId),
+      focused: pane.paneId === paneManager.focusedPaneId,
+      activeTab: pane.tabId === tabManager.getActiveTabId(),
+    })));
+  },
+
+  'pane.focus': (params) => {
+    const pane = findControlPane(params);
+    tabManager.switchTab(pane.tabId);
+    paneManager.focusPane(pane.paneId);
+    return describeControlPane(pane);
+  },
+
+  // Last `lines` lines of the buffer (scrollback included), trailing blanks trimmed
+  'pane.read': (params) => {
+    const pane = findControlPane(params);
+    const buffer = pane.terminal.buffer.active;
+    const total = buffer.length;
+    const count = params.lines > 0 ? Math.min(Number(params.lines), total) : total;
+
+    const lines = [];
+    for (let i = total - count; i < total; i++) {
+      const line = buffer.getLine(i);
+      if (!line) continue;
+      const text = line.translateToString(true);
+      // Wrapped rows continue the previous logical line
+      if (line.isWrapped && lines.length > 0) {
+        lines[lines.length - 1] += text;
+      } else {
+        lines.push(text);
+      }
+    }
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+    return { ...describeControlPane(pane), text: lines.join('\n') };
+  },
+
+  // With tab: true, overrides the theme of the target pane's tab instead;
+  // the name 'default' removes the override
+  'theme.set': (params) => {
+    if (params.tab && params.name === 'default') {
+      const pane = findControlPane(params);
+      tabManager.setTabTheme(pane.tabId, null);
+      return { theme: null, tabId: pane.tabId };
+    }
+    if (!themeRegistry.has(params.name)) {
+      throw new Error(`Unknown theme ${params.name} (${themeRegistry.list().map(t => t.id).join(', ')})`);
+    }
+    if (params.tab) {
+      const pane = findControlPane(params);
+      tabManager.setTabTheme(pane.tabId, params.name);
+      return { theme: params.name, tabId: pane.tabId };
+    }
+    currentSettings.theme = params.name;
+    saveSettings();
+    refreshTheme();
+    return { theme: params.name };
+  },
+
+  // Raised as the 'control' signal, so it combines with the rule-based ones
+  'threat.set': (params) => {
+    const level = String(params.level || '').toUpperCase();
+    if (!threatLevels.includes(level)) {
+      throw new Error(`Level must be one of ${threatLevels.join(', ')}`);
+    }
+    if (!threatEngine) throw new Error('Threat engine is not running');
+
+    if (level === 'LOW') {
+      threatEngine.clear('control');
+    } else {
+      threatEngine.raise(
+        { id: 'control', level, duration: params.duration > 0 ? Number(params.duration) : 10 * 60 * 1000 },
+        params.message || `Threat level set to ${level}`
+      );
+    }
+    return { level: threatEngine.level };
+  },
+
+  'status.set': (params) => {
+    if (!statusFooter) throw new Error('Footer is not ready');
+    if (params.state && !['ok', 'running', 'fail'].includes(params.state)) {
+      throw new Error('State must be ok, running or fail');
+    }
+    statusFooter.setStatus({
+      text: String(params.text || ''),
+      label: params.label || 'STATUS',
+      state: params.state || null,
+      duration: Number(params.duration) || 0,
+    });
+    return { ok: true };
+  },
+
+  'status.clear': () => {
+    if (statusFooter) statusFooter.clearStatus();
+    return { ok: true };
+  },
+};
+
+ipcRenderer.on('control-request', async (event, { requestId, method, params }) => {
+  const handler = controlHandlers[method];
+  try {
+    if (!handler) throw new Error(`Unknown method ${method}`);
+    if (!paneManager || !tabManager) throw new Error('HackerTerm is still starting');
+    const result = await handler(params || {});
+    ipcRenderer.send('control-response', { requestId, result });
+  } catch (e) {
+    ipcRenderer.send('control-response', { requestId, error: e.message });
+  }
+});
+
 // ========================================
 // INITIALIZATION
 // ========================================
 
 document.addEventListener('DOMContentLoaded', async () => {
   // Apply saved theme
-  applyTheme(currentSettings.theme);
+  refreshTheme();
+  startThemeSchedule();
 
   // Apply effects
   updateEffects(currentSettings.effectsEnabled, currentSettings.effectsIntensity);
@@ -3279,16 +6970,74 @@ document.addEventListener('DOMContentLoaded', async () => {
       tabManager = new TabManager(paneManager);
       paneManager.tabManager = tabManager;
       clipboardHistoryPopup = new ClipboardHistoryPopup(clipboardHistory, paneManager);
+      listPicker = new ListPicker();
+      confirmDialog = new ConfirmDialog();
+      sessionManager = new SessionManager(tabManager);
+
+      // A torn-off window starts with the tab it adopts; windows opened at
+      // launch restore the saved window at their index; anything else starts
+      // with a single tab
+      const adoptId = windowParams.get('adopt');
+      const restoreIndex = parseInt(windowParams.get('restore'), 10);
+      let opened = false;
+      if (adoptId) {
+        opened = !!await tabManager.adoptTab(adoptId);
+      } else if (!isNaN(restoreIndex) && currentSettings.restoreSession) {
+        opened = await sessionManager.restoreLast(restoreIndex);
+      }
+      if (!opened) {
+        await tabManager.createTab();
+      }
 
-      // Create initial tab
-      await tabManager.createTab();
+      // Tabs arriving from, or requested by, other windows
+      ipcRenderer.on('tab-adopt', (event, transferId) => tabManager.adoptTab(transferId));
+      ipcRenderer.on('tab-move-out', (event, { tabId, target }) => tabManager.transferTab(tabId, target));
 
       // Register shortcut actions
       shortcutManager.registerAction('window.new', () => ipcRenderer.send('window-new'));
       shortcutManager.registerAction('tab.new', () => tabManager.createTab());
+      shortcutManager.registerAction('tab.newWithProfile', () => {
+        showProfilePicker((profileId) => tabManager.createTab(profileId));
+      });
       shortcutManager.registerAction('tab.close', () => tabManager.closeTab(tabManager.getActiveTabId()));
       shortcutManager.registerAction('tab.next', () => tabManager.nextTab());
       shortcutManager.registerAction('tab.prev', () => tabManager.prevTab());
+      shortcutManager.registerAction('pane.broadcast', () => showBroadcastPicker());
+      ['up', 'down', 'left', 'right'].forEach((direction) => {
+        const suffix = direction[0].toUpperCase() + direction.slice(1);
+        shortcutManager.registerAction(`pane.resize${suffix}`, () => {
+          const focused = paneManager.getFocusedPane();
+          if (focused) paneManager.resizePane(focused.paneId, direction);
+        });
+        shortcutManager.registerAction(`pane.swap${suffix}`, () => {
+          const focused = paneManager.getFocusedPane();
+          if (focused) paneManager.swapPane(focused.paneId, direction);
+        });
+      });
+      const layoutPresets = {
+        'layout.evenHorizontal': 'even-horizontal',
+        'layout.evenVertical': 'even-vertical',
+        'layout.mainLeft': 'main-left',
+        'layout.tiled': 'tiled',
+      };
+      Object.entries(layoutPresets).forEach(([action, preset]) => {
+        shortcutManager.registerAction(action, () => {
+          paneManager.applyLayoutPreset(tabManager.getActiveTabId(), preset);
+        });
+      });
+      shortcutManager.registerAction('pane.record', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) paneManager.toggleRecording(focused.paneId);
+      });
+      shortcutManager.registerAction('session.replay', () => openRecording());
+      shortcutManager.registerAction('pane.zoom', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) paneManager.toggleZoom(focused.paneId);
+      });
+      shortcutManager.registerAction('tab.theme', () => showTabThemePicker(tabManager.getActiveTabId()));
+      shortcutManager.registerAction('tab.moveToNewWindow', () => {
+        if (tabManager.tabs.size > 1) tabManager.transferTab(tabManager.getActiveTabId());
+      });
       shortcutManager.registerAction('pane.splitVertical', () => {
         const focused = paneManager.getFocusedPane();
         if (focused) paneManager.splitPane(focused.paneId, 'vertical');
@@ -3304,6 +7053,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       });
       shortcutManager.registerAction('pane.focusNext', () => paneManager.focusNextPane());
+      shortcutManager.registerAction('pane.prevCommand', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) focused.shellIntegration.jumpToPrevious();
+      });
+      shortcutManager.registerAction('pane.nextCommand', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) focused.shellIntegration.jumpToNext();
+      });
+      shortcutManager.registerAction('pane.export', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) showExportPicker(focused.paneId);
+      });
+      shortcutManager.registerAction('pane.selectOutput', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) focused.shellIntegration.selectCommandOutput();
+      });
+      shortcutManager.registerAction('pane.find', () => {
+        const focused = paneManager.getFocusedPane();
+        if (focused) paneManager.toggleSearch(focused.paneId);
+      });
       shortcutManager.registerAction('pane.focusUp', () => paneManager.focusDirection('up'));
       shortcutManager.registerAction('pane.focusDown', () => paneManager.focusDirection('down'));
       shortcutManager.registerAction('pane.focusLeft', () => paneManager.focusDirection('left'));
@@ -3327,6 +7096,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           speechToTextManager.toggleRecording();
         }
       });
+      shortcutManager.registerAction('session.save', () => sessionManager.saveLast());
+      shortcutManager.registerAction('session.loadLayout', () => showLayoutPicker());
 
       // Initialize speech-to-text
       speechToTextManager = new SpeechToTextManager();
@@ -3335,10 +7106,20 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Initialize globe
       globeRenderer = new GlobeRenderer('globe-canvas');
       globeRenderer.setEffectsEnabled(currentSettings.effectsEnabled);
+      globeRenderer.setWorldClocks(worldClocks);
+      applyCoastlineSettings();
       globeRenderer.start();
 
+      // Plot real connections on the globe
+      connectionMapper = new ConnectionMapper(globeRenderer);
+      applyConnectionMapperSettings();
+
+      // Real satellites when a TLE file is configured
+      satelliteTracker = new SatelliteTracker();
+
       // Initialize data stream
       dataStreamManager = new DataStreamManager();
+      dataStreamManager.setSources(buildTelemetrySources());
       dataStreamManager.start();
 
       // Initialize waveform renderer
@@ -3348,11 +7129,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Initialize city map renderer
       cityMapRenderer = new CityMapRenderer('city-map-canvas');
       cityMapRenderer.onTargetAcquired(() => {
-        // Trigger threat spike in footer
-        if (statusFooter) {
-          statusFooter.triggerThreatSpike();
-        }
-        // Flash tracking status is handled by CityMapRenderer
+        // Simulated spike; flash tracking status is handled by CityMapRenderer
+        threatEngine.triggerSimulatedSpike('Target acquired');
       });
       cityMapRenderer.start();
 
@@ -3362,9 +7140,29 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Initialize status footer
       statusFooter = new StatusFooter();
 
+      // Threat engine: footer, glitches, globe and data stream share one bus
+      threatEngine = new ThreatEngine(threatBus);
+      threatEngine.setRules(currentSettings.threatRules);
+      threatEngine.setSimulation(currentSettings.threatSimulation);
+      globeRenderer.setAutoTargetLock(currentSettings.threatSimulation);
+
+      threatBus.on('level', ({ level }) => statusFooter.setThreatLevel(level));
+      threatBus.on('signal', (signal) => {
+        glitchManager.triggerThreatGlitch(signal.level);
+        globeRenderer.lockTarget(Number(currentSettings.homeLon) || 0, Number(currentSettings.homeLat) || 0);
+        dataStreamManager.addLine({
+          type: 'alert',
+          tag: signal.level,
+          tagClass: 'tag-alert',
+          content: `${dataStreamManager.getTimestamp()} ${signal.message}`
+        });
+      });
+      threatEngine.start();
+
       // Update satellite display periodically
+      applySatelliteSettings();
+      applyGlobeLayers();
       setInterval(updateSatelliteDisplay, 2000);
-      updateSatelliteDisplay();
 
       // Apply data panel visibility
       toggleDataPanel(currentSettings.dataPanelVisible);
@@ -3374,12 +7172,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Run boot sequence
-  bootSequence.run();
+  // Run boot sequence (a torn-off tab's window goes straight to the terminal)
+  if (windowParams.get('adopt')) {
+    bootSequence.hide();
+  } else {
+    bootSequence.run();
+  }
 
   // Start clock
-  updateClock();
+  applyWorldClocks();
   setInterval(updateClock, 1000);
+  document.getElementById('clock').addEventListener('click', () => {
+    if (currentSettings.clockMode === 'cycle' && worldClocks.length > 0) advanceClock();
+  });
 
   // Handle window resize
   window.addEventListener('resize', () => {
@@ -3401,6 +7206,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     ipcRenderer.send('window-maximize');
   });
 
+  // Main process asks for confirmation and the session before the window
+  // closes. While the app quits (collect) the session goes back to the main
+  // process, which saves every window's together.
+  ipcRenderer.on('session-save-request', async (event, { lastWindow = true, collect = false } = {}) => {
+    if (paneManager) {
+      const paneIds = Array.from(paneManager.panes.keys());
+      // window-close-pending stops the main process closing on its own while we ask
+      const confirmed = await confirmCloseProcesses(paneIds, 'CLOSE WINDOW?',
+        () => ipcRenderer.send('window-close-pending'));
+      if (!confirmed) {
+        if (collect) ipcRenderer.send('window-close-cancelled');
+        return;
+      }
+    }
+
+    let session = null;
+    try {
+      if (sessionManager && currentSettings.restoreSession && collect) {
+        session = await sessionManager.serialize();
+      } else if (sessionManager && currentSettings.restoreSession && lastWindow) {
+        await sessionManager.saveLast();
+      }
+    } finally {
+      ipcRenderer.send('session-saved', { session });
+    }
+  });
+
   // Allow skipping boot sequence
   document.getElementById('boot-screen').addEventListener('click', () => {
     if (bootSequence) {
@@ -3416,15 +7248,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
     if (globeRenderer) globeRenderer.stop();
+    if (connectionMapper) connectionMapper.stop();
     if (dataStreamManager) dataStreamManager.stop();
     if (waveformRenderer) waveformRenderer.stop();
     if (cityMapRenderer) cityMapRenderer.stop();
     if (statusFooter) statusFooter.stop();
+    if (threatEngine) threatEngine.stop();
   } else {
     if (globeRenderer) globeRenderer.start();
+    if (connectionMapper && currentSettings.globeEndpoints) connectionMapper.start();
     if (dataStreamManager) dataStreamManager.start();
     if (waveformRenderer) waveformRenderer.start();
     if (cityMapRenderer) cityMapRenderer.start();
     if (statusFooter) statusFooter.start();
+    if (threatEngine) threatEngine.start();
+    if (paneManager) paneManager.refreshProcessTitles();
   }
 });
@@ -0,0 +1,59 @@
+# HackerTerm shell integration for bash
+#
+# Loaded with --init-file in place of the user's rcfile. Sources the user's
+# startup files first, then reports prompts (OSC 133) and the working
+# directory (OSC 7) to the terminal.
+
+if [ -n "$HACKERTERM_BASH_LOGIN" ]; then
+  # --init-file is ignored by login shells, so replay their startup files
+  unset HACKERTERM_BASH_LOGIN
+  [ -r /etc/profile ] && . /etc/profile
+  for __hackerterm_file in ~/.bash_profile ~/.bash_login ~/.profile; do
+    if [ -r "$__hackerterm_file" ]; then
+      . "$__hackerterm_file"
+      break
+    fi
+  done
+  unset __hackerterm_file
+else
+  __hackerterm_rcfile="${HACKERTERM_BASH_RCFILE:-$HOME/.bashrc}"
+  unset HACKERTERM_BASH_RCFILE
+  [ -r "$__hackerterm_rcfile" ] && . "$__hackerterm_rcfile"
+  unset __hackerterm_rcfile
+fi
+
+if [[ $- == *i* && -z "$__hackerterm_installed" ]]; then
+  __hackerterm_installed=1
+  __hackerterm_running=
+
+  __hackerterm_urlencode() {
+    local LC_ALL=C str="$1" out="" c i
+    for ((i = 0; i < ${#str}; i++)); do
+      c="${str:i:1}"
+      case "$c" in
+        [a-zA-Z0-9/._~-]) out+="$c" ;;
+        *) printf -v c '%%%02X' "'$c"; out+="$c" ;;
+      esac
+    done
+    printf '%s' "$out"
+  }
+
+  __hackerterm_prompt_command() {
+    local status=$?
+    if [ -n "$__hackerterm_running" ]; then
+      printf '\e]133;D;%s\a' "$status"
+      __hackerterm_running=
+    fi
+    printf '\e]7;file://%s%s\a' "$HOSTNAME" "$(__hackerterm_urlencode "$PWD")"
+    printf '\e]133;A\a'
+    return $status
+  }
+
+  # Run first so $? is still the command's exit status
+  PROMPT_COMMAND="__hackerterm_prompt_command${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
+
+  # End of prompt; PS0 marks the start of command output. The array
+  # subscript sets __hackerterm_running in this shell, not a subshell.
+  PS1="$PS1"'\[\e]133;B\a\]'
+  PS0='${__hackerterm_noop[__hackerterm_running=1]}\e]133;C\a'"$PS0"
+fi
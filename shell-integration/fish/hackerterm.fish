@@ -0,0 +1,21 @@
+# HackerTerm shell integration for fish
+#
+# Loaded with --init-command after the user's config. Reports prompts
+# (OSC 133) and the working directory (OSC 7) to the terminal.
+
+if status is-interactive; and not set -q __hackerterm_installed
+    set -g __hackerterm_installed 1
+
+    function __hackerterm_preexec --on-event fish_preexec
+        printf '\e]133;C\a'
+    end
+
+    function __hackerterm_postexec --on-event fish_postexec
+        printf '\e]133;D;%s\a' $status
+    end
+
+    function __hackerterm_prompt --on-event fish_prompt
+        printf '\e]7;file://%s%s\a' (prompt_hostname) (string escape --style=url -- $PWD)
+        printf '\e]133;A\a'
+    end
+end